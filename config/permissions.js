@@ -0,0 +1,238 @@
+// Central permission registry.
+//
+// Every role has a scope that decides how it applies to a course-bound resource:
+//   global      - applies to every course
+//   owner       - applies to courses the user teaches (Course.teacher)
+//   enrolled    - applies to courses the user is enrolled in
+//   course-code - granted per course code through a RoleGrant document
+const ROLES = {
+  admin: { scope: "global" },
+  teacher: { scope: "owner" },
+  student: { scope: "enrolled" },
+  "teaching-assistant": { scope: "course-code" },
+  "department-head": { scope: "course-code" },
+};
+
+// Roles that can only be held through a RoleGrant, never as User.role
+const SCOPED_ROLES = Object.keys(ROLES).filter(
+  (role) => ROLES[role].scope === "course-code"
+);
+
+const ALL = Object.keys(ROLES);
+const STAFF = ["admin", "teacher"];
+
+// action -> roles allowed to perform it
+const PERMISSIONS = {
+  // Courses
+  "course:list": ALL,
+  "course:read": ALL,
+  "course:create": STAFF,
+  "course:update": STAFF,
+  "course:delete": STAFF,
+  "course:enroll": ["admin", "student"],
+  "course:attendance:update": ["admin", "teacher", "teaching-assistant"],
+  "course:staff:manage": STAFF,
+
+  // Attendance sessions (students only ever see their own records)
+  "attendance:read": ALL,
+  "attendance:mark": ["admin", "teacher", "teaching-assistant"],
+  "attendance:check-in": ["student"],
+  "attendance:report": [
+    "admin",
+    "teacher",
+    "teaching-assistant",
+    "department-head",
+  ],
+
+  // Assignments
+  "assignment:read": ALL,
+  "assignment:create": STAFF,
+  "assignment:update": STAFF,
+  "assignment:delete": STAFF,
+  "assignment:submit": ["admin", "student"],
+  "assignment:grade": ["admin", "teacher", "teaching-assistant"],
+
+  // Activities
+  "activity:read": ALL,
+  "activity:create": STAFF,
+  "activity:update": STAFF,
+  "activity:delete": STAFF,
+  "activity:submit": ["admin", "student"],
+  "activity:grade": ["admin", "teacher", "teaching-assistant"],
+
+  // Quizzes (students only ever see their own attempts)
+  "quiz:read": ALL,
+  "quiz:create": STAFF,
+  "quiz:update": STAFF,
+  "quiz:delete": STAFF,
+  "quiz:attempt": ["student"],
+  "quiz:grade": ["admin", "teacher", "teaching-assistant"],
+
+  // Question banks, shared per course code (the controller checks the code:
+  // a teacher's own codes, and those of courses they are staff on)
+  "question-bank:read": STAFF,
+  "question-bank:manage": STAFF,
+
+  // Course outcomes, their mapping to assessments and attainment reports
+  "outcome:read": ALL,
+  "outcome:manage": STAFF,
+  "outcome:report": [
+    "admin",
+    "teacher",
+    "teaching-assistant",
+    "department-head",
+  ],
+
+  // Submission statistics across a course's assignments and activities
+  "assessment:stats": [
+    "admin",
+    "teacher",
+    "teaching-assistant",
+    "department-head",
+  ],
+
+  // Gradebook (students only ever see their own row)
+  "gradebook:read": ALL,
+  "gradebook:grade": ["admin", "teacher", "teaching-assistant"],
+  "gradebook:manage": STAFF,
+
+  // Announcements
+  "announcement:read": ALL,
+  "announcement:create": [...STAFF, "department-head"],
+  "announcement:update": [...STAFF, "department-head"],
+  "announcement:delete": [...STAFF, "department-head"],
+
+  // Syllabus
+  "syllabus:read": ALL,
+  "syllabus:module:create": STAFF,
+  "syllabus:module:update": STAFF,
+  "syllabus:module:delete": STAFF,
+  "syllabus:content:create": STAFF,
+  "syllabus:content:update": STAFF,
+  "syllabus:content:delete": STAFF,
+
+  // Articles and chapters
+  "article:read": ALL,
+  "article:create": STAFF,
+  "article:update": STAFF,
+  "article:delete": STAFF,
+
+  // Lectures
+  "lecture:read": ALL,
+  "lecture:create": STAFF,
+  "lecture:update": STAFF,
+  "lecture:delete": STAFF,
+
+  // E-content
+  "econtent:read": ALL,
+  "econtent:create": STAFF,
+  "econtent:update": STAFF,
+  "econtent:delete": STAFF,
+
+  // Discussions (authorship of comments/posts is still checked by the controller)
+  "discussion:read": ALL,
+  "discussion:create": ALL,
+  "discussion:comment": ALL,
+  "discussion:update": ALL,
+  "discussion:delete": ALL,
+  "discussion:moderate": ["admin", "teacher", "teaching-assistant"],
+  "discussion:staff": STAFF,
+
+  // Students, semesters and events
+  "student:list": ["admin", "teacher", "student"],
+  "student:roster": STAFF,
+  "student:assign": STAFF,
+  "semester:read": ALL,
+  "semester:create": STAFF,
+  "event:read": ALL,
+  "event:manage": ["admin"],
+
+  // Administration
+  "admin:users:manage": ["admin"],
+  "admin:course-codes:manage": ["admin"],
+  "admin:courses:manage": ["admin"],
+  "admin:teachers:manage": ["admin"],
+  "admin:students:manage": ["admin"],
+  "admin:system:read": ["admin"],
+  "admin:role-grants:manage": ["admin"],
+  "admin:audit:read": ["admin"],
+};
+
+// Course-level delegation: the owner of a course can add co-teachers and
+// teaching assistants to Course.staff. Each capability unlocks the listed
+// actions on that course only.
+const STAFF_CAPABILITIES = {
+  grade: [
+    "assignment:grade",
+    "activity:grade",
+    "quiz:grade",
+    "gradebook:grade",
+    "assessment:stats",
+    "outcome:report",
+  ],
+  "moderate-discussions": ["discussion:moderate"],
+  "mark-attendance": [
+    "course:attendance:update",
+    "attendance:mark",
+    "attendance:report",
+  ],
+  "manage-assessments": [
+    "assignment:create",
+    "assignment:update",
+    "assignment:delete",
+    "activity:create",
+    "activity:update",
+    "activity:delete",
+    "quiz:create",
+    "quiz:update",
+    "quiz:delete",
+    "question-bank:read",
+    "question-bank:manage",
+    "outcome:manage",
+    "gradebook:manage",
+  ],
+  "manage-content": [
+    "announcement:create",
+    "announcement:update",
+    "announcement:delete",
+    "syllabus:module:create",
+    "syllabus:module:update",
+    "syllabus:module:delete",
+    "syllabus:content:create",
+    "syllabus:content:update",
+    "syllabus:content:delete",
+    "article:create",
+    "article:update",
+    "article:delete",
+    "lecture:create",
+    "lecture:update",
+    "lecture:delete",
+    "econtent:create",
+    "econtent:update",
+    "econtent:delete",
+  ],
+};
+
+// Capabilities each staff role gets unless the owner picks a narrower set
+const STAFF_ROLES = {
+  "co-teacher": Object.keys(STAFF_CAPABILITIES),
+  "teaching-assistant": ["grade", "moderate-discussions", "mark-attendance"],
+};
+
+// Every active staff member can read the course and take part in discussions
+const STAFF_BASE_ACTIONS = [
+  ...Object.keys(PERMISSIONS).filter((action) => action.endsWith(":read")),
+  "discussion:create",
+  "discussion:comment",
+  "discussion:update",
+  "discussion:delete",
+];
+
+module.exports = {
+  ROLES,
+  SCOPED_ROLES,
+  PERMISSIONS,
+  STAFF_CAPABILITIES,
+  STAFF_ROLES,
+  STAFF_BASE_ACTIONS,
+};
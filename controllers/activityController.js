@@ -1,15 +1,59 @@
 const Activity = require("../models/Activity");
 const Course = require("../models/Course");
-const Teacher = require("../models/Teacher");
 const Student = require("../models/Student");
 const mongoose = require("mongoose");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { ErrorHandler } = require("../middleware/errorHandler");
+const {
+  getCourseAccess,
+  isStaffAccess,
+  isOwnStudentRecord,
+} = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
+const {
+  validateRubric,
+  resolveGrade,
+  rubricMaxPoints,
+} = require("../utils/rubric");
+const {
+  getRosterIds,
+  submittingStudents,
+  computeAssessmentStats,
+  studentStats,
+} = require("../utils/assessmentStats");
+const {
+  archiveEntries,
+  sendSubmissionArchive,
+} = require("../utils/submissionArchive");
+const {
+  effectiveDueDate,
+  effectiveMaxAttempts,
+  findEnrolledStudent,
+  parseExtension,
+  setExtension,
+  parseAccommodation,
+  grantAccommodations,
+  extensionsSnapshot,
+  auditExtensions,
+} = require("../utils/extensions");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
 
+// maxAttempts from a create or update request ("" or null for unlimited).
+// Resolves to { maxAttempts, error }; maxAttempts is undefined when absent.
+const parseMaxAttempts = (value) => {
+  if (value === undefined) return {};
+  if (value === null || value === "") return { maxAttempts: null };
+
+  const maxAttempts = Number(value);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    return { error: "maxAttempts must be a whole number of at least 1" };
+  }
+  return { maxAttempts };
+};
+
 // Create new activity
 exports.createActivity = catchAsyncErrors(async (req, res, next) => {
   console.log("createActivity: Started");
@@ -32,6 +76,11 @@ exports.createActivity = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("All fields are required", 400));
     }
 
+    const attemptLimit = parseMaxAttempts(req.body.maxAttempts);
+    if (attemptLimit.error) {
+      return next(new ErrorHandler(attemptLimit.error, 400));
+    }
+
     // Check if course exists
     const course = await Course.findById(courseId).session(session);
     if (!course) {
@@ -49,6 +98,7 @@ exports.createActivity = catchAsyncErrors(async (req, res, next) => {
       totalPoints,
       isActive: true, // Default value
       links: links || [],
+      maxAttempts: attemptLimit.maxAttempts ?? null,
     });
 
     // Handle file uploads if any
@@ -255,9 +305,28 @@ exports.submitActivity = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Check if past due date
+    // Check if already submitted and whether attempts are left
+    const existingSubmission = activity.submissions.find((sub) =>
+      sub.student.equals(student._id)
+    );
+    const maxAttempts = effectiveMaxAttempts(activity, student._id);
+    if (
+      existingSubmission &&
+      maxAttempts &&
+      (existingSubmission.attemptCount || 1) >= maxAttempts
+    ) {
+      console.log(`Attempt limit of ${maxAttempts} reached`);
+      return next(
+        new ErrorHandler(
+          `You have used all ${maxAttempts} attempts for this activity`,
+          400
+        )
+      );
+    }
+
+    // Check if past the student's due date
     const now = new Date();
-    const isDueDatePassed = now > activity.dueDate;
+    const isDueDatePassed = now > effectiveDueDate(activity, student._id);
     console.log("Is submission late:", isDueDatePassed);
 
     try {
@@ -267,11 +336,6 @@ exports.submitActivity = catchAsyncErrors(async (req, res, next) => {
       const uploadResult = await uploadFileToAzure(submissionFile, uploadPath);
       console.log("Azure upload successful:", uploadResult.url);
 
-      // Check if already submitted
-      const existingSubmission = activity.submissions.find((sub) =>
-        sub.student.equals(student._id)
-      );
-
       if (existingSubmission) {
         console.log("Updating existing submission");
         // Delete old file if it exists
@@ -289,6 +353,8 @@ exports.submitActivity = catchAsyncErrors(async (req, res, next) => {
         existingSubmission.submissionDate = now;
         existingSubmission.status = "submitted";
         existingSubmission.isLate = isDueDatePassed;
+        existingSubmission.attemptCount =
+          (existingSubmission.attemptCount || 1) + 1;
       } else {
         console.log("Creating new submission");
         // Create new submission
@@ -299,6 +365,7 @@ exports.submitActivity = catchAsyncErrors(async (req, res, next) => {
           submissionDate: now,
           status: "submitted",
           isLate: isDueDatePassed,
+          attemptCount: 1,
         });
       }
 
@@ -352,14 +419,6 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     transactionStarted = true;
     console.log("Transaction started");
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher._id);
-
     // Get the activity
     const activity = await Activity.findById(req.params.activityId);
     if (!activity) {
@@ -368,37 +427,32 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Activity found:", activity._id);
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      _id: activity.course,
-      teacher: teacher._id,
-    });
+    // Check if the user can grade this course (teacher, co-teacher or TA)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "activity:grade",
+      activity.course
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized to grade for this course");
       return next(new ErrorHandler("Unauthorized to grade this activity", 403));
     }
-    console.log("Teacher authorized for course:", course._id);
-
-    const { grade, feedback } = req.body;
+    console.log("User authorized for course:", course._id);
+
+    const { feedback } = req.body;
+    // With a rubric the grade is the sum of the criterion scores
+    const { grade, rubricScores, error } = resolveGrade(activity, req.body);
+    if (error) {
+      console.log(`Invalid grade: ${error}`);
+      return next(new ErrorHandler(error, 400));
+    }
     console.log(
       `Grading with: ${grade} points, feedback: ${
         feedback ? "provided" : "not provided"
       }`
     );
 
-    if (!grade || grade < 0 || grade > activity.totalPoints) {
-      console.log(
-        `Invalid grade: ${grade}, total points: ${activity.totalPoints}`
-      );
-      return next(
-        new ErrorHandler(
-          `Grade must be between 0 and ${activity.totalPoints}`,
-          400
-        )
-      );
-    }
-
     // Find the submission
     const submissionIndex = activity.submissions.findIndex(
       (sub) => sub._id.toString() === req.params.submissionId
@@ -410,8 +464,28 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Submission found at index:", submissionIndex);
 
+    if (
+      await isOwnStudentRecord(
+        req.user,
+        activity.submissions[submissionIndex].student
+      )
+    ) {
+      return next(
+        new ErrorHandler("You cannot grade your own submission", 403)
+      );
+    }
+
+    auditTarget(req, {
+      action: "activity.grade",
+      entity: "Activity",
+      entityId: activity._id,
+      label: activity.title,
+      before: snapshot(activity.submissions[submissionIndex]),
+    });
+
     // Update grade and feedback
     activity.submissions[submissionIndex].grade = grade;
+    activity.submissions[submissionIndex].rubricScores = rubricScores;
     activity.submissions[submissionIndex].feedback = feedback;
     activity.submissions[submissionIndex].status = "graded";
     console.log("Submission updated with grade and feedback");
@@ -419,6 +493,9 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     console.log("Saving activity");
     await activity.save({ session });
     console.log("Activity saved with graded submission");
+    auditTarget(req, {
+      after: snapshot(activity.submissions[submissionIndex]),
+    });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -457,32 +534,17 @@ exports.getCourseActivities = catchAsyncErrors(async (req, res, next) => {
     const { courseId } = req.params;
     console.log(`Fetching activities for course: ${courseId}`);
 
-    // Find the course
-    const course = await Course.findById(courseId);
-    if (!course) {
+    // Find the course and verify that the user has access to it
+    const access = await getCourseAccess(req.user, "activity:read", courseId);
+    if (!access.course) {
       console.log("Course not found");
       return next(new ErrorHandler("Course not found", 404));
     }
-    console.log("Course found");
-
-    // Verify that the user has access to this course
-    if (req.user.role === "teacher") {
-      console.log("Verifying teacher access");
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher || !course.teacher.equals(teacher._id)) {
-        console.log("Teacher not authorized for this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Teacher authorized");
-    } else if (req.user.role === "student") {
-      console.log("Verifying student access");
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student || !student.courses.some((id) => id.equals(course._id))) {
-        console.log("Student not enrolled in this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Student authorized");
+    if (!access.granted) {
+      console.log("User not authorized for this course");
+      return next(new ErrorHandler("Unauthorized access", 403));
     }
+    console.log("Course found, access via:", access.role);
 
     // Find all activities for this course
     console.log("Fetching activities");
@@ -491,22 +553,36 @@ exports.getCourseActivities = catchAsyncErrors(async (req, res, next) => {
     });
     console.log(`Found ${activities.length} activities`);
 
-    // Filter submissions for students (they should only see their own)
-    if (req.user.role === "student") {
-      console.log("Filtering submissions for student");
-      const student = await Student.findOne({ user: req.user.id });
+    // Statistics are over the students enrolled in the course
+    const rosterIds = await getRosterIds(access.course);
+    const staff = isStaffAccess(access);
+    const student = staff ? null : await Student.findOne({ user: req.user.id });
 
-      activities.forEach((activity) => {
-        activity.submissions = activity.submissions.filter((submission) =>
+    const formattedActivities = activities.map((activity) => {
+      const stats = computeAssessmentStats(activity, rosterIds);
+      const activityObj = activity.toObject();
+
+      // Students only see their own submissions and extension
+      if (student) {
+        activityObj.submissions = activityObj.submissions.filter((submission) =>
           submission.student.equals(student._id)
         );
-      });
-      console.log("Submissions filtered");
-    }
+        activityObj.extensions = activityObj.extensions.filter((extension) =>
+          extension.student.equals(student._id)
+        );
+        activityObj.dueDateForStudent = effectiveDueDate(activity, student._id);
+        activityObj.maxAttemptsForStudent = effectiveMaxAttempts(
+          activity,
+          student._id
+        );
+      }
+
+      return { ...activityObj, stats: staff ? stats : studentStats(stats) };
+    });
 
     res.status(200).json({
       success: true,
-      activities,
+      activities: formattedActivities,
     });
   } catch (error) {
     console.log("Error in getCourseActivities:", error.message);
@@ -534,30 +610,20 @@ exports.getActivityById = catchAsyncErrors(async (req, res, next) => {
     console.log("Activity found");
 
     // Verify that the user has access to this activity's course
-    if (req.user.role === "teacher") {
-      console.log("Verifying teacher access");
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      const course = await Course.findById(activity.course);
+    const access = await getCourseAccess(
+      req.user,
+      "activity:read",
+      activity.course._id
+    );
+    if (!access.granted) {
+      console.log("User not authorized for this course");
+      return next(new ErrorHandler("Unauthorized access", 403));
+    }
 
-      if (!teacher || !course.teacher.equals(teacher._id)) {
-        console.log("Teacher not authorized for this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Teacher authorized");
-    } else if (req.user.role === "student") {
-      console.log("Verifying student access");
+    if (!isStaffAccess(access)) {
+      console.log("Filtering submissions for student");
       const student = await Student.findOne({ user: req.user.id });
 
-      // Check if student is enrolled in the course
-      if (
-        !student ||
-        !student.courses.some((id) => id.equals(activity.course._id))
-      ) {
-        console.log("Student not enrolled in this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Student authorized");
-
       // Replace the student ID with req.user.id in each submission for this student
       activity.submissions = activity.submissions
         .filter((submission) => submission.student.equals(student._id))
@@ -571,11 +637,26 @@ exports.getActivityById = catchAsyncErrors(async (req, res, next) => {
         });
 
       console.log("Submissions modified for student");
+      return res.status(200).json({
+        success: true,
+        activity: {
+          ...activity.toObject(),
+          extensions: activity.extensions.filter((extension) =>
+            extension.student.equals(student._id)
+          ),
+          dueDateForStudent: effectiveDueDate(activity, student._id),
+          maxAttemptsForStudent: effectiveMaxAttempts(activity, student._id),
+        },
+      });
     }
 
+    const rosterIds = await getRosterIds(access.course);
     res.status(200).json({
       success: true,
-      activity,
+      activity: {
+        ...activity.toObject(),
+        stats: computeAssessmentStats(activity, rosterIds),
+      },
     });
   } catch (error) {
     console.log("Error in getActivityById:", error.message);
@@ -596,14 +677,6 @@ exports.updateActivity = catchAsyncErrors(async (req, res, next) => {
     const { activityId } = req.params;
     console.log(`Updating activity: ${activityId}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher._id);
-
     // Get the activity
     const activity = await Activity.findById(activityId);
     if (!activity) {
@@ -612,29 +685,51 @@ exports.updateActivity = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Activity found:", activity._id);
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      _id: activity.course,
-      teacher: teacher._id,
-    });
+    // Check if the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "activity:update",
+      activity.course
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized for this course");
       return next(
         new ErrorHandler("Unauthorized to update this activity", 403)
       );
     }
-    console.log("Teacher authorized for course:", course._id);
+    console.log("User authorized for course:", course._id);
 
     // Extract update fields
     const { title, description, dueDate, totalPoints, isActive, links } =
       req.body;
 
+    const attemptLimit = parseMaxAttempts(req.body.maxAttempts);
+    if (attemptLimit.error) {
+      return next(new ErrorHandler(attemptLimit.error, 400));
+    }
+    if (attemptLimit.maxAttempts !== undefined) {
+      activity.maxAttempts = attemptLimit.maxAttempts;
+    }
+
     // Update activity fields if provided
     if (title) activity.title = title;
     if (description) activity.description = description;
     if (dueDate) activity.dueDate = dueDate;
-    if (totalPoints) activity.totalPoints = totalPoints;
+    if (totalPoints) {
+      if (
+        activity.rubric &&
+        rubricMaxPoints(activity.rubric) !== Number(totalPoints)
+      ) {
+        return next(
+          new ErrorHandler(
+            "Total points must match the rubric; update the rubric first",
+            400
+          )
+        );
+      }
+      activity.totalPoints = totalPoints;
+    }
     if (isActive !== undefined) activity.isActive = isActive;
     if (links?.length !== 0) activity.links = links;
 
@@ -811,14 +906,6 @@ exports.deleteActivity = catchAsyncErrors(async (req, res, next) => {
     const { activityId } = req.params;
     console.log(`Deleting activity: ${activityId}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher._id);
-
     // Get the activity
     const activity = await Activity.findById(activityId);
     if (!activity) {
@@ -827,19 +914,20 @@ exports.deleteActivity = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Activity found:", activity._id);
 
-    // Get the course and verify ownership
-    const course = await Course.findOne({
-      _id: activity.course,
-      teacher: teacher._id,
-    });
+    // Check if the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "activity:delete",
+      activity.course
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized for this course");
       return next(
         new ErrorHandler("Unauthorized to delete this activity", 403)
       );
     }
-    console.log("Teacher authorized for course:", course._id);
+    console.log("User authorized for course:", course._id);
 
     // Delete attachment files from Azure
     if (activity.attachments && activity.attachments.length > 0) {
@@ -911,3 +999,259 @@ exports.deleteActivity = catchAsyncErrors(async (req, res, next) => {
     console.log("Session ended");
   }
 });
+
+// Attach or replace the grading rubric of an activity
+exports.setActivityRubric = catchAsyncErrors(async (req, res, next) => {
+  console.log("setActivityRubric: Started");
+
+  try {
+    const activity = await Activity.findById(req.params.activityId);
+    if (!activity) {
+      return next(new ErrorHandler("Activity not found", 404));
+    }
+
+    // Rubric scores point at criteria, so they must not be pulled from under
+    // grades that were already given with them
+    if (activity.submissions.some((sub) => sub.rubricScores.length)) {
+      return next(
+        new ErrorHandler(
+          "The rubric cannot be changed after submissions were graded with it",
+          400
+        )
+      );
+    }
+
+    const { rubric, error } = validateRubric(
+      req.body.rubric,
+      req.body.totalPoints || activity.totalPoints
+    );
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    activity.rubric = rubric;
+    if (req.body.totalPoints) activity.totalPoints = req.body.totalPoints;
+    await activity.save();
+    console.log(`Rubric saved for activity ${activity._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Rubric saved successfully",
+      rubric: activity.rubric,
+      totalPoints: activity.totalPoints,
+    });
+  } catch (error) {
+    console.error("Error in setActivityRubric:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Go back to grading the activity with a single number
+exports.removeActivityRubric = catchAsyncErrors(async (req, res, next) => {
+  console.log("removeActivityRubric: Started");
+
+  try {
+    const activity = await Activity.findById(req.params.activityId);
+    if (!activity) {
+      return next(new ErrorHandler("Activity not found", 404));
+    }
+    if (!activity.rubric) {
+      return next(new ErrorHandler("Activity has no rubric", 404));
+    }
+
+    // Grades already given keep their breakdown for reference
+    activity.rubric = null;
+    await activity.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Rubric removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in removeActivityRubric:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Give one student a later due date and/or more attempts
+exports.grantActivityExtension = catchAsyncErrors(async (req, res, next) => {
+  console.log("grantActivityExtension: Started");
+
+  try {
+    const { activityId, studentId } = req.params;
+
+    const activity = await Activity.findById(activityId);
+    if (!activity) {
+      return next(new ErrorHandler("Activity not found", 404));
+    }
+
+    const { override, error } = parseExtension(activity, req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const course = await Course.findById(activity.course);
+    const student = await findEnrolledStudent(course, studentId);
+    if (!student) {
+      return next(
+        new ErrorHandler("Student is not enrolled in this course", 404)
+      );
+    }
+
+    auditExtensions(req, "activity.extension-grant", activity, student._id);
+    setExtension(activity, student._id, {
+      ...override,
+      reason: req.body.reason,
+      grantedBy: req.user._id,
+    });
+
+    // A submission made before the extension is judged by the new deadline
+    const submission = activity.submissions.find((sub) =>
+      sub.student.equals(student._id)
+    );
+    if (submission) {
+      submission.isLate =
+        submission.submissionDate > effectiveDueDate(activity, student._id);
+    }
+
+    await activity.save();
+    auditTarget(req, { after: extensionsSnapshot(activity) });
+    console.log(`Extension granted to student ${student._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Extension granted successfully",
+      extensions: activity.extensions,
+    });
+  } catch (error) {
+    console.error("Error in grantActivityExtension:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Withdraw a student's extension; the common due date and limit apply again
+exports.revokeActivityExtension = catchAsyncErrors(async (req, res, next) => {
+  console.log("revokeActivityExtension: Started");
+
+  try {
+    const { activityId, studentId } = req.params;
+
+    const activity = await Activity.findById(activityId);
+    if (!activity) {
+      return next(new ErrorHandler("Activity not found", 404));
+    }
+
+    const remaining = activity.extensions.filter(
+      (e) => e.student.toString() !== studentId
+    );
+    if (remaining.length === activity.extensions.length) {
+      return next(new ErrorHandler("No extension found for this student", 404));
+    }
+    auditExtensions(req, "activity.extension-revoke", activity, studentId);
+    activity.extensions = remaining;
+
+    const submission = activity.submissions.find(
+      (sub) => sub.student.toString() === studentId
+    );
+    if (submission) {
+      submission.isLate = submission.submissionDate > activity.dueDate;
+    }
+
+    await activity.save();
+    auditTarget(req, { after: extensionsSnapshot(activity) });
+
+    res.status(200).json({
+      success: true,
+      message: "Extension removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in revokeActivityExtension:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Extend the deadline and/or attempts of every enrolled student recorded as
+// physically challenged
+exports.grantActivityAccommodations = catchAsyncErrors(
+  async (req, res, next) => {
+    console.log("grantActivityAccommodations: Started");
+
+    try {
+      const activity = await Activity.findById(req.params.activityId);
+      if (!activity) {
+        return next(new ErrorHandler("Activity not found", 404));
+      }
+
+      const { accommodation, error } = parseAccommodation(req.body);
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+
+      const course = await Course.findById(activity.course);
+      auditExtensions(req, "activity.accommodations", activity);
+      const students = await grantAccommodations(
+        activity,
+        course,
+        accommodation,
+        req.user._id
+      );
+
+      activity.submissions
+        .filter((submission) =>
+          students.some((s) => s.studentId.equals(submission.student))
+        )
+        .forEach((submission) => {
+          submission.isLate =
+            submission.submissionDate >
+            effectiveDueDate(activity, submission.student);
+        });
+
+      await activity.save();
+      auditTarget(req, { after: extensionsSnapshot(activity) });
+      console.log(
+        `Accommodations granted to ${students.length} students on activity ${activity._id}`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Accommodations granted to ${students.length} students`,
+        students,
+      });
+    } catch (error) {
+      console.error("Error in grantActivityAccommodations:", error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  }
+);
+
+// Stream a ZIP of every submitted file with a manifest
+exports.downloadActivitySubmissions = catchAsyncErrors(
+  async (req, res, next) => {
+    console.log("downloadActivitySubmissions: Started");
+
+    try {
+      const activity = await Activity.findById(req.params.activityId);
+      if (!activity) {
+        return next(new ErrorHandler("Activity not found", 404));
+      }
+      if (activity.submissions.length === 0) {
+        return next(new ErrorHandler("No submissions to download", 404));
+      }
+
+      const studentsById = await submittingStudents(activity);
+      const entries = archiveEntries(activity, studentsById);
+      console.log(`Archiving ${entries.length} files`);
+
+      await sendSubmissionArchive(
+        res,
+        `submissions-${activity.title}.zip`.replace(/[^\w.-]+/g, "-"),
+        entries
+      );
+    } catch (error) {
+      console.error("Error in downloadActivitySubmissions:", error);
+      // Once the archive has started the response can only be cut off
+      if (res.headersSent) return res.destroy(error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  }
+);
@@ -9,6 +9,11 @@ const CourseSyllabus = require("../models/CourseSyllabus");
 const WeeklyPlan = require("../models/WeeklyPlan");
 const CreditPoints = require("../models/CreditPoints");
 const CourseAttendance = require("../models/CourseAttendance");
+const AttendanceSession = require("../models/AttendanceSession");
+const Gradebook = require("../models/Gradebook");
+const SimilarityReport = require("../models/SimilarityReport");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
 const Lecture = require("../models/Lecture");
 const Assignment = require("../models/Assignment");
 const Announcement = require("../models/Announcement");
@@ -18,147 +23,19 @@ const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const mongoose = require("mongoose");
 const { deleteFileFromAzure } = require("../utils/azureConfig");
-
-// Helper function to parse address data from Excel
-const parseAddressData = (addressString) => {
-  if (!addressString || typeof addressString !== "string") return {};
-
-  const parts = addressString.split(",").map((part) => part.trim());
-  return {
-    address: parts[0] || "",
-    city: parts[1] || "",
-    district: parts[2] || "",
-    state: parts[3] || "",
-    country: parts[4] || "India",
-    pincode: parts[5] || "",
-  };
-};
-
-// Helper function to parse date from Excel
-const parseDate = (dateValue) => {
-  if (!dateValue) return null;
-  if (dateValue instanceof Date) return dateValue;
-
-  if (typeof dateValue === "string") {
-    const parsed = new Date(dateValue);
-    return isNaN(parsed.getTime()) ? null : parsed;
-  }
-
-  if (typeof dateValue === "number") {
-    const date = new Date((dateValue - 25569) * 86400 * 1000);
-    return isNaN(date.getTime()) ? null : date;
-  }
-
-  return null;
-};
-
-// Helper function to create user data object from Excel row
-const createUserDataFromExcelRow = (userData) => {
-  const userObj = {
-    name: userData.name,
-    email: userData.email.toLowerCase(),
-    password: userData.password,
-    role: userData.role,
-  };
-
-  if (userData.mobileNo) userObj.mobileNo = userData.mobileNo.toString();
-  if (userData.alternateEmailId)
-    userObj.alternateEmailId = userData.alternateEmailId.toLowerCase();
-
-  const parsedDate = parseDate(userData.dateOfBirth);
-  if (parsedDate) {
-    userObj.dateOfBirth = parsedDate;
-  }
-
-  if (userData.ageAsOn2025)
-    userObj.ageAsOn2025 = parseInt(userData.ageAsOn2025);
-  if (userData.gender) userObj.gender = userData.gender;
-  if (userData.nationality) userObj.nationality = userData.nationality;
-  if (userData.aadhaarNumber)
-    userObj.aadhaarNumber = userData.aadhaarNumber.toString();
-  if (userData.passportNumber)
-    userObj.passportNumber = userData.passportNumber.toString();
-  if (userData.bloodGroup) userObj.bloodGroup = userData.bloodGroup;
-  if (userData.motherTongue) userObj.motherTongue = userData.motherTongue;
-  if (userData.religion) userObj.religion = userData.religion;
-  if (userData.category) userObj.category = userData.category;
-
-  if (userData.areYouPhysicallyChallenged !== undefined) {
-    userObj.areYouPhysicallyChallenged = Boolean(
-      userData.areYouPhysicallyChallenged
-    );
-  }
-
-  if (userData.pleaseSpecifyTheDisability) {
-    userObj.pleaseSpecifyTheDisability = userData.pleaseSpecifyTheDisability;
-  }
-
-  if (userData.parentGuardianDetails) {
-    userObj.parentGuardianDetails = userData.parentGuardianDetails;
-  }
-
-  if (userData.permanentAddress) {
-    if (typeof userData.permanentAddress === "string") {
-      userObj.permanentAddress = parseAddressData(userData.permanentAddress);
-    } else if (typeof userData.permanentAddress === "object") {
-      userObj.permanentAddress = userData.permanentAddress;
-    }
-  } else {
-    const addressFields = {};
-    if (userData.permanentAddressLine)
-      addressFields.address = userData.permanentAddressLine;
-    if (userData.permanentCity) addressFields.city = userData.permanentCity;
-    if (userData.permanentDistrict)
-      addressFields.district = userData.permanentDistrict;
-    if (userData.permanentState) addressFields.state = userData.permanentState;
-    if (userData.permanentCountry)
-      addressFields.country = userData.permanentCountry;
-    if (userData.permanentPincode)
-      addressFields.pincode = userData.permanentPincode.toString();
-
-    if (Object.keys(addressFields).length > 0) {
-      userObj.permanentAddress = addressFields;
-    }
-  }
-
-  if (userData.correspondenceAddress) {
-    if (typeof userData.correspondenceAddress === "string") {
-      userObj.correspondenceAddress = parseAddressData(
-        userData.correspondenceAddress
-      );
-    } else if (typeof userData.correspondenceAddress === "object") {
-      userObj.correspondenceAddress = userData.correspondenceAddress;
-    }
-  } else {
-    const addressFields = {};
-    if (userData.correspondenceAddressLine)
-      addressFields.address = userData.correspondenceAddressLine;
-    if (userData.correspondenceCity)
-      addressFields.city = userData.correspondenceCity;
-    if (userData.correspondenceDistrict)
-      addressFields.district = userData.correspondenceDistrict;
-    if (userData.correspondenceState)
-      addressFields.state = userData.correspondenceState;
-    if (userData.correspondenceCountry)
-      addressFields.country = userData.correspondenceCountry;
-    if (userData.correspondencePincode)
-      addressFields.pincode = userData.correspondencePincode.toString();
-
-    if (Object.keys(addressFields).length > 0) {
-      userObj.correspondenceAddress = addressFields;
-    }
-  }
-
-  if (
-    userData.isYourCorrespondenceAddressSameAsPermanentAddress !== undefined
-  ) {
-    userObj.isYourCorrespondenceAddressSameAsPermanentAddress = Boolean(
-      userData.isYourCorrespondenceAddressSameAsPermanentAddress
-    );
-  }
-
-  return userObj;
-};
+const { submissionFileKeys } = require("../utils/submissionAttempts");
+const { snapshot, auditTarget } = require("../utils/audit");
+const { outcomeDescriptions } = require("../utils/outcomes");
+const {
+  IMPORT_FIELDS,
+  parseColumnMapping,
+  applyColumnMapping,
+  findCourseCodeConflicts,
+  analyzeUserImport,
+  groupImportRows,
+  importTeacher,
+  importStudent,
+} = require("../utils/userImport");
 
 // EXISTING FUNCTIONS (Keep all existing functions from the original file)
 // Modified uploadUsers function in adminController.js
@@ -177,156 +54,107 @@ const uploadUsers = async (req, res) => {
       });
     }
 
-    const users = req.excelData;
+    // Sheets with their own headers are read through an admin-supplied
+    // column mapping
+    const { mapping, error: mappingError } = parseColumnMapping(
+      req.body.columnMapping
+    );
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
+    }
+    const { rows: mappedRows, unmappedColumns } = applyColumnMapping(
+      req.excelData,
+      mapping
+    );
+
+    const analysis = await analyzeUserImport(mappedRows);
+    const { importRows, ...report } = analysis;
+    const skippedRows = report.rows.filter((row) => row.status === "skip");
+
+    const flag = (name) =>
+      [req.query[name], req.body[name]].some(
+        (value) => value === true || value === "true"
+      );
+
+    // Dry run: report what the import would do and stop
+    if (flag("dryRun")) {
+      await session.endSession();
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        message: report.blockingErrors.length
+          ? "The upload would be rejected; see blockingErrors"
+          : `${report.summary.create} users would be created, ${report.summary.update} updated and ${report.summary.skip} rows skipped`,
+        unmappedColumns,
+        ...report,
+      });
+    }
+
+    if (report.blockingErrors.length > 0) {
+      await session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: `Course code validation failed:\n${report.blockingErrors.join(
+          "\n"
+        )}`,
+        blockingErrors: report.blockingErrors,
+      });
+    }
+    // The upload is all-or-nothing unless the admin opts in to importing the
+    // valid rows and skipping the rest
+    if (skippedRows.length > 0 && !flag("allowPartial")) {
+      await session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: `${skippedRows.length} rows cannot be imported; no users were uploaded. Fix them, or pass allowPartial=true to skip them.`,
+        skippedRows,
+      });
+    }
+    if (importRows.length === 0) {
+      await session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: "No rows in the Excel file can be imported",
+        skippedRows,
+      });
+    }
+
+    const users = importRows;
     const results = [];
     const teacherMap = new Map();
     const errors = []; // Track validation errors
 
     await session.withTransaction(async () => {
-      const teacherData = users.filter((user) => user.role === "teacher");
-      const teachersByEmail = new Map();
-
-      // STEP 1: Collect all teachers and their course codes from Excel
-      for (const userData of teacherData) {
-        const email = userData.email.toLowerCase();
-        const courseCode = userData.courseCode
-          ? userData.courseCode.toUpperCase()
-          : "";
-
-        if (!teachersByEmail.has(email)) {
-          teachersByEmail.set(email, {
-            userData: userData,
-            courseCodes: new Set(),
-          });
-        }
-        if (courseCode) {
-          teachersByEmail.get(email).courseCodes.add(courseCode);
-        }
-      }
+      // STEP 1: Group the rows into teachers (with all their course codes)
+      // and students
+      const { teachers, students } = groupImportRows(users);
 
       // STEP 2: Check for course code conflicts BEFORE processing any teachers
+      // (again inside the transaction, in case they changed since the check above)
       console.log("Validating course codes for conflicts...");
-
-      // Get all course codes from Excel upload
-      const allUploadCourseCodes = new Set();
-      for (const [email, teacherInfo] of teachersByEmail) {
-        for (const courseCode of teacherInfo.courseCodes) {
-          allUploadCourseCodes.add(courseCode);
-        }
-      }
-
-      // Check each course code against existing teachers in database
-      for (const courseCode of allUploadCourseCodes) {
-        // Find existing teachers with this course code
-        const existingTeachersWithCode = await Teacher.find({
-          courseCodes: courseCode,
-        })
-          .populate("user", "email name")
-          .session(session);
-
-        if (existingTeachersWithCode.length > 0) {
-          // Check if any of these existing teachers are NOT in the current upload
-          for (const existingTeacher of existingTeachersWithCode) {
-            const existingEmail = existingTeacher.user.email.toLowerCase();
-
-            // If this existing teacher is NOT in the current upload, it's a conflict
-            if (!teachersByEmail.has(existingEmail)) {
-              errors.push(
-                `Course code "${courseCode}" is already assigned to teacher: ${existingTeacher.user.name} (${existingTeacher.user.email}). Cannot assign to new teachers in upload.`
-              );
-            }
-          }
-        }
-      }
-
-      // Check for duplicate course codes within the Excel file itself
-      const courseCodeToEmails = new Map();
-      for (const [email, teacherInfo] of teachersByEmail) {
-        for (const courseCode of teacherInfo.courseCodes) {
-          if (!courseCodeToEmails.has(courseCode)) {
-            courseCodeToEmails.set(courseCode, []);
-          }
-          courseCodeToEmails.get(courseCode).push(email);
-        }
-      }
-
-      // Report any course codes assigned to multiple teachers in the same upload
-      for (const [courseCode, emails] of courseCodeToEmails) {
-        if (emails.length > 1) {
-          errors.push(
-            `Course code "${courseCode}" is assigned to multiple teachers in the same upload: ${emails.join(
-              ", "
-            )}. Each course code can only be assigned to one teacher.`
-          );
-        }
-      }
+      errors.push(
+        ...(await findCourseCodeConflicts(
+          new Map(
+            [...teachers].map(([email, group]) => [email, group.courseCodes])
+          ),
+          session
+        ))
+      );
 
       // STEP 3: If there are any validation errors, stop processing
       if (errors.length > 0) {
         throw new Error(`Course code validation failed:\n${errors.join("\n")}`);
       }
 
-      // STEP 4: Process teachers (existing logic continues...)
+      // STEP 4: Process teachers
       console.log("Course code validation passed. Processing teachers...");
 
-      for (const [email, teacherInfo] of teachersByEmail) {
-        const existingUser = await User.findOne({ email }).session(session);
-
-        let user;
-        let teacher;
-
-        if (existingUser) {
-          // Update existing user
-          const updatedUserData = createUserDataFromExcelRow(
-            teacherInfo.userData
-          );
-
-          delete updatedUserData.email;
-          delete updatedUserData.role;
-          delete updatedUserData.password;
-
-          Object.assign(existingUser, updatedUserData);
-          await existingUser.save({ session });
-          user = existingUser;
-
-          teacher = await Teacher.findOne({ user: existingUser._id }).session(
-            session
-          );
-
-          if (!teacher) {
-            teacher = new Teacher({
-              user: existingUser._id,
-              email: email,
-              courseCodes: Array.from(teacherInfo.courseCodes),
-              courses: [],
-            });
-            await teacher.save({ session });
-          } else {
-            // For existing teachers, REPLACE course codes (don't merge)
-            // This ensures clean assignment based on Excel data
-            teacher.courseCodes = Array.from(teacherInfo.courseCodes);
-            await teacher.save({ session });
-          }
-        } else {
-          // Create new user and teacher
-          const newUserData = createUserDataFromExcelRow(teacherInfo.userData);
-          newUserData.email = email;
-
-          user = new User(newUserData);
-          await user.save({ session });
-
-          teacher = new Teacher({
-            user: user._id,
-            email: email,
-            courseCodes: Array.from(teacherInfo.courseCodes),
-            courses: [],
-          });
-          await teacher.save({ session });
-        }
+      for (const group of teachers.values()) {
+        const { user, teacher, action } = await importTeacher(group, session);
 
         // Store teacher mapping for student processing
-        for (const courseCode of teacherInfo.courseCodes) {
-          teacherMap.set(`${email}-${courseCode}`, teacher);
+        for (const courseCode of group.courseCodes) {
+          teacherMap.set(`${group.email}-${courseCode}`, teacher);
         }
 
         results.push({
@@ -340,137 +168,17 @@ const uploadUsers = async (req, res) => {
           fullPermanentAddress: user.fullPermanentAddress,
           fullCorrespondenceAddress: user.fullCorrespondenceAddress,
           createdAt: user.createdAt,
-          action: existingUser ? "updated" : "created",
+          action,
         });
       }
 
-      // STEP 5: Process students (existing logic continues...)
-      const studentData = users.filter((user) => user.role === "student");
-      const studentsByEmail = new Map();
-
-      for (const userData of studentData) {
-        const email = userData.email.toLowerCase();
-        const courseCode = userData.courseCode
-          ? userData.courseCode.toUpperCase()
-          : "";
-        const teacherEmail = userData.teacherEmail
-          ? userData.teacherEmail.toLowerCase()
-          : "";
-
-        const key = `${email}-${teacherEmail}`;
-
-        if (!studentsByEmail.has(key)) {
-          studentsByEmail.set(key, {
-            userData: userData,
-            courseCodes: new Set(),
-            teacherEmail: teacherEmail,
-          });
-        }
-        if (courseCode) {
-          studentsByEmail.get(key).courseCodes.add(courseCode);
-        }
-      }
-
-      for (const [studentKey, studentInfo] of studentsByEmail) {
-        const email = studentInfo.userData.email.toLowerCase();
-        const teacherEmail = studentInfo.teacherEmail;
-
-        const existingUser = await User.findOne({ email }).session(session);
-
-        let user;
-        let student;
-
-        if (existingUser) {
-          const updatedUserData = createUserDataFromExcelRow(
-            studentInfo.userData
-          );
-
-          delete updatedUserData.email;
-          delete updatedUserData.role;
-          delete updatedUserData.password;
-
-          Object.assign(existingUser, updatedUserData);
-          await existingUser.save({ session });
-          user = existingUser;
-
-          student = await Student.findOne({
-            user: existingUser._id,
-            teacherEmail: teacherEmail,
-          }).session(session);
-
-          if (!student) {
-            let teacher = null;
-            for (const courseCode of studentInfo.courseCodes) {
-              const teacherKey = `${teacherEmail}-${courseCode}`;
-              if (teacherMap.has(teacherKey)) {
-                teacher = teacherMap.get(teacherKey);
-                break;
-              }
-            }
-
-            if (!teacher) {
-              teacher = await Teacher.findOne({ email: teacherEmail }).session(
-                session
-              );
-              if (!teacher) {
-                throw new Error(
-                  `Teacher with email ${teacherEmail} not found for student: ${email}`
-                );
-              }
-            }
-
-            student = new Student({
-              user: existingUser._id,
-              teacher: teacher._id,
-              teacherEmail: teacher.email,
-              courseCodes: Array.from(studentInfo.courseCodes),
-              courses: [],
-            });
-            await student.save({ session });
-          } else {
-            const existingCodes = new Set(student.courseCodes);
-            for (const code of studentInfo.courseCodes) {
-              existingCodes.add(code);
-            }
-            student.courseCodes = Array.from(existingCodes);
-            await student.save({ session });
-          }
-        } else {
-          const newUserData = createUserDataFromExcelRow(studentInfo.userData);
-          newUserData.email = email;
-
-          user = new User(newUserData);
-          await user.save({ session });
-
-          let teacher = null;
-          for (const courseCode of studentInfo.courseCodes) {
-            const teacherKey = `${teacherEmail}-${courseCode}`;
-            if (teacherMap.has(teacherKey)) {
-              teacher = teacherMap.get(teacherKey);
-              break;
-            }
-          }
-
-          if (!teacher) {
-            teacher = await Teacher.findOne({ email: teacherEmail }).session(
-              session
-            );
-            if (!teacher) {
-              throw new Error(
-                `Teacher with email ${teacherEmail} not found for student: ${email}`
-              );
-            }
-          }
-
-          student = new Student({
-            user: user._id,
-            teacher: teacher._id,
-            teacherEmail: teacher.email,
-            courseCodes: Array.from(studentInfo.courseCodes),
-            courses: [],
-          });
-          await student.save({ session });
-        }
+      // STEP 5: Process students
+      for (const group of students.values()) {
+        const { user, student, action } = await importStudent(
+          group,
+          teacherMap,
+          session
+        );
 
         results.push({
           _id: user._id.toString(),
@@ -484,7 +192,7 @@ const uploadUsers = async (req, res) => {
           fullPermanentAddress: user.fullPermanentAddress,
           fullCorrespondenceAddress: user.fullCorrespondenceAddress,
           createdAt: user.createdAt,
-          action: existingUser ? "updated" : "created",
+          action,
         });
       }
     });
@@ -492,9 +200,13 @@ const uploadUsers = async (req, res) => {
     await session.endSession();
     return res.status(201).json({
       success: true,
-      message: "Users uploaded successfully with course code validation",
+      message: skippedRows.length
+        ? `Users uploaded successfully; ${skippedRows.length} rows skipped`
+        : "Users uploaded successfully with course code validation",
       results: results,
       totalProcessed: results.length,
+      skippedRows,
+      unmappedColumns,
     });
   } catch (error) {
     await session.endSession();
@@ -508,6 +220,17 @@ const uploadUsers = async (req, res) => {
   }
 };
 
+// Fields a user sheet's columns can be mapped to for upload-users
+const getUserImportFields = catchAsyncErrors(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    fields: IMPORT_FIELDS,
+    required: ["name", "email", "role"],
+    requiredForNewUsers: ["password"],
+    requiredForStudents: ["teacherEmail"],
+  });
+});
+
 const getMyStudents = catchAsyncErrors(async (req, res, next) => {
   console.log("getMyStudents: Started");
 
@@ -881,7 +604,7 @@ const getCoursesByCode = catchAsyncErrors(async (req, res, next) => {
           },
 
           // Course components (optional detailed info)
-          learningOutcomes: course.outcomes?.outcomes || [],
+          learningOutcomes: outcomeDescriptions(course.outcomes),
           weeklyPlan: course.weeklyPlan?.weeks || [],
           creditPoints: course.creditPoints
             ? {
@@ -967,7 +690,8 @@ const getAllUsers = catchAsyncErrors(async (req, res, next) => {
     // Get additional info for teachers and students
     const usersWithDetails = await Promise.all(
       users.map(async (user) => {
-        const userObj = user.toObject();
+        // toJSON leaves out password reset and two-factor secrets
+        const userObj = user.toJSON();
 
         if (user.role === "teacher") {
           const teacher = await Teacher.findOne({ user: user._id });
@@ -1034,6 +758,13 @@ const deleteUser = catchAsyncErrors(async (req, res, next) => {
 
     const userRole = user.role;
     const userEmail = user.email;
+    auditTarget(req, {
+      action: "user.delete",
+      entity: "User",
+      entityId: user._id,
+      label: userEmail,
+      before: snapshot(user),
+    });
 
     if (userRole === "teacher") {
       // Find teacher profile
@@ -1081,9 +812,9 @@ const deleteUser = catchAsyncErrors(async (req, res, next) => {
             // Delete submission files
             if (assignment.submissions && assignment.submissions.length > 0) {
               for (const submission of assignment.submissions) {
-                if (submission.submissionFileKey) {
+                for (const fileKey of submissionFileKeys(submission)) {
                   try {
-                    await deleteFileFromAzure(submission.submissionFileKey);
+                    await deleteFileFromAzure(fileKey);
                   } catch (error) {
                     console.error(
                       `Error deleting submission file: ${error.message}`
@@ -1203,6 +934,15 @@ const deleteUser = catchAsyncErrors(async (req, res, next) => {
           await CourseAttendance.deleteMany({ course: course._id }).session(
             session
           );
+          await AttendanceSession.deleteMany({ course: course._id }).session(
+            session
+          );
+          await Gradebook.deleteMany({ course: course._id }).session(session);
+          await SimilarityReport.deleteMany({ course: course._id }).session(
+            session
+          );
+          await Quiz.deleteMany({ course: course._id }).session(session);
+          await QuizAttempt.deleteMany({ course: course._id }).session(session);
           await Discussion.deleteMany({ course: course._id }).session(session);
 
           // Remove course from students
@@ -1508,6 +1248,13 @@ const deleteCourse = catchAsyncErrors(async (req, res, next) => {
     }
 
     console.log(`Deleting course: ${course.title} (${course.courseCode})`);
+    auditTarget(req, {
+      action: "course.delete",
+      entity: "Course",
+      entityId: course._id,
+      label: `${course.title} (${course.courseCode})`,
+      before: snapshot(course),
+    });
 
     // Delete all related documents
     if (course.outcomes) {
@@ -1590,6 +1337,11 @@ const deleteCourse = catchAsyncErrors(async (req, res, next) => {
         session
       );
     }
+    await AttendanceSession.deleteMany({ course: course._id }).session(session);
+    await Gradebook.deleteMany({ course: course._id }).session(session);
+    await SimilarityReport.deleteMany({ course: course._id }).session(session);
+    await Quiz.deleteMany({ course: course._id }).session(session);
+    await QuizAttempt.deleteMany({ course: course._id }).session(session);
 
     // Delete all lectures for this course
     const lectures = await Lecture.find({ course: course._id }).session(
@@ -1625,9 +1377,9 @@ const deleteCourse = catchAsyncErrors(async (req, res, next) => {
       // Delete submission files
       if (assignment.submissions && assignment.submissions.length > 0) {
         for (const submission of assignment.submissions) {
-          if (submission.submissionFileKey) {
+          for (const fileKey of submissionFileKeys(submission)) {
             try {
-              await deleteFileFromAzure(submission.submissionFileKey);
+              await deleteFileFromAzure(fileKey);
             } catch (deleteError) {
               console.error("Error deleting submission file:", deleteError);
             }
@@ -2053,6 +1805,23 @@ const deleteCourseCode = catchAsyncErrors(async (req, res, next) => {
       courseCode: normalizedCourseCode,
     }).session(session);
 
+    auditTarget(req, {
+      action: "course-code.delete",
+      entity: "CourseCode",
+      entityId: normalizedCourseCode,
+      before: {
+        courseCode: normalizedCourseCode,
+        courses: courses.map(snapshot),
+      },
+    });
+    courses.forEach((course) =>
+      auditTarget(req, {
+        entity: "Course",
+        entityId: course._id,
+        label: course.title,
+      })
+    );
+
     // Delete all courses and their related data (reuse existing logic)
     for (const course of courses) {
       // Delete all related documents for each course
@@ -2063,6 +1832,15 @@ const deleteCourseCode = catchAsyncErrors(async (req, res, next) => {
       await CourseAttendance.deleteMany({ course: course._id }).session(
         session
       );
+      await AttendanceSession.deleteMany({ course: course._id }).session(
+        session
+      );
+      await Gradebook.deleteMany({ course: course._id }).session(session);
+      await SimilarityReport.deleteMany({ course: course._id }).session(
+        session
+      );
+      await Quiz.deleteMany({ course: course._id }).session(session);
+      await QuizAttempt.deleteMany({ course: course._id }).session(session);
 
       // Delete syllabus and files
       const syllabus = await CourseSyllabus.findOne({
@@ -2147,9 +1925,9 @@ const deleteCourseCode = catchAsyncErrors(async (req, res, next) => {
         // Delete submission files
         if (assignment.submissions && assignment.submissions.length > 0) {
           for (const submission of assignment.submissions) {
-            if (submission.submissionFileKey) {
+            for (const fileKey of submissionFileKeys(submission)) {
               try {
-                await deleteFileFromAzure(submission.submissionFileKey);
+                await deleteFileFromAzure(fileKey);
               } catch (deleteError) {
                 console.error("Error deleting submission file:", deleteError);
               }
@@ -2455,6 +2233,13 @@ const updateTeacherCourseCodes = catchAsyncErrors(async (req, res, next) => {
     const normalizedCourseCodes = courseCodes.map((code) =>
       code.toUpperCase().trim()
     );
+    auditTarget(req, {
+      action: "teacher.course-codes.update",
+      entity: "Teacher",
+      entityId: teacher._id,
+      label: teacher.email,
+      before: { courseCodes: [...teacher.courseCodes] },
+    });
 
     switch (action) {
       case "add":
@@ -2478,6 +2263,7 @@ const updateTeacherCourseCodes = catchAsyncErrors(async (req, res, next) => {
     }
 
     await teacher.save();
+    auditTarget(req, { after: { courseCodes: [...teacher.courseCodes] } });
 
     res.status(200).json({
       success: true,
@@ -2612,6 +2398,12 @@ const updateStudentCourseCodes = catchAsyncErrors(async (req, res, next) => {
     const normalizedCourseCodes = courseCodes.map((code) =>
       code.toUpperCase().trim()
     );
+    auditTarget(req, {
+      action: "student.course-codes.update",
+      entity: "Student",
+      entityId: student._id,
+      before: { courseCodes: [...student.courseCodes] },
+    });
 
     switch (action) {
       case "add":
@@ -2635,6 +2427,7 @@ const updateStudentCourseCodes = catchAsyncErrors(async (req, res, next) => {
     }
 
     await student.save();
+    auditTarget(req, { after: { courseCodes: [...student.courseCodes] } });
 
     res.status(200).json({
       success: true,
@@ -2678,6 +2471,7 @@ const bulkDeleteUsers = catchAsyncErrors(async (req, res, next) => {
     }
 
     const deletedUsers = [];
+    const deletedSnapshots = [];
     const errors = [];
 
     for (const userId of userIds) {
@@ -2717,6 +2511,7 @@ const bulkDeleteUsers = catchAsyncErrors(async (req, res, next) => {
 
         await User.findByIdAndDelete(userId).session(session);
 
+        deletedSnapshots.push(snapshot(user));
         deletedUsers.push({
           _id: userId,
           email: userEmail,
@@ -2730,6 +2525,15 @@ const bulkDeleteUsers = catchAsyncErrors(async (req, res, next) => {
     await session.commitTransaction();
     transactionStarted = false;
 
+    auditTarget(req, { action: "user.bulk-delete", before: deletedSnapshots });
+    deletedUsers.forEach((deleted) =>
+      auditTarget(req, {
+        entity: "User",
+        entityId: deleted._id,
+        label: deleted.email,
+      })
+    );
+
     res.status(200).json({
       success: true,
       message: "Bulk delete operation completed",
@@ -2870,6 +2674,7 @@ const bulkUpdateCourseCodes = catchAsyncErrors(async (req, res, next) => {
 module.exports = {
   // Existing functions
   uploadUsers,
+  getUserImportFields,
   getStudentsByTeacherId,
   getMyStudents,
 
@@ -7,6 +7,11 @@ const CourseSyllabus = require("../models/CourseSyllabus");
 const WeeklyPlan = require("../models/WeeklyPlan");
 const CreditPoints = require("../models/CreditPoints");
 const CourseAttendance = require("../models/CourseAttendance");
+const AttendanceSession = require("../models/AttendanceSession");
+const Gradebook = require("../models/Gradebook");
+const SimilarityReport = require("../models/SimilarityReport");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
 const Lecture = require("../models/Lecture");
 const Assignment = require("../models/Assignment");
 const Announcement = require("../models/Announcement");
@@ -16,6 +21,15 @@ const mongoose = require("mongoose");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { deleteFileFromAzure } = require("../utils/azureConfig");
+const { submissionFileKeys } = require("../utils/submissionAttempts");
+const {
+  buildOutcomes,
+  replaceOutcomes,
+  outcomeDescriptions,
+} = require("../utils/outcomes");
+const { recordLegacyAttendance } = require("../utils/attendance");
+const { snapshot, auditTarget } = require("../utils/audit");
+const { rescheduleExams } = require("../utils/exam");
 
 // Better logging setup
 const logger = {
@@ -116,7 +130,7 @@ const formatCourseResponse = async (course) => {
       : null,
 
     // Course content
-    learningOutcomes: populatedCourse.outcomes?.outcomes || [],
+    learningOutcomes: outcomeDescriptions(populatedCourse.outcomes),
     weeklyPlan:
       populatedCourse.weeklyPlan?.weeks?.map((week) => ({
         weekNumber: week.weekNumber,
@@ -230,10 +244,14 @@ exports.createCourse = catchAsyncErrors(async (req, res, next) => {
     // Create learning outcomes if provided
     if (learningOutcomes && learningOutcomes.length > 0) {
       logger.info("Creating learning outcomes");
+      const { outcomes, error: outcomeError } = buildOutcomes(learningOutcomes);
+      if (outcomeError) {
+        throw new ErrorHandler(outcomeError, 400);
+      }
       const outcome = await CourseOutcome.create(
         [
           {
-            outcomes: learningOutcomes,
+            outcomes,
             course: course._id,
           },
         ],
@@ -291,21 +309,18 @@ exports.createCourse = catchAsyncErrors(async (req, res, next) => {
       logger.info(`Credit points created with ID: ${creditPointsDoc[0]._id}`);
     }
 
-    // Create attendance if provided
+    // Record attendance if provided (legacy map shape)
     if (attendance && attendance.sessions) {
-      logger.info("Creating course attendance");
-      const sessionsMap = new Map(Object.entries(attendance.sessions));
-      const attendanceDoc = await CourseAttendance.create(
-        [
-          {
-            sessions: sessionsMap,
-            course: course._id,
-          },
-        ],
-        { session }
+      logger.info("Recording course attendance");
+      const { error: attendanceError } = await recordLegacyAttendance(
+        course,
+        attendance.sessions,
+        req.user._id,
+        session
       );
-      course.attendance = attendanceDoc[0]._id;
-      logger.info(`Course attendance created with ID: ${attendanceDoc[0]._id}`);
+      if (attendanceError) {
+        throw new ErrorHandler(attendanceError, 400);
+      }
     }
 
     // Create basic syllabus structure
@@ -428,6 +443,13 @@ exports.updateCourse = catchAsyncErrors(async (req, res, next) => {
         )
       );
     }
+    auditTarget(req, {
+      action: "course.update",
+      entity: "Course",
+      entityId: course._id,
+      label: `${course.title} (${course.courseCode})`,
+      before: snapshot(course),
+    });
 
     let currentTeacher = await Teacher.findById(course.teacher)
       .populate({
@@ -550,18 +572,30 @@ exports.updateCourse = catchAsyncErrors(async (req, res, next) => {
 
     // Update learning outcomes
     if (learningOutcomes) {
-      if (course.outcomes) {
-        await CourseOutcome.findByIdAndUpdate(
-          course.outcomes,
-          { outcomes: learningOutcomes },
-          { session }
+      const courseOutcome =
+        course.outcomes &&
+        (await CourseOutcome.findById(course.outcomes).session(session));
+      if (courseOutcome) {
+        // Keeps the IDs of unchanged outcomes and unmaps removed ones
+        const outcomeError = await replaceOutcomes(
+          courseOutcome,
+          learningOutcomes,
+          session
         );
+        if (outcomeError) {
+          throw new ErrorHandler(outcomeError, 400);
+        }
         logger.info(`Updated existing learning outcomes: ${course.outcomes}`);
       } else {
+        const { outcomes, error: outcomeError } =
+          buildOutcomes(learningOutcomes);
+        if (outcomeError) {
+          throw new ErrorHandler(outcomeError, 400);
+        }
         const outcome = await CourseOutcome.create(
           [
             {
-              outcomes: learningOutcomes,
+              outcomes,
               course: course._id,
             },
           ],
@@ -576,12 +610,20 @@ exports.updateCourse = catchAsyncErrors(async (req, res, next) => {
     // Update course schedule
     if (courseSchedule) {
       if (course.schedule) {
-        await CourseSchedule.findByIdAndUpdate(
+        const schedule = await CourseSchedule.findByIdAndUpdate(
           course.schedule,
           courseSchedule,
-          { session }
+          { session, new: true }
         );
         logger.info(`Updated existing schedule: ${course.schedule}`);
+
+        // Exams follow their exam dates until someone has started them
+        const movedExams = await rescheduleExams(course._id, schedule, session);
+        if (movedExams > 0) {
+          logger.info(
+            `Rescheduled ${movedExams} exams for course ${course._id}`
+          );
+        }
       } else {
         const schedule = await CourseSchedule.create(
           [
@@ -648,37 +690,25 @@ exports.updateCourse = catchAsyncErrors(async (req, res, next) => {
       }
     }
 
-    // Update attendance
+    // Update attendance (legacy map shape) as attendance sessions
     if (attendance && attendance.sessions) {
-      const sessionsMap = new Map(Object.entries(attendance.sessions));
-
-      if (course.attendance) {
-        await CourseAttendance.findByIdAndUpdate(
-          course.attendance,
-          { sessions: sessionsMap },
-          { session }
-        );
-        logger.info(`Updated existing attendance: ${course.attendance}`);
-      } else {
-        const attendanceDoc = await CourseAttendance.create(
-          [
-            {
-              sessions: sessionsMap,
-              course: course._id,
-            },
-          ],
-          { session }
-        );
-        course.attendance = attendanceDoc[0]._id;
-        await course.save({ session });
-        logger.info(`Created new attendance: ${attendanceDoc[0]._id}`);
+      const { error: attendanceError } = await recordLegacyAttendance(
+        course,
+        attendance.sessions,
+        req.user._id,
+        session
+      );
+      if (attendanceError) {
+        throw new ErrorHandler(attendanceError, 400);
       }
+      logger.info(`Updated attendance sessions of course: ${course._id}`);
     }
 
     logger.info("Committing transaction");
     await session.commitTransaction();
     transactionStarted = false;
     logger.info("Transaction committed successfully");
+    auditTarget(req, { after: snapshot(course) });
 
     // Format and return response
     const formattedCourse = await formatCourseResponse(course);
@@ -756,6 +786,13 @@ exports.deleteCourse = catchAsyncErrors(async (req, res, next) => {
       teacherName: teacher?.user?.name || "Unknown",
       teacherEmail: teacher?.email || "Unknown",
     };
+    auditTarget(req, {
+      action: "course.delete",
+      entity: "Course",
+      entityId: course._id,
+      label: `${course.title} (${course.courseCode})`,
+      before: snapshot(course),
+    });
 
     logger.info(
       `Deleting course: ${course.title} (${course.courseCode}) taught by ${teacher?.email}`
@@ -848,6 +885,11 @@ exports.deleteCourse = catchAsyncErrors(async (req, res, next) => {
       );
       logger.info(`Deleted course attendance: ${course.attendance}`);
     }
+    await AttendanceSession.deleteMany({ course: course._id }).session(session);
+    await Gradebook.deleteMany({ course: course._id }).session(session);
+    await SimilarityReport.deleteMany({ course: course._id }).session(session);
+    await Quiz.deleteMany({ course: course._id }).session(session);
+    await QuizAttempt.deleteMany({ course: course._id }).session(session);
 
     // Delete all lectures for this course
     const lectures = await Lecture.find({ course: course._id }).session(
@@ -883,9 +925,9 @@ exports.deleteCourse = catchAsyncErrors(async (req, res, next) => {
       // Delete submission files
       if (assignment.submissions?.length > 0) {
         for (const submission of assignment.submissions) {
-          if (submission.submissionFileKey) {
+          for (const fileKey of submissionFileKeys(submission)) {
             try {
-              await deleteFileFromAzure(submission.submissionFileKey);
+              await deleteFileFromAzure(fileKey);
             } catch (deleteError) {
               logger.error("Error deleting submission file:", deleteError);
             }
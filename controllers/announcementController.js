@@ -4,11 +4,23 @@ const Course = require("../models/Course");
 const Teacher = require("../models/Teacher");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { getCourseAccess } = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
 
+// Name an announcement change in the audit log
+const auditAnnouncement = (req, action, announcement, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "Announcement",
+    entityId: announcement._id,
+    label: announcement.title,
+    ...changes,
+  });
+
 // Create new announcement
 exports.createAnnouncement = catchAsyncErrors(async (req, res, next) => {
   console.log("createAnnouncement: Started");
@@ -119,6 +131,9 @@ exports.createAnnouncement = catchAsyncErrors(async (req, res, next) => {
     console.log("Saving announcement");
     await announcement.save({ session });
     console.log(`Announcement saved with ID: ${announcement._id}`);
+    auditAnnouncement(req, "announcement.create", announcement, {
+      after: snapshot(announcement),
+    });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -269,22 +284,22 @@ exports.updateAnnouncement = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Announcement not found", 404));
     }
 
-    // Verify teacher owns this course
-    const teacher = await Teacher.findOne({ user: req.user._id }).session(
+    // Verify the user teaches this course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "announcement:update",
+      courseId,
       session
     );
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Check if the teacher is the publisher or owns the course
-    const course = await Course.findById(courseId).session(session);
-    if (!course || course.teacher.toString() !== teacher._id.toString()) {
-      console.log("Unauthorized - Teacher does not own this course");
+    if (!course || !granted) {
+      console.log("Unauthorized - User does not teach this course");
       return next(new ErrorHandler("Unauthorized", 403));
     }
 
+    auditAnnouncement(req, "announcement.update", announcement, {
+      before: snapshot(announcement),
+    });
+
     // Update announcement details
     if (title) announcement.title = title;
     if (content) announcement.content = content;
@@ -378,6 +393,7 @@ exports.updateAnnouncement = catchAsyncErrors(async (req, res, next) => {
     console.log("Saving updated announcement");
     await announcement.save({ session });
     console.log("Announcement updated");
+    auditTarget(req, { after: snapshot(announcement) });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -438,19 +454,15 @@ exports.deleteAnnouncement = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Announcement not found", 404));
     }
 
-    // Verify teacher owns this course
-    const teacher = await Teacher.findOne({ user: req.user._id }).session(
+    // Verify the user teaches this course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "announcement:delete",
+      courseId,
       session
     );
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Check if the teacher is the publisher or owns the course
-    const course = await Course.findById(courseId).session(session);
-    if (!course || course.teacher.toString() !== teacher._id.toString()) {
-      console.log("Unauthorized - Teacher does not own this course");
+    if (!course || !granted) {
+      console.log("Unauthorized - User does not teach this course");
       return next(new ErrorHandler("Unauthorized", 403));
     }
 
@@ -466,6 +478,9 @@ exports.deleteAnnouncement = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Delete the announcement
+    auditAnnouncement(req, "announcement.delete", announcement, {
+      before: snapshot(announcement),
+    });
     await Announcement.deleteOne({ _id: announcementId }).session(session);
     console.log("Announcement deleted");
 
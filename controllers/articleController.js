@@ -1,18 +1,27 @@
 // controllers/articleController.js
 const mongoose = require("mongoose");
 const Article = require("../models/Article");
-const Course = require("../models/Course");
 const CourseSyllabus = require("../models/CourseSyllabus");
-const Teacher = require("../models/Teacher");
-const Student = require("../models/Student");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { getCourseAccess } = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
 const { date } = require("joi");
 
+// Name an article change in the audit log
+const auditArticle = (req, action, article, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "Article",
+    entityId: article._id,
+    label: article.title,
+    ...changes,
+  });
+
 // Create a new article for a chapter
 exports.createArticle = catchAsyncErrors(async (req, res, next) => {
   console.log("createArticle: Started");
@@ -37,21 +46,16 @@ exports.createArticle = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("All fields are required", 400));
     }
 
-    // Check if user is authorized (teacher only)
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Check if course exists and teacher owns it
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    }).session(session);
+    // Check if course exists and the user teaches it (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "article:create",
+      courseId,
+      session
+    );
 
-    if (!course) {
-      console.log("Course not found or teacher not authorized");
+    if (!course || !granted) {
+      console.log("Course not found or user not authorized");
       return next(new ErrorHandler("Course not found or unauthorized", 404));
     }
 
@@ -149,6 +153,7 @@ exports.createArticle = catchAsyncErrors(async (req, res, next) => {
     console.log("Saving article");
     await article.save({ session });
     console.log(`Article saved with ID: ${article._id}`);
+    auditArticle(req, "article.create", article, { after: snapshot(article) });
 
     // Add article to chapter's articles array in syllabus
     chapter.articles.push(article._id);
@@ -195,31 +200,13 @@ exports.getCourseModules = catchAsyncErrors(async (req, res, next) => {
     console.log(`Fetching modules for course: ${courseId}`);
 
     // Verify user access to course
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher) {
-        return next(new ErrorHandler("Teacher not found", 404));
-      }
-
-      const course = await Course.findOne({
-        _id: courseId,
-        teacher: teacher._id,
-      });
-
-      if (!course) {
-        return next(new ErrorHandler("Course not found or unauthorized", 404));
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student) {
-        return next(new ErrorHandler("Student not found", 404));
-      }
-
-      if (!student.courses.includes(courseId)) {
-        return next(
-          new ErrorHandler("You are not enrolled in this course", 403)
-        );
-      }
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "article:read",
+      courseId
+    );
+    if (!course || !granted) {
+      return next(new ErrorHandler("Course not found or unauthorized", 404));
     }
 
     // Get syllabus with modules - FIXED: Removed sort option from populate
@@ -332,21 +319,16 @@ exports.createChapter = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Title and description are required", 400));
     }
 
-    // Check if user is authorized (teacher only)
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Check if course exists and teacher owns it
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    }).session(session);
+    // Check if course exists and the user teaches it (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "article:create",
+      courseId,
+      session
+    );
 
-    if (!course) {
-      console.log("Course not found or teacher not authorized");
+    if (!course || !granted) {
+      console.log("Course not found or user not authorized");
       return next(new ErrorHandler("Course not found or unauthorized", 404));
     }
 
@@ -385,6 +367,13 @@ exports.createChapter = catchAsyncErrors(async (req, res, next) => {
     // Add chapter to module
     module.chapters.push(newChapter);
     await syllabus.save({ session });
+    auditTarget(req, {
+      action: "chapter.create",
+      entity: "CourseSyllabus",
+      entityId: syllabus._id,
+      label: module.moduleTitle,
+      after: snapshot(newChapter),
+    });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -432,31 +421,13 @@ exports.getArticleById = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Verify user access to the course
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher) {
-        return next(new ErrorHandler("Teacher not found", 404));
-      }
-
-      const course = await Course.findOne({
-        _id: article.course,
-        teacher: teacher._id,
-      });
-
-      if (!course) {
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student) {
-        return next(new ErrorHandler("Student not found", 404));
-      }
-
-      if (!student.courses.includes(article.course.toString())) {
-        return next(
-          new ErrorHandler("You are not enrolled in this course", 403)
-        );
-      }
+    const { granted } = await getCourseAccess(
+      req.user,
+      "article:read",
+      article.course
+    );
+    if (!granted) {
+      return next(new ErrorHandler("Unauthorized access", 403));
     }
 
     res.status(200).json({
@@ -499,13 +470,6 @@ exports.updateArticle = catchAsyncErrors(async (req, res, next) => {
 
     console.log(`Updating article: ${articleId}`);
 
-    // Check if user is authorized (teacher only)
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
     // Find article
     const article = await Article.findById(articleId).session(session);
     if (!article) {
@@ -513,17 +477,23 @@ exports.updateArticle = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Article not found", 404));
     }
 
-    // Check if teacher owns the course
-    const course = await Course.findOne({
-      _id: article.course,
-      teacher: teacher._id,
-    }).session(session);
+    // Check if the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "article:update",
+      article.course,
+      session
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized for this course");
       return next(new ErrorHandler("Unauthorized", 403));
     }
 
+    auditArticle(req, "article.update", article, {
+      before: snapshot(article),
+    });
+
     // Update article fields
     if (title) article.title = title;
     if (content) article.content = content;
@@ -593,6 +563,7 @@ exports.updateArticle = catchAsyncErrors(async (req, res, next) => {
     console.log("Saving updated article");
     await article.save({ session });
     console.log("Article updated");
+    auditTarget(req, { after: snapshot(article) });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -639,13 +610,6 @@ exports.deleteArticle = catchAsyncErrors(async (req, res, next) => {
     const { articleId } = req.params;
     console.log(`Deleting article: ${articleId}`);
 
-    // Check if user is authorized (teacher only)
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
     // Find article
     const article = await Article.findById(articleId).session(session);
     if (!article) {
@@ -653,14 +617,16 @@ exports.deleteArticle = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Article not found", 404));
     }
 
-    // Check if teacher owns the course
-    const course = await Course.findOne({
-      _id: article.course,
-      teacher: teacher._id,
-    }).session(session);
+    // Check if the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "article:delete",
+      article.course,
+      session
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized for this course");
       return next(new ErrorHandler("Unauthorized", 403));
     }
 
@@ -691,6 +657,7 @@ exports.deleteArticle = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Delete the article
+    auditArticle(req, "article.delete", article, { before: snapshot(article) });
     await Article.findByIdAndDelete(articleId).session(session);
     console.log("Article deleted");
 
@@ -739,21 +706,16 @@ exports.deleteChapter = catchAsyncErrors(async (req, res, next) => {
       `Deleting chapter ${chapterId} for course: ${courseId}, module: ${moduleId}`
     );
 
-    // Check if user is authorized (teacher only)
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Check if course exists and teacher owns it
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    }).session(session);
+    // Check if course exists and the user teaches it (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "article:delete",
+      courseId,
+      session
+    );
 
-    if (!course) {
-      console.log("Course not found or teacher not authorized");
+    if (!course || !granted) {
+      console.log("Course not found or user not authorized");
       return next(new ErrorHandler("Course not found or unauthorized", 404));
     }
 
@@ -778,6 +740,14 @@ exports.deleteChapter = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Chapter not found", 404));
     }
 
+    auditTarget(req, {
+      action: "chapter.delete",
+      entity: "CourseSyllabus",
+      entityId: syllabus._id,
+      label: module.moduleTitle,
+      before: snapshot(chapter),
+    });
+
     // Delete all articles in this chapter first
     if (chapter.articles && chapter.articles.length > 0) {
       console.log(`Deleting ${chapter.articles.length} articles in chapter`);
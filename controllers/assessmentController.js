@@ -0,0 +1,71 @@
+const Assignment = require("../models/Assignment");
+const Activity = require("../models/Activity");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const {
+  getRosterIds,
+  computeAssessmentStats,
+} = require("../utils/assessmentStats");
+
+// Dashboard of every assignment and activity in a course with its statistics
+exports.getCourseAssessmentStats = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseAssessmentStats: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const [rosterIds, assignments, activities] = await Promise.all([
+      getRosterIds(course),
+      Assignment.find({ course: course._id }).select(
+        "title dueDate totalPoints isActive submissions extensions"
+      ),
+      Activity.find({ course: course._id }).select(
+        "title dueDate totalPoints isActive submissions extensions"
+      ),
+    ]);
+
+    const now = new Date();
+    const assessments = [
+      ...assignments.map((assessment) => ({ type: "assignment", assessment })),
+      ...activities.map((assessment) => ({ type: "activity", assessment })),
+    ]
+      .map(({ type, assessment }) => ({
+        id: assessment._id,
+        type,
+        title: assessment.title,
+        dueDate: assessment.dueDate,
+        isActive: assessment.isActive,
+        stats: computeAssessmentStats(assessment, rosterIds, now),
+      }))
+      .sort((a, b) => a.dueDate - b.dueDate);
+
+    const sum = (key) =>
+      assessments.reduce((total, a) => total + a.stats[key], 0);
+
+    res.status(200).json({
+      success: true,
+      course: {
+        _id: course._id,
+        title: course.title,
+        courseCode: course.courseCode,
+      },
+      enrolledStudents: rosterIds.length,
+      totals: {
+        assessments: assessments.length,
+        turnedIn: sum("turnedIn"),
+        late: sum("late"),
+        missing: sum("missing"),
+        graded: sum("graded"),
+        // Submissions turned in but not graded yet
+        awaitingGrading: sum("turnedIn") - sum("graded"),
+      },
+      assessments,
+    });
+  } catch (error) {
+    console.error("Error in getCourseAssessmentStats:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -1,15 +1,105 @@
 const Assignment = require("../models/Assignment");
 const Course = require("../models/Course");
-const Teacher = require("../models/Teacher");
 const Student = require("../models/Student");
+const SimilarityReport = require("../models/SimilarityReport");
 const mongoose = require("mongoose");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const { ErrorHandler } = require("../middleware/errorHandler");
+const {
+  getCourseAccess,
+  isOwnStudentRecord,
+} = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
+const {
+  validateRubric,
+  resolveGrade,
+  rubricMaxPoints,
+} = require("../utils/rubric");
+const {
+  ATTEMPT_GRADING_POLICIES,
+  ensureAttempts,
+  applyAttemptGrade,
+  gradeAttempt,
+  reapplyLatePenalties,
+  submissionFileKeys,
+} = require("../utils/submissionAttempts");
+const {
+  submissionCutoff,
+  isSubmissionLate,
+  latePenaltyPercent,
+  parseLatePolicy,
+} = require("../utils/latePenalty");
+const {
+  effectiveDueDate,
+  effectiveMaxAttempts,
+  findEnrolledStudent,
+  parseExtension,
+  setExtension,
+  parseAccommodation,
+  grantAccommodations,
+  extensionsSnapshot,
+  auditExtensions,
+} = require("../utils/extensions");
+const {
+  getRosterIds,
+  submittingStudents,
+  computeAssessmentStats,
+  studentStats,
+} = require("../utils/assessmentStats");
+const { sendWorkbook } = require("../utils/excelExport");
+const { gradeSheetRows, parseGradeSheet } = require("../utils/gradeSheet");
+const {
+  archiveEntries,
+  sendSubmissionArchive,
+} = require("../utils/submissionArchive");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
 
+// maxAttempts ("" or null for unlimited) and attemptGrading from a create or
+// update request. Resolves to { settings, error }; absent fields are left out.
+const parseAttemptSettings = (body) => {
+  const settings = {};
+
+  if (body.maxAttempts !== undefined) {
+    if (body.maxAttempts === null || body.maxAttempts === "") {
+      settings.maxAttempts = null;
+    } else {
+      const maxAttempts = Number(body.maxAttempts);
+      if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        return { error: "maxAttempts must be a whole number of at least 1" };
+      }
+      settings.maxAttempts = maxAttempts;
+    }
+  }
+
+  if (body.attemptGrading !== undefined) {
+    if (!ATTEMPT_GRADING_POLICIES.includes(body.attemptGrading)) {
+      return {
+        error: `attemptGrading must be one of: ${ATTEMPT_GRADING_POLICIES.join(
+          ", "
+        )}`,
+      };
+    }
+    settings.attemptGrading = body.attemptGrading;
+  }
+
+  return { settings };
+};
+
+// Form fields arrive as strings, so "false" has to be read as false
+const parseBoolean = (value, defaultValue) =>
+  value === undefined || value === "" ? defaultValue : String(value) === "true";
+
+// Late penalty for a student's attempt, measured from their own deadline
+const penaltyFor = (assignment, studentId) => (attempt) =>
+  latePenaltyPercent(
+    assignment,
+    effectiveDueDate(assignment, studentId),
+    attempt.submissionDate
+  );
+
 // Create new assignment
 exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
   console.log("createAssignment: Started");
@@ -32,27 +122,34 @@ exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("All fields are required", 400));
     }
 
-    // Find teacher
-    const teacher = await Teacher.findOne({ user: req.user.id }).session(
+    // Check if course exists and the user teaches it (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "assignment:create",
+      courseId,
       session
     );
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
-    // Check if course exists and teacher owns it
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    }).session(session);
 
-    if (!course) {
+    if (!course || !granted) {
       console.log(`Course not found: ${courseId}`);
       return next(new ErrorHandler("Course not found or unauthorized", 404));
     }
     console.log("Course found");
 
+    const attemptSettings = parseAttemptSettings(req.body);
+    if (attemptSettings.error) {
+      return next(new ErrorHandler(attemptSettings.error, 400));
+    }
+
+    let latePolicy;
+    if (req.body.latePolicy !== undefined) {
+      const parsed = parseLatePolicy(req.body.latePolicy);
+      if (parsed.error) {
+        return next(new ErrorHandler(parsed.error, 400));
+      }
+      latePolicy = parsed.latePolicy;
+    }
+
     // Create assignment object
     const assignment = new Assignment({
       title,
@@ -61,7 +158,9 @@ exports.createAssignment = catchAsyncErrors(async (req, res, next) => {
       dueDate,
       totalPoints,
       isActive: true,
-      allowLateSubmissions: req.body.allowLateSubmissions || true,
+      allowLateSubmissions: parseBoolean(req.body.allowLateSubmissions, true),
+      ...(latePolicy && { latePolicy }),
+      ...attemptSettings.settings,
     });
 
     // Handle file uploads if any
@@ -252,6 +351,10 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
       "application/pdf",
       "application/msword",
       "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      // Plain text and markdown, which the similarity check reads as well
+      "text/plain",
+      "text/markdown",
+      "text/x-markdown",
       "image/jpeg",
       "image/png",
       "application/zip",
@@ -268,11 +371,23 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
-    // Check if past due date
+    // Check if past the student's due date (their extension, if any) and
+    // the grace period
     const now = new Date();
-    const isDueDatePassed = now > assignment.dueDate;
+    const dueDate = effectiveDueDate(assignment, student._id);
+    const isDueDatePassed = isSubmissionLate(assignment, dueDate, now);
     console.log("Is submission late:", isDueDatePassed);
 
+    const cutoff = submissionCutoff(assignment, dueDate);
+    if (cutoff && now > cutoff) {
+      return next(
+        new ErrorHandler(
+          "The deadline for this assignment has passed; submissions are closed",
+          400
+        )
+      );
+    }
+
     // Check if late submissions are allowed
     if (isDueDatePassed && !assignment.allowLateSubmissions) {
       return next(
@@ -283,6 +398,25 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
+    // Check if already submitted and whether attempts are left
+    const existingSubmission = assignment.submissions.find((sub) =>
+      sub.student.equals(student._id)
+    );
+    const maxAttempts = effectiveMaxAttempts(assignment, student._id);
+    if (
+      existingSubmission &&
+      maxAttempts &&
+      ensureAttempts(existingSubmission).length >= maxAttempts
+    ) {
+      console.log(`Attempt limit of ${maxAttempts} reached`);
+      return next(
+        new ErrorHandler(
+          `You have used all ${maxAttempts} attempts for this assignment`,
+          400
+        )
+      );
+    }
+
     try {
       // Upload submission to Azure
       console.log("Attempting Azure upload");
@@ -290,38 +424,32 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
       const uploadResult = await uploadFileToAzure(submissionFile, uploadPath);
       console.log("Azure upload successful:", uploadResult.url);
 
-      // Check if already submitted
-      const existingSubmission = assignment.submissions.find((sub) =>
-        sub.student.equals(student._id)
-      );
+      const attempt = {
+        submissionFile: uploadResult.url,
+        submissionFileKey: uploadResult.key,
+        submissionDate: now,
+        isLate: isDueDatePassed,
+      };
 
       if (existingSubmission) {
-        console.log("Updating existing submission");
-        // Delete old file if it exists
-        if (existingSubmission.submissionFileKey) {
-          try {
-            await deleteFileFromAzure(existingSubmission.submissionFileKey);
-          } catch (deleteError) {
-            console.error("Error deleting old submission file:", deleteError);
-          }
-        }
+        console.log("Adding attempt to existing submission");
+        const attempts = ensureAttempts(existingSubmission);
 
-        // Update existing submission
+        // Earlier attempts and their files are kept
+        attempts.push({ attemptNumber: attempts.length + 1, ...attempt });
         existingSubmission.submissionFile = uploadResult.url;
         existingSubmission.submissionFileKey = uploadResult.key;
         existingSubmission.submissionDate = now;
-        existingSubmission.status = "submitted";
         existingSubmission.isLate = isDueDatePassed;
+        applyAttemptGrade(existingSubmission, assignment.attemptGrading);
       } else {
         console.log("Creating new submission");
         // Create new submission
         assignment.submissions.push({
           student: student._id,
-          submissionFile: uploadResult.url,
-          submissionFileKey: uploadResult.key,
-          submissionDate: now,
+          ...attempt,
           status: "submitted",
-          isLate: isDueDatePassed,
+          attempts: [{ attemptNumber: 1, ...attempt }],
         });
       }
 
@@ -334,10 +462,17 @@ exports.submitAssignment = catchAsyncErrors(async (req, res, next) => {
       transactionStarted = false;
       console.log("Transaction committed");
 
+      const submission = assignment.submissions.find((sub) =>
+        sub.student.equals(student._id)
+      );
       res.json({
         success: true,
         message: "Assignment submitted successfully",
         isLate: isDueDatePassed,
+        attemptNumber: submission.attempts.length,
+        attemptsRemaining: maxAttempts
+          ? maxAttempts - submission.attempts.length
+          : null,
       });
     } catch (uploadError) {
       console.log("Error during file upload:", uploadError.message);
@@ -375,14 +510,6 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     transactionStarted = true;
     console.log("Transaction started");
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher._id);
-
     // Get the assignment
     const assignment = await Assignment.findById(req.params.assignmentId);
     if (!assignment) {
@@ -391,44 +518,34 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Assignment found:", assignment._id);
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      _id: assignment.course,
-      teacher: teacher._id,
-    });
+    // Check if the user can grade this course (teacher, co-teacher or TA)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "assignment:grade",
+      assignment.course
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized to grade for this course");
       return next(
         new ErrorHandler("Unauthorized to grade this assignment", 403)
       );
     }
-    console.log("Teacher authorized for course:", course._id);
-
-    const { grade, feedback } = req.body;
+    console.log("User authorized for course:", course._id);
+
+    const { feedback } = req.body;
+    // With a rubric the grade is the sum of the criterion scores
+    const { grade, rubricScores, error } = resolveGrade(assignment, req.body);
+    if (error) {
+      console.log(`Invalid grade: ${error}`);
+      return next(new ErrorHandler(error, 400));
+    }
     console.log(
       `Grading with: ${grade} points, feedback: ${
         feedback ? "provided" : "not provided"
       }`
     );
 
-    if (
-      grade === null ||
-      grade === undefined ||
-      grade < 0 ||
-      grade > assignment.totalPoints
-    ) {
-      console.log(
-        `Invalid grade: ${grade}, total points: ${assignment.totalPoints}`
-      );
-      return next(
-        new ErrorHandler(
-          `Grade must be between 0 and ${assignment.totalPoints}`,
-          400
-        )
-      );
-    }
-
     // Find the submission
     const submissionIndex = assignment.submissions.findIndex(
       (sub) => sub._id.toString() === req.params.submissionId
@@ -440,15 +557,42 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Submission found at index:", submissionIndex);
 
-    // Update grade and feedback
-    assignment.submissions[submissionIndex].grade = grade;
-    assignment.submissions[submissionIndex].feedback = feedback || "";
-    assignment.submissions[submissionIndex].status = "graded";
-    console.log("Submission updated with grade and feedback");
+    // Grade the requested attempt (the latest by default); the submission's
+    // grade follows the assignment's latest/best policy
+    const submission = assignment.submissions[submissionIndex];
+    if (await isOwnStudentRecord(req.user, submission.student)) {
+      return next(
+        new ErrorHandler("You cannot grade your own submission", 403)
+      );
+    }
+    auditTarget(req, {
+      action: "assignment.grade",
+      entity: "Assignment",
+      entityId: assignment._id,
+      label: assignment.title,
+      before: snapshot(submission),
+    });
+    const attempt = gradeAttempt(
+      submission,
+      req.body.attempt || "latest",
+      { grade, feedback: feedback || "", rubricScores, gradedBy: req.user._id },
+      {
+        policy: assignment.attemptGrading,
+        penaltyFor: penaltyFor(assignment, submission.student),
+      }
+    );
+    if (!attempt) {
+      console.log(`Attempt not found: ${req.body.attempt}`);
+      return next(new ErrorHandler("Attempt not found", 404));
+    }
+    console.log(
+      `Attempt ${attempt.attemptNumber} graded; submission grade is ${submission.grade}`
+    );
 
     console.log("Saving assignment");
     await assignment.save({ session });
     console.log("Assignment saved with graded submission");
+    auditTarget(req, { after: snapshot(submission) });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -458,6 +602,9 @@ exports.gradeSubmission = catchAsyncErrors(async (req, res, next) => {
     res.json({
       success: true,
       message: "Submission graded successfully",
+      attemptNumber: attempt.attemptNumber,
+      grade: submission.grade,
+      gradedAttempt: submission.gradedAttempt,
     });
   } catch (error) {
     console.log("Error in gradeSubmission:", error.message);
@@ -487,39 +634,25 @@ exports.getCourseAssignments = catchAsyncErrors(async (req, res, next) => {
     const { courseId } = req.params;
     console.log(`Fetching assignments for course: ${courseId}`);
 
-    // Find the course
-    const course = await Course.findById(courseId);
+    // Find the course and verify that the user has access to it
+    const access = await getCourseAccess(req.user, "assignment:read", courseId);
+    const { course } = access;
     if (!course) {
       console.log("Course not found");
       return next(new ErrorHandler("Course not found", 404));
     }
-    console.log("Course found");
-
-    // Verify that the user has access to this course
-    let students = [];
-    if (req.user.role === "teacher") {
-      console.log("Verifying teacher access");
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher || !course.teacher.equals(teacher._id)) {
-        console.log("Teacher not authorized for this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Teacher authorized");
+    if (!access.granted) {
+      console.log("User not authorized for this course");
+      return next(new ErrorHandler("Unauthorized access", 403));
+    }
+    console.log("Course found, access via:", access.role);
 
-      // Get students for statistics
-      students = await Student.find({
-        teacher: teacher._id,
-        courseCodes: course.courseCode,
-      });
-    } else if (req.user.role === "student") {
-      console.log("Verifying student access");
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student || !student.courses.some((id) => id.equals(course._id))) {
-        console.log("Student not enrolled in this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Student authorized");
+    let student = null;
+    if (access.role === "student") {
+      student = await Student.findOne({ user: req.user.id });
     }
+    // Statistics are over the students enrolled in the course
+    const rosterIds = await getRosterIds(course);
 
     // Find all assignments for this course
     console.log("Fetching assignments");
@@ -530,17 +663,12 @@ exports.getCourseAssignments = catchAsyncErrors(async (req, res, next) => {
 
     // Format assignments with enhanced data for frontend
     const formattedAssignments = assignments.map((assignment) => {
-      const submissionCount = assignment.submissions.length;
-      const gradedCount = assignment.submissions.filter(
-        (sub) => sub.grade !== null
-      ).length;
-      const assignedCount = students.length || 40; // Default to 40 if no students data
+      const stats = computeAssessmentStats(assignment, rosterIds);
 
       let filteredSubmissions = assignment.submissions;
 
       // Filter submissions for students (they should only see their own)
-      if (req.user.role === "student") {
-        const student = Student.findOne({ user: req.user.id });
+      if (student) {
         filteredSubmissions = assignment.submissions.filter((submission) =>
           submission.student.equals(student._id)
         );
@@ -558,14 +686,22 @@ exports.getCourseAssignments = catchAsyncErrors(async (req, res, next) => {
         date: assignment.createdAt
           ? `Posted ${new Date(assignment.createdAt).toLocaleDateString()}`
           : "",
-        stats: {
-          turnedIn: submissionCount,
-          assigned: assignedCount,
-          graded: gradedCount,
-        },
+        stats: student ? studentStats(stats) : stats,
         attachments: assignment.attachments || [],
         grade: assignment.totalPoints || 100,
+        rubric: assignment.rubric,
         allowLateSubmissions: assignment.allowLateSubmissions,
+        latePolicy: assignment.latePolicy,
+        dueDateForStudent: student
+          ? effectiveDueDate(assignment, student._id)
+          : assignment.dueDate,
+        maxAttempts: assignment.maxAttempts,
+        maxAttemptsForStudent: student
+          ? effectiveMaxAttempts(assignment, student._id)
+          : assignment.maxAttempts,
+        attemptGrading: assignment.attemptGrading,
+        // Staff see every student's extension
+        extensions: student ? [] : assignment.extensions,
         topic: assignment.description
           ? assignment.description.substring(0, 50) + "..."
           : "N/A",
@@ -609,30 +745,20 @@ exports.getAssignmentById = catchAsyncErrors(async (req, res, next) => {
     console.log("Assignment found");
 
     // Verify that the user has access to this assignment's course
-    if (req.user.role === "teacher") {
-      console.log("Verifying teacher access");
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      const course = await Course.findById(assignment.course);
+    const access = await getCourseAccess(
+      req.user,
+      "assignment:read",
+      assignment.course._id
+    );
+    if (!access.granted) {
+      console.log("User not authorized for this course");
+      return next(new ErrorHandler("Unauthorized access", 403));
+    }
+    console.log("User authorized via:", access.role);
 
-      if (!teacher || !course.teacher.equals(teacher._id)) {
-        console.log("Teacher not authorized for this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Teacher authorized");
-    } else if (req.user.role === "student") {
-      console.log("Verifying student access");
+    if (access.role === "student") {
       const student = await Student.findOne({ user: req.user.id });
 
-      // Check if student is enrolled in the course
-      if (
-        !student ||
-        !student.courses.some((id) => id.equals(assignment.course._id))
-      ) {
-        console.log("Student not enrolled in this course");
-        return next(new ErrorHandler("Unauthorized access", 403));
-      }
-      console.log("Student authorized");
-
       // Filter submissions to show only this student's submission
       assignment.submissions = assignment.submissions
         .filter((submission) => submission.student._id.equals(student._id))
@@ -644,11 +770,19 @@ exports.getAssignmentById = catchAsyncErrors(async (req, res, next) => {
         });
 
       console.log("Submissions filtered for student");
+      return res.status(200).json({
+        success: true,
+        assignment,
+      });
     }
 
+    const rosterIds = await getRosterIds(assignment.course);
     res.status(200).json({
       success: true,
-      assignment,
+      assignment: {
+        ...assignment.toJSON(),
+        stats: computeAssessmentStats(assignment, rosterIds),
+      },
     });
   } catch (error) {
     console.log("Error in getAssignmentById:", error.message);
@@ -662,44 +796,37 @@ exports.updateAssignmentGrade = catchAsyncErrors(async (req, res, next) => {
 
   try {
     const { assignmentId, submissionId } = req.params;
-    const { grade, feedback } = req.body;
+    const { feedback } = req.body;
 
     console.log(
       `Updating grade for assignment: ${assignmentId}, submission: ${submissionId}`
     );
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-
     // Get the assignment
     const assignment = await Assignment.findById(assignmentId);
     if (!assignment) {
       return next(new ErrorHandler("Assignment not found", 404));
     }
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      _id: assignment.course,
-      teacher: teacher._id,
-    });
+    // Check if the user can grade this course (teacher, co-teacher or TA)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "assignment:grade",
+      assignment.course
+    );
 
-    if (!course) {
+    if (!course || !granted) {
       return next(
         new ErrorHandler("Unauthorized to grade this assignment", 403)
       );
     }
 
-    // Validate grade
-    if (grade !== null && (grade < 0 || grade > assignment.totalPoints)) {
-      return next(
-        new ErrorHandler(
-          `Grade must be between 0 and ${assignment.totalPoints}`,
-          400
-        )
-      );
+    // Validate grade; null clears it, a rubric is scored per criterion
+    const { grade, rubricScores, error } = resolveGrade(assignment, req.body, {
+      allowNull: true,
+    });
+    if (error) {
+      return next(new ErrorHandler(error, 400));
     }
 
     // Find the submission
@@ -711,17 +838,42 @@ exports.updateAssignmentGrade = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Submission not found", 404));
     }
 
-    // Update grade and feedback
-    assignment.submissions[submissionIndex].grade = grade;
-    assignment.submissions[submissionIndex].feedback = feedback || "";
-    assignment.submissions[submissionIndex].status =
-      grade !== null ? "graded" : "submitted";
+    // Grade (or clear) the requested attempt, the latest by default
+    const submission = assignment.submissions[submissionIndex];
+    if (await isOwnStudentRecord(req.user, submission.student)) {
+      return next(
+        new ErrorHandler("You cannot grade your own submission", 403)
+      );
+    }
+    auditTarget(req, {
+      action: "assignment.grade",
+      entity: "Assignment",
+      entityId: assignment._id,
+      label: assignment.title,
+      before: snapshot(submission),
+    });
+    const attempt = gradeAttempt(
+      submission,
+      req.body.attempt || "latest",
+      { grade, feedback: feedback || "", rubricScores, gradedBy: req.user._id },
+      {
+        policy: assignment.attemptGrading,
+        penaltyFor: penaltyFor(assignment, submission.student),
+      }
+    );
+    if (!attempt) {
+      return next(new ErrorHandler("Attempt not found", 404));
+    }
 
     await assignment.save();
+    auditTarget(req, { after: snapshot(submission) });
 
     res.json({
       success: true,
       message: "Grade updated successfully",
+      attemptNumber: attempt.attemptNumber,
+      grade: submission.grade,
+      gradedAttempt: submission.gradedAttempt,
     });
   } catch (error) {
     console.log("Error in updateAssignmentGrade:", error.message);
@@ -743,14 +895,6 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
     const { assignmentId } = req.params;
     console.log(`Updating assignment: ${assignmentId}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher._id);
-
     // Get the assignment
     const assignment = await Assignment.findById(assignmentId);
     if (!assignment) {
@@ -759,19 +903,20 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Assignment found:", assignment._id);
 
-    // Check if the teacher owns the course
-    const course = await Course.findOne({
-      _id: assignment.course,
-      teacher: teacher._id,
-    });
+    // Check if the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "assignment:update",
+      assignment.course
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized for this course");
       return next(
         new ErrorHandler("Unauthorized to update this assignment", 403)
       );
     }
-    console.log("Teacher authorized for course:", course._id);
+    console.log("User authorized for course:", course._id);
 
     // Extract update fields
     const {
@@ -787,10 +932,60 @@ exports.updateAssignment = catchAsyncErrors(async (req, res, next) => {
     if (title) assignment.title = title;
     if (description) assignment.description = description;
     if (dueDate) assignment.dueDate = dueDate;
-    if (totalPoints) assignment.totalPoints = totalPoints;
+    if (totalPoints) {
+      if (
+        assignment.rubric &&
+        rubricMaxPoints(assignment.rubric) !== Number(totalPoints)
+      ) {
+        return next(
+          new ErrorHandler(
+            "Total points must match the rubric; update the rubric first",
+            400
+          )
+        );
+      }
+      assignment.totalPoints = totalPoints;
+    }
     if (isActive !== undefined) assignment.isActive = isActive;
     if (allowLateSubmissions !== undefined)
-      assignment.allowLateSubmissions = allowLateSubmissions;
+      assignment.allowLateSubmissions = parseBoolean(
+        allowLateSubmissions,
+        assignment.allowLateSubmissions
+      );
+
+    if (req.body.latePolicy !== undefined) {
+      const { latePolicy, error } = parseLatePolicy(req.body.latePolicy);
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+      assignment.latePolicy = latePolicy;
+    }
+
+    // Grades already given follow the new due date or late policy
+    if (dueDate || req.body.latePolicy !== undefined) {
+      assignment.submissions.forEach((submission) =>
+        reapplyLatePenalties(
+          submission,
+          penaltyFor(assignment, submission.student),
+          assignment.attemptGrading
+        )
+      );
+    }
+
+    const attemptSettings = parseAttemptSettings(req.body);
+    if (attemptSettings.error) {
+      return next(new ErrorHandler(attemptSettings.error, 400));
+    }
+    const { maxAttempts, attemptGrading } = attemptSettings.settings;
+    if (maxAttempts !== undefined) assignment.maxAttempts = maxAttempts;
+    if (attemptGrading && attemptGrading !== assignment.attemptGrading) {
+      // Switching between latest and best changes which grade counts
+      assignment.attemptGrading = attemptGrading;
+      assignment.submissions.forEach((submission) => {
+        ensureAttempts(submission);
+        applyAttemptGrade(submission, attemptGrading);
+      });
+    }
 
     // Handle file uploads if any
     if (req.files && req.files.attachments) {
@@ -969,14 +1164,6 @@ exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
     const { assignmentId } = req.params;
     console.log(`Deleting assignment: ${assignmentId}`);
 
-    // Verify teacher permissions
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      console.log("Teacher not found");
-      return next(new ErrorHandler("Teacher not found", 404));
-    }
-    console.log("Teacher found:", teacher._id);
-
     // Get the assignment
     const assignment = await Assignment.findById(assignmentId);
     if (!assignment) {
@@ -985,19 +1172,20 @@ exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Assignment found:", assignment._id);
 
-    // Get the course and verify ownership
-    const course = await Course.findOne({
-      _id: assignment.course,
-      teacher: teacher._id,
-    });
+    // Get the course and verify the user teaches it (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "assignment:delete",
+      assignment.course
+    );
 
-    if (!course) {
-      console.log("Teacher not authorized for this course");
+    if (!course || !granted) {
+      console.log("User not authorized for this course");
       return next(
         new ErrorHandler("Unauthorized to delete this assignment", 403)
       );
     }
-    console.log("Teacher authorized for course:", course._id);
+    console.log("User authorized for course:", course._id);
 
     // Delete attachment files from Azure
     if (assignment.attachments && assignment.attachments.length > 0) {
@@ -1018,10 +1206,11 @@ exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
       console.log(
         `Deleting ${assignment.submissions.length} submission files from Azure`
       );
+      // Files of every attempt are removed along with the assignment
       const deleteSubmissionPromises = assignment.submissions
-        .filter((submission) => submission.submissionFileKey)
-        .map((submission) =>
-          deleteFileFromAzure(submission.submissionFileKey).catch((err) =>
+        .flatMap(submissionFileKeys)
+        .map((key) =>
+          deleteFileFromAzure(key).catch((err) =>
             console.error("Error deleting submission:", err)
           )
         );
@@ -1039,6 +1228,9 @@ exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
     // Delete the assignment
     console.log("Deleting assignment document");
     await Assignment.findByIdAndDelete(assignmentId).session(session);
+    await SimilarityReport.deleteOne({ assignment: assignmentId }).session(
+      session
+    );
     console.log("Assignment deleted");
 
     console.log("Committing transaction");
@@ -1081,3 +1273,422 @@ exports.deleteAssignment = catchAsyncErrors(async (req, res, next) => {
 //   updateAssignment,
 //   deleteAssignment,
 // };
+
+// Attach or replace the grading rubric of an assignment
+exports.setAssignmentRubric = catchAsyncErrors(async (req, res, next) => {
+  console.log("setAssignmentRubric: Started");
+
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+
+    // Rubric scores point at criteria, so they must not be pulled from under
+    // grades that were already given with them
+    if (assignment.submissions.some((sub) => sub.rubricScores.length)) {
+      return next(
+        new ErrorHandler(
+          "The rubric cannot be changed after submissions were graded with it",
+          400
+        )
+      );
+    }
+
+    const { rubric, error } = validateRubric(
+      req.body.rubric,
+      req.body.totalPoints || assignment.totalPoints
+    );
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    assignment.rubric = rubric;
+    if (req.body.totalPoints) assignment.totalPoints = req.body.totalPoints;
+    await assignment.save();
+    console.log(`Rubric saved for assignment ${assignment._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Rubric saved successfully",
+      rubric: assignment.rubric,
+      totalPoints: assignment.totalPoints,
+    });
+  } catch (error) {
+    console.error("Error in setAssignmentRubric:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Go back to grading the assignment with a single number
+exports.removeAssignmentRubric = catchAsyncErrors(async (req, res, next) => {
+  console.log("removeAssignmentRubric: Started");
+
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+    if (!assignment.rubric) {
+      return next(new ErrorHandler("Assignment has no rubric", 404));
+    }
+
+    // Grades already given keep their breakdown for reference
+    assignment.rubric = null;
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Rubric removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in removeAssignmentRubric:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Give one student a later due date and/or more attempts; their late
+// penalties are recomputed
+exports.grantAssignmentExtension = catchAsyncErrors(async (req, res, next) => {
+  console.log("grantAssignmentExtension: Started");
+
+  try {
+    const { assignmentId, studentId } = req.params;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+
+    const { override, error } = parseExtension(assignment, req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const course = await Course.findById(assignment.course);
+    const student = await findEnrolledStudent(course, studentId);
+    if (!student) {
+      return next(
+        new ErrorHandler("Student is not enrolled in this course", 404)
+      );
+    }
+
+    auditExtensions(req, "assignment.extension-grant", assignment, student._id);
+    setExtension(assignment, student._id, {
+      ...override,
+      reason: req.body.reason,
+      grantedBy: req.user._id,
+    });
+
+    const submission = assignment.submissions.find((sub) =>
+      sub.student.equals(student._id)
+    );
+    if (submission) {
+      reapplyLatePenalties(
+        submission,
+        penaltyFor(assignment, student._id),
+        assignment.attemptGrading
+      );
+    }
+
+    await assignment.save();
+    auditTarget(req, { after: extensionsSnapshot(assignment) });
+    console.log(`Extension granted to student ${student._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Extension granted successfully",
+      extensions: assignment.extensions,
+    });
+  } catch (error) {
+    console.error("Error in grantAssignmentExtension:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Withdraw a student's extension
+exports.revokeAssignmentExtension = catchAsyncErrors(async (req, res, next) => {
+  console.log("revokeAssignmentExtension: Started");
+
+  try {
+    const { assignmentId, studentId } = req.params;
+
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+
+    const remaining = assignment.extensions.filter(
+      (e) => e.student.toString() !== studentId
+    );
+    if (remaining.length === assignment.extensions.length) {
+      return next(new ErrorHandler("No extension found for this student", 404));
+    }
+    auditExtensions(req, "assignment.extension-revoke", assignment, studentId);
+    assignment.extensions = remaining;
+
+    const submission = assignment.submissions.find(
+      (sub) => sub.student.toString() === studentId
+    );
+    if (submission) {
+      reapplyLatePenalties(
+        submission,
+        penaltyFor(assignment, submission.student),
+        assignment.attemptGrading
+      );
+    }
+
+    await assignment.save();
+    auditTarget(req, { after: extensionsSnapshot(assignment) });
+
+    res.status(200).json({
+      success: true,
+      message: "Extension removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in revokeAssignmentExtension:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Extend the deadline and/or attempts of every enrolled student recorded as
+// physically challenged
+exports.grantAssignmentAccommodations = catchAsyncErrors(
+  async (req, res, next) => {
+    console.log("grantAssignmentAccommodations: Started");
+
+    try {
+      const assignment = await Assignment.findById(req.params.assignmentId);
+      if (!assignment) {
+        return next(new ErrorHandler("Assignment not found", 404));
+      }
+
+      const { accommodation, error } = parseAccommodation(req.body);
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+
+      const course = await Course.findById(assignment.course);
+      auditExtensions(req, "assignment.accommodations", assignment);
+      const students = await grantAccommodations(
+        assignment,
+        course,
+        accommodation,
+        req.user._id
+      );
+
+      assignment.submissions
+        .filter((submission) =>
+          students.some((s) => s.studentId.equals(submission.student))
+        )
+        .forEach((submission) =>
+          reapplyLatePenalties(
+            submission,
+            penaltyFor(assignment, submission.student),
+            assignment.attemptGrading
+          )
+        );
+
+      await assignment.save();
+      auditTarget(req, { after: extensionsSnapshot(assignment) });
+      console.log(
+        `Accommodations granted to ${students.length} students on assignment ${assignment._id}`
+      );
+
+      res.status(200).json({
+        success: true,
+        message: `Accommodations granted to ${students.length} students`,
+        students,
+      });
+    } catch (error) {
+      console.error("Error in grantAssignmentAccommodations:", error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  }
+);
+
+// Download an assignment's submissions as a grading sheet to fill in offline
+exports.exportAssignmentGrades = catchAsyncErrors(async (req, res, next) => {
+  console.log("exportAssignmentGrades: Started");
+
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+
+    const studentsById = await submittingStudents(assignment);
+    const rows = gradeSheetRows(assignment, studentsById);
+    console.log(`Exporting ${rows.length} submissions`);
+
+    const filename = `grades-${assignment.title}.xlsx`.replace(
+      /[^\w.-]+/g,
+      "-"
+    );
+    sendWorkbook(res, filename, [{ name: "Grades", rows }]);
+  } catch (error) {
+    console.error("Error in exportAssignmentGrades:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Apply the grades of an uploaded grading sheet. Every row is validated first;
+// if any fails nothing is applied and the per-row errors are returned.
+exports.importAssignmentGrades = catchAsyncErrors(async (req, res, next) => {
+  console.log("importAssignmentGrades: Started");
+  const session = await mongoose.startSession();
+
+  try {
+    if (!Array.isArray(req.excelData) || req.excelData.length === 0) {
+      return next(
+        new ErrorHandler("No valid data found in the Excel file", 400)
+      );
+    }
+
+    let outcome;
+    await session.withTransaction(async () => {
+      const assignment = await Assignment.findById(
+        req.params.assignmentId
+      ).session(session);
+      if (!assignment) {
+        outcome = { notFound: true };
+        return;
+      }
+
+      const studentsById = await submittingStudents(assignment, session);
+      const { grades, errors } = parseGradeSheet(
+        assignment,
+        req.excelData,
+        studentsById
+      );
+      grades
+        .filter(({ submission }) =>
+          studentsById
+            .get(submission.student.toString())
+            .user._id.equals(req.user._id)
+        )
+        .forEach(({ row, email }) =>
+          errors.push({
+            row,
+            email,
+            error: "You cannot grade your own submission",
+          })
+        );
+      if (errors.length > 0) {
+        outcome = { errors };
+        return;
+      }
+
+      // Each student's submission grade, keyed by email, for the audit log
+      const submissionGrades = () =>
+        Object.fromEntries(
+          grades.map(({ email, submission }) => [
+            email,
+            {
+              grade: submission.grade,
+              gradedAttempt: submission.gradedAttempt,
+              feedback: submission.feedback,
+            },
+          ])
+        );
+      auditTarget(req, {
+        action: "assignment.grade-import",
+        entity: "Assignment",
+        entityId: assignment._id,
+        label: assignment.title,
+        before: snapshot(submissionGrades()),
+      });
+
+      const results = grades.map(
+        ({
+          row,
+          email,
+          submission,
+          attemptNumber,
+          grade,
+          rubricScores,
+          feedback,
+        }) => {
+          const attempt = gradeAttempt(
+            submission,
+            attemptNumber,
+            { grade, rubricScores, feedback, gradedBy: req.user._id },
+            {
+              policy: assignment.attemptGrading,
+              penaltyFor: penaltyFor(assignment, submission.student),
+            }
+          );
+          return {
+            row,
+            email,
+            attemptNumber: attempt.attemptNumber,
+            grade: attempt.grade,
+            latePenaltyPercent: attempt.latePenaltyPercent,
+          };
+        }
+      );
+
+      await assignment.save({ session });
+      auditTarget(req, { after: snapshot(submissionGrades()) });
+      outcome = { results };
+    });
+
+    if (outcome.notFound) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+    if (outcome.errors) {
+      console.log(`${outcome.errors.length} rows failed validation`);
+      return res.status(400).json({
+        success: false,
+        error: "Some rows failed validation; no grades were applied",
+        errors: outcome.errors,
+      });
+    }
+
+    console.log(`Applied ${outcome.results.length} grades`);
+    res.status(200).json({
+      success: true,
+      message: "Grades imported successfully",
+      results: outcome.results,
+      totalProcessed: outcome.results.length,
+      skipped: req.excelData.length - outcome.results.length,
+    });
+  } catch (error) {
+    console.error("Error in importAssignmentGrades:", error);
+    return next(new ErrorHandler(error.message, 500));
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Stream a ZIP of every submitted file (all attempts) with a manifest
+exports.downloadAssignmentSubmissions = catchAsyncErrors(
+  async (req, res, next) => {
+    console.log("downloadAssignmentSubmissions: Started");
+
+    try {
+      const assignment = await Assignment.findById(req.params.assignmentId);
+      if (!assignment) {
+        return next(new ErrorHandler("Assignment not found", 404));
+      }
+      if (assignment.submissions.length === 0) {
+        return next(new ErrorHandler("No submissions to download", 404));
+      }
+
+      const studentsById = await submittingStudents(assignment);
+      const entries = archiveEntries(assignment, studentsById);
+      console.log(`Archiving ${entries.length} files`);
+
+      await sendSubmissionArchive(
+        res,
+        `submissions-${assignment.title}.zip`.replace(/[^\w.-]+/g, "-"),
+        entries
+      );
+    } catch (error) {
+      console.error("Error in downloadAssignmentSubmissions:", error);
+      // Once the archive has started the response can only be cut off
+      if (res.headersSent) return res.destroy(error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  }
+);
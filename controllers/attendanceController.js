@@ -0,0 +1,884 @@
+const mongoose = require("mongoose");
+const AttendanceSession = require("../models/AttendanceSession");
+const Course = require("../models/Course");
+const Semester = require("../models/Semester");
+const Student = require("../models/Student");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { isStaffAccess, can } = require("../utils/permissions");
+const { sendWorkbook } = require("../utils/excelExport");
+const { auditTarget, snapshot } = require("../utils/audit");
+const {
+  DEFAULT_ATTENDANCE_THRESHOLD,
+  buildShortageReport,
+  CHECK_IN_ROTATION_SECONDS,
+  CHECK_IN_DURATION_MINUTES,
+  CHECK_IN_MAX_FAILED_ATTEMPTS,
+  generateCheckInSecret,
+  checkInWindow,
+  checkInCode,
+  verifyCheckInCode,
+  toSessionDate,
+  weekdayOf,
+  resolveScheduleSlot,
+  getCourseRoster,
+  enrolledStudentFilter,
+  studentCourseFilter,
+  summarizeAttendance,
+  findLegacySessions,
+  findAttendanceSessions,
+  migrateLegacyAttendance,
+} = require("../utils/attendance");
+
+const { ATTENDANCE_STATUSES } = AttendanceSession;
+
+// ?threshold= as a percentage, falling back to the configured default
+const parseThreshold = (value) => {
+  if (value === undefined || value === "") return DEFAULT_ATTENDANCE_THRESHOLD;
+  const threshold = parseFloat(value);
+  return threshold > 0 && threshold <= 100 ? threshold : null;
+};
+
+// One spreadsheet row per student
+const shortageRows = (report) =>
+  report.students.map((student) => ({
+    "Course Code": report.course.courseCode,
+    Course: report.course.title,
+    Student: student.name,
+    Email: student.email,
+    "Sessions Counted": student.totalSessions,
+    Present: student.present,
+    Late: student.late,
+    Absent: student.absent,
+    Excused: student.excused,
+    Unmarked: student.unmarked,
+    "Attendance %": student.percentage ?? "",
+    "Below Threshold": student.belowThreshold ? "Yes" : "No",
+    "Remaining Classes": student.remainingClasses,
+    "Classes Needed": student.classesNeeded ?? "",
+    "Max Achievable %": student.maxAchievablePercentage ?? "",
+    "Can Recover": student.canRecover ? "Yes" : "No",
+  }));
+
+const courseSummaryRow = (report) => ({
+  "Course Code": report.course.courseCode,
+  Course: report.course.title,
+  "Threshold %": report.threshold,
+  "Sessions Held": report.sessionsHeld,
+  "Remaining Classes": report.remainingClasses,
+  Students: report.students.length,
+  "Below Threshold": report.shortageCount,
+  "Cannot Recover": report.unrecoverableCount,
+});
+
+// What students may see of a check-in: only whether and until when it is open
+const publicCheckIn = (checkIn) =>
+  checkIn ? { openedAt: checkIn.openedAt, closesAt: checkIn.closesAt } : null;
+
+// Students only see their own record in each session
+const withOwnRecord = (session, studentId) => {
+  // Legacy sessions are plain objects already
+  const sessionObj = session.toObject ? session.toObject() : { ...session };
+  sessionObj.records = sessionObj.records.filter((record) =>
+    record.student.equals(studentId)
+  );
+  sessionObj.checkIn = publicCheckIn(sessionObj.checkIn);
+  return sessionObj;
+};
+
+const isCheckInOpen = (checkIn, now = new Date()) =>
+  !!checkIn && !!checkIn.closesAt && checkIn.closesAt > now;
+
+// Code currently on screen, plus the payload for the QR image
+const currentCheckInCode = (session, now = new Date()) => {
+  const { secret, rotationSeconds, closesAt } = session.checkIn;
+  const window = checkInWindow(rotationSeconds, now);
+  const code = checkInCode(secret, window);
+  const expiresAt = new Date(
+    Math.min((window + 1) * rotationSeconds * 1000, closesAt.getTime())
+  );
+
+  return {
+    code,
+    expiresAt,
+    closesAt,
+    rotationSeconds,
+    qrPayload: JSON.stringify({
+      type: "attendance-check-in",
+      attendanceSessionId: session._id,
+      code,
+    }),
+  };
+};
+
+// Validate [{ studentId, status, note }] against the course roster.
+// Resolves to { entries, error }.
+const validateRecords = async (course, records) => {
+  if (!Array.isArray(records) || records.length === 0) {
+    return { error: "records must be a non-empty array" };
+  }
+
+  for (const record of records) {
+    if (!mongoose.isValidObjectId(record.studentId)) {
+      return { error: `Invalid student ID: ${record.studentId}` };
+    }
+    if (!ATTENDANCE_STATUSES.includes(record.status)) {
+      return {
+        error: `Status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`,
+      };
+    }
+  }
+
+  const studentIds = [...new Set(records.map((r) => String(r.studentId)))];
+  if (studentIds.length !== records.length) {
+    return { error: "Each student can only appear once" };
+  }
+
+  const enrolled = await Student.find({
+    _id: { $in: studentIds },
+    ...enrolledStudentFilter(course),
+  }).select("_id");
+  if (enrolled.length !== studentIds.length) {
+    const enrolledIds = enrolled.map((s) => s._id.toString());
+    const missing = studentIds.filter((id) => !enrolledIds.includes(id));
+    return {
+      error: `Students not enrolled in this course: ${missing.join(", ")}`,
+    };
+  }
+
+  return { entries: records };
+};
+
+// Name the session a request changes in the audit log
+const auditSession = (req, action, session, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "AttendanceSession",
+    entityId: session._id,
+    label: [
+      req.access.course && req.access.course.courseCode,
+      session.date.toISOString().slice(0, 10),
+      session.time,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    ...changes,
+  });
+
+// Set each student's record, adding it if the student has none yet. Each pair
+// of operations is atomic, so several people can mark the same session at once.
+const applyRecords = async (sessionId, entries, markedBy) => {
+  const markedAt = new Date();
+  const operations = entries.flatMap(({ studentId, status, note }) => {
+    const student = new mongoose.Types.ObjectId(studentId);
+    return [
+      {
+        updateOne: {
+          filter: { _id: sessionId, "records.student": student },
+          update: {
+            $set: {
+              "records.$.status": status,
+              "records.$.note": note,
+              "records.$.markedBy": markedBy,
+              "records.$.markedAt": markedAt,
+              "records.$.source": "manual",
+            },
+          },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: sessionId, "records.student": { $ne: student } },
+          update: {
+            $push: {
+              records: { student, status, note, markedBy, markedAt },
+            },
+          },
+        },
+      },
+    ];
+  });
+
+  await AttendanceSession.bulkWrite(operations, { ordered: true });
+};
+
+// Create a class session for a course, optionally marking attendance straight away
+exports.createAttendanceSession = catchAsyncErrors(async (req, res, next) => {
+  console.log("createAttendanceSession: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const { date, slotId, time, topic, records } = req.body;
+    const sessionDate = toSessionDate(date);
+    if (!sessionDate) {
+      return next(new ErrorHandler("A valid session date is required", 400));
+    }
+
+    const { slot, error } = await resolveScheduleSlot(course, sessionDate, {
+      slotId,
+      time,
+    });
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    let entries = [];
+    if (records !== undefined) {
+      const validation = await validateRecords(course, records);
+      if (validation.error) {
+        return next(new ErrorHandler(validation.error, 400));
+      }
+      entries = validation.entries;
+    }
+
+    // Classes in the legacy attendance map become sessions first, so this one
+    // cannot duplicate one of them
+    await migrateLegacyAttendance(course, req.user._id);
+
+    const sessionTime = slot ? slot.time : time;
+    const existing = await AttendanceSession.findOne({
+      course: course._id,
+      date: sessionDate,
+      time: sessionTime,
+    });
+    if (existing) {
+      return next(
+        new ErrorHandler(
+          "An attendance session already exists for this class",
+          400
+        )
+      );
+    }
+
+    const session = await AttendanceSession.create({
+      course: course._id,
+      date: sessionDate,
+      scheduleSlot: slot ? slot._id : null,
+      day: weekdayOf(sessionDate),
+      time: sessionTime,
+      topic,
+      createdBy: req.user._id,
+    });
+
+    if (entries.length) {
+      await applyRecords(session._id, entries, req.user._id);
+    }
+
+    console.log(
+      `Attendance session created for course ${course._id} on ${session.day} ${session.time}`
+    );
+
+    const created = await AttendanceSession.findById(session._id);
+    auditSession(req, "attendance.session-create", created, {
+      after: snapshot(created),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Attendance session created successfully",
+      session: created,
+    });
+  } catch (error) {
+    console.error("Error in createAttendanceSession:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// List a course's sessions, optionally between two dates
+exports.getCourseAttendanceSessions = catchAsyncErrors(
+  async (req, res, next) => {
+    console.log("getCourseAttendanceSessions: Started");
+
+    try {
+      const { course } = req.access;
+      if (!course) {
+        return next(new ErrorHandler("Course not found", 404));
+      }
+
+      const query = { course: course._id };
+      const from = req.query.from && toSessionDate(req.query.from);
+      const to = req.query.to && toSessionDate(req.query.to);
+      if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from;
+        if (to) query.date.$lte = to;
+      }
+
+      const held = await AttendanceSession.find(query)
+        .populate("records.markedBy", "name email")
+        .sort({ date: 1, time: 1 });
+      // Classes only in the legacy attendance map, marked legacy: true
+      const legacy = (await findLegacySessions([course._id], held)).filter(
+        (session) =>
+          (!from || session.date >= from) && (!to || session.date <= to)
+      );
+      const sessions = [...held, ...legacy].sort(
+        (a, b) => a.date - b.date || a.time.localeCompare(b.time)
+      );
+
+      if (isStaffAccess(req.access)) {
+        return res.status(200).json({
+          success: true,
+          count: sessions.length,
+          sessions,
+        });
+      }
+
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        return next(new ErrorHandler("Student not found", 404));
+      }
+      res.status(200).json({
+        success: true,
+        count: sessions.length,
+        sessions: sessions.map((s) => withOwnRecord(s, student._id)),
+      });
+    } catch (error) {
+      console.error("Error in getCourseAttendanceSessions:", error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  }
+);
+
+// Get one session with its records
+exports.getAttendanceSession = catchAsyncErrors(async (req, res, next) => {
+  console.log("getAttendanceSession: Started");
+
+  try {
+    const session = await AttendanceSession.findById(
+      req.params.attendanceSessionId
+    )
+      .populate({
+        path: "records.student",
+        select: "user",
+        populate: { path: "user", select: "name email" },
+      })
+      .populate("records.markedBy", "name email");
+    if (!session) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+
+    if (!isStaffAccess(req.access)) {
+      const student = await Student.findOne({ user: req.user._id });
+      if (!student) {
+        return next(new ErrorHandler("Student not found", 404));
+      }
+      const sessionObj = session.toObject();
+      // Records of deleted students populate to null
+      sessionObj.records = sessionObj.records.filter(
+        (record) =>
+          record.student &&
+          record.student._id.toString() === student._id.toString()
+      );
+      sessionObj.checkIn = publicCheckIn(sessionObj.checkIn);
+      return res.status(200).json({ success: true, session: sessionObj });
+    }
+
+    res.status(200).json({
+      success: true,
+      session,
+    });
+  } catch (error) {
+    console.error("Error in getAttendanceSession:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Mark or correct attendance for some students; other records are untouched
+exports.markAttendance = catchAsyncErrors(async (req, res, next) => {
+  console.log("markAttendance: Started");
+
+  try {
+    const { course } = req.access;
+    const session = await AttendanceSession.findById(
+      req.params.attendanceSessionId
+    );
+    if (!session || !course) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+
+    // Accept a single { studentId, status } as well as { records: [...] }
+    const records = req.body.records || [
+      {
+        studentId: req.body.studentId,
+        status: req.body.status,
+        note: req.body.note,
+      },
+    ];
+    const { entries, error } = await validateRecords(course, records);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    auditSession(req, "attendance.mark", session, {
+      before: snapshot(session),
+    });
+    await applyRecords(session._id, entries, req.user._id);
+    console.log(
+      `Marked ${entries.length} attendance records in session ${session._id}`
+    );
+
+    const updated = await AttendanceSession.findById(session._id);
+    auditTarget(req, { after: snapshot(updated) });
+
+    res.status(200).json({
+      success: true,
+      message: "Attendance marked successfully",
+      session: updated,
+    });
+  } catch (error) {
+    console.error("Error in markAttendance:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Delete a session that was created by mistake
+exports.deleteAttendanceSession = catchAsyncErrors(async (req, res, next) => {
+  console.log("deleteAttendanceSession: Started");
+
+  try {
+    const session = await AttendanceSession.findByIdAndDelete(
+      req.params.attendanceSessionId
+    );
+    if (!session) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+    auditSession(req, "attendance.session-delete", session, {
+      before: snapshot(session),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Attendance session deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteAttendanceSession:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Attendance totals for every student of a course
+exports.getCourseAttendanceSummary = catchAsyncErrors(
+  async (req, res, next) => {
+    console.log("getCourseAttendanceSummary: Started");
+
+    try {
+      const { course } = req.access;
+      if (!course) {
+        return next(new ErrorHandler("Course not found", 404));
+      }
+      if (!isStaffAccess(req.access)) {
+        return next(new ErrorHandler("Unauthorized access", 403));
+      }
+
+      const [sessions, students] = await Promise.all([
+        findAttendanceSessions([course._id]),
+        getCourseRoster(course).populate("user", "name email"),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        courseId: course._id,
+        courseCode: course.courseCode,
+        students: students.map((student) => ({
+          studentId: student._id,
+          name: student.user?.name,
+          email: student.user?.email,
+          ...summarizeAttendance(sessions, student._id),
+        })),
+      });
+    } catch (error) {
+      console.error("Error in getCourseAttendanceSummary:", error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  }
+);
+
+// The authenticated student's attendance percentage in each of their courses
+exports.getMyAttendance = catchAsyncErrors(async (req, res, next) => {
+  console.log("getMyAttendance: Started");
+
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+
+    const courses = await Course.find(studentCourseFilter(student)).select(
+      "_id title courseCode"
+    );
+
+    const sessions = await findAttendanceSessions(courses.map((c) => c._id));
+
+    const attendance = courses.map((course) => ({
+      courseId: course._id,
+      title: course.title,
+      courseCode: course.courseCode,
+      ...summarizeAttendance(
+        sessions.filter((s) => s.course.equals(course._id)),
+        student._id
+      ),
+    }));
+
+    res.status(200).json({
+      success: true,
+      attendance,
+    });
+  } catch (error) {
+    console.error("Error in getMyAttendance:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Attendance shortage report for a course (JSON, or Excel with ?format=xlsx)
+exports.getCourseShortageReport = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseShortageReport: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const threshold = parseThreshold(req.query.threshold);
+    if (threshold === null) {
+      return next(
+        new ErrorHandler(
+          "Threshold must be a percentage between 0 and 100",
+          400
+        )
+      );
+    }
+
+    const report = await buildShortageReport(course, threshold);
+    if (req.query.shortageOnly === "true") {
+      report.students = report.students.filter((s) => s.belowThreshold);
+    }
+
+    if (req.query.format === "xlsx") {
+      return sendWorkbook(
+        res,
+        `attendance-shortage-${course.courseCode}.xlsx`,
+        [
+          { name: "Summary", rows: [courseSummaryRow(report)] },
+          { name: "Students", rows: shortageRows(report) },
+        ]
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    console.error("Error in getCourseShortageReport:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Shortage report across every course of a semester the user can report on
+exports.getSemesterShortageReport = catchAsyncErrors(async (req, res, next) => {
+  console.log("getSemesterShortageReport: Started");
+
+  try {
+    const { semesterId } = req.params;
+    if (!mongoose.isValidObjectId(semesterId)) {
+      return next(new ErrorHandler("Invalid semester ID", 400));
+    }
+
+    const semester = await Semester.findById(semesterId);
+    if (!semester) {
+      return next(new ErrorHandler("Semester not found", 404));
+    }
+
+    const threshold = parseThreshold(req.query.threshold);
+    if (threshold === null) {
+      return next(
+        new ErrorHandler(
+          "Threshold must be a percentage between 0 and 100",
+          400
+        )
+      );
+    }
+
+    const semesterCourses = await Course.find({ semester: semester._id }).sort({
+      courseCode: 1,
+    });
+    const courses = [];
+    for (const course of semesterCourses) {
+      if (await can(req.user, "attendance:report", course)) {
+        courses.push(course);
+      }
+    }
+    console.log(
+      `Building shortage report for ${courses.length} of ${semesterCourses.length} courses`
+    );
+
+    const reports = [];
+    for (const course of courses) {
+      const report = await buildShortageReport(course, threshold);
+      if (req.query.shortageOnly === "true") {
+        report.students = report.students.filter((s) => s.belowThreshold);
+      }
+      reports.push(report);
+    }
+
+    if (req.query.format === "xlsx") {
+      return sendWorkbook(
+        res,
+        `attendance-shortage-${semester.name.replace(/\s+/g, "-")}.xlsx`,
+        [
+          { name: "Summary", rows: reports.map(courseSummaryRow) },
+          { name: "Students", rows: reports.flatMap(shortageRows) },
+        ]
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      semester: {
+        _id: semester._id,
+        name: semester.name,
+        startDate: semester.startDate,
+        endDate: semester.endDate,
+      },
+      threshold,
+      shortageCount: reports.reduce((sum, r) => sum + r.shortageCount, 0),
+      reports,
+    });
+  } catch (error) {
+    console.error("Error in getSemesterShortageReport:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Open live self check-in for a session; students submit the rotating code
+exports.openCheckIn = catchAsyncErrors(async (req, res, next) => {
+  console.log("openCheckIn: Started");
+
+  try {
+    const durationMinutes = parseInt(
+      req.body.durationMinutes || CHECK_IN_DURATION_MINUTES,
+      10
+    );
+    const rotationSeconds = parseInt(
+      req.body.rotationSeconds || CHECK_IN_ROTATION_SECONDS,
+      10
+    );
+    if (!(durationMinutes >= 1 && durationMinutes <= 180)) {
+      return next(
+        new ErrorHandler("durationMinutes must be between 1 and 180", 400)
+      );
+    }
+    if (!(rotationSeconds >= 5 && rotationSeconds <= 300)) {
+      return next(
+        new ErrorHandler("rotationSeconds must be between 5 and 300", 400)
+      );
+    }
+
+    const now = new Date();
+    const session = await AttendanceSession.findByIdAndUpdate(
+      req.params.attendanceSessionId,
+      {
+        checkIn: {
+          secret: generateCheckInSecret(),
+          rotationSeconds,
+          openedAt: now,
+          closesAt: new Date(now.getTime() + durationMinutes * 60 * 1000),
+          openedBy: req.user._id,
+          failedAttempts: {},
+        },
+      },
+      { new: true }
+    ).select("+checkIn.secret");
+    if (!session) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+
+    console.log(
+      `Check-in opened for session ${
+        session._id
+      } until ${session.checkIn.closesAt.toISOString()}`
+    );
+    // The check-in secret stays out of the log
+    auditSession(req, "attendance.check-in-open", session, {
+      after: {
+        checkIn: {
+          openedAt: session.checkIn.openedAt,
+          closesAt: session.checkIn.closesAt,
+          rotationSeconds,
+        },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Check-in opened successfully",
+      checkIn: currentCheckInCode(session, now),
+    });
+  } catch (error) {
+    console.error("Error in openCheckIn:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Current rotating code for the teacher's screen; poll before expiresAt
+exports.getCheckInCode = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCheckInCode: Started");
+
+  try {
+    const session = await AttendanceSession.findById(
+      req.params.attendanceSessionId
+    ).select("+checkIn.secret");
+    if (!session) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+    if (!isCheckInOpen(session.checkIn)) {
+      return next(new ErrorHandler("Check-in is not open", 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      checkIn: currentCheckInCode(session),
+    });
+  } catch (error) {
+    console.error("Error in getCheckInCode:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Stop accepting check-ins before the window runs out
+exports.closeCheckIn = catchAsyncErrors(async (req, res, next) => {
+  console.log("closeCheckIn: Started");
+
+  try {
+    const session = await AttendanceSession.findById(
+      req.params.attendanceSessionId
+    );
+    if (!session) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+    if (!isCheckInOpen(session.checkIn)) {
+      return next(new ErrorHandler("Check-in is not open", 400));
+    }
+
+    const closesAt = new Date();
+    await AttendanceSession.updateOne(
+      { _id: session._id },
+      { $set: { "checkIn.closesAt": closesAt } }
+    );
+    auditSession(req, "attendance.check-in-close", session, {
+      before: { closesAt: session.checkIn.closesAt },
+      after: { closesAt },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Check-in closed successfully",
+      checkedIn: session.records.filter((r) => r.source === "check-in").length,
+    });
+  } catch (error) {
+    console.error("Error in closeCheckIn:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// A student checks themselves in with the code shown in class
+exports.checkIn = catchAsyncErrors(async (req, res, next) => {
+  console.log("checkIn: Started");
+
+  try {
+    const session = await AttendanceSession.findById(
+      req.params.attendanceSessionId
+    ).select("+checkIn.secret");
+    if (!session) {
+      return next(new ErrorHandler("Attendance session not found", 404));
+    }
+
+    const now = new Date();
+    if (!isCheckInOpen(session.checkIn, now)) {
+      return next(new ErrorHandler("Check-in is not open", 400));
+    }
+
+    // checkPermission has already confirmed enrollment in the course
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+    const studentKey = student._id.toString();
+
+    if (session.records.some((r) => r.student.equals(student._id))) {
+      return next(
+        new ErrorHandler("Attendance already recorded for this session", 409)
+      );
+    }
+
+    const failures = session.checkIn.failedAttempts.get(studentKey) || 0;
+    if (failures >= CHECK_IN_MAX_FAILED_ATTEMPTS) {
+      return next(
+        new ErrorHandler(
+          "Too many invalid codes; ask your teacher to mark your attendance",
+          429
+        )
+      );
+    }
+
+    const result = verifyCheckInCode(session.checkIn, req.body.code, now);
+    if (result !== "valid") {
+      await AttendanceSession.updateOne(
+        { _id: session._id },
+        { $inc: { [`checkIn.failedAttempts.${studentKey}`]: 1 } }
+      );
+      return next(
+        new ErrorHandler(
+          result === "expired"
+            ? "Check-in code has expired"
+            : "Invalid check-in code",
+          400
+        )
+      );
+    }
+
+    // Guarded so a second request with the same code cannot add a duplicate
+    const { modifiedCount } = await AttendanceSession.updateOne(
+      {
+        _id: session._id,
+        "records.student": { $ne: student._id },
+        "checkIn.closesAt": { $gt: now },
+      },
+      {
+        $push: {
+          records: {
+            student: student._id,
+            status: "present",
+            markedBy: req.user._id,
+            markedAt: now,
+            source: "check-in",
+          },
+        },
+      }
+    );
+    if (!modifiedCount) {
+      return next(
+        new ErrorHandler("Attendance already recorded for this session", 409)
+      );
+    }
+
+    console.log(`Student ${student._id} checked in to session ${session._id}`);
+    auditSession(req, "attendance.check-in", session, {
+      after: { student: student._id, status: "present", markedAt: now },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Checked in successfully",
+    });
+  } catch (error) {
+    console.error("Error in checkIn:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { sendWorkbook } = require("../utils/excelExport");
+const { buildAuditFilter, auditRows } = require("../utils/audit");
+
+// Entries per export; narrow the filters for more
+const MAX_EXPORT_ROWS = 10000;
+
+// Search the audit log, newest first. Snapshots are left out of the list;
+// getAuditLog returns them.
+exports.getAuditLogs = catchAsyncErrors(async (req, res, next) => {
+  console.log("getAuditLogs: Started");
+
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const totalLogs = await AuditLog.countDocuments(filter);
+    const logs = await AuditLog.find(filter)
+      .select("-before -after")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalLogs / limitNum),
+        totalLogs,
+        hasNext: pageNum < Math.ceil(totalLogs / limitNum),
+        hasPrev: pageNum > 1,
+      },
+      logs,
+    });
+  } catch (error) {
+    console.error("Error in getAuditLogs:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// One audit entry with its before and after snapshots
+exports.getAuditLog = catchAsyncErrors(async (req, res, next) => {
+  console.log("getAuditLog: Started");
+
+  try {
+    const { auditLogId } = req.params;
+    if (!mongoose.isValidObjectId(auditLogId)) {
+      return next(new ErrorHandler("Invalid audit log ID", 400));
+    }
+
+    const log = await AuditLog.findById(auditLogId).populate(
+      "actor",
+      "name email role"
+    );
+    if (!log) {
+      return next(new ErrorHandler("Audit log entry not found", 404));
+    }
+
+    res.status(200).json({ success: true, log });
+  } catch (error) {
+    console.error("Error in getAuditLog:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// The entries matching the search filters as an Excel workbook
+exports.exportAuditLogs = catchAsyncErrors(async (req, res, next) => {
+  console.log("exportAuditLogs: Started");
+
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const totalLogs = await AuditLog.countDocuments(filter);
+    if (totalLogs > MAX_EXPORT_ROWS) {
+      return next(
+        new ErrorHandler(
+          `${totalLogs} entries match; narrow the filters to at most ${MAX_EXPORT_ROWS} to export`,
+          400
+        )
+      );
+    }
+
+    const logs = await AuditLog.find(filter)
+      .select("-before -after")
+      .sort({ createdAt: -1 });
+
+    const date = new Date().toISOString().slice(0, 10);
+    sendWorkbook(res, `audit-log-${date}.xlsx`, [
+      { name: "Audit Log", rows: auditRows(logs) },
+    ]);
+  } catch (error) {
+    console.error("Error in exportAuditLogs:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -1,6 +1,54 @@
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const { sendMail, escapeHtml } = require("../utils/mailer");
+const {
+  hashToken,
+  getClientIp,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+} = require("../utils/tokens");
+const {
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../utils/loginThrottle");
+const {
+  generateTotpSecret,
+  matchTotpStep,
+  provisioningUri,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  signChallengeToken,
+  resolveChallengeToken,
+  isTwoFactorRequired,
+} = require("../utils/twoFactor");
+
+// Fields a user may change on their own profile. Credentials, role and
+// two-factor settings have their own endpoints.
+const PROFILE_FIELDS = [
+  "name",
+  "mobileNo",
+  "alternateEmailId",
+  "dateOfBirth",
+  "ageAsOn2025",
+  "gender",
+  "nationality",
+  "aadhaarNumber",
+  "passportNumber",
+  "bloodGroup",
+  "motherTongue",
+  "religion",
+  "category",
+  "areYouPhysicallyChallenged",
+  "pleaseSpecifyTheDisability",
+  "parentGuardianDetails",
+  "permanentAddress",
+  "correspondenceAddress",
+  "isYourCorrespondenceAddressSameAsPermanentAddress",
+];
 
 const register = async (req, res) => {
   try {
@@ -102,12 +150,10 @@ const register = async (req, res) => {
     const user = new User(userData);
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    // Start a session with a short-lived access token and a refresh token
+    const { tokens } = await issueTokens(user, req);
 
-    res.status(201).json({ user, token });
+    res.status(201).json({ user, ...tokens });
   } catch (error) {
     console.error("Registration error:", error);
     res.status(400).json({ error: error.message });
@@ -118,26 +164,192 @@ const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse while the account or this IP is locked out, before checking the password
+    const retryAfter = await getLoginLock(email, getClientIp(req));
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+        retryAfter,
+      });
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email, req);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordLoginFailure(email, req, user);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    // With 2FA the password only earns a challenge token for the second step;
+    // failures are cleared once that step succeeds
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, "verify"),
+      });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, "enroll"),
+      });
+    }
+
+    await clearLoginFailures(email);
 
-    res.json({ user, token });
+    const { tokens } = await issueTokens(user, req);
+
+    res.json({ user, ...tokens });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 };
 
+// Resolve the challenge token from the first login step and refuse while the
+// account is locked out. Sends the error response itself and resolves to null
+// when the login cannot continue.
+const resumeLogin = async (req, res, purpose) => {
+  const user = await resolveChallengeToken(req.body.challengeToken, purpose);
+  if (!user) {
+    res.status(401).json({ error: "Login has expired, please log in again" });
+    return null;
+  }
+
+  const retryAfter = await getLoginLock(user.email, getClientIp(req));
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({
+      error: "Too many failed login attempts. Please try again later.",
+      retryAfter,
+    });
+    return null;
+  }
+  return user;
+};
+
+// Second login step: a code from the authenticator app or a recovery code
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res
+        .status(400)
+        .json({ error: "An authentication code or recovery code is required" });
+    }
+
+    const user = await resumeLogin(req, res, "verify");
+    if (!user) return;
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure(user.email, req, user);
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const { tokens } = await issueTokens(user, req);
+
+    const response = { user, ...tokens };
+    if (method === "recovery-code") {
+      response.recoveryCodesRemaining =
+        user.twoFactor.recoveryCodeHashes.length - 1;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Start enrolment with a new secret, kept pending until a code confirms it
+const beginEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return { secret, otpauthUri: provisioningUri(user, secret) };
+};
+
+// Turn 2FA on once a code from the pending secret checks out. Resolves to the
+// new recovery codes, or null when the code is wrong.
+const completeEnrollment = async (user, code) => {
+  const { pendingSecret } = user.twoFactor;
+  const step = pendingSecret ? matchTotpStep(pendingSecret, code) : null;
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    recoveryCodeHashes: hashes,
+    lastUsedStep: step,
+    enabledAt: new Date(),
+  };
+  await user.save({ validateBeforeSave: false });
+  return codes;
+};
+
+// Enrolment during login, for a user whose role requires 2FA
+const setupLoginTwoFactor = async (req, res) => {
+  try {
+    const user = await resumeLogin(req, res, "enroll");
+    if (!user) return;
+
+    const provisioning = await beginEnrollment(user);
+
+    res.json({
+      ...provisioning,
+      message: "Scan the QR code, then confirm with a code from the app",
+    });
+  } catch (error) {
+    console.error("Two-factor login setup error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Confirm enrolment during login; completes the login
+const enableLoginTwoFactor = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ error: "Authentication code is required" });
+    }
+
+    const user = await resumeLogin(req, res, "enroll");
+    if (!user) return;
+
+    const recoveryCodes = await completeEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      await recordLoginFailure(user.email, req, user);
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const { tokens } = await issueTokens(user, req);
+
+    res.json({ user, ...tokens, recoveryCodes });
+  } catch (error) {
+    console.error("Two-factor login enable error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
 const getProfile = async (req, res) => {
   try {
     // req.user is set by auth middleware
@@ -164,12 +376,10 @@ const getProfile = async (req, res) => {
 const updateProfile = async (req, res) => {
   try {
     const userId = req.user._id;
-    const updateData = { ...req.body };
-
-    // Remove fields that shouldn't be updated via this endpoint
-    delete updateData.password;
-    delete updateData.email;
-    delete updateData.role;
+    const updateData = {};
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
 
     // Find and update user
     const user = await User.findByIdAndUpdate(userId, updateData, {
@@ -241,6 +451,9 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; the current session stays valid
+    await revokeAllForUser(user._id, "password-change", req.sessionId);
+
     res.json({ message: "Password changed successfully" });
   } catch (error) {
     console.error("Change password error:", error);
@@ -251,10 +464,350 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const { user, tokens } = await rotateRefreshToken(refreshToken, req);
+
+    res.json({ user, ...tokens });
+  } catch (error) {
+    console.error("Refresh token error:", error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+// Revoke the session the current access token belongs to
+const logout = async (req, res) => {
+  try {
+    await revokeFamily(req.sessionId, "logout");
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Revoke every session of the current user, on all devices
+const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllForUser(req.user._id, "logout-all");
+
+    res.json({
+      message: "Logged out from all devices successfully",
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Whether 2FA is on for the current user and whether their role requires it
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { twoFactor } = req.user;
+
+    res.json({
+      enabled: !!twoFactor.enabled,
+      required: await isTwoFactorRequired(req.user),
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesRemaining: twoFactor.enabled
+        ? twoFactor.recoveryCodeHashes.length
+        : 0,
+    });
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Generate a secret and its QR provisioning URI
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const provisioning = await beginEnrollment(req.user);
+
+    res.json({
+      ...provisioning,
+      message: "Scan the QR code, then confirm with a code from the app",
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Confirm the pending secret with a code. The recovery codes are only ever
+// shown in this response.
+const enableTwoFactor = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ error: "Authentication code is required" });
+    }
+    if (req.user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const recoveryCodes = await completeEnrollment(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    // Other devices signed in with the password alone
+    await revokeAllForUser(req.user._id, "two-factor-change", req.sessionId);
+
+    res.json({
+      message: "Two-factor authentication enabled successfully",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Turn 2FA off; needs the password and a code or recovery code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        error: "Two-factor authentication is required for your role",
+      });
+    }
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error:
+          "Password and an authentication code or recovery code are required",
+      });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false } } }
+    );
+    await revokeAllForUser(user._id, "two-factor-change", req.sessionId);
+
+    res.json({ message: "Two-factor authentication disabled successfully" });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Replace the recovery codes, e.g. once most are used up
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+    if (!req.body.code) {
+      return res.status(400).json({ error: "Authentication code is required" });
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodeHashes": hashes } }
+    );
+
+    res.json({
+      message: "Recovery codes regenerated successfully",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES || "60",
+  10
+);
+
+// Email a one-time password reset link
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, so emails can't be probed
+  const genericResponse = {
+    message:
+      "If an account exists for that email, a password reset link has been sent",
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Issuing a new token replaces any earlier one
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpires = new Date(
+      Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${
+      process.env.CLIENT_URL || "http://localhost:3000"
+    }/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hello ${user.name},\n\nWe received a request to reset your password. Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hello ${escapeHtml(
+          user.name
+        )},</p><p>We received a request to reset your password. Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes:</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`,
+      });
+    } catch (mailError) {
+      // Still the generic response: an error here would reveal the account
+      console.error("Password reset email error:", mailError);
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
+// Set a new password using a token from forgotPassword
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "Reset token and new password are required" });
+    }
+
+    if (newPassword.length < 6) {
+      return res
+        .status(400)
+        .json({ error: "New password must be at least 6 characters long" });
+    }
+
+    // Consume the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Password reset token is invalid or has expired" });
+    }
+
+    // Update password (will be hashed by pre-save middleware)
+    user.password = newPassword;
+    await user.save();
+
+    // Whoever had the old password should not keep their sessions
+    await revokeAllForUser(user._id, "password-change");
+    // Proving ownership of the mailbox also lifts any login lockout
+    await clearLoginFailures(user.email);
+
+    res.json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  enableLoginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
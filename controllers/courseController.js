@@ -9,11 +9,33 @@ const WeeklyPlan = require("../models/WeeklyPlan");
 const CreditPoints = require("../models/CreditPoints");
 const Assignment = require("../models/Assignment");
 const CourseAttendance = require("../models/CourseAttendance");
+const AttendanceSession = require("../models/AttendanceSession");
+const Gradebook = require("../models/Gradebook");
+const SimilarityReport = require("../models/SimilarityReport");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
 const mongoose = require("mongoose");
+const {
+  getCourseAccess,
+  getStaffMember,
+  staffCourseFilter,
+} = require("../utils/permissions");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
+const {
+  buildOutcomes,
+  replaceOutcomes,
+  outcomeDescriptions,
+} = require("../utils/outcomes");
+const {
+  findAttendanceSessions,
+  legacyAttendanceMap,
+  recordLegacyAttendance,
+} = require("../utils/attendance");
+const { rescheduleExams } = require("../utils/exam");
+const { auditTarget, snapshot } = require("../utils/audit");
 
 // Better logging setup
 const logger = {
@@ -88,13 +110,10 @@ const getLecturesByModule = async (courseId) => {
 
 // SIMPLIFIED: Enhanced helper function to format course data
 const formatCourseData = async (course) => {
-  // Convert Map to object for attendance sessions
-  const attendanceSessions = {};
-  if (course.attendance && course.attendance.sessions) {
-    for (const [key, value] of course.attendance.sessions.entries()) {
-      attendanceSessions[key] = value;
-    }
-  }
+  // Attendance sessions in the legacy { "date time": [student IDs] } shape
+  const attendanceSessions = legacyAttendanceMap(
+    await findAttendanceSessions([course._id])
+  );
 
   // Get syllabus with lectures (using shared utility)
   let syllabusData = null;
@@ -197,7 +216,7 @@ const formatCourseData = async (course) => {
           practical: 0,
           project: 0,
         },
-    learningOutcomes: course.outcomes ? course.outcomes.outcomes : [],
+    learningOutcomes: outcomeDescriptions(course.outcomes),
     weeklyPlan: course.weeklyPlan
       ? course.weeklyPlan.weeks.map((week) => ({
           weekNumber: week.weekNumber,
@@ -232,6 +251,78 @@ const formatCourseData = async (course) => {
   };
 };
 
+// SHARED UTILITY: Students taught in a course (matching teacher and course code)
+const getCourseStudents = async (course) => {
+  const studentsForCourse = await Student.find({
+    teacher: course.teacher,
+    courseCodes: course.courseCode,
+  }).populate({
+    path: "user",
+    select:
+      "name email mobileNo gender ageAsOn2025 bloodGroup fullPermanentAddress",
+  });
+
+  return (
+    studentsForCourse?.map((student, index) => ({
+      id: student._id.toString(),
+      rollNo: `CS${String(index + 101).padStart(3, "0")}`,
+      name: student.user?.name || "Unknown",
+      program: "Computer Science",
+      email: student.user?.email || "",
+      mobileNo: student.user?.mobileNo || "",
+      gender: student.user?.gender || "",
+      age: student.user?.ageAsOn2025 || null,
+      bloodGroup: student.user?.bloodGroup || "",
+      address: student.user?.fullPermanentAddress || "",
+      courseCodes: student.courseCodes,
+    })) || []
+  );
+};
+
+// SHARED UTILITY: Contact details of the course's teacher
+const getCourseTeacherSummary = async (course) => {
+  const courseTeacher = await Teacher.findById(course.teacher).populate({
+    path: "user",
+    select: "name email mobileNo",
+  });
+  if (!courseTeacher) return null;
+
+  return {
+    id: courseTeacher._id,
+    name: courseTeacher.user?.name,
+    email: courseTeacher.user?.email,
+    mobileNo: courseTeacher.user?.mobileNo,
+  };
+};
+
+// SHARED UTILITY: Courses the user helps teach as co-teacher or TA
+const getStaffCourses = async (user) => {
+  const courses = await Course.find(staffCourseFilter(user._id))
+    .select("_id title aboutCourse courseCode semester staff")
+    .populate("semester", "_id name startDate endDate")
+    .sort({ createdAt: -1 });
+
+  return courses.map((course) => {
+    const member = getStaffMember(course, user);
+    return {
+      _id: course._id,
+      title: course.title,
+      aboutCourse: course.aboutCourse,
+      courseCode: course.courseCode,
+      semester: course.semester
+        ? {
+            _id: course.semester._id,
+            name: course.semester.name,
+            startDate: course.semester.startDate,
+            endDate: course.semester.endDate,
+          }
+        : null,
+      staffRole: member.role,
+      capabilities: member.capabilities,
+    };
+  });
+};
+
 // SIMPLIFIED: Get specific course by ID
 const getCourseById = async function (req, res) {
   try {
@@ -289,29 +380,7 @@ const getCourseById = async function (req, res) {
           };
 
           // Get students for teacher - Only students with matching course code
-          const studentsForCourse = await Student.find({
-            teacher: teacher._id,
-            courseCodes: course.courseCode,
-          }).populate({
-            path: "user",
-            select:
-              "name email mobileNo gender ageAsOn2025 bloodGroup fullPermanentAddress",
-          });
-
-          students =
-            studentsForCourse?.map((student, index) => ({
-              id: student._id.toString(),
-              rollNo: `CS${String(index + 101).padStart(3, "0")}`,
-              name: student.user?.name || "Unknown",
-              program: "Computer Science",
-              email: student.user?.email || "",
-              mobileNo: student.user?.mobileNo || "",
-              gender: student.user?.gender || "",
-              age: student.user?.ageAsOn2025 || null,
-              bloodGroup: student.user?.bloodGroup || "",
-              address: student.user?.fullPermanentAddress || "",
-              courseCodes: student.courseCodes,
-            })) || [];
+          students = await getCourseStudents(course);
         }
       }
     } else if (userRole === "student") {
@@ -347,6 +416,16 @@ const getCourseById = async function (req, res) {
       }
     }
 
+    // Co-teachers and teaching assistants see the course like its teacher
+    let staffMember = null;
+    if (!hasAccess) {
+      staffMember = getStaffMember(course, req.user);
+      if (staffMember) {
+        hasAccess = true;
+        students = await getCourseStudents(course);
+      }
+    }
+
     if (!hasAccess) {
       logger.error(
         `User ${req.user.id} does not have access to course ${req.params.courseId} with course code ${course.courseCode}`
@@ -378,7 +457,15 @@ const getCourseById = async function (req, res) {
       attendance: formattedCourse.attendance,
     };
 
-    if (userRole === "teacher") {
+    if (staffMember) {
+      response.staff = {
+        id: staffMember._id,
+        role: staffMember.role,
+        capabilities: staffMember.capabilities,
+      };
+      response.teacher = await getCourseTeacherSummary(course);
+      response.students = students;
+    } else if (userRole === "teacher") {
       response.teacher = {
         id: userDetails.id,
         name: userDetails.name,
@@ -402,17 +489,9 @@ const getCourseById = async function (req, res) {
         permanentAddress: userDetails.permanentAddress,
         correspondenceAddress: userDetails.correspondenceAddress,
       };
-      const courseTeacher = await Teacher.findById(course.teacher).populate({
-        path: "user",
-        select: "name email mobileNo",
-      });
+      const courseTeacher = await getCourseTeacherSummary(course);
       if (courseTeacher) {
-        response.teacher = {
-          id: courseTeacher._id,
-          name: courseTeacher.user?.name,
-          email: courseTeacher.user?.email,
-          mobileNo: courseTeacher.user?.mobileNo,
-        };
+        response.teacher = courseTeacher;
       }
     }
 
@@ -453,7 +532,6 @@ const getUserCourses = async function (req, res) {
           "assignments",
           "_id title description dueDate totalPoints isActive submissions"
         )
-        .populate("attendance", "sessions")
         .populate(
           "schedule",
           "classStartDate classEndDate midSemesterExamDate endSemesterExamDate classDaysAndTimes"
@@ -520,10 +598,9 @@ const getUserCourses = async function (req, res) {
                     : [],
                 }))
               : [],
-            attendance:
-              course.attendance && course.attendance.sessions
-                ? Object.fromEntries(course.attendance.sessions)
-                : {},
+            attendance: legacyAttendanceMap(
+              await findAttendanceSessions([course._id])
+            ),
           };
         })
       );
@@ -541,6 +618,7 @@ const getUserCourses = async function (req, res) {
           totalCourses: courses.length || 0,
         },
         courses: coursesWithData,
+        staffCourses: await getStaffCourses(req.user),
       });
     } else if (userRole === "student") {
       // STUDENT LOGIC - with course code filtering
@@ -572,6 +650,7 @@ const getUserCourses = async function (req, res) {
             totalCourses: 0,
           },
           courses: [],
+          staffCourses: await getStaffCourses(req.user),
         });
       }
 
@@ -587,7 +666,6 @@ const getUserCourses = async function (req, res) {
           "assignments",
           "_id title description dueDate totalPoints isActive submissions"
         )
-        .populate("attendance", "sessions")
         .populate(
           "schedule",
           "classStartDate classEndDate midSemesterExamDate endSemesterExamDate classDaysAndTimes"
@@ -654,10 +732,9 @@ const getUserCourses = async function (req, res) {
                     : [],
                 }))
               : [],
-            attendance:
-              course.attendance && course.attendance.sessions
-                ? Object.fromEntries(course.attendance.sessions)
-                : {},
+            attendance: legacyAttendanceMap(
+              await findAttendanceSessions([course._id])
+            ),
           };
         })
       );
@@ -682,6 +759,7 @@ const getUserCourses = async function (req, res) {
           totalCourses: courses.length || 0,
         },
         courses: coursesWithData,
+        staffCourses: await getStaffCourses(req.user),
       });
     } else {
       return res.status(403).json({ error: "Invalid user role" });
@@ -860,10 +938,16 @@ const createCourse = async function (req, res) {
     // Create learning outcomes
     if (req.body.learningOutcomes && req.body.learningOutcomes.length > 0) {
       logger.info("Creating learning outcomes");
+      const { outcomes, error: outcomeError } = buildOutcomes(
+        req.body.learningOutcomes
+      );
+      if (outcomeError) {
+        throw new Error(outcomeError);
+      }
       const outcome = await CourseOutcome.create(
         [
           {
-            outcomes: req.body.learningOutcomes,
+            outcomes,
             course: course._id,
           },
         ],
@@ -952,21 +1036,18 @@ const createCourse = async function (req, res) {
       logger.info(`Credit points created with ID: ${creditPoints[0]._id}`);
     }
 
-    // Create attendance if provided
+    // Record attendance if provided (legacy map shape)
     if (req.body.attendance && req.body.attendance.sessions) {
-      logger.info("Creating course attendance");
-      const sessionsMap = new Map(Object.entries(req.body.attendance.sessions));
-      const attendance = await CourseAttendance.create(
-        [
-          {
-            sessions: sessionsMap,
-            course: course._id,
-          },
-        ],
-        { session }
+      logger.info("Recording course attendance");
+      const { error: attendanceError } = await recordLegacyAttendance(
+        course,
+        req.body.attendance.sessions,
+        req.user._id,
+        session
       );
-      course.attendance = attendance[0]._id;
-      logger.info(`Course attendance created with ID: ${attendance[0]._id}`);
+      if (attendanceError) {
+        throw new Error(attendanceError);
+      }
     }
 
     // Save updated course with all references
@@ -1025,6 +1106,13 @@ const createCourse = async function (req, res) {
       .populate("attendance");
 
     const createdCourse = await courseQuery.exec();
+    auditTarget(req, {
+      action: "course.create",
+      entity: "Course",
+      entityId: createdCourse._id,
+      label: `${createdCourse.title} (${createdCourse.courseCode})`,
+      after: snapshot(createdCourse),
+    });
     const formattedCourse = await formatCourseData(createdCourse);
 
     logger.info("Sending response with formatted course data");
@@ -1083,6 +1171,13 @@ const updateCourse = async function (req, res) {
     }
 
     logger.info(`Found course: ${course.title} (${course.courseCode})`);
+    auditTarget(req, {
+      action: "course.update",
+      entity: "Course",
+      entityId: course._id,
+      label: `${course.title} (${course.courseCode})`,
+      before: snapshot(course),
+    });
 
     if (req.body.courseCode) {
       const newCourseCode = req.body.courseCode.toUpperCase().trim();
@@ -1148,18 +1243,31 @@ const updateCourse = async function (req, res) {
 
     // Update learning outcomes
     if (req.body.learningOutcomes) {
-      if (course.outcomes) {
-        await CourseOutcome.findByIdAndUpdate(
-          course.outcomes,
-          { outcomes: req.body.learningOutcomes },
-          { session }
+      const courseOutcome =
+        course.outcomes &&
+        (await CourseOutcome.findById(course.outcomes).session(session));
+      if (courseOutcome) {
+        // Keeps the IDs of unchanged outcomes and unmaps removed ones
+        const outcomeError = await replaceOutcomes(
+          courseOutcome,
+          req.body.learningOutcomes,
+          session
         );
+        if (outcomeError) {
+          throw new Error(outcomeError);
+        }
         logger.info(`Updated existing learning outcomes: ${course.outcomes}`);
       } else {
+        const { outcomes, error: outcomeError } = buildOutcomes(
+          req.body.learningOutcomes
+        );
+        if (outcomeError) {
+          throw new Error(outcomeError);
+        }
         const outcome = await CourseOutcome.create(
           [
             {
-              outcomes: req.body.learningOutcomes,
+              outcomes,
               course: course._id,
             },
           ],
@@ -1174,12 +1282,20 @@ const updateCourse = async function (req, res) {
     // Update course schedule
     if (req.body.courseSchedule) {
       if (course.schedule) {
-        await CourseSchedule.findByIdAndUpdate(
+        const schedule = await CourseSchedule.findByIdAndUpdate(
           course.schedule,
           req.body.courseSchedule,
-          { session }
+          { session, new: true }
         );
         logger.info(`Updated existing schedule: ${course.schedule}`);
+
+        // Exams follow their exam dates until someone has started them
+        const movedExams = await rescheduleExams(course._id, schedule, session);
+        if (movedExams > 0) {
+          logger.info(
+            `Rescheduled ${movedExams} exams for course ${course._id}`
+          );
+        }
       } else {
         const schedule = await CourseSchedule.create(
           [
@@ -1246,31 +1362,18 @@ const updateCourse = async function (req, res) {
       }
     }
 
-    // Update attendance
+    // Update attendance (legacy map shape) as attendance sessions
     if (req.body.attendance && req.body.attendance.sessions) {
-      const sessionsMap = new Map(Object.entries(req.body.attendance.sessions));
-
-      if (course.attendance) {
-        await CourseAttendance.findByIdAndUpdate(
-          course.attendance,
-          { sessions: sessionsMap },
-          { session }
-        );
-        logger.info(`Updated existing attendance: ${course.attendance}`);
-      } else {
-        const attendance = await CourseAttendance.create(
-          [
-            {
-              sessions: sessionsMap,
-              course: course._id,
-            },
-          ],
-          { session }
-        );
-        course.attendance = attendance[0]._id;
-        await course.save({ session });
-        logger.info(`Created new attendance: ${attendance[0]._id}`);
+      const { error: attendanceError } = await recordLegacyAttendance(
+        course,
+        req.body.attendance.sessions,
+        req.user._id,
+        session
+      );
+      if (attendanceError) {
+        throw new Error(attendanceError);
       }
+      logger.info(`Updated attendance sessions of course: ${course._id}`);
     }
 
     logger.info("Committing transaction");
@@ -1289,6 +1392,7 @@ const updateCourse = async function (req, res) {
       .populate("attendance");
 
     const updatedCourse = await courseQuery.exec();
+    auditTarget(req, { after: snapshot(updatedCourse) });
     const formattedCourse = await formatCourseData(updatedCourse);
     res.json(formattedCourse);
   } catch (error) {
@@ -1340,6 +1444,13 @@ const deleteCourse = async function (req, res) {
     }
 
     logger.info(`Deleting course: ${course.title} (${course.courseCode})`);
+    auditTarget(req, {
+      action: "course.delete",
+      entity: "Course",
+      entityId: course._id,
+      label: `${course.title} (${course.courseCode})`,
+      before: snapshot(course),
+    });
 
     // Delete all related documents
     if (course.outcomes) {
@@ -1428,6 +1539,11 @@ const deleteCourse = async function (req, res) {
       await CourseAttendance.findByIdAndDelete(course.attendance, { session });
       logger.info(`Deleted course attendance: ${course.attendance}`);
     }
+    await AttendanceSession.deleteMany({ course: course._id }, { session });
+    await Gradebook.deleteMany({ course: course._id }, { session });
+    await SimilarityReport.deleteMany({ course: course._id }, { session });
+    await Quiz.deleteMany({ course: course._id }, { session });
+    await QuizAttempt.deleteMany({ course: course._id }, { session });
 
     // Delete all lectures for this course
     const lectures = await Lecture.find({ course: course._id }).session(
@@ -1512,48 +1628,32 @@ const updateCourseAttendance = async function (req, res) {
     transactionStarted = true;
     logger.info("Transaction started successfully");
 
-    const teacher = await Teacher.findOne({ user: req.user.id }).session(
+    // Owner, or co-teacher/TA with the mark-attendance capability
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "course:attendance:update",
+      req.params.courseId,
       session
     );
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      throw new Error("Teacher not found");
-    }
 
-    const course = await Course.findOne({
-      _id: req.params.courseId,
-      teacher: teacher._id,
-    }).session(session);
-
-    if (!course) {
+    if (!course || !granted) {
       logger.error(`Course not found with ID: ${req.params.courseId}`);
       throw new Error("Course not found");
     }
 
+    // The legacy map shape is recorded as attendance sessions, which the
+    // /api/attendance endpoints read
     if (req.body.sessions) {
-      const sessionsMap = new Map(Object.entries(req.body.sessions));
-
-      if (course.attendance) {
-        await CourseAttendance.findByIdAndUpdate(
-          course.attendance,
-          { sessions: sessionsMap },
-          { session }
-        );
-        logger.info(`Updated existing attendance: ${course.attendance}`);
-      } else {
-        const attendance = await CourseAttendance.create(
-          [
-            {
-              sessions: sessionsMap,
-              course: course._id,
-            },
-          ],
-          { session }
-        );
-        course.attendance = attendance[0]._id;
-        await course.save({ session });
-        logger.info(`Created new attendance: ${attendance[0]._id}`);
+      const { error: attendanceError } = await recordLegacyAttendance(
+        course,
+        req.body.sessions,
+        req.user._id,
+        session
+      );
+      if (attendanceError) {
+        throw new Error(attendanceError);
       }
+      logger.info(`Updated attendance sessions of course: ${course._id}`);
     }
 
     logger.info("Committing transaction");
@@ -1561,24 +1661,13 @@ const updateCourseAttendance = async function (req, res) {
     transactionStarted = false;
     logger.info("Transaction committed successfully");
 
-    // Get updated course attendance
-    const updatedCourse = await Course.findById(course._id).populate(
-      "attendance"
-    );
-
-    // Format attendance for response
-    const attendanceSessions = {};
-    if (updatedCourse.attendance && updatedCourse.attendance.sessions) {
-      for (const [key, value] of updatedCourse.attendance.sessions.entries()) {
-        attendanceSessions[key] = value;
-      }
-    }
-
     res.json({
-      _id: updatedCourse._id,
-      courseCode: updatedCourse.courseCode,
+      _id: course._id,
+      courseCode: course.courseCode,
       attendance: {
-        sessions: attendanceSessions,
+        sessions: legacyAttendanceMap(
+          await findAttendanceSessions([course._id])
+        ),
       },
     });
   } catch (error) {
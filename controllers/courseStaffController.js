@@ -0,0 +1,365 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Teacher = require("../models/Teacher");
+const Student = require("../models/Student");
+const User = require("../models/User");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { STAFF_ROLES } = require("../config/permissions");
+const { sendMail } = require("../utils/mailer");
+const { isEnrolled } = require("../utils/attendance");
+const { auditTarget, snapshot } = require("../utils/audit");
+
+// Capabilities must be a subset of what the staff role allows. Left out, they
+// default to everything the role allows; an empty list grants none.
+const resolveCapabilities = (role, capabilities) => {
+  if (capabilities === undefined || capabilities === null) {
+    return { capabilities: STAFF_ROLES[role] };
+  }
+
+  const requested = Array.isArray(capabilities) ? capabilities : [capabilities];
+  const invalid = requested.filter((cap) => !STAFF_ROLES[role].includes(cap));
+  if (invalid.length) {
+    return {
+      error: `Invalid capabilities for ${role}: ${invalid.join(
+        ", "
+      )}. Allowed: ${STAFF_ROLES[role].join(", ")}`,
+    };
+  }
+
+  return { capabilities: [...new Set(requested)] };
+};
+
+const formatStaffMember = (member) => ({
+  id: member._id,
+  user: member.user,
+  role: member.role,
+  capabilities: member.capabilities,
+  status: member.status,
+  invitedBy: member.invitedBy,
+  invitedAt: member.invitedAt,
+  acceptedAt: member.acceptedAt,
+});
+
+// Name a staff change in the audit log: the course, and the staff member's user
+const auditStaff = (req, action, course, userId) => {
+  auditTarget(req, {
+    action,
+    entity: "Course",
+    entityId: course._id,
+    label: course.courseCode,
+    before: snapshot({ staff: course.staff }),
+  });
+  auditTarget(req, { entity: "User", entityId: userId });
+};
+
+// Get co-teachers and teaching assistants of a course
+exports.getCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseStaff: Started");
+
+  try {
+    const course = await Course.findById(req.params.courseId).populate(
+      "staff.user",
+      "name email role"
+    );
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      staff: course.staff.map(formatStaffMember),
+    });
+  } catch (error) {
+    console.error("Error in getCourseStaff:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Invite a co-teacher or teaching assistant onto a course
+exports.inviteCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  console.log("inviteCourseStaff: Started");
+
+  try {
+    const { courseId } = req.params;
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return next(new ErrorHandler("Email and role are required", 400));
+    }
+
+    if (!STAFF_ROLES[role]) {
+      return next(
+        new ErrorHandler(
+          `Role must be one of: ${Object.keys(STAFF_ROLES).join(", ")}`,
+          400
+        )
+      );
+    }
+
+    const { capabilities, error } = resolveCapabilities(
+      role,
+      req.body.capabilities
+    );
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const invitee = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!invitee) {
+      return next(new ErrorHandler("No user found with that email", 404));
+    }
+
+    if (invitee.role === "admin") {
+      return next(
+        new ErrorHandler("Admins already have access to every course", 400)
+      );
+    }
+
+    // Co-teachers manage content, so they need a teacher profile
+    if (role === "co-teacher" && invitee.role !== "teacher") {
+      return next(
+        new ErrorHandler("Only teachers can be invited as co-teachers", 400)
+      );
+    }
+
+    // Staff who grade must not be grading their own class
+    const studentProfiles = await Student.find({ user: invitee._id }).select(
+      "teacher courses courseCodes"
+    );
+    if (studentProfiles.some((student) => isEnrolled(student, course))) {
+      return next(
+        new ErrorHandler(
+          "Students enrolled in the course cannot be added as staff",
+          400
+        )
+      );
+    }
+
+    const owner = await Teacher.findById(course.teacher);
+    if (owner && owner.user.equals(invitee._id)) {
+      return next(
+        new ErrorHandler("The course teacher cannot be added as staff", 400)
+      );
+    }
+
+    if (course.staff.some((member) => member.user.equals(invitee._id))) {
+      return next(
+        new ErrorHandler("This user is already on the course staff", 400)
+      );
+    }
+
+    auditStaff(req, "course-staff.invite", course, invitee._id);
+    course.staff.push({
+      user: invitee._id,
+      role,
+      capabilities,
+      status: "invited",
+      invitedBy: req.user._id,
+    });
+    await course.save();
+    auditTarget(req, { after: snapshot({ staff: course.staff }) });
+
+    const member = course.staff[course.staff.length - 1];
+    console.log(`Invited ${invitee.email} as ${role} on course ${courseId}`);
+
+    try {
+      await sendMail({
+        to: invitee.email,
+        subject: `Invitation to join ${course.title} as ${role}`,
+        text: `Hello ${invitee.name},\n\n${req.user.name} has invited you to join "${course.title}" (${course.courseCode}) as ${role}. Sign in to accept or decline the invitation.`,
+      });
+    } catch (mailError) {
+      console.error("Error sending staff invitation email:", mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      member: formatStaffMember(member),
+    });
+  } catch (error) {
+    console.error("Error in inviteCourseStaff:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Change the role or capabilities of a staff member
+exports.updateCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateCourseStaff: Started");
+
+  try {
+    const { courseId, memberId } = req.params;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const member = course.staff.id(memberId);
+    if (!member) {
+      return next(new ErrorHandler("Staff member not found", 404));
+    }
+
+    const role = req.body.role || member.role;
+    if (!STAFF_ROLES[role]) {
+      return next(
+        new ErrorHandler(
+          `Role must be one of: ${Object.keys(STAFF_ROLES).join(", ")}`,
+          400
+        )
+      );
+    }
+
+    if (role === "co-teacher" && role !== member.role) {
+      const user = await User.findById(member.user);
+      if (!user || user.role !== "teacher") {
+        return next(
+          new ErrorHandler("Only teachers can be made co-teachers", 400)
+        );
+      }
+    }
+
+    // Switching role without naming capabilities resets them to the role default
+    const requested =
+      req.body.capabilities !== undefined
+        ? req.body.capabilities
+        : role === member.role
+        ? member.capabilities
+        : undefined;
+    const { capabilities, error } = resolveCapabilities(role, requested);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    auditStaff(req, "course-staff.update", course, member.user);
+    member.role = role;
+    member.capabilities = capabilities;
+    await course.save();
+    auditTarget(req, { after: snapshot({ staff: course.staff }) });
+
+    res.status(200).json({
+      success: true,
+      message: "Staff member updated successfully",
+      member: formatStaffMember(member),
+    });
+  } catch (error) {
+    console.error("Error in updateCourseStaff:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Remove a staff member (or withdraw a pending invitation)
+exports.removeCourseStaff = catchAsyncErrors(async (req, res, next) => {
+  console.log("removeCourseStaff: Started");
+
+  try {
+    const { courseId, memberId } = req.params;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const member = course.staff.id(memberId);
+    if (!member) {
+      return next(new ErrorHandler("Staff member not found", 404));
+    }
+
+    auditStaff(req, "course-staff.remove", course, member.user);
+    member.deleteOne();
+    await course.save();
+    auditTarget(req, { after: snapshot({ staff: course.staff }) });
+
+    res.status(200).json({
+      success: true,
+      message: "Staff member removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in removeCourseStaff:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Get pending staff invitations for the authenticated user
+exports.getMyStaffInvitations = catchAsyncErrors(async (req, res, next) => {
+  console.log("getMyStaffInvitations: Started");
+
+  try {
+    const courses = await Course.find({
+      staff: { $elemMatch: { user: req.user._id, status: "invited" } },
+    }).select("title courseCode staff");
+
+    const invitations = courses.map((course) => {
+      const member = course.staff.find(
+        (m) => m.user.equals(req.user._id) && m.status === "invited"
+      );
+      return {
+        courseId: course._id,
+        title: course.title,
+        courseCode: course.courseCode,
+        ...formatStaffMember(member),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      invitations,
+    });
+  } catch (error) {
+    console.error("Error in getMyStaffInvitations:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Accept or decline an invitation addressed to the authenticated user
+const respondToInvitation = (accept) =>
+  catchAsyncErrors(async (req, res, next) => {
+    try {
+      const { courseId } = req.params;
+      if (!mongoose.isValidObjectId(courseId)) {
+        return next(new ErrorHandler("Invalid course ID", 400));
+      }
+
+      const course = await Course.findById(courseId);
+      const member =
+        course &&
+        course.staff.find(
+          (m) => m.user.equals(req.user._id) && m.status === "invited"
+        );
+      if (!member) {
+        return next(new ErrorHandler("No pending invitation found", 404));
+      }
+
+      auditStaff(
+        req,
+        accept ? "course-staff.accept" : "course-staff.decline",
+        course,
+        member.user
+      );
+      if (accept) {
+        member.status = "active";
+        member.acceptedAt = new Date();
+      } else {
+        member.deleteOne();
+      }
+      await course.save();
+      auditTarget(req, { after: snapshot({ staff: course.staff }) });
+
+      res.status(200).json({
+        success: true,
+        message: accept ? "Invitation accepted" : "Invitation declined",
+      });
+    } catch (error) {
+      console.error("Error responding to staff invitation:", error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  });
+
+exports.acceptStaffInvitation = respondToInvitation(true);
+exports.declineStaffInvitation = respondToInvitation(false);
@@ -1,15 +1,26 @@
 const mongoose = require("mongoose");
 const Discussion = require("../models/Discussion");
-const Course = require("../models/Course");
 const Teacher = require("../models/Teacher");
 const Student = require("../models/Student");
 const { ErrorHandler } = require("../middleware/errorHandler");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { getCourseAccess } = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
 
+// Name a discussion change in the audit log
+const auditDiscussion = (req, action, discussion, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "Discussion",
+    entityId: discussion._id,
+    label: discussion.title,
+    ...changes,
+  });
+
 // Helper function for uploading files to Azure
 const uploadFileToAzureStorage = async (file, path) => {
   console.log("Uploading file to Azure");
@@ -56,6 +67,29 @@ const deleteFileFromAzureStorage = async (fileKey) => {
   });
 };
 
+// Whether the user can act on the discussion's course (owner, co-teacher, TA
+// or enrolled student)
+const hasCourseAccess = async (user, action, courseId, session = null) => {
+  const { course, granted } = await getCourseAccess(
+    user,
+    action,
+    courseId,
+    session
+  );
+  return !!course && granted;
+};
+
+// Admins and course moderators may remove other people's posts
+const canModerate = async (user, discussion, session = null) =>
+  user.role === "admin" ||
+  (!!discussion.course &&
+    (await hasCourseAccess(
+      user,
+      "discussion:moderate",
+      discussion.course,
+      session
+    )));
+
 // Create a new discussion - CORRECTED for both teacher and student access
 exports.createDiscussion = catchAsyncErrors(async (req, res, next) => {
   console.log("createDiscussion: Started");
@@ -104,12 +138,14 @@ exports.createDiscussion = catchAsyncErrors(async (req, res, next) => {
           );
         }
 
-        const course = await Course.findOne({
-          _id: courseId,
-          teacher: authorProfile._id,
-        }).session(session);
-
-        if (!course) {
+        if (
+          !(await hasCourseAccess(
+            req.user,
+            "discussion:create",
+            courseId,
+            session
+          ))
+        ) {
           console.log("Course not found or teacher doesn't have access");
           return next(
             new ErrorHandler("Course not found or unauthorized", 404)
@@ -142,22 +178,20 @@ exports.createDiscussion = catchAsyncErrors(async (req, res, next) => {
         );
       }
 
-      const isEnrolled = authorProfile.courses.some(
-        (id) => id.toString() === courseId
-      );
-      if (!isEnrolled) {
+      // Enrolled students and students serving as TAs on the course
+      if (
+        !(await hasCourseAccess(
+          req.user,
+          "discussion:create",
+          courseId,
+          session
+        ))
+      ) {
         console.log("Student not enrolled in course");
         return next(
           new ErrorHandler("You are not enrolled in this course", 403)
         );
       }
-
-      // Verify the course exists
-      const course = await Course.findById(courseId).session(session);
-      if (!course) {
-        console.log("Course not found");
-        return next(new ErrorHandler("Course not found", 404));
-      }
     } else {
       return next(new ErrorHandler("Invalid user role", 403));
     }
@@ -225,6 +259,9 @@ exports.createDiscussion = catchAsyncErrors(async (req, res, next) => {
     // Save discussion
     await discussion.save({ session });
     console.log(`Discussion saved with ID: ${discussion._id}`);
+    auditDiscussion(req, "discussion.create", discussion, {
+      after: snapshot(discussion),
+    });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -291,37 +328,9 @@ exports.getCourseDiscussions = catchAsyncErrors(async (req, res, next) => {
   const { courseId } = req.params;
 
   try {
-    // Verify user has access to this course based on their role
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({ user: req.user._id });
-      if (!teacher) {
-        return next(new ErrorHandler("Teacher profile not found", 404));
-      }
-
-      const course = await Course.findOne({
-        _id: courseId,
-        teacher: teacher._id,
-      });
-
-      if (!course) {
-        return next(new ErrorHandler("Course not found or unauthorized", 404));
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({ user: req.user._id });
-      if (!student) {
-        return next(new ErrorHandler("Student profile not found", 404));
-      }
-
-      const isEnrolled = student.courses.some(
-        (id) => id.toString() === courseId
-      );
-      if (!isEnrolled) {
-        return next(
-          new ErrorHandler("You are not enrolled in this course", 403)
-        );
-      }
-    } else {
-      return next(new ErrorHandler("Invalid user role", 403));
+    // Verify user has access to this course
+    if (!(await hasCourseAccess(req.user, "discussion:read", courseId))) {
+      return next(new ErrorHandler("Course not found or unauthorized", 404));
     }
 
     // Get discussions for this course
@@ -373,38 +382,11 @@ exports.getDiscussionById = catchAsyncErrors(async (req, res, next) => {
 
     // If it's a course discussion, verify user has access
     if (discussion.type === "course") {
-      if (req.user.role === "teacher") {
-        const teacher = await Teacher.findOne({ user: req.user._id });
-        if (!teacher) {
-          return next(new ErrorHandler("Teacher not found", 404));
-        }
-
-        if (discussion.course) {
-          const course = await Course.findOne({
-            _id: discussion.course,
-            teacher: teacher._id,
-          });
-
-          if (!course) {
-            return next(new ErrorHandler("Unauthorized access", 403));
-          }
-        }
-      } else if (req.user.role === "student") {
-        const student = await Student.findOne({ user: req.user._id });
-        if (!student) {
-          return next(new ErrorHandler("Student not found", 404));
-        }
-
-        if (discussion.course) {
-          const isEnrolled = student.courses.some(
-            (id) => id.toString() === discussion.course.toString()
-          );
-          if (!isEnrolled) {
-            return next(
-              new ErrorHandler("You are not enrolled in this course", 403)
-            );
-          }
-        }
+      if (
+        discussion.course &&
+        !(await hasCourseAccess(req.user, "discussion:read", discussion.course))
+      ) {
+        return next(new ErrorHandler("Unauthorized access", 403));
       }
     }
     // If it's a teacher discussion, verify user is a teacher
@@ -460,43 +442,19 @@ exports.addComment = catchAsyncErrors(async (req, res, next) => {
         );
       }
     } else if (discussion.type === "course") {
-      // Both teachers and students can comment on course discussions, but need proper access
-      if (req.user.role === "teacher") {
-        const teacher = await Teacher.findOne({ user: req.user._id });
-        if (!teacher) {
-          return next(new ErrorHandler("Teacher profile not found", 404));
-        }
-
-        if (discussion.course) {
-          const course = await Course.findOne({
-            _id: discussion.course,
-            teacher: teacher._id,
-          });
-
-          if (!course) {
-            return next(
-              new ErrorHandler("Unauthorized access to this course", 403)
-            );
-          }
-        }
-      } else if (req.user.role === "student") {
-        const student = await Student.findOne({ user: req.user._id });
-        if (!student) {
-          return next(new ErrorHandler("Student profile not found", 404));
-        }
-
-        if (discussion.course) {
-          const isEnrolled = student.courses.some(
-            (id) => id.toString() === discussion.course.toString()
-          );
-          if (!isEnrolled) {
-            return next(
-              new ErrorHandler("You are not enrolled in this course", 403)
-            );
-          }
-        }
-      } else {
-        return next(new ErrorHandler("Invalid user role", 403));
+      // Anyone on the course (teaching staff or enrolled students) can comment
+      if (
+        discussion.course &&
+        !(await hasCourseAccess(
+          req.user,
+          "discussion:comment",
+          discussion.course,
+          session
+        ))
+      ) {
+        return next(
+          new ErrorHandler("Unauthorized access to this course", 403)
+        );
       }
     }
 
@@ -552,6 +510,9 @@ exports.addComment = catchAsyncErrors(async (req, res, next) => {
     // Add comment to discussion
     discussion.comments.push(comment);
     await discussion.save({ session });
+    auditDiscussion(req, "discussion.comment-add", discussion, {
+      after: snapshot(discussion.comments[discussion.comments.length - 1]),
+    });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -618,38 +579,16 @@ exports.addReplyToComment = catchAsyncErrors(async (req, res, next) => {
         )
       );
     } else if (discussion.type === "course") {
-      if (req.user.role === "teacher") {
-        const teacher = await Teacher.findOne({ user: req.user._id });
-        if (!teacher) {
-          return next(new ErrorHandler("Teacher not found", 404));
-        }
-
-        if (discussion.course) {
-          const course = await Course.findOne({
-            _id: discussion.course,
-            teacher: teacher._id,
-          });
-
-          if (!course) {
-            return next(new ErrorHandler("Unauthorized access", 403));
-          }
-        }
-      } else if (req.user.role === "student") {
-        const student = await Student.findOne({ user: req.user._id });
-        if (!student) {
-          return next(new ErrorHandler("Student not found", 404));
-        }
-
-        if (discussion.course) {
-          const isEnrolled = student.courses.some(
-            (id) => id.toString() === discussion.course.toString()
-          );
-          if (!isEnrolled) {
-            return next(
-              new ErrorHandler("You are not enrolled in this course", 403)
-            );
-          }
-        }
+      if (
+        discussion.course &&
+        !(await hasCourseAccess(
+          req.user,
+          "discussion:comment",
+          discussion.course,
+          session
+        ))
+      ) {
+        return next(new ErrorHandler("Unauthorized access", 403));
       }
     }
 
@@ -728,6 +667,11 @@ exports.addReplyToComment = catchAsyncErrors(async (req, res, next) => {
     result.comment.replies = result.comment.replies || [];
     result.comment.replies.push(reply);
     await discussion.save({ session });
+    auditDiscussion(req, "discussion.reply-add", discussion, {
+      after: snapshot(
+        result.comment.replies[result.comment.replies.length - 1]
+      ),
+    });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -780,11 +724,16 @@ exports.updateDiscussion = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
+    auditDiscussion(req, "discussion.update", discussion, {
+      before: snapshot(discussion),
+    });
+
     // Update discussion fields
     if (title) discussion.title = title;
     if (content) discussion.content = content;
 
     await discussion.save({ session });
+    auditTarget(req, { after: snapshot(discussion) });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -866,10 +815,15 @@ exports.updateComment = catchAsyncErrors(async (req, res, next) => {
       );
     }
 
+    auditDiscussion(req, "discussion.comment-update", discussion, {
+      before: snapshot(result.comment),
+    });
+
     // Update the comment
     result.comment.content = content;
 
     await discussion.save({ session });
+    auditTarget(req, { after: snapshot(result.comment) });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -939,22 +893,27 @@ exports.deleteComment = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Comment not found", 404));
     }
 
-    // Verify permissions
+    // Verify permissions (author, discussion owner or moderator)
     if (
       result.comment.author.toString() !== req.user._id.toString() &&
       discussion.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
+      !(await canModerate(req.user, discussion, session))
     ) {
       return next(
         new ErrorHandler("You can only delete your own comments", 403)
       );
     }
 
+    auditDiscussion(req, "discussion.comment-delete", discussion, {
+      before: snapshot(result.comment),
+    });
+
     // Soft delete the comment
     result.comment.isDeleted = true;
     result.comment.content = "This comment has been deleted";
 
     await discussion.save({ session });
+    auditTarget(req, { after: snapshot(result.comment) });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -998,10 +957,10 @@ exports.deleteDiscussion = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Discussion not found", 404));
     }
 
-    // Verify the user is the author of the discussion or an admin
+    // Verify the user is the author of the discussion or a moderator
     if (
       discussion.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
+      !(await canModerate(req.user, discussion, session))
     ) {
       return next(
         new ErrorHandler("You can only delete your own discussions", 403)
@@ -1009,6 +968,9 @@ exports.deleteDiscussion = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Delete the discussion
+    auditDiscussion(req, "discussion.delete", discussion, {
+      before: snapshot(discussion),
+    });
     await Discussion.findByIdAndDelete(discussionId).session(session);
 
     await session.commitTransaction();
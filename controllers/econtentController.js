@@ -7,6 +7,17 @@ const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
+const { auditTarget, snapshot } = require("../utils/audit");
+
+// Name an e-content module change in the audit log, before the module changes
+const auditModule = (req, action, eContent, module) =>
+  auditTarget(req, {
+    action,
+    entity: "EContent",
+    entityId: eContent._id,
+    label: `Module ${module.moduleNumber}: ${module.moduleTitle}`,
+    before: snapshot(module),
+  });
 
 // Function to handle file uploads - extracted to avoid code duplication
 const handleFileUploads = async (files, allowedTypes, next) => {
@@ -177,6 +188,13 @@ exports.createEContent = catchAsyncErrors(async (req, res, next) => {
     console.log("Saving eContent");
     await eContent.save({ session });
     console.log(`EContent saved with ID: ${eContent._id}`);
+    auditTarget(req, {
+      action: "e-content.module-create",
+      entity: "EContent",
+      entityId: eContent._id,
+      label: `Module ${moduleNumber}: ${moduleTitle}`,
+      after: snapshot(eContent.modules[eContent.modules.length - 1]),
+    });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -298,6 +316,8 @@ exports.updateModule = catchAsyncErrors(async (req, res, next) => {
       console.log(`Module not found: ${moduleId}`);
       return next(new ErrorHandler("Module not found", 404));
     }
+
+    auditModule(req, "e-content.module-update", eContent, module);
     // Update module details
     if (moduleNumber) {
       module.moduleNumber = moduleNumber;
@@ -336,6 +356,7 @@ exports.updateModule = catchAsyncErrors(async (req, res, next) => {
     }
     console.log("Saving updated eContent");
     await eContent.save({ session });
+    auditTarget(req, { after: snapshot(module) });
     console.log("EContent updated");
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -398,6 +419,8 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "e-content.module-delete", eContent, module);
+
     // Delete all module files from Azure if there are any
     if (module.files && module.files.length > 0) {
       console.log(`Deleting ${module.files.length} files from Azure`);
@@ -487,6 +510,8 @@ exports.deleteFile = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "e-content.file-delete", eContent, module);
+
     // Find the file
     const fileIndex = module.files.findIndex(
       (file) => file._id.toString() === fileId
@@ -514,6 +539,7 @@ exports.deleteFile = catchAsyncErrors(async (req, res, next) => {
 
     console.log("Saving updated eContent");
     await eContent.save({ session });
+    auditTarget(req, { after: snapshot(module) });
     console.log("File removed from module");
 
     console.log("Committing transaction");
@@ -1,4 +1,15 @@
 const Event = require("../models/Event");
+const { auditTarget, snapshot } = require("../utils/audit");
+
+// Name an event change in the audit log
+const auditEvent = (req, action, event, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "Event",
+    entityId: event._id,
+    label: event.name,
+    ...changes,
+  });
 
 const getAllEvents = async (req, res) => {
   try {
@@ -44,6 +55,7 @@ const getEventById = async (req, res) => {
 const createEvent = async (req, res) => {
   try {
     const event = await Event.create(req.body);
+    auditEvent(req, "event.create", event, { after: snapshot(event) });
     res.status(201).json({
       success: true,
       data: event,
@@ -67,10 +79,13 @@ const createEvent = async (req, res) => {
 
 const updateEvent = async (req, res) => {
   try {
-    const event = await Event.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    const previous = await Event.findById(req.params.id);
+    const event =
+      previous &&
+      (await Event.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+        runValidators: true,
+      }));
 
     if (!event) {
       return res.status(404).json({
@@ -78,6 +93,10 @@ const updateEvent = async (req, res) => {
         error: "Event not found",
       });
     }
+    auditEvent(req, "event.update", event, {
+      before: snapshot(previous),
+      after: snapshot(event),
+    });
 
     res.status(200).json({
       success: true,
@@ -111,6 +130,7 @@ const deleteEvent = async (req, res) => {
       });
     }
 
+    auditEvent(req, "event.delete", event, { before: snapshot(event) });
     await event.deleteOne();
 
     res.status(200).json({
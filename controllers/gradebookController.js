@@ -0,0 +1,400 @@
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const {
+  isStaffAccess,
+  isOwnStudentRecord,
+} = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
+const { sendWorkbook, sendCsv } = require("../utils/excelExport");
+const { enrolledStudentFilter } = require("../utils/attendance");
+const {
+  getGradebook,
+  readGradebook,
+  validateGradebookConfig,
+  computeGradebook,
+  gradebookExportRows,
+} = require("../utils/gradebook");
+
+// IDs from the list that are not students of the course
+const findUnenrolled = async (course, studentIds) => {
+  const enrolled = await Student.find({
+    _id: { $in: studentIds },
+    ...enrolledStudentFilter(course),
+  }).select("_id");
+  const enrolledIds = enrolled.map((s) => s._id.toString());
+  return studentIds.filter((id) => !enrolledIds.includes(String(id)));
+};
+
+// Name a gradebook change in the audit log, with the state before it
+const auditGradebook = (req, action, gradebook) =>
+  auditTarget(req, {
+    action,
+    entity: "Gradebook",
+    entityId: gradebook._id,
+    label: `${req.access.course.title} (${req.access.course.courseCode})`,
+    before: snapshot(gradebook),
+  });
+
+// Full gradebook for staff; a student gets the configuration and their own row
+exports.getCourseGradebook = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseGradebook: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const gradebook = await readGradebook(course);
+    const result = await computeGradebook(course, gradebook);
+
+    if (isStaffAccess(req.access)) {
+      return res.status(200).json({
+        success: true,
+        gradebook: result,
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+    const { students, ...config } = result;
+    res.status(200).json({
+      success: true,
+      gradebook: {
+        ...config,
+        student:
+          students.find((row) => row.studentId.equals(student._id)) || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getCourseGradebook:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Replace the weighted categories and/or the letter-grade scale
+exports.updateGradebookConfig = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateGradebookConfig: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const { categories, gradeScale } = req.body;
+    if (categories === undefined && gradeScale === undefined) {
+      return next(
+        new ErrorHandler("Provide categories and/or gradeScale to update", 400)
+      );
+    }
+    const error = validateGradebookConfig({ categories, gradeScale });
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const gradebook = await getGradebook(course);
+    auditGradebook(req, "gradebook.config-update", gradebook);
+
+    if (categories !== undefined) {
+      // Existing categories keep their _id (and manual scores) when passed back
+      gradebook.categories = categories.map(
+        ({ _id, name, source, weight, maxPoints }) => ({
+          ...(mongoose.isValidObjectId(_id) && { _id }),
+          name,
+          source,
+          weight,
+          maxPoints: source === "manual" ? maxPoints : undefined,
+        })
+      );
+      const categoryIds = gradebook.categories
+        .filter((c) => c.source === "manual")
+        .map((c) => c._id.toString());
+      gradebook.manualScores = gradebook.manualScores.filter((s) =>
+        categoryIds.includes(s.category.toString())
+      );
+    }
+
+    if (gradeScale !== undefined) {
+      gradebook.gradeScale = gradeScale.map(({ letter, minPercentage }) => ({
+        letter,
+        minPercentage,
+      }));
+      const letters = gradebook.gradeScale.map((band) => band.letter);
+      const stale = gradebook.overrides.filter(
+        (o) => !letters.includes(o.letterGrade)
+      );
+      if (stale.length) {
+        return next(
+          new ErrorHandler(
+            `Overrides use grades missing from the new scale: ${[
+              ...new Set(stale.map((o) => o.letterGrade)),
+            ].join(", ")}`,
+            400
+          )
+        );
+      }
+    }
+
+    gradebook.updatedBy = req.user._id;
+    await gradebook.save();
+    auditTarget(req, { after: snapshot(gradebook) });
+    console.log(`Gradebook configuration updated for course ${course._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Gradebook updated successfully",
+      categories: gradebook.categories,
+      gradeScale: gradebook.gradeScale,
+    });
+  } catch (error) {
+    console.error("Error in updateGradebookConfig:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Enter marks for a manual category such as mid-sem or end-sem.
+// A score of null removes the student's mark.
+exports.recordManualScores = catchAsyncErrors(async (req, res, next) => {
+  console.log("recordManualScores: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const gradebook = await getGradebook(course);
+    auditGradebook(req, "gradebook.scores-record", gradebook);
+    const category = gradebook.categories.find(
+      (c) => c._id.toString() === req.params.categoryId
+    );
+    if (!category) {
+      return next(new ErrorHandler("Gradebook category not found", 404));
+    }
+    if (category.source !== "manual") {
+      return next(
+        new ErrorHandler(
+          `${category.name} is computed from ${category.source}; grade those instead`,
+          400
+        )
+      );
+    }
+
+    const { scores } = req.body;
+    if (!Array.isArray(scores) || scores.length === 0) {
+      return next(new ErrorHandler("scores must be a non-empty array", 400));
+    }
+    for (const { studentId, score } of scores) {
+      if (!mongoose.isValidObjectId(studentId)) {
+        return next(new ErrorHandler(`Invalid student ID: ${studentId}`, 400));
+      }
+      if (score !== null && !(score >= 0 && score <= category.maxPoints)) {
+        return next(
+          new ErrorHandler(
+            `Score must be between 0 and ${category.maxPoints}`,
+            400
+          )
+        );
+      }
+    }
+    const studentIds = scores.map((s) => String(s.studentId));
+    if (new Set(studentIds).size !== studentIds.length) {
+      return next(new ErrorHandler("Each student can only appear once", 400));
+    }
+    const unenrolled = await findUnenrolled(course, studentIds);
+    if (unenrolled.length) {
+      return next(
+        new ErrorHandler(
+          `Students not enrolled in this course: ${unenrolled.join(", ")}`,
+          400
+        )
+      );
+    }
+    for (const studentId of studentIds) {
+      if (await isOwnStudentRecord(req.user, studentId)) {
+        return next(
+          new ErrorHandler("You cannot grade your own submission", 403)
+        );
+      }
+    }
+
+    gradebook.manualScores = gradebook.manualScores.filter(
+      (s) =>
+        !s.category.equals(category._id) ||
+        !studentIds.includes(s.student.toString())
+    );
+    scores
+      .filter(({ score }) => score !== null)
+      .forEach(({ studentId, score }) => {
+        gradebook.manualScores.push({
+          student: studentId,
+          category: category._id,
+          score,
+          enteredBy: req.user._id,
+        });
+      });
+    gradebook.updatedBy = req.user._id;
+    await gradebook.save();
+    auditTarget(req, { after: snapshot(gradebook) });
+
+    console.log(
+      `Recorded ${scores.length} ${category.name} scores for course ${course._id}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Scores recorded successfully",
+    });
+  } catch (error) {
+    console.error("Error in recordManualScores:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Set a student's final letter grade by hand
+exports.setGradeOverride = catchAsyncErrors(async (req, res, next) => {
+  console.log("setGradeOverride: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const { studentId } = req.params;
+    const { letterGrade, reason } = req.body;
+    if (!mongoose.isValidObjectId(studentId)) {
+      return next(new ErrorHandler("Invalid student ID", 400));
+    }
+    if (!reason || !String(reason).trim()) {
+      return next(
+        new ErrorHandler("A reason for the override is required", 400)
+      );
+    }
+
+    const gradebook = await getGradebook(course);
+    auditGradebook(req, "gradebook.override-set", gradebook);
+    if (!gradebook.gradeScale.some((band) => band.letter === letterGrade)) {
+      return next(
+        new ErrorHandler(
+          `Grade must be one of: ${gradebook.gradeScale
+            .map((band) => band.letter)
+            .join(", ")}`,
+          400
+        )
+      );
+    }
+    if ((await findUnenrolled(course, [studentId])).length) {
+      return next(
+        new ErrorHandler("Student is not enrolled in this course", 400)
+      );
+    }
+    if (await isOwnStudentRecord(req.user, studentId)) {
+      return next(
+        new ErrorHandler("You cannot grade your own submission", 403)
+      );
+    }
+
+    gradebook.overrides = gradebook.overrides.filter(
+      (o) => o.student.toString() !== studentId
+    );
+    gradebook.overrides.push({
+      student: studentId,
+      letterGrade,
+      reason,
+      overriddenBy: req.user._id,
+    });
+    gradebook.updatedBy = req.user._id;
+    await gradebook.save();
+    auditTarget(req, { after: snapshot(gradebook) });
+
+    console.log(
+      `Grade for student ${studentId} in course ${course._id} overridden to ${letterGrade}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Grade override saved successfully",
+    });
+  } catch (error) {
+    console.error("Error in setGradeOverride:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Go back to the computed grade
+exports.clearGradeOverride = catchAsyncErrors(async (req, res, next) => {
+  console.log("clearGradeOverride: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const gradebook = await getGradebook(course);
+    auditGradebook(req, "gradebook.override-clear", gradebook);
+    const remaining = gradebook.overrides.filter(
+      (o) => o.student.toString() !== req.params.studentId
+    );
+    if (remaining.length === gradebook.overrides.length) {
+      return next(new ErrorHandler("No override found for this student", 404));
+    }
+
+    gradebook.overrides = remaining;
+    gradebook.updatedBy = req.user._id;
+    await gradebook.save();
+    auditTarget(req, { after: snapshot(gradebook) });
+
+    res.status(200).json({
+      success: true,
+      message: "Grade override removed successfully",
+    });
+  } catch (error) {
+    console.error("Error in clearGradeOverride:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Download the gradebook as Excel (default) or ?format=csv
+exports.exportGradebook = catchAsyncErrors(async (req, res, next) => {
+  console.log("exportGradebook: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const format = req.query.format || "xlsx";
+    if (!["xlsx", "csv"].includes(format)) {
+      return next(new ErrorHandler("Format must be xlsx or csv", 400));
+    }
+
+    const gradebook = await readGradebook(course);
+    const rows = gradebookExportRows(await computeGradebook(course, gradebook));
+    const filename = `gradebook-${course.courseCode}.${format}`;
+
+    if (format === "csv") {
+      return sendCsv(res, filename, rows);
+    }
+    sendWorkbook(res, filename, [
+      { name: "Gradebook", rows },
+      {
+        name: "Grade Scale",
+        rows: gradebook.gradeScale.map((band) => ({
+          Grade: band.letter,
+          "Minimum %": band.minPercentage,
+        })),
+      },
+    ]);
+  } catch (error) {
+    console.error("Error in exportGradebook:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
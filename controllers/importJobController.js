@@ -0,0 +1,191 @@
+const mongoose = require("mongoose");
+const ImportJob = require("../models/ImportJob");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { sendWorkbook } = require("../utils/excelExport");
+const { auditTarget } = require("../utils/audit");
+const {
+  parseColumnMapping,
+  separatePasswords,
+} = require("../utils/userImport");
+const {
+  createImportJob,
+  findRowLogs,
+  processImportJobs,
+  wakeImportWorker,
+  rejectedRowsSheet,
+} = require("../utils/importJobs");
+
+const ROW_STATUSES = ["created", "updated", "skipped", "failed"];
+
+const findImportJob = async (jobId) => {
+  if (!mongoose.isValidObjectId(jobId)) {
+    throw new ErrorHandler("Invalid import job ID", 400);
+  }
+  const job = await ImportJob.findById(jobId);
+  if (!job) {
+    throw new ErrorHandler("Import job not found", 404);
+  }
+  return job;
+};
+
+// Queue an uploaded user sheet for import in the background. Poll the job for
+// progress.
+exports.createImportJob = catchAsyncErrors(async (req, res, next) => {
+  console.log("createImportJob: Started");
+
+  try {
+    if (!Array.isArray(req.excelData) || req.excelData.length === 0) {
+      return next(
+        new ErrorHandler("No valid data found in the Excel file", 400)
+      );
+    }
+
+    const { mapping, error } = parseColumnMapping(req.body.columnMapping);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    // Passwords are stored apart from the rows, encrypted
+    const { rows, passwords } = separatePasswords(req.excelData, mapping);
+    const job = await createImportJob({
+      createdBy: req.user._id,
+      fileName: req.file ? req.file.originalname : undefined,
+      rows,
+      columnMapping: mapping,
+      passwords,
+    });
+    auditTarget(req, {
+      action: "import-job.create",
+      entity: "ImportJob",
+      entityId: job._id,
+      label: job.fileName,
+    });
+    wakeImportWorker();
+    console.log(`Import job ${job._id} queued by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: "Import queued",
+      jobId: job._id,
+      status: job.status,
+      totalRows: job.totalRows,
+    });
+  } catch (error) {
+    console.error("Error in createImportJob:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// List imports, newest first
+exports.getImportJobs = catchAsyncErrors(async (req, res, next) => {
+  console.log("getImportJobs: Started");
+
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (status) query.status = String(status);
+
+    const totalJobs = await ImportJob.countDocuments(query);
+    const jobs = await ImportJob.find(query)
+      .select("-columnMapping")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalJobs / limitNum),
+        totalJobs,
+        hasNext: pageNum < Math.ceil(totalJobs / limitNum),
+        hasPrev: pageNum > 1,
+      },
+      jobs,
+    });
+  } catch (error) {
+    console.error("Error in getImportJobs:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// An import's status, progress and row outcomes; rowStatus=failed narrows the
+// rows
+exports.getImportJob = catchAsyncErrors(async (req, res, next) => {
+  console.log("getImportJob: Started");
+
+  try {
+    const { rowStatus } = req.query;
+    if (rowStatus && !ROW_STATUSES.includes(rowStatus)) {
+      return next(
+        new ErrorHandler(
+          `rowStatus must be one of: ${ROW_STATUSES.join(", ")}`,
+          400
+        )
+      );
+    }
+
+    const job = await findImportJob(req.params.jobId);
+    await job.populate("createdBy", "name email");
+
+    const rowLogs = await findRowLogs(job._id);
+    res.status(200).json({
+      success: true,
+      job,
+      rows: rowStatus
+        ? rowLogs.filter((log) => log.status === rowStatus)
+        : rowLogs,
+    });
+  } catch (error) {
+    console.error("Error in getImportJob:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
+
+// The skipped and failed rows as uploaded, with the reason for each, as an
+// Excel workbook
+exports.downloadImportErrors = catchAsyncErrors(async (req, res, next) => {
+  console.log("downloadImportErrors: Started");
+
+  try {
+    const job = await findImportJob(req.params.jobId);
+
+    const rows = await rejectedRowsSheet(job);
+    if (rows.length === 0) {
+      return next(new ErrorHandler("This import has no rejected rows", 404));
+    }
+
+    sendWorkbook(res, `import-errors-${job._id}.xlsx`, [
+      { name: "Rejected Rows", rows },
+    ]);
+  } catch (error) {
+    console.error("Error in downloadImportErrors:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
+
+// Scheduled worker entry point: runs queued imports for one time budget.
+// Called by the cron in vercel.json with CRON_SECRET as a bearer token.
+exports.runImportJobs = catchAsyncErrors(async (req, res, next) => {
+  console.log("runImportJobs: Started");
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.header("Authorization") !== `Bearer ${secret}`) {
+    return next(new ErrorHandler("Unauthorized", 401));
+  }
+
+  try {
+    const jobs = await processImportJobs();
+    res.status(200).json({ success: true, jobs });
+  } catch (error) {
+    console.error("Error in runImportJobs:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -1,14 +1,23 @@
-const Course = require("../models/Course");
-const Teacher = require("../models/Teacher");
-const Student = require("../models/Student");
 const Lecture = require("../models/Lecture");
 const CourseSyllabus = require("../models/CourseSyllabus");
 const mongoose = require("mongoose");
+const { getCourseAccess } = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
 
+// Name a lecture change in the audit log
+const auditLecture = (req, action, lecture, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "Lecture",
+    entityId: lecture._id,
+    label: lecture.title,
+    ...changes,
+  });
+
 // Better logging setup
 const logger = {
   info: (message) => console.log(`[INFO] ${message}`),
@@ -99,21 +108,16 @@ const createLectureForModule = async function (req, res) {
       `Creating lecture for course ID: ${req.params.courseId}, module ID: ${req.params.moduleId}`
     );
 
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      logger.error(`Teacher not found for user ID: ${req.user.id}`);
-      return res.status(404).json({ error: "Teacher not found" });
-    }
-
     const { courseId, moduleId } = req.params;
 
-    // Verify course ownership (outside transaction)
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    });
+    // Verify the user teaches the course (outside transaction)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:create",
+      courseId
+    );
 
-    if (!course) {
+    if (!course || !granted) {
       logger.error(`Course not found with ID: ${courseId}`);
       return res.status(404).json({ error: "Course not found" });
     }
@@ -131,6 +135,15 @@ const createLectureForModule = async function (req, res) {
       return res.status(404).json({ error: "Module not found" });
     }
 
+    // Large uploads create the lecture in the background, after the response,
+    // so the module is the target until the lecture exists
+    auditTarget(req, {
+      action: "lecture.create",
+      entity: "CourseSyllabus",
+      entityId: syllabus._id,
+      label: `Module ${module.moduleNumber}: ${module.moduleTitle}`,
+    });
+
     // Validate input
     if (!req.body.title || req.body.title.trim() === "") {
       return res.status(400).json({ error: "Lecture title is required" });
@@ -177,7 +190,7 @@ const createLectureForModule = async function (req, res) {
         course,
         module,
         req.body,
-        teacher._id
+        course.teacher
       ).catch((error) => {
         logger.error("Background upload failed:", error);
         // Here you could implement notification system to inform user of failure
@@ -223,6 +236,7 @@ const createLectureForModule = async function (req, res) {
     logger.info(
       `Successfully created lecture ID: ${result._id} for module: ${moduleId}`
     );
+    auditLecture(req, "lecture.create", result, { after: snapshot(result) });
 
     // Return success response with lecture details
     res.status(201).json({
@@ -433,31 +447,13 @@ const getModuleLectures = async function (req, res) {
     const { courseId, moduleId } = req.params;
 
     // Verify user access to course
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher) {
-        return res.status(404).json({ error: "Teacher not found" });
-      }
-
-      const course = await Course.findOne({
-        _id: courseId,
-        teacher: teacher._id,
-      });
-
-      if (!course) {
-        return res.status(404).json({ error: "Course not found" });
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student) {
-        return res.status(404).json({ error: "Student not found" });
-      }
-
-      if (!student.courses.includes(courseId)) {
-        return res
-          .status(403)
-          .json({ error: "You are not enrolled in this course" });
-      }
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:read",
+      courseId
+    );
+    if (!course || !granted) {
+      return res.status(404).json({ error: "Course not found" });
     }
 
     // Find lectures for this module
@@ -516,31 +512,13 @@ const getCourseModulesWithLectures = async function (req, res) {
     const { courseId } = req.params;
 
     // Verify user access to course
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher) {
-        return res.status(404).json({ error: "Teacher not found" });
-      }
-
-      const course = await Course.findOne({
-        _id: courseId,
-        teacher: teacher._id,
-      });
-
-      if (!course) {
-        return res.status(404).json({ error: "Course not found" });
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student) {
-        return res.status(404).json({ error: "Student not found" });
-      }
-
-      if (!student.courses.includes(courseId)) {
-        return res
-          .status(403)
-          .json({ error: "You are not enrolled in this course" });
-      }
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:read",
+      courseId
+    );
+    if (!course || !granted) {
+      return res.status(404).json({ error: "Course not found" });
     }
 
     // Get syllabus with modules
@@ -609,11 +587,6 @@ const updateLecture = async function (req, res) {
     const { courseId, moduleId, lectureId } = req.params;
     logger.info(`Updating lecture ID: ${lectureId}`);
 
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      return res.status(404).json({ error: "Teacher not found" });
-    }
-
     // Find lecture and verify access
     const lecture = await Lecture.findById(lectureId);
     if (!lecture) {
@@ -632,17 +605,19 @@ const updateLecture = async function (req, res) {
         .json({ error: "Lecture does not belong to specified module" });
     }
 
-    // Verify teacher has access to this course
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    });
+    // Verify the user teaches this course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:update",
+      courseId
+    );
 
-    if (!course) {
+    if (!course || !granted) {
       return res
         .status(403)
         .json({ error: "You don't have permission to update this lecture" });
     }
+    auditLecture(req, "lecture.update", lecture, { before: snapshot(lecture) });
 
     // Handle video file update if provided
     if (req.files && req.files.video) {
@@ -734,6 +709,8 @@ const updateLecture = async function (req, res) {
       }
     });
 
+    auditTarget(req, { after: snapshot(lecture) });
+
     // Delete old video from Azure if new video was uploaded
     if (oldVideoKey && newVideoKey) {
       try {
@@ -774,18 +751,14 @@ const deleteLecture = async function (req, res) {
     const { courseId, moduleId, lectureId } = req.params;
     logger.info(`Deleting lecture ID: ${lectureId}`);
 
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      return res.status(404).json({ error: "Teacher not found" });
-    }
-
-    // Verify course ownership
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    });
+    // Verify the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:delete",
+      courseId
+    );
 
-    if (!course) {
+    if (!course || !granted) {
       return res.status(404).json({ error: "Course not found" });
     }
 
@@ -801,6 +774,7 @@ const deleteLecture = async function (req, res) {
     }
 
     const videoKey = lecture.videoKey;
+    auditLecture(req, "lecture.delete", lecture, { before: snapshot(lecture) });
 
     // Delete from database with retry logic
     await withRetry(async () => {
@@ -888,34 +862,16 @@ const getLectureById = async function (req, res) {
         .json({ error: "Lecture does not belong to specified module" });
     }
 
-    // Verify user access
-    if (req.user.role === "teacher") {
-      const teacher = await Teacher.findOne({ user: req.user.id });
-      if (!teacher) {
-        return res.status(404).json({ error: "Teacher not found" });
-      }
-
-      const course = await Course.findOne({
-        _id: courseId,
-        teacher: teacher._id,
-      });
-
-      if (!course) {
-        return res
-          .status(403)
-          .json({ error: "You don't have permission to view this lecture" });
-      }
-    } else if (req.user.role === "student") {
-      const student = await Student.findOne({ user: req.user.id });
-      if (!student) {
-        return res.status(404).json({ error: "Student not found" });
-      }
-
-      if (!student.courses.includes(courseId)) {
-        return res
-          .status(403)
-          .json({ error: "You don't have permission to view this lecture" });
-      }
+    // Verify user access to course
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:read",
+      courseId
+    );
+    if (!course || !granted) {
+      return res
+        .status(403)
+        .json({ error: "You don't have permission to view this lecture" });
     }
 
     // Check if review deadline has passed
@@ -949,21 +905,26 @@ const updateLectureOrder = async function (req, res) {
       return res.status(400).json({ error: "Invalid lecture orders data" });
     }
 
-    const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher) {
-      return res.status(404).json({ error: "Teacher not found" });
-    }
-
-    // Verify course ownership
-    const course = await Course.findOne({
-      _id: courseId,
-      teacher: teacher._id,
-    });
+    // Verify the user teaches the course (owner or co-teacher)
+    const { course, granted } = await getCourseAccess(
+      req.user,
+      "lecture:update",
+      courseId
+    );
 
-    if (!course) {
+    if (!course || !granted) {
       return res.status(404).json({ error: "Course not found" });
     }
 
+    lectureOrders.forEach(({ lectureId }) =>
+      auditTarget(req, {
+        action: "lecture.reorder",
+        entity: "Lecture",
+        entityId: lectureId,
+      })
+    );
+    auditTarget(req, { after: { lectureOrders } });
+
     // Update lecture orders with retry logic
     await withRetry(async () => {
       const session = await mongoose.startSession();
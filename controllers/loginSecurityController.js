@@ -0,0 +1,243 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const LockoutEvent = require("../models/LockoutEvent");
+const TwoFactorPolicy = require("../models/TwoFactorPolicy");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { unlockAccount } = require("../utils/loginThrottle");
+const { revokeAllForUser, revokeAllForUsers } = require("../utils/tokens");
+const { getRequiredRoles } = require("../utils/twoFactor");
+const { auditTarget } = require("../utils/audit");
+
+const TWO_FACTOR_ROLES =
+  TwoFactorPolicy.schema.path("requiredRoles").caster.enumValues;
+
+// List login lockouts, newest first, to spot brute-force attempts
+exports.getLockoutEvents = catchAsyncErrors(async (req, res, next) => {
+  console.log("getLockoutEvents: Started");
+
+  try {
+    const { page = 1, limit = 20, scope, email, ip, role, active } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (scope) query.scope = scope;
+    if (email) query.email = email.toLowerCase().trim();
+    if (ip) query.ip = ip;
+    if (active === "true") {
+      query.unlockedAt = null;
+      query.lockedUntil = { $gt: new Date() };
+    }
+
+    // e.g. role=student to see attacks on student accounts
+    if (role) {
+      const users = await User.find({ role }).select("_id");
+      query.user = { $in: users.map((u) => u._id) };
+    }
+
+    const totalEvents = await LockoutEvent.countDocuments(query);
+    const events = await LockoutEvent.find(query)
+      .populate("user", "name email role")
+      .populate("unlockedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalEvents / limitNum),
+        totalEvents,
+        hasNext: pageNum < Math.ceil(totalEvents / limitNum),
+        hasPrev: pageNum > 1,
+      },
+      events,
+    });
+  } catch (error) {
+    console.error("Error in getLockoutEvents:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Lift a lockout on a user's account before it expires
+exports.unlockUser = catchAsyncErrors(async (req, res, next) => {
+  console.log("unlockUser: Started");
+
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return next(new ErrorHandler("Invalid user ID", 400));
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return next(new ErrorHandler("User not found", 404));
+    }
+
+    auditTarget(req, {
+      action: "user.unlock",
+      entity: "User",
+      entityId: user._id,
+      label: user.email,
+    });
+    const wasLocked = await unlockAccount(user, req.user._id);
+    console.log(`Account ${user.email} unlocked by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked
+        ? "Account unlocked successfully"
+        : "Account was not locked",
+    });
+  } catch (error) {
+    console.error("Error in unlockUser:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Roles that must use two-factor authentication
+exports.getTwoFactorPolicy = catchAsyncErrors(async (req, res, next) => {
+  console.log("getTwoFactorPolicy: Started");
+
+  try {
+    const requiredRoles = await getRequiredRoles();
+
+    // How far each required role is with enrolment
+    const enrolment = await Promise.all(
+      requiredRoles.map(async (role) => ({
+        role,
+        users: await User.countDocuments({ role }),
+        enrolled: await User.countDocuments({
+          role,
+          "twoFactor.enabled": true,
+        }),
+      }))
+    );
+
+    res.status(200).json({
+      success: true,
+      requiredRoles,
+      availableRoles: TWO_FACTOR_ROLES,
+      enrolment,
+    });
+  } catch (error) {
+    console.error("Error in getTwoFactorPolicy:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Set the roles that must use two-factor authentication. Users of a newly
+// required role who have not enrolled are signed out, so their next login
+// takes them through enrolment.
+exports.updateTwoFactorPolicy = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateTwoFactorPolicy: Started");
+
+  try {
+    const { requiredRoles } = req.body;
+    if (
+      !Array.isArray(requiredRoles) ||
+      requiredRoles.some((role) => !TWO_FACTOR_ROLES.includes(role))
+    ) {
+      return next(
+        new ErrorHandler(
+          `requiredRoles must be an array of: ${TWO_FACTOR_ROLES.join(", ")}`,
+          400
+        )
+      );
+    }
+
+    const previousRoles = await getRequiredRoles();
+    const roles = [...new Set(requiredRoles)];
+    const policy = await TwoFactorPolicy.findOneAndUpdate(
+      {},
+      { requiredRoles: roles, updatedBy: req.user._id },
+      { upsert: true, new: true }
+    );
+    auditTarget(req, {
+      action: "two-factor-policy.update",
+      entity: "TwoFactorPolicy",
+      entityId: policy._id,
+      label: "Two-factor policy",
+      before: { requiredRoles: previousRoles },
+      after: { requiredRoles: roles },
+    });
+
+    const addedRoles = roles.filter((role) => !previousRoles.includes(role));
+    let signedOut = 0;
+    if (addedRoles.length > 0) {
+      const unenrolled = await User.find({
+        role: { $in: addedRoles },
+        "twoFactor.enabled": { $ne: true },
+      }).select("_id");
+      signedOut = await revokeAllForUsers(
+        unenrolled.map((u) => u._id),
+        "two-factor-change"
+      );
+    }
+    console.log(
+      `Two-factor required for [${roles.join(", ")}] by ${
+        req.user.email
+      }; ${signedOut} sessions revoked`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor policy updated successfully",
+      requiredRoles: roles,
+      sessionsRevoked: signedOut,
+    });
+  } catch (error) {
+    console.error("Error in updateTwoFactorPolicy:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Turn off a user's 2FA when they have lost their device and recovery codes.
+// They are signed out and, if their role requires it, enrol again on login.
+exports.resetTwoFactor = catchAsyncErrors(async (req, res, next) => {
+  console.log("resetTwoFactor: Started");
+
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return next(new ErrorHandler("Invalid user ID", 400));
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return next(new ErrorHandler("User not found", 404));
+    }
+    if (!user.twoFactor.enabled) {
+      return next(
+        new ErrorHandler("Two-factor authentication is not enabled", 400)
+      );
+    }
+
+    auditTarget(req, {
+      action: "user.two-factor-reset",
+      entity: "User",
+      entityId: user._id,
+      label: user.email,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+    });
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false } } }
+    );
+    await revokeAllForUser(user._id, "two-factor-change");
+    console.log(`Two-factor reset for ${user.email} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication reset successfully",
+    });
+  } catch (error) {
+    console.error("Error in resetTwoFactor:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -0,0 +1,283 @@
+const mongoose = require("mongoose");
+const Assignment = require("../models/Assignment");
+const Activity = require("../models/Activity");
+const Quiz = require("../models/Quiz");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { sendWorkbook } = require("../utils/excelExport");
+const { auditTarget, snapshot } = require("../utils/audit");
+const {
+  parseAttainmentSettings,
+  readCourseOutcomes,
+  loadCourseOutcomes,
+  replaceOutcomes,
+  parseOutcomeMappings,
+  computeAttainment,
+  attainmentSheets,
+} = require("../utils/outcomes");
+
+// Mappings with the code of the outcome they point to
+const describeMappings = (mappings, courseOutcome) =>
+  mappings.map((mapping) => ({
+    outcome: mapping.outcome,
+    code:
+      courseOutcome.outcomes.find((o) => o._id.equals(mapping.outcome))?.code ||
+      null,
+    weight: mapping.weight,
+  }));
+
+// Course outcomes with their program outcome correlations and the attainment
+// targets
+exports.getCourseOutcomes = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseOutcomes: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const courseOutcome = await readCourseOutcomes(course);
+
+    res.status(200).json({
+      success: true,
+      courseId: course._id,
+      outcomes: courseOutcome.outcomes,
+      targetPercentage: courseOutcome.targetPercentage,
+      attainmentLevels: courseOutcome.attainmentLevels,
+    });
+  } catch (error) {
+    console.error("Error in getCourseOutcomes:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Replace the outcomes (each with its PO correlations) and/or the attainment
+// targets. Mappings to removed outcomes are dropped from the course's
+// assessments.
+exports.updateCourseOutcomes = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateCourseOutcomes: Started");
+
+  const session = await mongoose.startSession();
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const { settings, error } = parseAttainmentSettings(req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const courseOutcome = await loadCourseOutcomes(course);
+    auditTarget(req, {
+      action: "outcome.update",
+      entity: "CourseOutcome",
+      entityId: courseOutcome._id,
+      label: `${course.title} (${course.courseCode})`,
+      before: snapshot(courseOutcome),
+    });
+    Object.assign(courseOutcome, settings);
+
+    let outcomeError = null;
+    await session.withTransaction(async () => {
+      if (req.body.outcomes !== undefined) {
+        outcomeError = await replaceOutcomes(
+          courseOutcome,
+          req.body.outcomes,
+          session
+        );
+      } else {
+        await courseOutcome.save({ session });
+      }
+    });
+    if (outcomeError) {
+      return next(new ErrorHandler(outcomeError, 400));
+    }
+    auditTarget(req, { after: snapshot(courseOutcome) });
+    console.log(`Course outcomes updated for course ${course._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Course outcomes updated successfully",
+      outcomes: courseOutcome.outcomes,
+      targetPercentage: courseOutcome.targetPercentage,
+      attainmentLevels: courseOutcome.attainmentLevels,
+    });
+  } catch (error) {
+    console.error("Error in updateCourseOutcomes:", error);
+    return next(new ErrorHandler(error.message, 500));
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Map an assignment or activity to outcomes: { outcomes: [{ outcome, weight }] }
+// where outcome is an outcome's ID or code
+const setAssessmentOutcomes = (Model, param, label) =>
+  catchAsyncErrors(async (req, res, next) => {
+    console.log(`set${label}Outcomes: Started`);
+
+    try {
+      const { course } = req.access;
+      if (!course) {
+        return next(new ErrorHandler(`${label} not found`, 404));
+      }
+
+      const courseOutcome = await loadCourseOutcomes(course);
+      const { mappings, error } = parseOutcomeMappings(
+        req.body.outcomes,
+        courseOutcome
+      );
+      if (error) {
+        return next(new ErrorHandler(error, 400));
+      }
+
+      const previous = await Model.findById(req.params[param]).select(
+        "outcomes"
+      );
+      if (!previous) {
+        return next(new ErrorHandler(`${label} not found`, 404));
+      }
+      const assessment = await Model.findByIdAndUpdate(
+        previous._id,
+        { outcomes: mappings },
+        { new: true }
+      ).select("title outcomes");
+      if (!assessment) {
+        return next(new ErrorHandler(`${label} not found`, 404));
+      }
+      auditTarget(req, {
+        action: `${label.toLowerCase()}.outcomes`,
+        entity: label,
+        entityId: assessment._id,
+        label: assessment.title,
+        before: snapshot({ outcomes: previous.outcomes }),
+        after: snapshot({ outcomes: assessment.outcomes }),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${label} outcomes updated successfully`,
+        [param]: assessment._id,
+        outcomes: describeMappings(assessment.outcomes, courseOutcome),
+      });
+    } catch (error) {
+      console.error(`Error in set${label}Outcomes:`, error);
+      return next(new ErrorHandler(error.message, 500));
+    }
+  });
+
+exports.setAssignmentOutcomes = setAssessmentOutcomes(
+  Assignment,
+  "assignmentId",
+  "Assignment"
+);
+exports.setActivityOutcomes = setAssessmentOutcomes(
+  Activity,
+  "activityId",
+  "Activity"
+);
+
+// Map a quiz question to outcomes with weights; replaces the weight-1 default
+// taken from its outcome tags. Allowed after attempts since grading is
+// unaffected.
+exports.setQuizQuestionOutcomes = catchAsyncErrors(async (req, res, next) => {
+  console.log("setQuizQuestionOutcomes: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+    const question = quiz.questions.id(req.params.questionId);
+    if (!question) {
+      return next(new ErrorHandler("Question not found", 404));
+    }
+
+    const courseOutcome = await loadCourseOutcomes(req.access.course);
+    const { mappings, error } = parseOutcomeMappings(
+      req.body.outcomes,
+      courseOutcome
+    );
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    auditTarget(req, {
+      action: "quiz.question-outcomes",
+      entity: "Quiz",
+      entityId: quiz._id,
+      label: quiz.title,
+      before: snapshot({
+        question: question._id,
+        outcomeMappings: question.outcomeMappings,
+      }),
+    });
+    question.outcomeMappings = mappings;
+    await quiz.save();
+    auditTarget(req, {
+      after: snapshot({
+        question: question._id,
+        outcomeMappings: question.outcomeMappings,
+      }),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Question outcomes updated successfully",
+      quizId: quiz._id,
+      questionId: question._id,
+      outcomes: describeMappings(question.outcomeMappings, courseOutcome),
+    });
+  } catch (error) {
+    console.error("Error in setQuizQuestionOutcomes:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Attainment level of every course outcome, per-student outcome scores and
+// the CO-PO matrix
+exports.getOutcomeAttainment = catchAsyncErrors(async (req, res, next) => {
+  console.log("getOutcomeAttainment: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const courseOutcome = await readCourseOutcomes(course);
+    const report = await computeAttainment(course, courseOutcome);
+
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error("Error in getOutcomeAttainment:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// The attainment report as an Excel workbook
+exports.exportOutcomeAttainment = catchAsyncErrors(async (req, res, next) => {
+  console.log("exportOutcomeAttainment: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const courseOutcome = await readCourseOutcomes(course);
+    const report = await computeAttainment(course, courseOutcome);
+
+    sendWorkbook(
+      res,
+      `outcome-attainment-${course.courseCode}.xlsx`,
+      attainmentSheets(report)
+    );
+  } catch (error) {
+    console.error("Error in exportOutcomeAttainment:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -0,0 +1,295 @@
+const BankQuestion = require("../models/BankQuestion");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { auditTarget, snapshot } = require("../utils/audit");
+const {
+  validateQuestion,
+  validateQuestions,
+  prepareQuiz,
+} = require("../utils/quiz");
+const {
+  bankCourseCodes,
+  assertBankAccess,
+  parseBankCriteria,
+  drawFromBank,
+  toQuizQuestion,
+} = require("../utils/questionBank");
+
+// Bank questions can be changed by their author or an admin
+const canEditBankQuestion = (user, question) =>
+  user.role === "admin" ||
+  (!!question.createdBy && question.createdBy.equals(user._id));
+
+// Name a bank question change in the audit log
+const auditBankQuestion = (req, action, question) =>
+  auditTarget(req, {
+    action,
+    entity: "BankQuestion",
+    entityId: question._id,
+    label: `${question.courseCode}: ${question.text.slice(0, 80)}`,
+    before: snapshot(question),
+  });
+
+// Course codes whose banks the user can use, with their question counts
+exports.getQuestionBanks = catchAsyncErrors(async (req, res, next) => {
+  console.log("getQuestionBanks: Started");
+
+  try {
+    const codes = await bankCourseCodes(req.user);
+    const match = codes ? { courseCode: { $in: codes } } : {};
+
+    const counts = await BankQuestion.aggregate([
+      { $match: match },
+      { $group: { _id: "$courseCode", questionCount: { $sum: 1 } } },
+    ]);
+    const countByCode = new Map(counts.map((c) => [c._id, c.questionCount]));
+
+    const banks = [...new Set([...(codes || []), ...countByCode.keys()])]
+      .sort()
+      .map((courseCode) => ({
+        courseCode,
+        questionCount: countByCode.get(courseCode) || 0,
+      }));
+
+    res.status(200).json({ success: true, banks });
+  } catch (error) {
+    console.error("Error in getQuestionBanks:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Search a bank by tags: ?outcomes=CO1,CO2&bloomLevel=apply&difficulty=hard&type=mcq
+exports.getBankQuestions = catchAsyncErrors(async (req, res, next) => {
+  console.log("getBankQuestions: Started");
+
+  try {
+    const courseCode = await assertBankAccess(req.user, req.params.courseCode);
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const { filter, error } = parseBankCriteria(req.query);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+    const query = { ...filter, courseCode };
+
+    const totalQuestions = await BankQuestion.countDocuments(query);
+    const questions = await BankQuestion.find(query)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      courseCode,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalQuestions / limitNum),
+        totalQuestions,
+        hasNext: pageNum < Math.ceil(totalQuestions / limitNum),
+        hasPrev: pageNum > 1,
+      },
+      questions,
+    });
+  } catch (error) {
+    console.error("Error in getBankQuestions:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
+
+// Add one or more questions to a bank
+exports.addBankQuestions = catchAsyncErrors(async (req, res, next) => {
+  console.log("addBankQuestions: Started");
+
+  try {
+    const courseCode = await assertBankAccess(
+      req.user,
+      req.params.courseCode,
+      "question-bank:manage"
+    );
+
+    const { questions, error } = validateQuestions(req.body.questions);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+    if (questions.length === 0) {
+      return next(new ErrorHandler("questions must not be empty", 400));
+    }
+
+    const created = await BankQuestion.insertMany(
+      questions.map(({ _id, bankQuestion, ...question }) => ({
+        ...question,
+        courseCode,
+        createdBy: req.user._id,
+      }))
+    );
+    auditTarget(req, {
+      action: "question-bank.add",
+      entity: "QuestionBank",
+      entityId: courseCode,
+      label: `${courseCode} bank`,
+      after: snapshot({ questions: created }),
+    });
+    console.log(`Added ${created.length} questions to the ${courseCode} bank`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} questions added to the ${courseCode} bank`,
+      questions: created,
+    });
+  } catch (error) {
+    console.error("Error in addBankQuestions:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
+
+// Replace a bank question. Quizzes keep the copy they already pulled.
+exports.updateBankQuestion = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateBankQuestion: Started");
+
+  try {
+    const existing = await BankQuestion.findById(req.params.bankQuestionId);
+    if (!existing) {
+      return next(new ErrorHandler("Question not found", 404));
+    }
+    await assertBankAccess(
+      req.user,
+      existing.courseCode,
+      "question-bank:manage"
+    );
+    if (!canEditBankQuestion(req.user, existing)) {
+      return next(
+        new ErrorHandler("Only the author can change this question", 403)
+      );
+    }
+
+    const { question, error } = validateQuestion(req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+    const { _id, bankQuestion, ...fields } = question;
+
+    auditBankQuestion(req, "question-bank.update", existing);
+    existing.overwrite({
+      ...fields,
+      courseCode: existing.courseCode,
+      createdBy: existing.createdBy,
+      createdAt: existing.createdAt,
+    });
+    await existing.save();
+    auditTarget(req, { after: snapshot(existing) });
+
+    res.status(200).json({
+      success: true,
+      message: "Question updated successfully",
+      question: existing,
+    });
+  } catch (error) {
+    console.error("Error in updateBankQuestion:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
+
+exports.deleteBankQuestion = catchAsyncErrors(async (req, res, next) => {
+  console.log("deleteBankQuestion: Started");
+
+  try {
+    const question = await BankQuestion.findById(req.params.bankQuestionId);
+    if (!question) {
+      return next(new ErrorHandler("Question not found", 404));
+    }
+    await assertBankAccess(
+      req.user,
+      question.courseCode,
+      "question-bank:manage"
+    );
+    if (!canEditBankQuestion(req.user, question)) {
+      return next(
+        new ErrorHandler("Only the author can delete this question", 403)
+      );
+    }
+
+    auditBankQuestion(req, "question-bank.delete", question);
+    await question.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Question deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteBankQuestion:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
+
+// Assemble a quiz paper: append questions drawn at random from a bank, e.g.
+// { criteria: [{ count: 5, outcomes: ["CO1"], difficulty: "easy" }, ...] }.
+// The bank defaults to the quiz's own course code; questions already in the
+// quiz are not drawn again.
+exports.addQuestionsFromBank = catchAsyncErrors(async (req, res, next) => {
+  console.log("addQuestionsFromBank: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+    if (await QuizAttempt.exists({ quiz: quiz._id })) {
+      return next(
+        new ErrorHandler(
+          "Questions cannot be changed after students have attempted the quiz",
+          400
+        )
+      );
+    }
+
+    const courseCode = await assertBankAccess(
+      req.user,
+      req.body.courseCode || req.access.course.courseCode
+    );
+
+    const { questions, error } = await drawFromBank(
+      courseCode,
+      req.body.criteria,
+      quiz.questions.map((q) => q.bankQuestion).filter(Boolean)
+    );
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    auditTarget(req, {
+      action: "quiz.questions-from-bank",
+      entity: "Quiz",
+      entityId: quiz._id,
+      label: quiz.title,
+      before: snapshot({ questions: quiz.questions }),
+    });
+    quiz.questions.push(...questions.map(toQuizQuestion));
+    const setupError = prepareQuiz(quiz);
+    if (setupError) {
+      return next(new ErrorHandler(setupError, 400));
+    }
+
+    await quiz.save();
+    auditTarget(req, { after: snapshot({ questions: quiz.questions }) });
+    console.log(
+      `Added ${questions.length} ${courseCode} bank questions to quiz ${quiz._id}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${questions.length} questions added from the ${courseCode} bank`,
+      addedQuestions: questions.length,
+      quiz,
+    });
+  } catch (error) {
+    console.error("Error in addQuestionsFromBank:", error);
+    return next(new ErrorHandler(error.message, error.statusCode || 500));
+  }
+});
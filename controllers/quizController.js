@@ -0,0 +1,1119 @@
+const mongoose = require("mongoose");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const Student = require("../models/Student");
+const CourseSyllabus = require("../models/CourseSyllabus");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const {
+  isStaffAccess,
+  isOwnStudentRecord,
+} = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
+const {
+  validateQuestions,
+  parseQuizSettings,
+  prepareQuiz,
+  drawQuestions,
+  attemptExpired,
+  attemptExpiry,
+  resultsWithheld,
+  answersRevealed,
+  recordAnswer,
+  scoreAttempt,
+  finalizeAttempt,
+  closeExpiredAttempts,
+  countingAttempt,
+} = require("../utils/quiz");
+const {
+  EXAM_TITLES,
+  parseExamSettings,
+  applyExamTiming,
+  startDeadline,
+} = require("../utils/exam");
+const { getCourseSchedule } = require("../utils/attendance");
+const { ensureQuizzesCategory } = require("../utils/gradebook");
+
+const STALE_ATTEMPT_MESSAGE =
+  "The attempt was changed by another request; reload it and try again";
+
+// Name the quiz or exam a request changes in the audit log
+const auditQuiz = (req, action, quiz, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "Quiz",
+    entityId: quiz._id,
+    label: quiz.title,
+    ...changes,
+  });
+
+// Same for a student's attempt
+const auditAttempt = (req, action, attempt, quiz, changes = {}) =>
+  auditTarget(req, {
+    action,
+    entity: "QuizAttempt",
+    entityId: attempt._id,
+    label: `${quiz.title} attempt ${attempt.attemptNumber}`,
+    ...changes,
+  });
+
+// Where an attempt stands, for the audit log
+const attemptState = (attempt) => ({
+  status: attempt.status,
+  score: attempt.score,
+  submittedAt: attempt.submittedAt,
+  autoSubmitted: attempt.autoSubmitted,
+});
+
+// A published quiz makes sure the gradebook has a quizzes category. Resolves
+// to a note for the response on the re-weighted categories, or on the quiz
+// not being weighted yet, or null.
+const countQuizInGradebook = async (quiz, course, userId) => {
+  if (!quiz.isPublished || quiz.examType) return null;
+  const change = await ensureQuizzesCategory(course, userId);
+  if (!change) return null;
+  return change.added
+    ? {
+        message:
+          "Added a Quizzes category to the gradebook; the other category weights were scaled down to make room",
+        categories: change.categories,
+      }
+    : {
+        message:
+          'Quizzes are not weighted in the gradebook yet; add a category with source "quizzes" to count them',
+        weighted: false,
+      };
+};
+
+// Module of the course's syllabus, or an error message. null detaches.
+const resolveModule = async (course, moduleId) => {
+  if (moduleId === null || moduleId === "") return { module: null };
+  if (!mongoose.isValidObjectId(moduleId)) return { error: "Invalid moduleId" };
+  const syllabus = await CourseSyllabus.findOne({ course: course._id });
+  const module = syllabus && syllabus.modules.id(moduleId);
+  if (!module) {
+    return { error: "Module not found in this course's syllabus" };
+  }
+  return { module: module._id };
+};
+
+// What students see of a quiz before attempting it
+const quizSummary = (quiz) => ({
+  _id: quiz._id,
+  title: quiz.title,
+  description: quiz.description,
+  course: quiz.course,
+  module: quiz.module,
+  questionCount: quiz.questionsPerAttempt || quiz.questions.length,
+  totalPoints: quiz.totalPoints,
+  timeLimitMinutes: quiz.timeLimitMinutes,
+  availableFrom: quiz.availableFrom,
+  dueDate: quiz.dueDate,
+  maxAttempts: quiz.maxAttempts,
+  attemptGrading: quiz.attemptGrading,
+  revealAnswers: quiz.revealAnswers,
+  isPublished: quiz.isPublished,
+  examType: quiz.examType,
+  examStartTime: quiz.examStartTime,
+  startWindowMinutes: quiz.startWindowMinutes,
+  resultsPublished: quiz.resultsPublished,
+});
+
+// withhold hides the score of an exam whose results are not published yet
+const attemptSummary = (attempt, withhold = false) => ({
+  _id: attempt._id,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt,
+  submittedAt: attempt.submittedAt,
+  autoSubmitted: attempt.autoSubmitted,
+  score: attempt.status === "in-progress" || withhold ? null : attempt.score,
+  maxScore: attempt.maxScore,
+});
+
+const remainingSeconds = (attempt, now = new Date()) =>
+  attempt.expiresAt
+    ? Math.max(0, Math.floor((attempt.expiresAt - now) / 1000))
+    : null;
+
+// An attempt's questions in the order they were shown, with the saved
+// answers. Marks and correct answers are added when reveal is set.
+const presentAttempt = (attempt, quiz, reveal) => ({
+  ...attemptSummary(attempt, !reveal && resultsWithheld(quiz)),
+  remainingSeconds:
+    attempt.status === "in-progress" ? remainingSeconds(attempt) : null,
+  questions: attempt.questions.map(({ question: questionId, optionOrder }) => {
+    const question = quiz.questions.id(questionId);
+    const answer =
+      attempt.answers.find((a) => a.question.equals(questionId)) || null;
+    if (!question) {
+      return { _id: questionId, text: "This question has been removed" };
+    }
+
+    const options = optionOrder
+      .map((id) => question.options.id(id))
+      .filter(Boolean)
+      .map((option) => ({
+        _id: option._id,
+        text: option.text,
+        ...(reveal ? { isCorrect: option.isCorrect } : {}),
+      }));
+
+    return {
+      _id: question._id,
+      type: question.type,
+      text: question.text,
+      points: question.points,
+      options,
+      answer: answer && {
+        selectedOptions: answer.selectedOptions,
+        booleanAnswer: answer.booleanAnswer,
+        numericAnswer: answer.numericAnswer,
+        textAnswer: answer.textAnswer,
+        ...(reveal
+          ? {
+              isCorrect: answer.isCorrect,
+              pointsAwarded: answer.pointsAwarded,
+              needsReview: answer.needsReview,
+              feedback: answer.feedback,
+            }
+          : {}),
+      },
+      ...(reveal
+        ? {
+            correctBoolean: question.correctBoolean,
+            correctNumber: question.correctNumber,
+            tolerance: question.tolerance,
+            acceptedAnswers: question.acceptedAnswers,
+            explanation: question.explanation,
+          }
+        : {}),
+    };
+  }),
+});
+
+// Students may only reach their own attempts; staff reach any in the course.
+// Resolves to { attempt, quiz, student, error }.
+const loadAttempt = async (req) => {
+  const attempt = await QuizAttempt.findById(req.params.quizAttemptId);
+  if (!attempt) return { error: new ErrorHandler("Attempt not found", 404) };
+
+  let student = null;
+  if (!isStaffAccess(req.access)) {
+    student = await Student.findOne({ user: req.user._id });
+    if (!student || !attempt.student.equals(student._id)) {
+      return { error: new ErrorHandler("Attempt not found", 404) };
+    }
+  }
+
+  const quiz = await Quiz.findById(attempt.quiz);
+  if (!quiz) return { error: new ErrorHandler("Quiz not found", 404) };
+  return { attempt, quiz, student };
+};
+
+// Save answers [{ questionId, answer }] into an attempt. Returns an error
+// message or null.
+const applyAnswers = (attempt, quiz, answers) => {
+  if (!Array.isArray(answers)) return "answers must be an array";
+  for (const { questionId, answer } of answers) {
+    const presented = attempt.questions.some(
+      (q) => q.question.toString() === String(questionId)
+    );
+    const question = presented && quiz.questions.id(questionId);
+    if (!question) return `Question ${questionId} is not part of this attempt`;
+
+    const error = recordAnswer(attempt, question, answer);
+    if (error) return `${error} for question ${questionId}`;
+  }
+  return null;
+};
+
+// Create a quiz in a course, optionally attached to a syllabus module
+exports.createQuiz = catchAsyncErrors(async (req, res, next) => {
+  console.log("createQuiz: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    if (!req.body.title || !req.body.dueDate) {
+      return next(new ErrorHandler("title and dueDate are required", 400));
+    }
+    const { settings, error } = parseQuizSettings(req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+    const questionResult = validateQuestions(req.body.questions || []);
+    if (questionResult.error) {
+      return next(new ErrorHandler(questionResult.error, 400));
+    }
+
+    const quiz = new Quiz({
+      ...settings,
+      course: course._id,
+      questions: questionResult.questions,
+      createdBy: req.user._id,
+    });
+
+    if (req.body.moduleId !== undefined) {
+      const { module, error: moduleError } = await resolveModule(
+        course,
+        req.body.moduleId
+      );
+      if (moduleError) {
+        return next(new ErrorHandler(moduleError, 400));
+      }
+      quiz.module = module;
+    }
+
+    const setupError = prepareQuiz(quiz);
+    if (setupError) {
+      return next(new ErrorHandler(setupError, 400));
+    }
+
+    await quiz.save();
+    auditQuiz(req, "quiz.create", quiz, { after: snapshot(quiz) });
+    console.log(`Quiz created: ${quiz._id}`);
+    const gradebookChange = await countQuizInGradebook(
+      quiz,
+      course,
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Quiz created successfully",
+      quiz,
+      ...(gradebookChange && { gradebookChange }),
+    });
+  } catch (error) {
+    console.error("Error in createQuiz:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Quizzes of a course (?moduleId= narrows to one module). Students see the
+// published ones with their own attempts.
+exports.getCourseQuizzes = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseQuizzes: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    // Exams are listed through their own route
+    const filter = { course: course._id, examType: null };
+    if (req.query.moduleId) {
+      if (!mongoose.isValidObjectId(req.query.moduleId)) {
+        return next(new ErrorHandler("Invalid moduleId", 400));
+      }
+      filter.module = req.query.moduleId;
+    }
+
+    if (isStaffAccess(req.access)) {
+      const quizzes = await Quiz.find(filter).sort({ dueDate: 1 });
+      return res.status(200).json({
+        success: true,
+        quizzes: quizzes.map(quizSummary),
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+    await closeExpiredAttempts({ course: course._id, student: student._id });
+
+    const quizzes = await Quiz.find({ ...filter, isPublished: true }).sort({
+      dueDate: 1,
+    });
+    const attempts = await QuizAttempt.find({
+      quiz: { $in: quizzes.map((q) => q._id) },
+      student: student._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      quizzes: quizzes.map((quiz) => {
+        const own = attempts.filter((a) => a.quiz.equals(quiz._id));
+        const counting = countingAttempt(quiz, own);
+        return {
+          ...quizSummary(quiz),
+          attemptsUsed: own.length,
+          inProgressAttempt:
+            own.find((a) => a.status === "in-progress")?._id || null,
+          score: counting ? counting.score : null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error in getCourseQuizzes:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Full quiz with answers for staff; summary and own attempts for students
+exports.getQuiz = catchAsyncErrors(async (req, res, next) => {
+  console.log("getQuiz: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+
+    if (isStaffAccess(req.access)) {
+      return res.status(200).json({ success: true, quiz });
+    }
+
+    if (!quiz.isPublished) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+    await closeExpiredAttempts({ quiz: quiz._id, student: student._id });
+    const attempts = await QuizAttempt.find({
+      quiz: quiz._id,
+      student: student._id,
+    }).sort({ attemptNumber: 1 });
+
+    const withhold = resultsWithheld(quiz);
+    res.status(200).json({
+      success: true,
+      quiz: {
+        ...quizSummary(quiz),
+        attempts: attempts.map((a) => attemptSummary(a, withhold)),
+      },
+    });
+  } catch (error) {
+    console.error("Error in getQuiz:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Update settings, module or questions. Questions are locked once a student
+// has attempted the quiz.
+exports.updateQuiz = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateQuiz: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+    if (quiz.examType) {
+      return next(
+        new ErrorHandler("Exams are changed through the exam routes", 400)
+      );
+    }
+    auditQuiz(req, "quiz.update", quiz, { before: snapshot(quiz) });
+
+    const { settings, error } = parseQuizSettings(req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const attempted = await QuizAttempt.exists({ quiz: quiz._id });
+    if (attempted && req.body.questions !== undefined) {
+      return next(
+        new ErrorHandler(
+          "Questions cannot be changed after students have attempted the quiz",
+          400
+        )
+      );
+    }
+    if (
+      attempted &&
+      (settings.questionsPerAttempt !== undefined ||
+        settings.attemptGrading !== undefined)
+    ) {
+      return next(
+        new ErrorHandler(
+          "questionsPerAttempt and attemptGrading cannot be changed after students have attempted the quiz",
+          400
+        )
+      );
+    }
+
+    if (req.body.questions !== undefined) {
+      const questionResult = validateQuestions(req.body.questions);
+      if (questionResult.error) {
+        return next(new ErrorHandler(questionResult.error, 400));
+      }
+      quiz.questions = questionResult.questions;
+    }
+    Object.assign(quiz, settings);
+
+    if (req.body.moduleId !== undefined) {
+      const { module, error: moduleError } = await resolveModule(
+        req.access.course,
+        req.body.moduleId
+      );
+      if (moduleError) {
+        return next(new ErrorHandler(moduleError, 400));
+      }
+      quiz.module = module;
+    }
+
+    const setupError = prepareQuiz(quiz);
+    if (setupError) {
+      return next(new ErrorHandler(setupError, 400));
+    }
+
+    await quiz.save();
+    auditTarget(req, { after: snapshot(quiz) });
+    console.log(`Quiz updated: ${quiz._id}`);
+    const gradebookChange = await countQuizInGradebook(
+      quiz,
+      req.access.course,
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Quiz updated successfully",
+      quiz,
+      ...(gradebookChange && { gradebookChange }),
+    });
+  } catch (error) {
+    console.error("Error in updateQuiz:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Delete a quiz and every attempt at it
+exports.deleteQuiz = catchAsyncErrors(async (req, res, next) => {
+  console.log("deleteQuiz: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+
+    auditQuiz(req, "quiz.delete", quiz, { before: snapshot(quiz) });
+    const { deletedCount } = await QuizAttempt.deleteMany({ quiz: quiz._id });
+    await quiz.deleteOne();
+    console.log(`Quiz ${quiz._id} deleted with ${deletedCount} attempts`);
+
+    res.status(200).json({
+      success: true,
+      message: "Quiz deleted successfully",
+      deletedAttempts: deletedCount,
+    });
+  } catch (error) {
+    console.error("Error in deleteQuiz:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Start an attempt, or resume the one in progress
+exports.startQuizAttempt = catchAsyncErrors(async (req, res, next) => {
+  console.log("startQuizAttempt: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz || !quiz.isPublished) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+
+    // checkPermission has already confirmed enrollment in the course
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+
+    await closeExpiredAttempts({ quiz: quiz._id, student: student._id });
+    const attempts = await QuizAttempt.find({
+      quiz: quiz._id,
+      student: student._id,
+    });
+
+    const inProgress = attempts.find((a) => a.status === "in-progress");
+    if (inProgress) {
+      console.log(`Resuming attempt ${inProgress._id}`);
+      return res.status(200).json({
+        success: true,
+        resumed: true,
+        attempt: presentAttempt(inProgress, quiz, false),
+      });
+    }
+
+    const now = new Date();
+    if (now < quiz.availableFrom) {
+      return next(new ErrorHandler("This quiz has not opened yet", 400));
+    }
+    if (quiz.examType && now > startDeadline(quiz)) {
+      return next(
+        new ErrorHandler("The start window of this exam has closed", 400)
+      );
+    }
+    if (now >= quiz.dueDate) {
+      return next(new ErrorHandler("This quiz has closed", 400));
+    }
+    if (quiz.maxAttempts && attempts.length >= quiz.maxAttempts) {
+      return next(
+        new ErrorHandler(
+          `You have used all ${quiz.maxAttempts} attempts for this quiz`,
+          400
+        )
+      );
+    }
+
+    const attempt = await QuizAttempt.create({
+      quiz: quiz._id,
+      course: quiz.course,
+      student: student._id,
+      attemptNumber: attempts.length + 1,
+      questions: drawQuestions(quiz),
+      startedAt: now,
+      expiresAt: attemptExpiry(quiz, now),
+      maxScore: quiz.totalPoints,
+    });
+    console.log(`Attempt ${attempt.attemptNumber} started: ${attempt._id}`);
+
+    res.status(201).json({
+      success: true,
+      resumed: false,
+      attempt: presentAttempt(attempt, quiz, false),
+    });
+  } catch (error) {
+    console.error("Error in startQuizAttempt:", error);
+    // Two start requests raced for the same attempt number
+    if (error.code === 11000) {
+      return next(new ErrorHandler("An attempt was just started", 409));
+    }
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// An attempt with its questions; marks and answers once they are released
+exports.getQuizAttempt = catchAsyncErrors(async (req, res, next) => {
+  console.log("getQuizAttempt: Started");
+
+  try {
+    await closeExpiredAttempts({ _id: req.params.quizAttemptId });
+    const { attempt, quiz, error } = await loadAttempt(req);
+    if (error) return next(error);
+
+    const reveal =
+      isStaffAccess(req.access) ||
+      (attempt.status !== "in-progress" && answersRevealed(quiz));
+
+    res.status(200).json({
+      success: true,
+      attempt: presentAttempt(attempt, quiz, reveal),
+    });
+  } catch (error) {
+    console.error("Error in getQuizAttempt:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Autosave answers of an attempt in progress
+exports.saveQuizAnswers = catchAsyncErrors(async (req, res, next) => {
+  console.log("saveQuizAnswers: Started");
+
+  try {
+    const { attempt, quiz, error } = await loadAttempt(req);
+    if (error) return next(error);
+
+    if (attempt.status !== "in-progress") {
+      return next(new ErrorHandler("This attempt has been submitted", 400));
+    }
+    if (attemptExpired(attempt)) {
+      finalizeAttempt(attempt, quiz, { auto: true });
+      await attempt.save();
+      return next(
+        new ErrorHandler("Time is up; the attempt has been submitted", 409)
+      );
+    }
+
+    const answerError = applyAnswers(attempt, quiz, req.body.answers);
+    if (answerError) {
+      return next(new ErrorHandler(answerError, 400));
+    }
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      savedAt: attempt.updatedAt,
+      remainingSeconds: remainingSeconds(attempt),
+    });
+  } catch (error) {
+    console.error("Error in saveQuizAnswers:", error);
+    if (error.name === "VersionError") {
+      return next(new ErrorHandler(STALE_ATTEMPT_MESSAGE, 409));
+    }
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Submit an attempt, with any last answers, and grade it
+exports.submitQuizAttempt = catchAsyncErrors(async (req, res, next) => {
+  console.log("submitQuizAttempt: Started");
+
+  try {
+    const { attempt, quiz, error } = await loadAttempt(req);
+    if (error) return next(error);
+    auditAttempt(req, "quiz.attempt-submit", attempt, quiz, {
+      before: attemptState(attempt),
+    });
+
+    if (attempt.status !== "in-progress") {
+      return next(new ErrorHandler("This attempt has been submitted", 400));
+    }
+
+    // Answers sent after the timer ran out are not accepted
+    const expired = attemptExpired(attempt);
+    if (!expired && req.body.answers !== undefined) {
+      const answerError = applyAnswers(attempt, quiz, req.body.answers);
+      if (answerError) {
+        return next(new ErrorHandler(answerError, 400));
+      }
+    }
+
+    finalizeAttempt(attempt, quiz, { auto: expired });
+    await attempt.save();
+    auditTarget(req, { after: attemptState(attempt) });
+    console.log(`Attempt ${attempt._id} submitted, score ${attempt.score}`);
+
+    res.status(200).json({
+      success: true,
+      message: expired
+        ? "Time was up; the answers saved before then were submitted"
+        : "Quiz submitted successfully",
+      attempt: presentAttempt(attempt, quiz, answersRevealed(quiz)),
+    });
+  } catch (error) {
+    console.error("Error in submitQuizAttempt:", error);
+    if (error.name === "VersionError") {
+      return next(new ErrorHandler(STALE_ATTEMPT_MESSAGE, 409));
+    }
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Every attempt at a quiz, for grading
+exports.getQuizAttempts = catchAsyncErrors(async (req, res, next) => {
+  console.log("getQuizAttempts: Started");
+
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return next(new ErrorHandler("Quiz not found", 404));
+    }
+
+    await closeExpiredAttempts({ quiz: quiz._id });
+    const attempts = await QuizAttempt.find({ quiz: quiz._id })
+      .populate({
+        path: "student",
+        select: "user",
+        populate: { path: "user", select: "name email" },
+      })
+      .sort({ startedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      quiz: quizSummary(quiz),
+      attempts: attempts.map((attempt) => ({
+        ...attemptSummary(attempt),
+        student: {
+          _id: attempt.student?._id,
+          name: attempt.student?.user?.name || "Unknown",
+          email: attempt.student?.user?.email || "",
+        },
+        awaitingReview: attempt.answers.filter((a) => a.needsReview).length,
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getQuizAttempts:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Mark one answer by hand, typically a short answer awaiting review
+exports.gradeQuizAnswer = catchAsyncErrors(async (req, res, next) => {
+  console.log("gradeQuizAnswer: Started");
+
+  try {
+    const { attempt, quiz, error } = await loadAttempt(req);
+    if (error) return next(error);
+
+    if (await isOwnStudentRecord(req.user, attempt.student)) {
+      return next(
+        new ErrorHandler("You cannot grade your own submission", 403)
+      );
+    }
+    if (attempt.status === "in-progress") {
+      return next(
+        new ErrorHandler("The attempt has not been submitted yet", 400)
+      );
+    }
+
+    const { questionId } = req.params;
+    const question = quiz.questions.id(questionId);
+    const answer = attempt.answers.find(
+      (a) => a.question.toString() === questionId
+    );
+    if (!question || !answer) {
+      return next(
+        new ErrorHandler("Question is not part of this attempt", 404)
+      );
+    }
+
+    const points = Number(req.body.points);
+    if (
+      req.body.points === undefined ||
+      isNaN(points) ||
+      points < 0 ||
+      points > question.points
+    ) {
+      return next(
+        new ErrorHandler(`points must be between 0 and ${question.points}`, 400)
+      );
+    }
+
+    auditAttempt(req, "quiz.grade", attempt, quiz, {
+      before: snapshot(attempt),
+    });
+    answer.pointsAwarded = points;
+    answer.isCorrect = points === question.points;
+    answer.needsReview = false;
+    answer.feedback = req.body.feedback || "";
+    answer.gradedBy = req.user._id;
+    scoreAttempt(attempt);
+    await attempt.save();
+    auditTarget(req, { after: snapshot(attempt) });
+
+    res.status(200).json({
+      success: true,
+      message: "Answer graded successfully",
+      attempt: attemptSummary(attempt),
+    });
+  } catch (error) {
+    console.error("Error in gradeQuizAnswer:", error);
+    if (error.name === "VersionError") {
+      return next(new ErrorHandler(STALE_ATTEMPT_MESSAGE, 409));
+    }
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Exam fields the schedule decides; exams always allow a single attempt
+const EXAM_FIXED_FIELDS = [
+  "availableFrom",
+  "dueDate",
+  "maxAttempts",
+  "attemptGrading",
+];
+
+// Exam settings from a request: quiz settings minus the fixed fields, plus
+// the exam's own. Resolves to { settings, error }.
+const parseExamRequest = (body) => {
+  const quizBody = { ...body };
+  EXAM_FIXED_FIELDS.forEach((field) => delete quizBody[field]);
+
+  const { settings, error } = parseQuizSettings(quizBody);
+  if (error) return { error };
+  const examResult = parseExamSettings(body);
+  if (examResult.error) return { error: examResult.error };
+  return { settings: { ...settings, ...examResult.settings } };
+};
+
+// Create a mid- or end-semester exam on the course schedule's exam date
+exports.createExam = catchAsyncErrors(async (req, res, next) => {
+  console.log("createExam: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const { examType, examStartTime, startWindowMinutes, timeLimitMinutes } =
+      req.body;
+    if (
+      !examType ||
+      !examStartTime ||
+      !startWindowMinutes ||
+      !timeLimitMinutes
+    ) {
+      return next(
+        new ErrorHandler(
+          "examType, examStartTime, startWindowMinutes and timeLimitMinutes are required",
+          400
+        )
+      );
+    }
+    const { settings, error } = parseExamRequest(req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+    const questionResult = validateQuestions(req.body.questions || []);
+    if (questionResult.error) {
+      return next(new ErrorHandler(questionResult.error, 400));
+    }
+
+    if (await Quiz.exists({ course: course._id, examType })) {
+      return next(
+        new ErrorHandler(`This course already has a ${examType} exam`, 409)
+      );
+    }
+
+    const exam = new Quiz({
+      title: EXAM_TITLES[examType],
+      ...settings,
+      course: course._id,
+      questions: questionResult.questions,
+      maxAttempts: 1,
+      attemptGrading: "latest",
+      createdBy: req.user._id,
+    });
+
+    const schedule = await getCourseSchedule(course);
+    const setupError = applyExamTiming(exam, schedule) || prepareQuiz(exam);
+    if (setupError) {
+      return next(new ErrorHandler(setupError, 400));
+    }
+
+    await exam.save();
+    auditQuiz(req, "exam.create", exam, { after: snapshot(exam) });
+    console.log(`Exam created: ${exam._id} opening ${exam.availableFrom}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Exam created successfully",
+      exam,
+    });
+  } catch (error) {
+    console.error("Error in createExam:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// A course's exams. Students see the published ones with their own attempt;
+// scores only once results are published.
+exports.getCourseExams = catchAsyncErrors(async (req, res, next) => {
+  console.log("getCourseExams: Started");
+
+  try {
+    const { course } = req.access;
+    if (!course) {
+      return next(new ErrorHandler("Course not found", 404));
+    }
+
+    const filter = { course: course._id, examType: { $ne: null } };
+
+    if (isStaffAccess(req.access)) {
+      const exams = await Quiz.find(filter).sort({ availableFrom: 1 });
+      return res.status(200).json({
+        success: true,
+        exams: exams.map(quizSummary),
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return next(new ErrorHandler("Student not found", 404));
+    }
+    await closeExpiredAttempts({ course: course._id, student: student._id });
+
+    const exams = await Quiz.find({ ...filter, isPublished: true }).sort({
+      availableFrom: 1,
+    });
+    const attempts = await QuizAttempt.find({
+      quiz: { $in: exams.map((e) => e._id) },
+      student: student._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      exams: exams.map((exam) => {
+        const attempt = attempts.find((a) => a.quiz.equals(exam._id));
+        return {
+          ...quizSummary(exam),
+          startDeadline: startDeadline(exam),
+          attempt: attempt
+            ? attemptSummary(attempt, resultsWithheld(exam))
+            : null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error in getCourseExams:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Update an exam. Its questions and timing are locked once a student has
+// started it.
+exports.updateExam = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateExam: Started");
+
+  try {
+    const exam = await Quiz.findById(req.params.quizId);
+    if (!exam || !exam.examType) {
+      return next(new ErrorHandler("Exam not found", 404));
+    }
+    auditQuiz(req, "exam.update", exam, { before: snapshot(exam) });
+
+    const { settings, error } = parseExamRequest(req.body);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    const attempted = await QuizAttempt.exists({ quiz: exam._id });
+    const lockedFields = [
+      "questions",
+      "questionsPerAttempt",
+      "examType",
+      "examStartTime",
+      "startWindowMinutes",
+      "timeLimitMinutes",
+    ];
+    if (attempted && lockedFields.some((f) => req.body[f] !== undefined)) {
+      return next(
+        new ErrorHandler(
+          `${lockedFields.join(
+            ", "
+          )} cannot be changed after students have started the exam`,
+          400
+        )
+      );
+    }
+    if (
+      settings.examType &&
+      settings.examType !== exam.examType &&
+      (await Quiz.exists({ course: exam.course, examType: settings.examType }))
+    ) {
+      return next(
+        new ErrorHandler(
+          `This course already has a ${settings.examType} exam`,
+          409
+        )
+      );
+    }
+
+    if (req.body.questions !== undefined) {
+      const questionResult = validateQuestions(req.body.questions);
+      if (questionResult.error) {
+        return next(new ErrorHandler(questionResult.error, 400));
+      }
+      exam.questions = questionResult.questions;
+    }
+    Object.assign(exam, settings);
+
+    let setupError = null;
+    if (!attempted) {
+      const schedule = await getCourseSchedule(req.access.course);
+      setupError = applyExamTiming(exam, schedule);
+    }
+    setupError = setupError || prepareQuiz(exam);
+    if (setupError) {
+      return next(new ErrorHandler(setupError, 400));
+    }
+
+    await exam.save();
+    auditTarget(req, { after: snapshot(exam) });
+    console.log(`Exam updated: ${exam._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Exam updated successfully",
+      exam,
+    });
+  } catch (error) {
+    console.error("Error in updateExam:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Release exam scores (and answers, per revealAnswers) to students, or hold
+// them back again. Results can only be published once every attempt is in
+// and marked.
+exports.publishExamResults = catchAsyncErrors(async (req, res, next) => {
+  console.log("publishExamResults: Started");
+
+  try {
+    const exam = await Quiz.findById(req.params.quizId);
+    if (!exam || !exam.examType) {
+      return next(new ErrorHandler("Exam not found", 404));
+    }
+
+    const publish =
+      req.body.published !== false && req.body.published !== "false";
+    if (publish) {
+      // Results reveal the answers, so wait until no student can start
+      const closesAt = new Date(
+        Math.min(exam.dueDate.getTime(), startDeadline(exam).getTime())
+      );
+      if (new Date() < closesAt) {
+        return next(
+          new ErrorHandler(
+            `Results can be published once the exam closes at ${closesAt.toISOString()}`,
+            400
+          )
+        );
+      }
+      await closeExpiredAttempts({ quiz: exam._id });
+      const [writing, awaitingReview] = await Promise.all([
+        QuizAttempt.countDocuments({ quiz: exam._id, status: "in-progress" }),
+        QuizAttempt.countDocuments({ quiz: exam._id, status: "submitted" }),
+      ]);
+      if (writing > 0) {
+        return next(
+          new ErrorHandler(
+            `${writing} students are still writing this exam`,
+            400
+          )
+        );
+      }
+      if (awaitingReview > 0) {
+        return next(
+          new ErrorHandler(
+            `${awaitingReview} attempts still have answers awaiting review`,
+            400
+          )
+        );
+      }
+    }
+
+    const publication = () =>
+      snapshot({
+        resultsPublished: exam.resultsPublished,
+        resultsPublishedAt: exam.resultsPublishedAt,
+      });
+    auditQuiz(
+      req,
+      publish ? "exam.results-publish" : "exam.results-withdraw",
+      exam,
+      { before: publication() }
+    );
+    exam.resultsPublished = publish;
+    exam.resultsPublishedAt = publish ? new Date() : null;
+    await exam.save();
+    auditTarget(req, { after: publication() });
+    console.log(
+      `Exam ${exam._id} results ${publish ? "published" : "withdrawn"}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: publish
+        ? "Exam results published successfully"
+        : "Exam results withdrawn",
+      exam: quizSummary(exam),
+    });
+  } catch (error) {
+    console.error("Error in publishExamResults:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const RoleGrant = require("../models/RoleGrant");
+const User = require("../models/User");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { ROLES, SCOPED_ROLES, PERMISSIONS } = require("../config/permissions");
+const { listPermissions } = require("../utils/permissions");
+const { auditTarget, snapshot } = require("../utils/audit");
+
+const normalizeCourseCodes = (courseCodes) =>
+  (Array.isArray(courseCodes) ? courseCodes : [courseCodes])
+    .filter(Boolean)
+    .map((code) => String(code).toUpperCase().trim());
+
+// Get the permission registry (roles and the actions they may perform)
+exports.getPermissionRegistry = catchAsyncErrors(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    roles: ROLES,
+    scopedRoles: SCOPED_ROLES,
+    permissions: PERMISSIONS,
+  });
+});
+
+// Get the actions the authenticated user can perform
+exports.getMyPermissions = catchAsyncErrors(async (req, res, next) => {
+  try {
+    const permissions = await listPermissions(req.user);
+
+    res.status(200).json({
+      success: true,
+      role: req.user.role,
+      permissions,
+    });
+  } catch (error) {
+    console.error("Error in getMyPermissions:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// List role grants, optionally filtered by user, role or course code
+exports.getRoleGrants = catchAsyncErrors(async (req, res, next) => {
+  console.log("getRoleGrants: Started");
+
+  try {
+    const { userId, role, courseCode } = req.query;
+    const query = {};
+
+    if (userId) query.user = userId;
+    if (role) query.role = role;
+    if (courseCode) query.courseCodes = courseCode.toUpperCase();
+
+    const grants = await RoleGrant.find(query)
+      .populate("user", "name email role")
+      .populate("grantedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: grants.length,
+      grants,
+    });
+  } catch (error) {
+    console.error("Error in getRoleGrants:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Name a grant change in the audit log: the grant and the user holding it
+const auditGrant = (req, action, grant, changes = {}) => {
+  auditTarget(req, {
+    action,
+    entity: "RoleGrant",
+    entityId: grant._id,
+    label: grant.role,
+    ...changes,
+  });
+  auditTarget(req, { entity: "User", entityId: grant.user });
+};
+
+// Grant a scoped role for one or more course codes (merges with an existing grant)
+exports.createRoleGrant = catchAsyncErrors(async (req, res, next) => {
+  console.log("createRoleGrant: Started");
+
+  try {
+    const { userId, email, role } = req.body;
+    const courseCodes = normalizeCourseCodes(req.body.courseCodes);
+
+    if ((!userId && !email) || !role || !courseCodes.length) {
+      return next(
+        new ErrorHandler(
+          "User (userId or email), role and courseCodes are required",
+          400
+        )
+      );
+    }
+
+    if (!SCOPED_ROLES.includes(role)) {
+      return next(
+        new ErrorHandler(`Role must be one of: ${SCOPED_ROLES.join(", ")}`, 400)
+      );
+    }
+
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return next(new ErrorHandler("Invalid user ID", 400));
+    }
+
+    const user = userId
+      ? await User.findById(userId)
+      : await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return next(new ErrorHandler("User not found", 404));
+    }
+
+    let grant = await RoleGrant.findOne({ user: user._id, role });
+    const merged = !!grant;
+    if (merged) {
+      auditGrant(req, "role-grant.update", grant, { before: snapshot(grant) });
+      grant.courseCodes = [...grant.courseCodes, ...courseCodes];
+      grant.grantedBy = req.user._id;
+    } else {
+      grant = new RoleGrant({
+        user: user._id,
+        role,
+        courseCodes,
+        grantedBy: req.user._id,
+      });
+    }
+    await grant.save();
+    if (!merged) auditGrant(req, "role-grant.create", grant);
+    auditTarget(req, { after: snapshot(grant) });
+
+    console.log(`Granted ${role} to ${user.email} for ${grant.courseCodes}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Role granted successfully",
+      grant,
+    });
+  } catch (error) {
+    console.error("Error in createRoleGrant:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Replace the course codes a grant applies to
+exports.updateRoleGrant = catchAsyncErrors(async (req, res, next) => {
+  console.log("updateRoleGrant: Started");
+
+  try {
+    const { grantId } = req.params;
+    const courseCodes = normalizeCourseCodes(req.body.courseCodes);
+
+    if (!courseCodes.length) {
+      return next(new ErrorHandler("courseCodes must not be empty", 400));
+    }
+
+    const grant = await RoleGrant.findById(grantId);
+    if (!grant) {
+      return next(new ErrorHandler("Role grant not found", 404));
+    }
+
+    auditGrant(req, "role-grant.update", grant, { before: snapshot(grant) });
+    grant.courseCodes = courseCodes;
+    grant.grantedBy = req.user._id;
+    await grant.save();
+    auditTarget(req, { after: snapshot(grant) });
+
+    res.status(200).json({
+      success: true,
+      message: "Role grant updated successfully",
+      grant,
+    });
+  } catch (error) {
+    console.error("Error in updateRoleGrant:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Revoke a grant entirely
+exports.deleteRoleGrant = catchAsyncErrors(async (req, res, next) => {
+  console.log("deleteRoleGrant: Started");
+
+  try {
+    const grant = await RoleGrant.findByIdAndDelete(req.params.grantId);
+    if (!grant) {
+      return next(new ErrorHandler("Role grant not found", 404));
+    }
+    auditGrant(req, "role-grant.delete", grant, { before: snapshot(grant) });
+
+    res.status(200).json({
+      success: true,
+      message: "Role grant revoked successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteRoleGrant:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
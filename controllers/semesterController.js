@@ -1,4 +1,5 @@
 const Semester = require("../models/Semester");
+const { auditTarget, snapshot } = require("../utils/audit");
 
 const createSemester = async (req, res) => {
   try {
@@ -11,6 +12,13 @@ const createSemester = async (req, res) => {
     });
 
     await semester.save();
+    auditTarget(req, {
+      action: "semester.create",
+      entity: "Semester",
+      entityId: semester._id,
+      label: semester.name,
+      after: snapshot(semester),
+    });
     res.status(201).json(semester);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -0,0 +1,203 @@
+const path = require("path");
+const Assignment = require("../models/Assignment");
+const SimilarityReport = require("../models/SimilarityReport");
+const catchAsyncErrors = require("../middleware/catchAsyncErrors");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { submittingStudents } = require("../utils/assessmentStats");
+const { latestAttempt } = require("../utils/submissionAttempts");
+const { isTextFile, extractStoredText } = require("../utils/textExtraction");
+const {
+  DEFAULT_SHINGLE_SIZE,
+  DEFAULT_THRESHOLD,
+  fingerprint,
+  comparePairs,
+} = require("../utils/similarity");
+
+// Threshold (0-1) from a request, or the default. Resolves to
+// { threshold, error }.
+const parseThreshold = (value) => {
+  if (value === undefined || value === "") {
+    return { threshold: DEFAULT_THRESHOLD };
+  }
+  const threshold = Number(value);
+  if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+    return { error: "threshold must be between 0 and 1" };
+  }
+  return { threshold };
+};
+
+// Report with student names; pairs are re-flagged against the threshold asked
+// for, if any
+const formatReport = async (report, assignment, threshold, flaggedOnly) => {
+  const studentsById = await submittingStudents(assignment);
+  const studentInfo = (id) => {
+    const student = studentsById.get(id.toString());
+    return {
+      studentId: id,
+      name: student?.user?.name || "Unknown",
+      email: student?.user?.email || "",
+    };
+  };
+
+  const pairs = report.pairs
+    .map((pair) => ({
+      studentA: studentInfo(pair.studentA),
+      studentB: studentInfo(pair.studentB),
+      similarity: pair.similarity,
+      flagged: pair.similarity >= threshold,
+      passages: pair.passages,
+    }))
+    .filter((pair) => !flaggedOnly || pair.flagged);
+
+  return {
+    _id: report._id,
+    assignment: { _id: assignment._id, title: assignment.title },
+    threshold,
+    shingleSize: report.shingleSize,
+    generatedAt: report.updatedAt,
+    submissions: report.submissions.map((submission) => ({
+      ...studentInfo(submission.student),
+      attemptNumber: submission.attemptNumber,
+      fileName: submission.fileName,
+      status: submission.status,
+      wordCount: submission.wordCount,
+      error: submission.error,
+    })),
+    flaggedPairs: pairs.filter((pair) => pair.flagged).length,
+    pairs,
+  };
+};
+
+// Compare the latest text file of every submission with every other and store
+// the report, replacing the previous one
+exports.runSimilarityCheck = catchAsyncErrors(async (req, res, next) => {
+  console.log("runSimilarityCheck: Started");
+
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+
+    const { threshold, error } = parseThreshold(req.body.threshold);
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+    const shingleSize =
+      req.body.shingleSize === undefined
+        ? DEFAULT_SHINGLE_SIZE
+        : Number(req.body.shingleSize);
+    if (!Number.isInteger(shingleSize) || shingleSize < 2 || shingleSize > 20) {
+      return next(
+        new ErrorHandler("shingleSize must be a whole number from 2 to 20", 400)
+      );
+    }
+
+    // Files are read one at a time to keep memory flat
+    const submissions = [];
+    const items = [];
+    for (const submission of assignment.submissions) {
+      const attempt = latestAttempt(submission) || submission;
+      const key = attempt.submissionFileKey;
+      const entry = {
+        student: submission.student,
+        attemptNumber: attempt.attemptNumber || 1,
+        fileName: key ? path.basename(key) : "",
+      };
+
+      if (!key || !isTextFile(key)) {
+        submissions.push({ ...entry, status: "unsupported" });
+        continue;
+      }
+      try {
+        const print = fingerprint(await extractStoredText(key), shingleSize);
+        submissions.push({
+          ...entry,
+          status: "analysed",
+          wordCount: print.words.length,
+        });
+        items.push({ id: submission.student, fingerprint: print });
+      } catch (extractError) {
+        console.error(`Could not read ${key}:`, extractError.message);
+        submissions.push({
+          ...entry,
+          status: "failed",
+          error: extractError.message,
+        });
+      }
+    }
+    console.log(`Comparing ${items.length} text submissions`);
+
+    const pairs = comparePairs(items, { threshold, shingleSize }).map(
+      ({ a, b, ...pair }) => ({ studentA: a, studentB: b, ...pair })
+    );
+
+    const report = await SimilarityReport.findOneAndUpdate(
+      { assignment: assignment._id },
+      {
+        course: assignment.course,
+        threshold,
+        shingleSize,
+        submissions,
+        pairs,
+        generatedBy: req.user._id,
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+    console.log(
+      `Similarity report saved: ${
+        pairs.filter((p) => p.flagged).length
+      } flagged pairs`
+    );
+
+    res.status(200).json({
+      success: true,
+      report: await formatReport(report, assignment, threshold, false),
+    });
+  } catch (error) {
+    console.error("Error in runSimilarityCheck:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
+
+// Latest similarity report; ?threshold re-flags the stored pairs and
+// ?flaggedOnly=true leaves out the others
+exports.getSimilarityReport = catchAsyncErrors(async (req, res, next) => {
+  console.log("getSimilarityReport: Started");
+
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return next(new ErrorHandler("Assignment not found", 404));
+    }
+
+    const report = await SimilarityReport.findOne({
+      assignment: assignment._id,
+    });
+    if (!report) {
+      return next(
+        new ErrorHandler("No similarity check has been run yet", 404)
+      );
+    }
+
+    const { threshold, error } = parseThreshold(
+      req.query.threshold ?? report.threshold
+    );
+    if (error) {
+      return next(new ErrorHandler(error, 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      report: await formatReport(
+        report,
+        assignment,
+        threshold,
+        req.query.flaggedOnly === "true"
+      ),
+    });
+  } catch (error) {
+    console.error("Error in getSimilarityReport:", error);
+    return next(new ErrorHandler(error.message, 500));
+  }
+});
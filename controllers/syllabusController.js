@@ -1,14 +1,28 @@
 const mongoose = require("mongoose");
 const Course = require("../models/Course");
 const CourseSyllabus = require("../models/CourseSyllabus");
-const Teacher = require("../models/Teacher");
-const Student = require("../models/Student");
+const Quiz = require("../models/Quiz");
 const { ErrorHandler } = require("../middleware/errorHandler");
+const {
+  assertCoursePermission,
+  isStaffAccess,
+} = require("../utils/permissions");
 const catchAsyncErrors = require("../middleware/catchAsyncErrors");
 const {
   uploadFileToAzure,
   deleteFileFromAzure,
 } = require("../utils/azureConfig");
+const { auditTarget, snapshot } = require("../utils/audit");
+
+// Name a syllabus module change in the audit log, before the module changes
+const auditModule = (req, action, syllabus, module) =>
+  auditTarget(req, {
+    action,
+    entity: "CourseSyllabus",
+    entityId: syllabus._id,
+    label: `Module ${module.moduleNumber}: ${module.moduleTitle}`,
+    before: snapshot(module),
+  });
 
 // Function to handle file uploads (for content files)
 const handleFileUploads = async (files, allowedTypes, path, next) => {
@@ -122,38 +136,24 @@ const handleThumbnailUpload = async (thumbnailFile, path) => {
   }
 };
 
-// Helper function to verify teacher access to course
-const verifyTeacherAccess = async (userId, courseId, session = null) => {
-  const teacher = await Teacher.findOne({ user: userId }).session(session);
-  if (!teacher) {
-    throw new ErrorHandler("Teacher not found", 404);
-  }
-
-  const course = await Course.findOne({
-    _id: courseId,
-    teacher: teacher._id,
-  }).session(session);
-
-  if (!course) {
-    throw new ErrorHandler("Course not found or unauthorized", 404);
-  }
-
-  return { teacher, course };
-};
-
-// Helper function to verify student access to course
-const verifyStudentAccess = async (userId, courseId) => {
-  const student = await Student.findOne({ user: userId });
-  if (!student) {
-    throw new ErrorHandler("Student not found", 404);
-  }
-
-  const isEnrolled = student.courses.some((id) => id.toString() === courseId);
-  if (!isEnrolled) {
-    throw new ErrorHandler("You are not enrolled in this course", 403);
-  }
-
-  return student;
+// Quizzes attached to the course's modules, keyed by module ID. Students only
+// see published ones.
+const getModuleQuizzes = async (courseId, access) => {
+  const filter = { course: courseId, module: { $ne: null } };
+  if (!isStaffAccess(access)) filter.isPublished = true;
+
+  const quizzes = await Quiz.find(filter)
+    .select(
+      "title module totalPoints timeLimitMinutes availableFrom dueDate isPublished"
+    )
+    .sort({ dueDate: 1 });
+
+  const byModule = new Map();
+  quizzes.forEach((quiz) => {
+    const key = quiz.module.toString();
+    byModule.set(key, [...(byModule.get(key) || []), quiz]);
+  });
+  return byModule;
 };
 
 // Get course syllabus with modules
@@ -171,13 +171,11 @@ exports.getCourseSyllabus = catchAsyncErrors(async (req, res, next) => {
   }
 
   // Verify user access based on role
-  if (req.user.role === "teacher") {
-    await verifyTeacherAccess(req.user.id, courseId);
-  } else if (req.user.role === "student") {
-    await verifyStudentAccess(req.user.id, courseId);
-  } else {
-    return next(new ErrorHandler("Invalid user role", 403));
-  }
+  const access = await assertCoursePermission(
+    req.user,
+    "syllabus:read",
+    courseId
+  );
 
   // Find CourseSyllabus with populated lectures
   const syllabus = await CourseSyllabus.findOne({ course: courseId }).populate({
@@ -203,49 +201,57 @@ exports.getCourseSyllabus = catchAsyncErrors(async (req, res, next) => {
     });
   }
 
+  const quizzesByModule = await getModuleQuizzes(courseId, access);
+
   // Format the response with simplified module data
   const formattedSyllabus = {
     _id: syllabus._id,
     course: syllabus.course,
-    modules: syllabus.modules.map((module) => ({
-      _id: module._id,
-      moduleNumber: module.moduleNumber,
-      moduleTitle: module.moduleTitle,
-      description: module.description,
-      isActive: module.isActive,
-      order: module.order,
-
-      // Sort content by order
-      videos: module.videos
-        ? [...module.videos].sort((a, b) => (a.order || 0) - (b.order || 0))
-        : [],
-      links: module.links
-        ? [...module.links].sort((a, b) => (a.order || 0) - (b.order || 0))
-        : [],
-      pdfs: module.pdfs
-        ? [...module.pdfs].sort((a, b) => (a.order || 0) - (b.order || 0))
-        : [],
-      ppts: module.ppts
-        ? [...module.ppts].sort((a, b) => (a.order || 0) - (b.order || 0))
-        : [],
-
-      // Lectures are already sorted from populate
-      lectures: module.lectures || [],
-
-      // Content counts
-      videoCount: module.videos ? module.videos.length : 0,
-      linkCount: module.links ? module.links.length : 0,
-      pdfCount: module.pdfs ? module.pdfs.length : 0,
-      pptCount: module.ppts ? module.ppts.length : 0,
-      lectureCount: module.lectures ? module.lectures.length : 0,
-
-      hasContent:
-        module.videos?.length > 0 ||
-        module.links?.length > 0 ||
-        module.pdfs?.length > 0 ||
-        module.ppts?.length > 0 ||
-        module.lectures?.length > 0,
-    })),
+    modules: syllabus.modules.map((module) => {
+      const quizzes = quizzesByModule.get(module._id.toString()) || [];
+      return {
+        _id: module._id,
+        moduleNumber: module.moduleNumber,
+        moduleTitle: module.moduleTitle,
+        description: module.description,
+        isActive: module.isActive,
+        order: module.order,
+
+        // Sort content by order
+        videos: module.videos
+          ? [...module.videos].sort((a, b) => (a.order || 0) - (b.order || 0))
+          : [],
+        links: module.links
+          ? [...module.links].sort((a, b) => (a.order || 0) - (b.order || 0))
+          : [],
+        pdfs: module.pdfs
+          ? [...module.pdfs].sort((a, b) => (a.order || 0) - (b.order || 0))
+          : [],
+        ppts: module.ppts
+          ? [...module.ppts].sort((a, b) => (a.order || 0) - (b.order || 0))
+          : [],
+
+        // Lectures are already sorted from populate
+        lectures: module.lectures || [],
+        quizzes,
+
+        // Content counts
+        videoCount: module.videos ? module.videos.length : 0,
+        linkCount: module.links ? module.links.length : 0,
+        pdfCount: module.pdfs ? module.pdfs.length : 0,
+        pptCount: module.ppts ? module.ppts.length : 0,
+        lectureCount: module.lectures ? module.lectures.length : 0,
+        quizCount: quizzes.length,
+
+        hasContent:
+          module.videos?.length > 0 ||
+          module.links?.length > 0 ||
+          module.pdfs?.length > 0 ||
+          module.ppts?.length > 0 ||
+          module.lectures?.length > 0 ||
+          quizzes.length > 0,
+      };
+    }),
     createdAt: syllabus.createdAt,
     updatedAt: syllabus.updatedAt,
     moduleCount: syllabus.modules.length,
@@ -290,7 +296,12 @@ exports.createModule = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Check if teacher is authorized
-    await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:module:create",
+      courseId,
+      session
+    );
 
     // Find or create syllabus
     let syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -333,6 +344,13 @@ exports.createModule = catchAsyncErrors(async (req, res, next) => {
 
     syllabus.modules.push(newModule);
     await syllabus.save({ session });
+    auditTarget(req, {
+      action: "syllabus.module-create",
+      entity: "CourseSyllabus",
+      entityId: syllabus._id,
+      label: `Module ${moduleNumber}: ${newModule.moduleTitle}`,
+      after: snapshot(syllabus.modules[syllabus.modules.length - 1]),
+    });
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -371,13 +389,11 @@ exports.getModuleById = catchAsyncErrors(async (req, res, next) => {
   console.log(`Fetching module ${moduleId} for course: ${courseId}`);
 
   // Verify user access
-  if (req.user.role === "teacher") {
-    await verifyTeacherAccess(req.user.id, courseId);
-  } else if (req.user.role === "student") {
-    await verifyStudentAccess(req.user.id, courseId);
-  } else {
-    return next(new ErrorHandler("Invalid user role", 403));
-  }
+  const access = await assertCoursePermission(
+    req.user,
+    "syllabus:read",
+    courseId
+  );
 
   // Find CourseSyllabus with populated lectures
   const syllabus = await CourseSyllabus.findOne({ course: courseId }).populate({
@@ -400,6 +416,9 @@ exports.getModuleById = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler("Module not found", 404));
   }
 
+  const quizzes =
+    (await getModuleQuizzes(courseId, access)).get(module._id.toString()) || [];
+
   // Format module with enhanced data
   const formattedModule = {
     _id: module._id,
@@ -425,6 +444,7 @@ exports.getModuleById = catchAsyncErrors(async (req, res, next) => {
 
     // Lectures are already sorted from populate
     lectures: module.lectures || [],
+    quizzes,
 
     // Content counts
     videoCount: module.videos ? module.videos.length : 0,
@@ -432,13 +452,15 @@ exports.getModuleById = catchAsyncErrors(async (req, res, next) => {
     pdfCount: module.pdfs ? module.pdfs.length : 0,
     pptCount: module.ppts ? module.ppts.length : 0,
     lectureCount: module.lectures ? module.lectures.length : 0,
+    quizCount: quizzes.length,
 
     hasContent:
       module.videos?.length > 0 ||
       module.links?.length > 0 ||
       module.pdfs?.length > 0 ||
       module.ppts?.length > 0 ||
-      module.lectures?.length > 0,
+      module.lectures?.length > 0 ||
+      quizzes.length > 0,
   };
 
   res.status(200).json({
@@ -465,7 +487,12 @@ exports.updateModule = catchAsyncErrors(async (req, res, next) => {
     console.log(`Updating module ${moduleId} for course: ${courseId}`);
 
     // Check authorization
-    await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:module:update",
+      courseId,
+      session
+    );
 
     // Find and update module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -480,6 +507,8 @@ exports.updateModule = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.module-update", syllabus, module);
+
     // Check if new module number already exists (if changing)
     if (moduleNumber && moduleNumber !== module.moduleNumber) {
       // Validate moduleNumber is a positive integer
@@ -509,6 +538,7 @@ exports.updateModule = catchAsyncErrors(async (req, res, next) => {
     if (isActive !== undefined) module.isActive = isActive;
 
     await syllabus.save({ session });
+    auditTarget(req, { after: snapshot(module) });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -558,7 +588,12 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
     console.log(`Deleting module ${moduleId} for course: ${courseId}`);
 
     // Check authorization
-    await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:module:delete",
+      courseId,
+      session
+    );
 
     // Find syllabus and module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -573,6 +608,8 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.module-delete", syllabus, module);
+
     // Collect all files to delete from Azure
     const filesToDelete = [];
 
@@ -630,9 +667,13 @@ exports.deleteModule = catchAsyncErrors(async (req, res, next) => {
       await Promise.allSettled(deletePromises); // Use allSettled to continue even if some deletions fail
     }
 
-    // Remove module from syllabus
+    // Remove module from syllabus; its quizzes stay with the course
     syllabus.modules.pull({ _id: moduleId });
     await syllabus.save({ session });
+    await Quiz.updateMany(
+      { course: courseId, module: moduleId },
+      { module: null }
+    ).session(session);
 
     console.log("Committing transaction");
     await session.commitTransaction();
@@ -691,7 +732,12 @@ exports.addModuleContent = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Check if teacher is authorized
-    // await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:content:create",
+      courseId,
+      session
+    );
 
     // Find syllabus and module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -708,6 +754,8 @@ exports.addModuleContent = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.content-add", syllabus, module);
+
     // Initialize content arrays if they don't exist
     if (!module.videos) module.videos = [];
     if (!module.links) module.links = [];
@@ -888,6 +936,7 @@ exports.addModuleContent = catchAsyncErrors(async (req, res, next) => {
 
     console.log("Saving updated syllabus");
     await syllabus.save({ session });
+    auditTarget(req, { after: snapshot(module) });
     console.log("Syllabus updated with new content item");
 
     console.log("Committing transaction");
@@ -966,7 +1015,12 @@ exports.updateContentItem = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Check authorization
-    // await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:content:update",
+      courseId,
+      session
+    );
 
     // Find syllabus and module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -981,6 +1035,8 @@ exports.updateContentItem = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.content-update", syllabus, module);
+
     // Find content item based on type
     let contentArray = [];
     let contentIndex = -1;
@@ -1130,6 +1186,7 @@ exports.updateContentItem = catchAsyncErrors(async (req, res, next) => {
 
     console.log("Saving updated syllabus");
     await syllabus.save({ session });
+    auditTarget(req, { after: snapshot(module) });
     console.log("Content item updated successfully");
 
     console.log("Committing transaction");
@@ -1226,7 +1283,12 @@ exports.deleteContentItem = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Check authorization
-    // await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:content:delete",
+      courseId,
+      session
+    );
 
     // Find syllabus and module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -1241,6 +1303,8 @@ exports.deleteContentItem = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.content-delete", syllabus, module);
+
     // Find and remove content item based on type
     let contentArray = [];
     let contentIndex = -1;
@@ -1308,6 +1372,7 @@ exports.deleteContentItem = catchAsyncErrors(async (req, res, next) => {
 
     console.log("Saving updated syllabus");
     await syllabus.save({ session });
+    auditTarget(req, { after: snapshot(module) });
     console.log("Content item removed from module");
 
     console.log("Committing transaction");
@@ -1384,7 +1449,12 @@ exports.updateContentOrder = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Check authorization
-    // await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:content:update",
+      courseId,
+      session
+    );
 
     // Find syllabus and module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -1399,6 +1469,8 @@ exports.updateContentOrder = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.content-reorder", syllabus, module);
+
     // Update content order based on type
     let contentArray = [];
     switch (contentType) {
@@ -1427,6 +1499,7 @@ exports.updateContentOrder = catchAsyncErrors(async (req, res, next) => {
     });
 
     await syllabus.save({ session });
+    auditTarget(req, { after: snapshot(module) });
 
     await session.commitTransaction();
     transactionStarted = false;
@@ -1470,13 +1543,7 @@ exports.getContentItemById = catchAsyncErrors(async (req, res, next) => {
   }
 
   // Verify user access
-  if (req.user.role === "teacher") {
-    await verifyTeacherAccess(req.user.id, courseId);
-  } else if (req.user.role === "student") {
-    await verifyStudentAccess(req.user.id, courseId);
-  } else {
-    return next(new ErrorHandler("Invalid user role", 403));
-  }
+  await assertCoursePermission(req.user, "syllabus:read", courseId);
 
   // Find syllabus and module
   const syllabus = await CourseSyllabus.findOne({ course: courseId });
@@ -1564,7 +1631,12 @@ exports.bulkUploadContent = catchAsyncErrors(async (req, res, next) => {
     }
 
     // Check if teacher is authorized
-    await verifyTeacherAccess(req.user.id, courseId, session);
+    await assertCoursePermission(
+      req.user,
+      "syllabus:content:create",
+      courseId,
+      session
+    );
 
     // Find syllabus and module
     const syllabus = await CourseSyllabus.findOne({ course: courseId }).session(
@@ -1581,6 +1653,8 @@ exports.bulkUploadContent = catchAsyncErrors(async (req, res, next) => {
       return next(new ErrorHandler("Module not found", 404));
     }
 
+    auditModule(req, "syllabus.content-bulk-upload", syllabus, module);
+
     // Check if files are provided
     if (!req.files || !req.files.files) {
       return next(new ErrorHandler("No files uploaded", 400));
@@ -1735,6 +1809,7 @@ exports.bulkUploadContent = catchAsyncErrors(async (req, res, next) => {
 
     console.log("Saving updated syllabus");
     await syllabus.save({ session });
+    auditTarget(req, { after: snapshot(module) });
     console.log("Syllabus updated with bulk uploaded content");
 
     console.log("Committing transaction");
@@ -1,5 +1,6 @@
 const User = require("../models/User");
 const Course = require("../models/Course");
+const { auditTarget } = require("../utils/audit");
 
 exports.getStudents = async (req, res) => {
   try {
@@ -79,6 +80,14 @@ exports.assignStudent = async (req, res) => {
       return res.status(404).json({ error: "Student not found" });
     }
 
+    auditTarget(req, {
+      action: "student.assign-teacher",
+      entity: "User",
+      entityId: student._id,
+      label: student.email,
+      before: { teacher: student.teacher || null },
+      after: { teacher: req.user._id },
+    });
     student.teacher = req.user._id;
     await student.save();
 
@@ -7,6 +7,10 @@ require("dotenv").config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Number of reverse proxies in front of the app (Vercel's edge is one). req.ip
+// is then the address the outermost trusted proxy saw, not a client header.
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS || "1", 10));
+
 // Simplified CORS configuration - Allow ALL origins and headers
 const corsOptions = {
   origin: true, // Allows ALL origins
@@ -77,9 +81,25 @@ app.use(
 
 app.use(express.json({ limit: "200mb" }));
 
+// Audit trail of changes made through the API
+app.use(require("./middleware/audit"));
+
 // MongoDB Connection
 connectDB();
 
+// Report a missing or broken mail setup at startup rather than on the first email
+try {
+  require("./utils/mailer").getTransport();
+} catch (error) {
+  console.error("Error configuring mail transport:", error.message);
+}
+
+// A long-running server runs user imports itself; on Vercel the cron in
+// vercel.json calls the worker route instead
+if (!process.env.VERCEL) {
+  require("./utils/importJobs").startImportWorker();
+}
+
 // Routes
 app.get("/", (req, res) => {
   res.send("<h1>Backend Working</h1>");
@@ -101,6 +121,10 @@ app.use("/api/announcement", require("./routes/announcement"));
 app.use("/api/syllabus", require("./routes/syllabus"));
 app.use("/api/discussion", require("./routes/discussion"));
 app.use("/api/articles", require("./routes/articles"));
+app.use("/api/attendance", require("./routes/attendance"));
+app.use("/api/gradebook", require("./routes/gradebook"));
+app.use("/api/quiz", require("./routes/quiz"));
+app.use("/api/outcomes", require("./routes/outcome"));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
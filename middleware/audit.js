@@ -0,0 +1,29 @@
+const { writeAuditLog } = require("../utils/audit");
+
+const AUDITED_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+// Also logged when a permission check turns them away
+const AUDITED_ROLES = ["admin", "teacher"];
+
+// Acting through a course staff role or a RoleGrant rather than as a student
+const isStaffGrant = (access) => !!access && !!(access.staff || access.grant);
+
+// Log every mutating request by an admin or teacher, or by anyone acting
+// through a course staff role or role grant, once the response is sent.
+// Students acting as students are not audited. Mounted before the routes;
+// req.user and req.access are set by auth and checkPermission by the time the
+// response finishes, and controllers add targets and snapshots with
+// auditTarget.
+const auditTrail = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method)) return next();
+
+  res.on("finish", () => {
+    if (!req.user) return;
+    if (!AUDITED_ROLES.includes(req.user.role) && !isStaffGrant(req.access)) {
+      return;
+    }
+    writeAuditLog(req, res);
+  });
+  next();
+};
+
+module.exports = auditTrail;
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isSessionActive } = require("../utils/tokens");
 
 const auth = async (req, res, next) => {
   try {
@@ -11,6 +12,11 @@ const auth = async (req, res, next) => {
     const token = authHeader.replace("Bearer ", "");
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens are tied to a refresh-token session; reject once it is revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      throw new Error("Session revoked or expired");
+    }
+
     const user = await User.findOne({ _id: decoded.id });
     if (!user) {
       throw new Error("User not found");
@@ -18,6 +24,7 @@ const auth = async (req, res, next) => {
 
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error("Authentication error:", error.message);
@@ -1,3 +1,5 @@
+const { authorize, resolveCourse } = require("../utils/permissions");
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -11,4 +13,34 @@ const checkRole = (roles) => {
   };
 };
 
-module.exports = { checkRole };
+// Check an action from config/permissions against the course the route targets
+const checkPermission = (action) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    try {
+      // A missing resource is left to the controller's own not-found handling
+      const course = await resolveCourse(req.params);
+      const access = await authorize(req.user, action, course);
+
+      if (!access.granted) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      req.access = {
+        action,
+        role: access.role,
+        grant: access.grant,
+        staff: access.staff,
+        course,
+      };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { checkRole, checkPermission };
@@ -1,5 +1,8 @@
 // models/Assignment.js
 const mongoose = require("mongoose");
+const { rubricSchema, criterionScoreSchema } = require("./rubricSchema");
+const { extensionSchema } = require("./extensionSchema");
+const { outcomeMappingSchema } = require("./outcomeMappingSchema");
 
 const submissionSchema = new mongoose.Schema({
   student: {
@@ -15,6 +18,18 @@ const submissionSchema = new mongoose.Schema({
     type: String, // URL or path to the file
     required: true,
   },
+  submissionFileKey: {
+    type: String, // Azure blob key for cleanup
+  },
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  // Times the student has uploaded; each upload replaces the file
+  attemptCount: {
+    type: Number,
+    default: 1,
+  },
   grade: {
     type: Number,
     default: null,
@@ -23,6 +38,8 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Per-criterion breakdown when the activity is graded with a rubric
+  rubricScores: [criterionScoreSchema],
   status: {
     type: String,
     enum: ["submitted", "graded", "returned"],
@@ -70,6 +87,20 @@ const activitySchema = new mongoose.Schema(
         url: String,
       },
     ],
+    rubric: {
+      type: rubricSchema,
+      default: null,
+    },
+    // Uploads allowed per student; null means unlimited
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Per-student due date and attempt overrides
+    extensions: [extensionSchema],
+    // Course outcomes the activity assesses
+    outcomes: [outcomeMappingSchema],
   },
 
   { timestamps: true }
@@ -1,4 +1,55 @@
 const mongoose = require("mongoose");
+const { rubricSchema, criterionScoreSchema } = require("./rubricSchema");
+const { extensionSchema } = require("./extensionSchema");
+const { outcomeMappingSchema } = require("./outcomeMappingSchema");
+
+// One upload of a submission; earlier attempts and their files are kept
+const attemptSchema = new mongoose.Schema({
+  attemptNumber: {
+    type: Number,
+    required: true,
+  },
+  submissionFile: {
+    type: String,
+    required: true,
+  },
+  submissionFileKey: {
+    type: String, // Kept until the assignment is deleted
+  },
+  submissionDate: {
+    type: Date,
+    default: Date.now,
+  },
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  // Grade after any late penalty; rawGrade is what the grader gave
+  grade: {
+    type: Number,
+    default: null,
+  },
+  rawGrade: {
+    type: Number,
+    default: null,
+  },
+  latePenaltyPercent: {
+    type: Number,
+    default: 0,
+  },
+  feedback: {
+    type: String,
+    default: "",
+  },
+  rubricScores: [criterionScoreSchema],
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  gradedAt: {
+    type: Date,
+  },
+});
 
 const submissionSchema = new mongoose.Schema({
   student: {
@@ -21,10 +72,20 @@ const submissionSchema = new mongoose.Schema({
     type: Number,
     default: null,
   },
+  rawGrade: {
+    type: Number,
+    default: null,
+  },
+  latePenaltyPercent: {
+    type: Number,
+    default: 0,
+  },
   feedback: {
     type: String,
     default: "",
   },
+  // Per-criterion breakdown when the assignment is graded with a rubric
+  rubricScores: [criterionScoreSchema],
   status: {
     type: String,
     enum: ["submitted", "graded", "returned"],
@@ -34,8 +95,50 @@ const submissionSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Every upload, oldest first; the fields above mirror the latest file and
+  // the grade of the attempt that counts (see utils/submissionAttempts.js)
+  attempts: [attemptSchema],
+  gradedAttempt: {
+    type: Number,
+    default: null,
+  },
 }, { timestamps: true });
 
+// How late work is treated. The penalty is penaltyPercent of the grade for
+// every started hour or day past the due date and grace period, up to
+// maxPenaltyPercent; nothing is accepted after cutoffDate.
+const latePolicySchema = new mongoose.Schema(
+  {
+    gracePeriodMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    penaltyPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    penaltyInterval: {
+      type: String,
+      enum: ["hour", "day"],
+      default: "day",
+    },
+    maxPenaltyPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100,
+    },
+    cutoffDate: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const assignmentSchema = new mongoose.Schema(
   {
     title: {
@@ -85,21 +188,36 @@ const assignmentSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    latePolicy: {
+      type: latePolicySchema,
+      default: () => ({}),
+    },
+    // Per-student due date and attempt overrides
+    extensions: [extensionSchema],
+    // Uploads allowed per student; null means unlimited
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Whether the latest or the best graded attempt sets the grade
+    attemptGrading: {
+      type: String,
+      enum: ["latest", "best"],
+      default: "latest",
+    },
+    rubric: {
+      type: rubricSchema,
+      default: null,
+    },
+    // Course outcomes the assignment assesses
+    outcomes: [outcomeMappingSchema],
   },
   { timestamps: true }
 );
 
-// Virtual for calculating submission statistics
-assignmentSchema.virtual('stats').get(function() {
-  const turnedIn = this.submissions.length;
-  const graded = this.submissions.filter(sub => sub.grade !== null).length;
-  
-  return {
-    turnedIn,
-    assigned: 40, // This should be calculated based on enrolled students
-    graded
-  };
-});
+// Submission statistics need the course roster, so they are computed by the
+// controllers (see utils/assessmentStats.js) rather than in a virtual
 
 // Ensure virtual fields are serialized
 assignmentSchema.set('toJSON', { virtuals: true });
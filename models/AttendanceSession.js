@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const ATTENDANCE_STATUSES = ["present", "absent", "late", "excused"];
+const RECORD_SOURCES = ["manual", "check-in"];
+
+const attendanceRecordSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ATTENDANCE_STATUSES,
+    required: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  markedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // "check-in" when the student recorded it themselves with a live code
+  source: {
+    type: String,
+    enum: RECORD_SOURCES,
+    default: "manual",
+  },
+});
+
+// Live self check-in window opened by the teacher. Codes are derived from the
+// secret and the current rotation window, so nothing per-code is stored.
+const checkInSchema = new mongoose.Schema(
+  {
+    secret: {
+      type: String,
+      select: false,
+    },
+    rotationSeconds: {
+      type: Number,
+    },
+    openedAt: {
+      type: Date,
+    },
+    closesAt: {
+      type: Date,
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Wrong codes submitted per student ID
+    failedAttempts: {
+      type: Map,
+      of: Number,
+      default: new Map(),
+    },
+  },
+  { _id: false }
+);
+
+// One class meeting of a course and the attendance taken in it
+const attendanceSessionSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    // Calendar day of the class, stored as UTC midnight
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Entry of CourseSchedule.classDaysAndTimes this class belongs to
+    // (null for extra classes outside the regular timetable)
+    scheduleSlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    day: {
+      type: String,
+    },
+    time: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    topic: {
+      type: String,
+      trim: true,
+    },
+    records: [attendanceRecordSchema],
+    checkIn: {
+      type: checkInSchema,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A class can only be held once per course, day and time slot
+attendanceSessionSchema.index(
+  { course: 1, date: 1, time: 1 },
+  { unique: true }
+);
+attendanceSessionSchema.index({ "records.student": 1 });
+
+const AttendanceSession = mongoose.model(
+  "AttendanceSession",
+  attendanceSessionSchema
+);
+
+module.exports = AttendanceSession;
+module.exports.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+module.exports.RECORD_SOURCES = RECORD_SOURCES;
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// An entity a request acted on
+const auditTargetSchema = new mongoose.Schema(
+  {
+    // Model name, e.g. "User" or "Course"
+    entity: {
+      type: String,
+      required: true,
+    },
+    // Document ID, or the natural key (a course code) when there is none
+    entityId: {
+      type: String,
+    },
+    // Human-readable name such as an email or course title
+    label: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// One mutating request by an admin or teacher. Written once, never updated.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Kept so the entry still reads after the actor is deleted
+    actorEmail: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    // Named by the controller (e.g. "user.delete"), otherwise the method and
+    // route with IDs replaced (e.g. "PUT /api/quiz/quizzes/:id")
+    action: {
+      type: String,
+      required: true,
+    },
+    // Permission the route was checked against, when it has one
+    permission: {
+      type: String,
+    },
+    // Role that permission was granted through: the actor's own, a role grant
+    // (e.g. "department-head") or a course staff role (e.g. "co-teacher")
+    grantedAs: {
+      type: String,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+    },
+    succeeded: {
+      type: Boolean,
+    },
+    targets: [auditTargetSchema],
+    // Snapshots with secrets removed; before is null for creations and after
+    // is null for deletions
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Top-level fields that differ between before and after
+    changes: [auditChangeSchema],
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "targets.entity": 1, "targets.entityId": 1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const { questionSchema } = require("./questionSchema");
+
+// A question in the bank of a course code. Every teacher holding the code
+// can search the bank and pull its questions into their quizzes.
+const bankQuestionSchema = questionSchema.clone();
+
+bankQuestionSchema.add({
+  courseCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+bankQuestionSchema.set("timestamps", true);
+
+bankQuestionSchema.index({ courseCode: 1, outcomes: 1 });
+bankQuestionSchema.index({ courseCode: 1, bloomLevel: 1, difficulty: 1 });
+
+module.exports = mongoose.model("BankQuestion", bankQuestionSchema);
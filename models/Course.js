@@ -1,4 +1,41 @@
 const mongoose = require("mongoose");
+const { STAFF_ROLES, STAFF_CAPABILITIES } = require("../config/permissions");
+
+// Co-teachers and teaching assistants delegated onto this course by its teacher
+const courseStaffSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: Object.keys(STAFF_ROLES),
+    required: true,
+  },
+  capabilities: [
+    {
+      type: String,
+      enum: Object.keys(STAFF_CAPABILITIES),
+    },
+  ],
+  status: {
+    type: String,
+    enum: ["invited", "active"],
+    default: "invited",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+});
 
 const courseSchema = new mongoose.Schema(
   {
@@ -27,6 +64,7 @@ const courseSchema = new mongoose.Schema(
       ref: "Teacher",
       required: true,
     },
+    staff: [courseStaffSchema],
     // Removed lectures array as lectures are now in syllabus modules
 
     // References to other models
@@ -82,5 +120,6 @@ courseSchema.index({ teacher: 1, isActive: 1 });
 courseSchema.index({ semester: 1, isActive: 1 });
 courseSchema.index({ courseCode: 1 });
 courseSchema.index({ teacher: 1, courseCode: 1 });
+courseSchema.index({ "staff.user": 1 });
 
 module.exports = mongoose.model("Course", courseSchema);
@@ -2,7 +2,10 @@ const mongoose = require("mongoose");
 
 const courseAttendanceSchema = new mongoose.Schema(
   {
-    // Using Map to store session date/time as key and array of student IDs as value
+    // Legacy free-form attendance: session date/time as key and array of student IDs
+    // as value. Kept for existing data and read alongside AttendanceSession until
+    // the course's next attendance change copies it over (utils/attendance.js).
+    // Nothing writes new entries here.
     sessions: {
       type: Map,
       of: [String], // Array of student IDs
@@ -13,6 +16,12 @@ const courseAttendanceSchema = new mongoose.Schema(
       ref: "Course",
       required: true,
     },
+    // Set once the sessions have been copied into AttendanceSession; from then
+    // on the map is no longer read
+    migratedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
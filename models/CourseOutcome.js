@@ -1,20 +1,109 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 
+// How strongly an outcome contributes to a program outcome (PO1, PSO2, ...):
+// 1 low, 2 medium, 3 high
+const programMappingSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    correlation: {
+      type: Number,
+      enum: [1, 2, 3],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const outcomeSchema = new mongoose.Schema({
+  // CO1, CO2, ...; unique within the course
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  programOutcomes: [programMappingSchema],
+});
+
+// Attainment level reached when at least minStudentPercentage of the assessed
+// students score targetPercentage or more on the outcome
+const attainmentLevelSchema = new mongoose.Schema(
+  {
+    level: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    minStudentPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
 const courseOutcomeSchema = new mongoose.Schema(
   {
-    outcomes: [
-      {
-        type: String,
-        required: true,
-      },
-    ],
+    outcomes: [outcomeSchema],
     course: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Course",
       required: true,
     },
+    // Score a student needs on an outcome to have attained it
+    targetPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 60,
+    },
+    attainmentLevels: {
+      type: [attainmentLevelSchema],
+      default: () => [
+        { level: 3, minStudentPercentage: 70 },
+        { level: 2, minStudentPercentage: 60 },
+        { level: 1, minStudentPercentage: 50 },
+      ],
+    },
   },
   { timestamps: true }
 );
 
+// Outcomes used to be plain strings. Give them codes by position when loaded,
+// and IDs derived from the document and position, so every load hands out the
+// same IDs until the document is saved with them.
+courseOutcomeSchema.pre("init", function (raw) {
+  if (!(raw.outcomes || []).some((outcome) => typeof outcome === "string")) {
+    return;
+  }
+  raw.outcomes = raw.outcomes.map((outcome, index) =>
+    typeof outcome === "string"
+      ? {
+          _id: new mongoose.Types.ObjectId(
+            crypto
+              .createHash("sha1")
+              .update(`${raw._id}:${index}`)
+              .digest("hex")
+              .slice(0, 24)
+          ),
+          code: `CO${index + 1}`,
+          description: outcome,
+        }
+      : outcome
+  );
+  this.$locals.legacyOutcomes = true;
+});
+
 module.exports = mongoose.model("CourseOutcome", courseOutcomeSchema);
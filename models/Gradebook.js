@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+
+// Where a category takes its marks from: the course's graded assignments,
+// activities or quizzes, its mid- or end-semester exam once results are
+// published, or scores the teacher enters directly
+const CATEGORY_SOURCES = [
+  "assignments",
+  "activities",
+  "quizzes",
+  "mid-semester",
+  "end-semester",
+  "manual",
+];
+
+const DEFAULT_CATEGORIES = [
+  { name: "Assignments", source: "assignments", weight: 20 },
+  { name: "Activities", source: "activities", weight: 10 },
+  { name: "Mid-Semester", source: "manual", weight: 20, maxPoints: 50 },
+  { name: "End-Semester", source: "manual", weight: 50, maxPoints: 100 },
+];
+
+// Added to a gradebook still on the default categories when the course
+// publishes its first quiz
+const QUIZZES_CATEGORY = { name: "Quizzes", source: "quizzes", weight: 10 };
+
+// Lowest percentage for each letter, highest first
+const DEFAULT_GRADE_SCALE = [
+  { letter: "O", minPercentage: 90 },
+  { letter: "A+", minPercentage: 80 },
+  { letter: "A", minPercentage: 70 },
+  { letter: "B+", minPercentage: 60 },
+  { letter: "B", minPercentage: 50 },
+  { letter: "C", minPercentage: 45 },
+  { letter: "P", minPercentage: 40 },
+  { letter: "F", minPercentage: 0 },
+];
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  source: {
+    type: String,
+    enum: CATEGORY_SOURCES,
+    required: true,
+  },
+  // Percent of the final total
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  // Out-of marks for manual categories
+  maxPoints: {
+    type: Number,
+    min: 1,
+  },
+});
+
+const gradeBandSchema = new mongoose.Schema(
+  {
+    letter: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    minPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+const manualScoreSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    enteredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Final letter grade set by the teacher in place of the computed one
+const overrideSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    letterGrade: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    overriddenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Grading configuration of a course and the marks that are not kept on
+// assignments or activities. Totals are computed on read.
+const gradebookSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      unique: true,
+    },
+    categories: {
+      type: [categorySchema],
+      default: () => DEFAULT_CATEGORIES,
+    },
+    gradeScale: {
+      type: [gradeBandSchema],
+      default: () => DEFAULT_GRADE_SCALE,
+    },
+    manualScores: [manualScoreSchema],
+    overrides: [overrideSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Gradebook", gradebookSchema);
+module.exports.CATEGORY_SOURCES = CATEGORY_SOURCES;
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+module.exports.QUIZZES_CATEGORY = QUIZZES_CATEGORY;
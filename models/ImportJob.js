@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// A user upload running in the background. Its rows and their outcomes are
+// stored in ImportJobChunk documents; the job keeps the progress counters.
+const importJobSchema = new mongoose.Schema(
+  {
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    // Column mapping to read the sheet with
+    columnMapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    // Rows with a logged outcome
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    // Rows by outcome; a user spread over several rows counts once per row
+    counts: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // Worker run holding the job's lease; only it may run the job
+    owner: {
+      type: String,
+    },
+    // Renewed by the owner while it runs the job. A queued job, a job handed
+    // back between worker runs and a job whose lease has gone stale have no
+    // live owner, and the next worker run takes them.
+    heartbeatAt: {
+      type: Date,
+    },
+    // Why the whole job failed, e.g. course code conflicts
+    failureReasons: [String],
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+importJobSchema.virtual("progress").get(function () {
+  if (this.status === "completed") return 100;
+  if (!this.totalRows) return 0;
+  return Math.floor((this.processedRows / this.totalRows) * 100);
+});
+
+importJobSchema.set("toJSON", { virtuals: true });
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
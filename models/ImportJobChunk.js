@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Outcome of one sheet row
+const importRowLogSchema = new mongoose.Schema(
+  {
+    // Sheet row number; row 1 holds the headers
+    row: {
+      type: Number,
+      required: true,
+    },
+    email: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["created", "updated", "skipped", "failed"],
+      required: true,
+    },
+    messages: [String],
+  },
+  { _id: false }
+);
+
+// A run of rows from an import job's sheet, with their outcomes.
+// Sheets are split across these so no single document grows with the upload.
+const importJobChunkSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ImportJob",
+    required: true,
+  },
+  // Position of the chunk in the sheet
+  index: {
+    type: Number,
+    required: true,
+  },
+  // Sheet row number of each of rows. Blank sheet rows are not read, so the
+  // numbers can skip.
+  rowNumbers: [Number],
+  // The rows as uploaded, without their password column
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  // Passwords taken out of rows, encrypted, by sheet row. Dropped once the
+  // job has finished.
+  passwords: {
+    type: [
+      {
+        _id: false,
+        row: { type: Number, required: true },
+        sealed: { type: String, required: true },
+      },
+    ],
+    default: [],
+    select: false,
+  },
+  rowLogs: [importRowLogSchema],
+});
+
+importJobChunkSchema.index({ job: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model("ImportJobChunk", importJobChunkSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// One record per lockout triggered by repeated failed logins
+const lockoutEventSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Account the attempts targeted (null when the email is not registered)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    failedAttempts: {
+      type: Number,
+      required: true,
+    },
+    // Consecutive lockout number for this account/IP
+    lockoutNumber: {
+      type: Number,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+    unlockedAt: {
+      type: Date,
+      default: null,
+    },
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for efficient lookups
+lockoutEventSchema.index({ createdAt: -1 });
+lockoutEventSchema.index({ user: 1, createdAt: -1 });
+lockoutEventSchema.index({ ip: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LockoutEvent", lockoutEventSchema);
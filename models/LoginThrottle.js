@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Failed-login counter for one account (by email) or one client IP
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    // "account:<email>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Failures since the last lockout (reset once the attempt window passes)
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Lockouts so far; each one doubles the next lockout duration
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    // Pushed forward on every failure, so quiet keys are forgotten
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
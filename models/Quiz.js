@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+const { questionSchema } = require("./questionSchema");
+const { outcomeMappingSchema } = require("./outcomeMappingSchema");
+
+// When students get to see the correct answers of a submitted attempt
+const REVEAL_ANSWERS = ["never", "after-submit", "after-due-date"];
+
+// Exams sit on the matching date of the course schedule
+const EXAM_TYPES = ["mid-semester", "end-semester"];
+
+// A quiz question remembers the bank question it was copied from, if any
+const quizQuestionSchema = questionSchema.clone();
+quizQuestionSchema.add({
+  bankQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BankQuestion",
+    default: null,
+  },
+  // Weighted links to the course's outcomes; when empty the outcome codes the
+  // question is tagged with count with weight 1
+  outcomeMappings: [outcomeMappingSchema],
+});
+
+const quizSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    // Syllabus module the quiz is attached to
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Question pool; each attempt draws questionsPerAttempt of them (all if
+    // unset)
+    questions: [quizQuestionSchema],
+    questionsPerAttempt: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: true,
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: true,
+    },
+    // Points every attempt is out of
+    totalPoints: {
+      type: Number,
+      default: 0,
+    },
+    // Minutes an attempt may run; null means untimed
+    timeLimitMinutes: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    availableFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    // Attempts allowed; null means unlimited
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Which attempt's score counts
+    attemptGrading: {
+      type: String,
+      enum: ["latest", "best"],
+      default: "best",
+    },
+    revealAnswers: {
+      type: String,
+      enum: REVEAL_ANSWERS,
+      default: "after-due-date",
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+    // Set for exams; availableFrom and dueDate then follow from the course
+    // schedule's exam date
+    examType: {
+      type: String,
+      enum: [...EXAM_TYPES, null],
+      default: null,
+    },
+    // Exams: time of day ("HH:MM", in EXAM_TIMEZONE) the exam opens on the
+    // exam date
+    examStartTime: {
+      type: String,
+      default: null,
+    },
+    // Exams: minutes after opening in which a student may still start
+    startWindowMinutes: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Exams: scores and answers stay hidden from students until published
+    resultsPublished: {
+      type: Boolean,
+      default: false,
+    },
+    resultsPublishedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+quizSchema.index({ course: 1, module: 1 });
+quizSchema.index({ course: 1, examType: 1 });
+
+module.exports = mongoose.model("Quiz", quizSchema);
+module.exports.REVEAL_ANSWERS = REVEAL_ANSWERS;
+module.exports.EXAM_TYPES = EXAM_TYPES;
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+
+// A question as it was put to the student: its place in the attempt and the
+// order its options were shown in
+const presentedQuestionSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    optionOrder: [mongoose.Schema.Types.ObjectId],
+  },
+  { _id: false }
+);
+
+const answerSchema = new mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    selectedOptions: [mongoose.Schema.Types.ObjectId],
+    booleanAnswer: {
+      type: Boolean,
+    },
+    numericAnswer: {
+      type: Number,
+    },
+    textAnswer: {
+      type: String,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: null,
+    },
+    pointsAwarded: {
+      type: Number,
+      default: 0,
+    },
+    // Short answers without accepted answers wait for the teacher
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    feedback: {
+      type: String,
+      default: "",
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false }
+);
+
+// One student's attempt at a quiz. Answers are saved as the student goes; the
+// attempt is graded when submitted, or automatically once its time runs out.
+const quizAttemptSchema = new mongoose.Schema(
+  {
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      required: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    attemptNumber: {
+      type: Number,
+      required: true,
+    },
+    questions: [presentedQuestionSchema],
+    answers: [answerSchema],
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Server-side deadline of the attempt; null when untimed
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    autoSubmitted: {
+      type: Boolean,
+      default: false,
+    },
+    // graded once no answer is waiting for review
+    status: {
+      type: String,
+      enum: ["in-progress", "submitted", "graded"],
+      default: "in-progress",
+    },
+    score: {
+      type: Number,
+      default: null,
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+    },
+  },
+  // Autosave and submit may race; a stale save fails instead of overwriting
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+quizAttemptSchema.index(
+  { quiz: 1, student: 1, attemptNumber: 1 },
+  { unique: true }
+);
+quizAttemptSchema.index({ course: 1, status: 1 });
+
+module.exports = mongoose.model("QuizAttempt", quizAttemptSchema);
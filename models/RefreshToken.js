@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the opaque token handed to the client (raw token is never stored)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token issued from the same login shares a family; access tokens carry it as "sid"
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "logout-all",
+        "reuse-detected",
+        "password-change",
+        "two-factor-change",
+      ],
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for efficient lookups
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+// Let MongoDB purge tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
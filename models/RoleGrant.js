@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { SCOPED_ROLES } = require("../config/permissions");
+
+// Grants a course-code scoped role (e.g. teaching-assistant) to a user
+const roleGrantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: SCOPED_ROLES,
+      required: true,
+    },
+    // Course codes the role applies to
+    courseCodes: [
+      {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Ensure course codes are uppercase
+roleGrantSchema.pre("save", function (next) {
+  if (this.isModified("courseCodes")) {
+    this.courseCodes = [
+      ...new Set(this.courseCodes.map((code) => code.toUpperCase().trim())),
+    ];
+  }
+  next();
+});
+
+// One grant document per user and role
+roleGrantSchema.index({ user: 1, role: 1 }, { unique: true });
+roleGrantSchema.index({ courseCodes: 1 });
+
+module.exports = mongoose.model("RoleGrant", roleGrantSchema);
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+// A stretch of text two submissions share, as word offsets into each
+// submission's extracted text
+const passageSchema = new mongoose.Schema(
+  {
+    textA: String,
+    startA: Number,
+    endA: Number,
+    textB: String,
+    startB: Number,
+    endB: Number,
+  },
+  { _id: false }
+);
+
+const pairSchema = new mongoose.Schema(
+  {
+    studentA: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    studentB: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    // Estimated share of word shingles the two texts have in common, 0-1
+    similarity: {
+      type: Number,
+      required: true,
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    passages: [passageSchema],
+  },
+  { _id: false }
+);
+
+// How each submission's latest file was read
+const analysedSubmissionSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    attemptNumber: Number,
+    fileName: String,
+    status: {
+      type: String,
+      enum: ["analysed", "unsupported", "failed"],
+      required: true,
+    },
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+  },
+  { _id: false }
+);
+
+// Latest similarity check of an assignment's text submissions. Only pairs at
+// or above the reporting floor are kept; those at or above the threshold are
+// flagged.
+const similarityReportSchema = new mongoose.Schema(
+  {
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      required: true,
+      unique: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+    shingleSize: {
+      type: Number,
+      required: true,
+    },
+    submissions: [analysedSubmissionSchema],
+    pairs: [pairSchema],
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SimilarityReport", similarityReportSchema);
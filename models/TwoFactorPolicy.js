@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Site-wide two-factor settings; there is at most one document
+const twoFactorPolicySchema = new mongoose.Schema(
+  {
+    // Users with these roles must enrol in 2FA before they can log in
+    requiredRoles: {
+      type: [String],
+      enum: ["admin", "teacher", "student"],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("TwoFactorPolicy", twoFactorPolicySchema);
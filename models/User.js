@@ -211,6 +211,44 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+
+    // === PASSWORD RESET ===
+    // Only the SHA-256 of the emailed token is stored; cleared once used
+    passwordResetTokenHash: {
+      type: String,
+    },
+    passwordResetExpires: {
+      type: Date,
+    },
+
+    // === TWO-FACTOR AUTHENTICATION ===
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secret; pendingSecret holds one being enrolled until the
+      // first code confirms it
+      secret: {
+        type: String,
+      },
+      pendingSecret: {
+        type: String,
+      },
+      // SHA-256 of each unused recovery code
+      recoveryCodeHashes: {
+        type: [String],
+        default: undefined,
+      },
+      // Last TOTP time step accepted, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
   },
   {
     timestamps: true,
@@ -218,6 +256,11 @@ const userSchema = new mongoose.Schema(
       virtuals: true,
       transform: function (doc, ret) {
         delete ret.password;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        if (ret.twoFactor) {
+          ret.twoFactor = { enabled: !!ret.twoFactor.enabled };
+        }
         return ret;
       },
     },
@@ -231,6 +274,7 @@ userSchema.index({ role: 1 });
 userSchema.index({ mobileNo: 1 });
 userSchema.index({ aadhaarNumber: 1 }, { sparse: true });
 userSchema.index({ passportNumber: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
 
 // === VIRTUALS ===
 userSchema.virtual("fullPermanentAddress").get(function () {
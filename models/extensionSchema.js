@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Per-student override of an assignment's or activity's due date and/or
+// allowed attempts, granted by the teacher (e.g. as an accommodation)
+const extensionSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    // Later due date for this student; unset keeps the common one
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    // Attempts allowed for this student; unset keeps the common limit
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Granted through the accommodations endpoint for students recorded as
+    // physically challenged
+    accommodation: {
+      type: Boolean,
+      default: false,
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { extensionSchema };
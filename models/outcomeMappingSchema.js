@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Links an assessment to one of its course's outcomes. The weight sets how
+// much the assessment counts towards that outcome next to the others.
+const outcomeMappingSchema = new mongoose.Schema(
+  {
+    outcome: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    weight: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { outcomeMappingSchema };
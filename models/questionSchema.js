@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+// mcq has exactly one correct option, multi-select one or more. Short answers
+// are matched against acceptedAnswers, or left for the teacher to mark.
+const QUESTION_TYPES = [
+  "mcq",
+  "multi-select",
+  "true-false",
+  "numeric",
+  "short-answer",
+];
+
+// Tags used to search the question bank
+const BLOOM_LEVELS = [
+  "remember",
+  "understand",
+  "apply",
+  "analyze",
+  "evaluate",
+  "create",
+];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const optionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// A question of a quiz, shared with the question bank
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  // mcq and multi-select
+  options: [optionSchema],
+  // true-false
+  correctBoolean: {
+    type: Boolean,
+  },
+  // numeric: answers within tolerance of correctNumber are right
+  correctNumber: {
+    type: Number,
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // short-answer, compared ignoring case and surrounding spaces
+  acceptedAnswers: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  // Shown to students once answers are revealed
+  explanation: {
+    type: String,
+    default: "",
+  },
+  // Course outcomes assessed, by number: CO1 is the first of the course's
+  // outcomes
+  outcomes: [
+    {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+  ],
+  bloomLevel: {
+    type: String,
+    enum: [...BLOOM_LEVELS, null],
+    default: null,
+  },
+  difficulty: {
+    type: String,
+    enum: [...DIFFICULTIES, null],
+    default: null,
+  },
+});
+
+module.exports = {
+  questionSchema,
+  QUESTION_TYPES,
+  BLOOM_LEVELS,
+  DIFFICULTIES,
+};
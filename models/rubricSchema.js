@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Rubric shared by assignments and activities: each criterion is scored by
+// picking one of its performance levels.
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  levels: {
+    type: [levelSchema],
+    validate: [(levels) => levels.length > 0, "A criterion needs levels"],
+  },
+});
+
+const rubricSchema = new mongoose.Schema(
+  {
+    criteria: [criterionSchema],
+  },
+  { _id: false }
+);
+
+// Score a submission received on one criterion. Titles and labels are copied
+// so the breakdown still reads correctly if the rubric is edited later.
+const criterionScoreSchema = new mongoose.Schema(
+  {
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    criterionTitle: {
+      type: String,
+    },
+    level: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    levelLabel: {
+      type: String,
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    maxPoints: {
+      type: Number,
+    },
+    comment: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { rubricSchema, criterionScoreSchema };
@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const activityController = require("../controllers/activityController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Create a new activity (teacher and admin)
 router.post(
   "/courses/:courseId/activities",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("activity:create"),
   activityController.createActivity
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.post(
   "/activities/:activityId/submit",
   auth,
-  checkRole(["student", "admin"]),
+  checkPermission("activity:submit"),
   activityController.submitActivity
 );
 
@@ -24,7 +24,7 @@ router.post(
 router.post(
   "/activities/:activityId/submissions/:submissionId/grade",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("activity:grade"),
   activityController.gradeSubmission
 );
 
@@ -32,7 +32,7 @@ router.post(
 router.get(
   "/courses/:courseId/activities",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("activity:read"),
   activityController.getCourseActivities
 );
 
@@ -40,7 +40,7 @@ router.get(
 router.get(
   "/activities/:activityId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("activity:read"),
   activityController.getActivityById
 );
 
@@ -48,15 +48,63 @@ router.get(
 router.put(
   "/activities/:activityId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("activity:update"),
   activityController.updateActivity
 );
 
+// Attach or replace the grading rubric (teacher and admin)
+router.put(
+  "/activities/:activityId/rubric",
+  auth,
+  checkPermission("activity:update"),
+  activityController.setActivityRubric
+);
+
+// Remove the grading rubric (teacher and admin)
+router.delete(
+  "/activities/:activityId/rubric",
+  auth,
+  checkPermission("activity:update"),
+  activityController.removeActivityRubric
+);
+
+// Download every submitted file as a ZIP (teacher and admin)
+router.get(
+  "/activities/:activityId/submissions/download",
+  auth,
+  checkPermission("activity:grade"),
+  activityController.downloadActivitySubmissions
+);
+
+// Grant a student a later due date and/or more attempts (teacher and admin)
+router.put(
+  "/activities/:activityId/extensions/:studentId",
+  auth,
+  checkPermission("activity:update"),
+  activityController.grantActivityExtension
+);
+
+// Remove a student's extension (teacher and admin)
+router.delete(
+  "/activities/:activityId/extensions/:studentId",
+  auth,
+  checkPermission("activity:update"),
+  activityController.revokeActivityExtension
+);
+
+// Extend deadline/attempts for all students recorded as physically challenged (teacher and admin)
+router.post(
+  "/activities/:activityId/accommodations",
+  auth,
+  checkPermission("activity:update"),
+  activityController.grantActivityAccommodations
+);
+
 // Delete an activity (teacher and admin)
 router.delete(
   "/activities/:activityId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("activity:delete"),
   activityController.deleteActivity
 );
 
@@ -2,8 +2,12 @@ const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
 const adminCourseController = require("../controllers/adminCourseController"); // ADD THIS LINE
+const roleGrantController = require("../controllers/roleGrantController");
+const loginSecurityController = require("../controllers/loginSecurityController");
+const auditController = require("../controllers/auditController");
+const importJobController = require("../controllers/importJobController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 const uploadMiddleware = require("../middleware/upload");
 
 // Test route to verify router is working
@@ -15,31 +19,123 @@ router.get("/test", (req, res) => {
 // USER MANAGEMENT ROUTES
 // ===============================
 
-// Upload users from Excel file
+// Upload users from Excel file. dryRun=true previews what would be created,
+// updated or skipped; columnMapping maps the sheet's headers to fields. Any
+// row that cannot be imported rejects the upload unless allowPartial=true.
 router.post(
   "/upload-users",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:users:manage"),
   uploadMiddleware,
   adminController.uploadUsers
 );
 
+// Upload users from Excel as a background job; accepts a columnMapping too
+router.post(
+  "/import-jobs",
+  auth,
+  checkPermission("admin:users:manage"),
+  uploadMiddleware,
+  importJobController.createImportJob
+);
+
+// List user imports
+router.get(
+  "/import-jobs",
+  auth,
+  checkPermission("admin:users:manage"),
+  importJobController.getImportJobs
+);
+
+// Run queued imports; called on a schedule, authenticated with CRON_SECRET
+// rather than a user token
+router.get("/import-jobs/run", importJobController.runImportJobs);
+
+// Get an import's progress and row-level outcomes
+router.get(
+  "/import-jobs/:jobId",
+  auth,
+  checkPermission("admin:users:manage"),
+  importJobController.getImportJob
+);
+
+// Download an import's rejected rows as an Excel file
+router.get(
+  "/import-jobs/:jobId/errors",
+  auth,
+  checkPermission("admin:users:manage"),
+  importJobController.downloadImportErrors
+);
+
+// Fields a user sheet's columns can be mapped to
+router.get(
+  "/upload-users/fields",
+  auth,
+  checkPermission("admin:users:manage"),
+  adminController.getUserImportFields
+);
+
 // Get all users with pagination and filtering
-router.get("/users", auth, checkRole(["admin"]), adminController.getAllUsers);
+router.get(
+  "/users",
+  auth,
+  checkPermission("admin:users:manage"),
+  adminController.getAllUsers
+);
 
 // Delete user and all related data
 router.delete(
   "/users/:userId",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:users:manage"),
   adminController.deleteUser
 );
 
+// Unlock an account locked out after repeated failed logins
+router.post(
+  "/users/:userId/unlock",
+  auth,
+  checkPermission("admin:users:manage"),
+  loginSecurityController.unlockUser
+);
+
+// Get login lockout events (brute-force attempts)
+router.get(
+  "/lockouts",
+  auth,
+  checkPermission("admin:users:manage"),
+  loginSecurityController.getLockoutEvents
+);
+
+// Reset a user's two-factor authentication (lost device)
+router.post(
+  "/users/:userId/reset-2fa",
+  auth,
+  checkPermission("admin:users:manage"),
+  loginSecurityController.resetTwoFactor
+);
+
+// Get the roles required to use two-factor authentication
+router.get(
+  "/two-factor-policy",
+  auth,
+  checkPermission("admin:users:manage"),
+  loginSecurityController.getTwoFactorPolicy
+);
+
+// Require two-factor authentication for specific roles
+router.put(
+  "/two-factor-policy",
+  auth,
+  checkPermission("admin:users:manage"),
+  loginSecurityController.updateTwoFactorPolicy
+);
+
 // Bulk delete users
 router.post(
   "/users/bulk-delete",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:users:manage"),
   adminController.bulkDeleteUsers
 );
 
@@ -47,7 +143,7 @@ router.post(
 router.get(
   "/my-students",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("student:roster"),
   adminController.getMyStudents
 );
 
@@ -55,7 +151,7 @@ router.get(
 router.get(
   "/teacher/:teacherId/students",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:teachers:manage"),
   adminController.getStudentsByTeacherId
 );
 
@@ -67,7 +163,7 @@ router.get(
 router.get(
   "/course-codes",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:course-codes:manage"),
   adminController.getAllCourseCodes
 );
 
@@ -75,7 +171,7 @@ router.get(
 router.post(
   "/course-codes",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:course-codes:manage"),
   adminController.createCourseCode
 );
 
@@ -83,7 +179,7 @@ router.post(
 router.put(
   "/course-codes/:courseCode",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:course-codes:manage"),
   adminController.updateCourseCode
 );
 
@@ -91,7 +187,7 @@ router.put(
 router.delete(
   "/course-codes/:courseCode",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:course-codes:manage"),
   adminController.deleteCourseCode
 );
 
@@ -99,7 +195,7 @@ router.delete(
 router.post(
   "/course-codes/bulk-update",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:course-codes:manage"),
   adminController.bulkUpdateCourseCodes
 );
 
@@ -111,7 +207,7 @@ router.post(
 router.get(
   "/course-codes/:courseCode/courses",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminController.getCoursesByCode
 );
 
@@ -119,7 +215,7 @@ router.get(
 router.get(
   "/courses",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminController.getAllCourses
 );
 
@@ -127,7 +223,7 @@ router.get(
 router.delete(
   "/courses/:courseId",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminController.deleteCourse
 );
 
@@ -139,13 +235,13 @@ router.delete(
 router.post(
   "/courses/create",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminCourseController.createCourse
 );
 router.get(
   "/courses/:courseId/modules",
   auth,
-  checkRole(["admin", "teacher", "student"]),
+  checkPermission("course:read"),
 
   adminCourseController.getAllCoursesgetCourseModules
 );
@@ -153,7 +249,7 @@ router.get(
 router.put(
   "/courses/update",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminCourseController.updateCourse
 );
 
@@ -161,7 +257,7 @@ router.put(
 router.delete(
   "/courses/delete",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminCourseController.deleteCourse
 );
 
@@ -169,7 +265,7 @@ router.delete(
 router.get(
   "/courses/by-code/:courseCode",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminCourseController.getCourseByCode
 );
 
@@ -177,7 +273,7 @@ router.get(
 router.get(
   "/courses/all",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:courses:manage"),
   adminCourseController.getAllCourses
 );
 
@@ -189,7 +285,7 @@ router.get(
 router.get(
   "/teachers",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:teachers:manage"),
   adminController.getAllTeachers
 );
 
@@ -197,7 +293,7 @@ router.get(
 router.put(
   "/teachers/:teacherId/course-codes",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:teachers:manage"),
   adminController.updateTeacherCourseCodes
 );
 
@@ -209,7 +305,7 @@ router.put(
 router.get(
   "/students",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:students:manage"),
   adminController.getAllStudents
 );
 
@@ -217,7 +313,7 @@ router.get(
 router.put(
   "/students/:studentId/course-codes",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:students:manage"),
   adminController.updateStudentCourseCodes
 );
 
@@ -229,11 +325,84 @@ router.put(
 router.get(
   "/stats",
   auth,
-  checkRole(["admin"]),
+  checkPermission("admin:system:read"),
   adminController.getSystemStats
 );
 
 // Global search across all entities
-router.get("/search", auth, checkRole(["admin"]), adminController.searchAll);
+router.get(
+  "/search",
+  auth,
+  checkPermission("admin:system:read"),
+  adminController.searchAll
+);
+
+// Search the audit log of changes made through the API
+router.get(
+  "/audit",
+  auth,
+  checkPermission("admin:audit:read"),
+  auditController.getAuditLogs
+);
+
+// Export the audit entries matching the search filters to Excel
+router.get(
+  "/audit/export",
+  auth,
+  checkPermission("admin:audit:read"),
+  auditController.exportAuditLogs
+);
+
+// Get an audit entry with its before/after snapshots
+router.get(
+  "/audit/:auditLogId",
+  auth,
+  checkPermission("admin:audit:read"),
+  auditController.getAuditLog
+);
+
+// ===============================
+// PERMISSION & ROLE GRANT ROUTES
+// ===============================
+
+// Get the permission registry
+router.get(
+  "/permissions",
+  auth,
+  checkPermission("admin:role-grants:manage"),
+  roleGrantController.getPermissionRegistry
+);
+
+// Get all role grants with filtering
+router.get(
+  "/role-grants",
+  auth,
+  checkPermission("admin:role-grants:manage"),
+  roleGrantController.getRoleGrants
+);
+
+// Grant a scoped role (teaching-assistant, department-head) for course codes
+router.post(
+  "/role-grants",
+  auth,
+  checkPermission("admin:role-grants:manage"),
+  roleGrantController.createRoleGrant
+);
+
+// Replace the course codes of a role grant
+router.put(
+  "/role-grants/:grantId",
+  auth,
+  checkPermission("admin:role-grants:manage"),
+  roleGrantController.updateRoleGrant
+);
+
+// Revoke a role grant
+router.delete(
+  "/role-grants/:grantId",
+  auth,
+  checkPermission("admin:role-grants:manage"),
+  roleGrantController.deleteRoleGrant
+);
 
 module.exports = router;
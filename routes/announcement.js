@@ -1,14 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 const announcementController = require("../controllers/announcementController");
 
 // Create an announcement for a course (teacher and admin)
 router.post(
   "/course/:courseId/announcement",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("announcement:create"),
   announcementController.createAnnouncement
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.get(
   "/course/:courseId/announcements",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("announcement:read"),
   announcementController.getCourseAnnouncements
 );
 
@@ -24,7 +24,7 @@ router.get(
 router.get(
   "/course/:courseId/announcement/:announcementId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("announcement:read"),
   announcementController.getAnnouncementById
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.put(
   "/course/:courseId/announcement/:announcementId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("announcement:update"),
   announcementController.updateAnnouncement
 );
 
@@ -40,7 +40,7 @@ router.put(
 router.delete(
   "/course/:courseId/announcement/:announcementId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("announcement:delete"),
   announcementController.deleteAnnouncement
 );
 
@@ -2,14 +2,14 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 const articleController = require("../controllers/articleController");
 
 // Get all modules with chapters and articles for a course (teacher, student, and admin)
 router.get(
   "/course/:courseId/modules",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("article:read"),
   articleController.getCourseModules
 );
 
@@ -17,7 +17,7 @@ router.get(
 router.post(
   "/course/:courseId/module/:moduleId/chapters",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("article:create"),
   articleController.createChapter
 );
 
@@ -25,7 +25,7 @@ router.post(
 router.post(
   "/course/:courseId/module/:moduleId/chapter/:chapterId/articles",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("article:create"),
   articleController.createArticle
 );
 
@@ -33,7 +33,7 @@ router.post(
 router.get(
   "/articles/:articleId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("article:read"),
   articleController.getArticleById
 );
 
@@ -41,7 +41,7 @@ router.get(
 router.put(
   "/articles/:articleId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("article:update"),
   articleController.updateArticle
 );
 
@@ -49,7 +49,7 @@ router.put(
 router.delete(
   "/articles/:articleId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("article:delete"),
   articleController.deleteArticle
 );
 
@@ -57,7 +57,7 @@ router.delete(
 router.delete(
   "/course/:courseId/module/:moduleId/chapter/:chapterId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("article:delete"),
   articleController.deleteChapter
 );
 
@@ -1,14 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const assignmentController = require("../controllers/assignmentController");
+const similarityController = require("../controllers/similarityController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
+const uploadMiddleware = require("../middleware/upload");
 
 // Create a new assignment (teacher and admin)
 router.post(
   "/courses/:courseId/assignments",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("assignment:create"),
   assignmentController.createAssignment
 );
 
@@ -16,7 +18,7 @@ router.post(
 router.post(
   "/assignments/:assignmentId/submit",
   auth,
-  checkRole(["student", "admin"]),
+  checkPermission("assignment:submit"),
   assignmentController.submitAssignment
 );
 
@@ -24,7 +26,7 @@ router.post(
 router.post(
   "/assignments/:assignmentId/submissions/:submissionId/grade",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("assignment:grade"),
   assignmentController.gradeSubmission
 );
 
@@ -32,15 +34,56 @@ router.post(
 router.put(
   "/assignments/:assignmentId/submissions/:submissionId/grade",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("assignment:grade"),
   assignmentController.updateAssignmentGrade
 );
 
+// Download submissions as an Excel grading sheet (teacher and admin)
+router.get(
+  "/assignments/:assignmentId/grades/export",
+  auth,
+  checkPermission("assignment:grade"),
+  assignmentController.exportAssignmentGrades
+);
+
+// Upload a filled-in grading sheet (teacher and admin)
+router.post(
+  "/assignments/:assignmentId/grades/import",
+  auth,
+  checkPermission("assignment:grade"),
+  uploadMiddleware,
+  assignmentController.importAssignmentGrades
+);
+
+// Download every submitted file as a ZIP (teacher and admin)
+router.get(
+  "/assignments/:assignmentId/submissions/download",
+  auth,
+  checkPermission("assignment:grade"),
+  assignmentController.downloadAssignmentSubmissions
+);
+
+// Compare text submissions for copied passages (teacher and admin)
+router.post(
+  "/assignments/:assignmentId/similarity",
+  auth,
+  checkPermission("assignment:grade"),
+  similarityController.runSimilarityCheck
+);
+
+// Get the latest similarity report (teacher and admin)
+router.get(
+  "/assignments/:assignmentId/similarity",
+  auth,
+  checkPermission("assignment:grade"),
+  similarityController.getSimilarityReport
+);
+
 // Get all assignments for a course (teacher, student, and admin)
 router.get(
   "/courses/:courseId/assignments",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("assignment:read"),
   assignmentController.getCourseAssignments
 );
 
@@ -48,7 +91,7 @@ router.get(
 router.get(
   "/assignments/:assignmentId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("assignment:read"),
   assignmentController.getAssignmentById
 );
 
@@ -56,15 +99,55 @@ router.get(
 router.put(
   "/assignments/:assignmentId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("assignment:update"),
   assignmentController.updateAssignment
 );
 
+// Attach or replace the grading rubric (teacher and admin)
+router.put(
+  "/assignments/:assignmentId/rubric",
+  auth,
+  checkPermission("assignment:update"),
+  assignmentController.setAssignmentRubric
+);
+
+// Remove the grading rubric (teacher and admin)
+router.delete(
+  "/assignments/:assignmentId/rubric",
+  auth,
+  checkPermission("assignment:update"),
+  assignmentController.removeAssignmentRubric
+);
+
+// Grant a student a later due date and/or more attempts (teacher and admin)
+router.put(
+  "/assignments/:assignmentId/extensions/:studentId",
+  auth,
+  checkPermission("assignment:update"),
+  assignmentController.grantAssignmentExtension
+);
+
+// Remove a student's extension (teacher and admin)
+router.delete(
+  "/assignments/:assignmentId/extensions/:studentId",
+  auth,
+  checkPermission("assignment:update"),
+  assignmentController.revokeAssignmentExtension
+);
+
+// Extend deadline/attempts for all students recorded as physically challenged (teacher and admin)
+router.post(
+  "/assignments/:assignmentId/accommodations",
+  auth,
+  checkPermission("assignment:update"),
+  assignmentController.grantAssignmentAccommodations
+);
+
 // Delete an assignment (teacher and admin)
 router.delete(
   "/assignments/:assignmentId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("assignment:delete"),
   assignmentController.deleteAssignment
 );
 
@@ -0,0 +1,111 @@
+const express = require("express");
+const router = express.Router();
+const attendanceController = require("../controllers/attendanceController");
+const auth = require("../middleware/auth");
+const { checkPermission } = require("../middleware/roleCheck");
+
+// Get the authenticated student's attendance percentage per course (student)
+router.get(
+  "/me",
+  auth,
+  checkPermission("attendance:read"),
+  attendanceController.getMyAttendance
+);
+
+// Create a class session, optionally with initial records (teacher, TA and admin)
+router.post(
+  "/courses/:courseId/sessions",
+  auth,
+  checkPermission("attendance:mark"),
+  attendanceController.createAttendanceSession
+);
+
+// Get all sessions of a course (teacher, TA, student and admin)
+router.get(
+  "/courses/:courseId/sessions",
+  auth,
+  checkPermission("attendance:read"),
+  attendanceController.getCourseAttendanceSessions
+);
+
+// Get attendance totals for every student of a course (teacher, TA and admin)
+router.get(
+  "/courses/:courseId/summary",
+  auth,
+  checkPermission("attendance:read"),
+  attendanceController.getCourseAttendanceSummary
+);
+
+// Attendance shortage report for a course, JSON or ?format=xlsx (teacher, TA, department head and admin)
+router.get(
+  "/courses/:courseId/shortage",
+  auth,
+  checkPermission("attendance:report"),
+  attendanceController.getCourseShortageReport
+);
+
+// Attendance shortage report for all courses of a semester (teacher, TA, department head and admin)
+router.get(
+  "/semesters/:semesterId/shortage",
+  auth,
+  checkPermission("attendance:report"),
+  attendanceController.getSemesterShortageReport
+);
+
+// Get a specific session (teacher, TA, student and admin)
+router.get(
+  "/sessions/:attendanceSessionId",
+  auth,
+  checkPermission("attendance:read"),
+  attendanceController.getAttendanceSession
+);
+
+// Mark attendance for one or more students in a session (teacher, TA and admin)
+router.patch(
+  "/sessions/:attendanceSessionId/records",
+  auth,
+  checkPermission("attendance:mark"),
+  attendanceController.markAttendance
+);
+
+// Open self check-in with a rotating code (teacher, TA and admin)
+router.post(
+  "/sessions/:attendanceSessionId/check-in/open",
+  auth,
+  checkPermission("attendance:mark"),
+  attendanceController.openCheckIn
+);
+
+// Get the current check-in code and QR payload (teacher, TA and admin)
+router.get(
+  "/sessions/:attendanceSessionId/check-in/code",
+  auth,
+  checkPermission("attendance:mark"),
+  attendanceController.getCheckInCode
+);
+
+// Close self check-in (teacher, TA and admin)
+router.post(
+  "/sessions/:attendanceSessionId/check-in/close",
+  auth,
+  checkPermission("attendance:mark"),
+  attendanceController.closeCheckIn
+);
+
+// Check in to a session with the code shown in class (student)
+router.post(
+  "/sessions/:attendanceSessionId/check-in",
+  auth,
+  checkPermission("attendance:check-in"),
+  attendanceController.checkIn
+);
+
+// Delete a session (teacher, TA and admin)
+router.delete(
+  "/sessions/:attendanceSessionId",
+  auth,
+  checkPermission("attendance:mark"),
+  attendanceController.deleteAttendanceSession
+);
+
+module.exports = router;
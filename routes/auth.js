@@ -2,13 +2,36 @@ const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
 const auth = require("../middleware/auth");
+const { getMyPermissions } = require("../controllers/roleGrantController");
 
 // Public routes (no authentication required)
 router.post("/register", authController.register);
 router.post("/login", authController.login);
+// Second login step; the first one answers with a challenge token
+router.post("/login/2fa", authController.verifyLoginTwoFactor);
+router.post("/login/2fa/setup", authController.setupLoginTwoFactor);
+router.post("/login/2fa/enable", authController.enableLoginTwoFactor);
+router.post("/refresh", authController.refresh);
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+
+router.post("/logout", auth, authController.logout);
+router.post("/logout-all", auth, authController.logoutAll);
 
 router.get("/profile", auth, authController.getProfile);
 router.put("/profile", auth, authController.updateProfile);
 router.put("/change-password", auth, authController.changePassword);
+router.get("/permissions", auth, getMyPermissions);
+
+// Two-factor authentication (TOTP)
+router.get("/2fa", auth, authController.getTwoFactorStatus);
+router.post("/2fa/setup", auth, authController.setupTwoFactor);
+router.post("/2fa/enable", auth, authController.enableTwoFactor);
+router.post("/2fa/disable", auth, authController.disableTwoFactor);
+router.post(
+  "/2fa/recovery-codes",
+  auth,
+  authController.regenerateRecoveryCodes
+);
 
 module.exports = router;
@@ -9,53 +9,106 @@ const {
   getEnrolledCourses,
   updateCourseAttendance,
 } = require("../controllers/courseController");
+const courseStaffController = require("../controllers/courseStaffController");
+const assessmentController = require("../controllers/assessmentController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Get all courses for teacher/student (teacher, student, and admin)
-router.get(
-  "/",
-  auth,
-  checkRole(["teacher", "student", "admin"]),
-  getUserCourses
-);
+router.get("/", auth, checkPermission("course:list"), getUserCourses);
 
 // Get enrolled courses for students (teacher, student, and admin)
 router.get(
   "/student",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("course:list"),
   getEnrolledCourses
 );
 
 // Get specific course by ID (teacher, student, and admin)
-router.get(
-  "/:courseId",
-  auth,
-  checkRole(["teacher", "student", "admin"]),
-  getCourseById
-);
+router.get("/:courseId", auth, checkPermission("course:read"), getCourseById);
 
 // Create new course (teacher and admin)
-router.post("/", auth, checkRole(["teacher", "admin"]), createCourse);
+router.post("/", auth, checkPermission("course:create"), createCourse);
 
 // Update course (teacher and admin)
-router.put("/:courseId", auth, checkRole(["teacher", "admin"]), updateCourse);
+router.put("/:courseId", auth, checkPermission("course:update"), updateCourse);
 
-// Update course attendance only (teacher and admin)
+// Mark attendance sent as the legacy { "date time": [student IDs] } map; it is
+// recorded as attendance sessions (teacher and admin). Prefer the session
+// endpoints under /api/attendance.
 router.put(
   "/:courseId/attendance",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("course:attendance:update"),
   updateCourseAttendance
 );
 
+// Statistics of every assignment and activity in a course (teacher, TA, department head and admin)
+router.get(
+  "/:courseId/assessments/stats",
+  auth,
+  checkPermission("assessment:stats"),
+  assessmentController.getCourseAssessmentStats
+);
+
 // Delete course (teacher and admin)
 router.delete(
   "/:courseId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("course:delete"),
   deleteCourse
 );
 
+// Pending co-teacher/TA invitations for the current user (any authenticated user)
+router.get(
+  "/staff/invitations",
+  auth,
+  courseStaffController.getMyStaffInvitations
+);
+
+// Get co-teachers and teaching assistants of a course
+router.get(
+  "/:courseId/staff",
+  auth,
+  checkPermission("course:read"),
+  courseStaffController.getCourseStaff
+);
+
+// Invite a co-teacher or teaching assistant (course teacher and admin)
+router.post(
+  "/:courseId/staff",
+  auth,
+  checkPermission("course:staff:manage"),
+  courseStaffController.inviteCourseStaff
+);
+
+// Accept or decline an invitation (the invited user)
+router.post(
+  "/:courseId/staff/accept",
+  auth,
+  courseStaffController.acceptStaffInvitation
+);
+router.post(
+  "/:courseId/staff/decline",
+  auth,
+  courseStaffController.declineStaffInvitation
+);
+
+// Update a staff member's role or capabilities (course teacher and admin)
+router.put(
+  "/:courseId/staff/:memberId",
+  auth,
+  checkPermission("course:staff:manage"),
+  courseStaffController.updateCourseStaff
+);
+
+// Remove a staff member (course teacher and admin)
+router.delete(
+  "/:courseId/staff/:memberId",
+  auth,
+  checkPermission("course:staff:manage"),
+  courseStaffController.removeCourseStaff
+);
+
 module.exports = router;
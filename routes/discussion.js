@@ -1,14 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 const discussionController = require("../controllers/discussionController");
 
 // Search discussions (teacher, student, and admin)
 router.get(
   "/search",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:read"),
   discussionController.searchDiscussions
 );
 
@@ -16,14 +16,14 @@ router.get(
 router.post(
   "/teacher",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("discussion:staff"),
   discussionController.createDiscussion
 );
 
 router.get(
   "/teacher",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("discussion:staff"),
   discussionController.getTeacherDiscussions
 );
 
@@ -31,14 +31,14 @@ router.get(
 router.post(
   "/course/:courseId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:create"),
   discussionController.createDiscussion
 );
 
 router.get(
   "/course/:courseId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:read"),
   discussionController.getCourseDiscussions
 );
 
@@ -46,7 +46,7 @@ router.get(
 router.get(
   "/:discussionId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:read"),
   discussionController.getDiscussionById
 );
 
@@ -54,7 +54,7 @@ router.get(
 router.post(
   "/:discussionId/comment",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:comment"),
   discussionController.addComment
 );
 
@@ -62,7 +62,7 @@ router.post(
 router.post(
   "/:discussionId/comment/:commentId/reply",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:comment"),
   discussionController.addReplyToComment
 );
 
@@ -70,7 +70,7 @@ router.post(
 router.put(
   "/:discussionId/comment/:commentId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:comment"),
   discussionController.updateComment
 );
 
@@ -78,7 +78,7 @@ router.put(
 router.delete(
   "/:discussionId/comment/:commentId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:comment"),
   discussionController.deleteComment
 );
 
@@ -86,7 +86,7 @@ router.delete(
 router.put(
   "/:discussionId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:update"),
   discussionController.updateDiscussion
 );
 
@@ -94,7 +94,7 @@ router.put(
 router.delete(
   "/:discussionId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("discussion:delete"),
   discussionController.deleteDiscussion
 );
 
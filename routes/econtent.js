@@ -1,14 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 const eContentController = require("../controllers/econtentController");
 
 // Create a module for a course's EContent (teacher and admin)
 router.post(
   "/course/:courseId/econtent",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("econtent:create"),
   eContentController.createEContent
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.get(
   "/course/:courseId/econtent",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("econtent:read"),
   eContentController.getEContentByCourse
 );
 
@@ -24,7 +24,7 @@ router.get(
 router.get(
   "/course/:courseId/econtent/module/:moduleId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("econtent:read"),
   eContentController.getModuleById
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.put(
   "/course/:courseId/econtent/module/:moduleId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("econtent:update"),
   eContentController.updateModule
 );
 
@@ -40,7 +40,7 @@ router.put(
 router.delete(
   "/course/:courseId/econtent/module/:moduleId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("econtent:delete"),
   eContentController.deleteModule
 );
 
@@ -48,7 +48,7 @@ router.delete(
 router.delete(
   "/course/:courseId/econtent/module/:moduleId/file/:fileId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("econtent:delete"),
   eContentController.deleteFile
 );
 
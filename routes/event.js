@@ -1,20 +1,25 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Import individual controllers
 const eventController = require("../controllers/eventController");
 
 // Routes
 // Create event (admin only)
-router.post("/", auth, checkRole(["admin"]), eventController.createEvent);
+router.post(
+  "/",
+  auth,
+  checkPermission("event:manage"),
+  eventController.createEvent
+);
 
 // Get all events (teacher, student, and admin)
 router.get(
   "/",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("event:read"),
   eventController.getAllEvents
 );
 
@@ -22,14 +27,24 @@ router.get(
 router.get(
   "/:id",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("event:read"),
   eventController.getEventById
 );
 
 // Update event (admin and authenticated users)
-router.put("/:id", auth, checkRole(["admin"]), eventController.updateEvent);
+router.put(
+  "/:id",
+  auth,
+  checkPermission("event:manage"),
+  eventController.updateEvent
+);
 
 // Delete event (admin and authenticated users)
-router.delete("/:id", auth, checkRole(["admin"]), eventController.deleteEvent);
+router.delete(
+  "/:id",
+  auth,
+  checkPermission("event:manage"),
+  eventController.deleteEvent
+);
 
 module.exports = router;
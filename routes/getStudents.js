@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const studentController = require("../controllers/getStudentsController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Test route to verify router is working
 router.get("/test", (req, res) => {
@@ -13,7 +13,7 @@ router.get("/test", (req, res) => {
 router.get(
   "/my-students",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("student:list"),
   studentController.getMyStudents
 );
 
@@ -21,7 +21,7 @@ router.get(
 router.get(
   "/teacher/:teacherId/students",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("student:list"),
   studentController.getStudentsByTeacherId
 );
 
@@ -0,0 +1,55 @@
+const express = require("express");
+const router = express.Router();
+const gradebookController = require("../controllers/gradebookController");
+const auth = require("../middleware/auth");
+const { checkPermission } = require("../middleware/roleCheck");
+
+// Get a course gradebook; students get their own row (teacher, TA, student and admin)
+router.get(
+  "/courses/:courseId",
+  auth,
+  checkPermission("gradebook:read"),
+  gradebookController.getCourseGradebook
+);
+
+// Export the gradebook as ?format=xlsx or csv (teacher, TA and admin)
+router.get(
+  "/courses/:courseId/export",
+  auth,
+  checkPermission("gradebook:grade"),
+  gradebookController.exportGradebook
+);
+
+// Update weighted categories and the letter-grade scale (teacher and admin)
+router.put(
+  "/courses/:courseId/config",
+  auth,
+  checkPermission("gradebook:manage"),
+  gradebookController.updateGradebookConfig
+);
+
+// Enter marks for a manual category such as mid-sem or end-sem (teacher, TA and admin)
+router.put(
+  "/courses/:courseId/categories/:categoryId/scores",
+  auth,
+  checkPermission("gradebook:grade"),
+  gradebookController.recordManualScores
+);
+
+// Override a student's final grade (teacher and admin)
+router.put(
+  "/courses/:courseId/overrides/:studentId",
+  auth,
+  checkPermission("gradebook:manage"),
+  gradebookController.setGradeOverride
+);
+
+// Remove a grade override (teacher and admin)
+router.delete(
+  "/courses/:courseId/overrides/:studentId",
+  auth,
+  checkPermission("gradebook:manage"),
+  gradebookController.clearGradeOverride
+);
+
+module.exports = router;
@@ -10,13 +10,13 @@ const {
   updateLectureOrder,
 } = require("../controllers/lectureController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Get all modules with their lectures for a course (teacher, student, and admin)
 router.get(
   "/course/:courseId/modules",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("lecture:read"),
   getCourseModulesWithLectures
 );
 
@@ -24,7 +24,7 @@ router.get(
 router.get(
   "/course/:courseId/module/:moduleId/lectures",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("lecture:read"),
   getModuleLectures
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.post(
   "/course/:courseId/module/:moduleId/lectures",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("lecture:create"),
   createLectureForModule
 );
 
@@ -40,7 +40,7 @@ router.post(
 router.get(
   "/course/:courseId/module/:moduleId/lecture/:lectureId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("lecture:read"),
   getLectureById
 );
 
@@ -48,7 +48,7 @@ router.get(
 router.put(
   "/course/:courseId/module/:moduleId/lecture/:lectureId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("lecture:update"),
   updateLecture
 );
 
@@ -56,7 +56,7 @@ router.put(
 router.delete(
   "/course/:courseId/module/:moduleId/lecture/:lectureId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("lecture:delete"),
   deleteLecture
 );
 
@@ -64,7 +64,7 @@ router.delete(
 router.put(
   "/course/:courseId/module/:moduleId/lectures/reorder",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("lecture:update"),
   updateLectureOrder
 );
 
@@ -75,7 +75,7 @@ router.put(
 router.get(
   "/:courseId/lectures",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("lecture:read"),
   getCourseModulesWithLectures
 );
 
@@ -83,7 +83,7 @@ router.get(
 router.get(
   "/:lectureId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("lecture:read"),
   async (req, res) => {
     try {
       // Find the lecture to get its course and module info
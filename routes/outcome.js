@@ -0,0 +1,64 @@
+const express = require("express");
+const router = express.Router();
+const outcomeController = require("../controllers/outcomeController");
+const auth = require("../middleware/auth");
+const { checkPermission } = require("../middleware/roleCheck");
+
+// Course outcomes with PO correlations and attainment targets (all roles)
+router.get(
+  "/courses/:courseId",
+  auth,
+  checkPermission("outcome:read"),
+  outcomeController.getCourseOutcomes
+);
+
+// Replace outcomes and/or attainment targets (teacher and admin)
+router.put(
+  "/courses/:courseId",
+  auth,
+  checkPermission("outcome:manage"),
+  outcomeController.updateCourseOutcomes
+);
+
+// Attainment per outcome and the CO-PO matrix (teacher, TA, department head
+// and admin)
+router.get(
+  "/courses/:courseId/attainment",
+  auth,
+  checkPermission("outcome:report"),
+  outcomeController.getOutcomeAttainment
+);
+
+// Attainment report as an Excel file (teacher, TA, department head and admin)
+router.get(
+  "/courses/:courseId/attainment/export",
+  auth,
+  checkPermission("outcome:report"),
+  outcomeController.exportOutcomeAttainment
+);
+
+// Map an assignment to outcomes with weights (teacher and admin)
+router.put(
+  "/assignments/:assignmentId",
+  auth,
+  checkPermission("outcome:manage"),
+  outcomeController.setAssignmentOutcomes
+);
+
+// Map an activity to outcomes with weights (teacher and admin)
+router.put(
+  "/activities/:activityId",
+  auth,
+  checkPermission("outcome:manage"),
+  outcomeController.setActivityOutcomes
+);
+
+// Map a quiz question to outcomes with weights (teacher and admin)
+router.put(
+  "/quizzes/:quizId/questions/:questionId",
+  auth,
+  checkPermission("outcome:manage"),
+  outcomeController.setQuizQuestionOutcomes
+);
+
+module.exports = router;
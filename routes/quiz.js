@@ -0,0 +1,178 @@
+const express = require("express");
+const router = express.Router();
+const quizController = require("../controllers/quizController");
+const questionBankController = require("../controllers/questionBankController");
+const auth = require("../middleware/auth");
+const { checkPermission } = require("../middleware/roleCheck");
+
+// Create a quiz, optionally attached to a syllabus module (teacher and admin)
+router.post(
+  "/courses/:courseId/quizzes",
+  auth,
+  checkPermission("quiz:create"),
+  quizController.createQuiz
+);
+
+// List a course's quizzes; students see published ones (all roles)
+router.get(
+  "/courses/:courseId/quizzes",
+  auth,
+  checkPermission("quiz:read"),
+  quizController.getCourseQuizzes
+);
+
+// Get a quiz; questions and answers for staff only (all roles)
+router.get(
+  "/quizzes/:quizId",
+  auth,
+  checkPermission("quiz:read"),
+  quizController.getQuiz
+);
+
+// Update a quiz (teacher and admin)
+router.put(
+  "/quizzes/:quizId",
+  auth,
+  checkPermission("quiz:update"),
+  quizController.updateQuiz
+);
+
+// Delete a quiz and its attempts (teacher and admin)
+router.delete(
+  "/quizzes/:quizId",
+  auth,
+  checkPermission("quiz:delete"),
+  quizController.deleteQuiz
+);
+
+// Append questions drawn from a question bank by tags (teacher and admin)
+router.post(
+  "/quizzes/:quizId/questions/from-bank",
+  auth,
+  checkPermission("quiz:update"),
+  questionBankController.addQuestionsFromBank
+);
+
+// Create a mid- or end-semester exam timed from the course schedule (teacher
+// and admin)
+router.post(
+  "/courses/:courseId/exams",
+  auth,
+  checkPermission("quiz:create"),
+  quizController.createExam
+);
+
+// List a course's exams; students see published ones, scored once results
+// are out (all roles)
+router.get(
+  "/courses/:courseId/exams",
+  auth,
+  checkPermission("quiz:read"),
+  quizController.getCourseExams
+);
+
+// Update an exam; questions and timing lock once attempted (teacher and admin)
+router.put(
+  "/exams/:quizId",
+  auth,
+  checkPermission("quiz:update"),
+  quizController.updateExam
+);
+
+// Publish or withdraw an exam's results (teacher and admin)
+router.put(
+  "/exams/:quizId/results",
+  auth,
+  checkPermission("quiz:update"),
+  quizController.publishExamResults
+);
+
+// Start or resume an attempt (student)
+router.post(
+  "/quizzes/:quizId/attempts",
+  auth,
+  checkPermission("quiz:attempt"),
+  quizController.startQuizAttempt
+);
+
+// List every attempt at a quiz (teacher, TA and admin)
+router.get(
+  "/quizzes/:quizId/attempts",
+  auth,
+  checkPermission("quiz:grade"),
+  quizController.getQuizAttempts
+);
+
+// Get an attempt; students only their own (all roles)
+router.get(
+  "/attempts/:quizAttemptId",
+  auth,
+  checkPermission("quiz:read"),
+  quizController.getQuizAttempt
+);
+
+// Autosave answers (student)
+router.put(
+  "/attempts/:quizAttemptId/answers",
+  auth,
+  checkPermission("quiz:attempt"),
+  quizController.saveQuizAnswers
+);
+
+// Submit an attempt for grading (student)
+router.post(
+  "/attempts/:quizAttemptId/submit",
+  auth,
+  checkPermission("quiz:attempt"),
+  quizController.submitQuizAttempt
+);
+
+// Mark an answer by hand (teacher, TA and admin)
+router.put(
+  "/attempts/:quizAttemptId/answers/:questionId/grade",
+  auth,
+  checkPermission("quiz:grade"),
+  quizController.gradeQuizAnswer
+);
+
+// Question banks the user's course codes give access to (teacher and admin)
+router.get(
+  "/bank",
+  auth,
+  checkPermission("question-bank:read"),
+  questionBankController.getQuestionBanks
+);
+
+// Search a course code's bank by tags (teacher and admin)
+router.get(
+  "/bank/:courseCode/questions",
+  auth,
+  checkPermission("question-bank:read"),
+  questionBankController.getBankQuestions
+);
+
+// Add questions to a course code's bank (teacher and admin)
+router.post(
+  "/bank/:courseCode/questions",
+  auth,
+  checkPermission("question-bank:manage"),
+  questionBankController.addBankQuestions
+);
+
+// Update a bank question; author or admin only (teacher and admin)
+router.put(
+  "/bank/questions/:bankQuestionId",
+  auth,
+  checkPermission("question-bank:manage"),
+  questionBankController.updateBankQuestion
+);
+
+// Delete a bank question; author or admin only (teacher and admin)
+router.delete(
+  "/bank/questions/:bankQuestionId",
+  auth,
+  checkPermission("question-bank:manage"),
+  questionBankController.deleteBankQuestion
+);
+
+module.exports = router;
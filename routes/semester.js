@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const semesterController = require("../controllers/semesterController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Create semester (teacher and admin)
 router.post(
   "/",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("semester:create"),
   semesterController.createSemester
 );
 
@@ -16,7 +16,7 @@ router.post(
 router.get(
   "/",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("semester:read"),
   semesterController.getAllSemesters
 );
 
@@ -2,13 +2,13 @@ const express = require("express");
 const router = express.Router();
 const studentController = require("../controllers/studentController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Enroll in course (student and admin)
 router.post(
   "/courses/:courseId/enroll",
   auth,
-  checkRole(["student", "admin"]),
+  checkPermission("course:enroll"),
   studentController.enrollCourse
 );
 
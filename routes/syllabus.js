@@ -1,14 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 const syllabusController = require("../controllers/syllabusController");
 
 // Get syllabus for a specific course (teacher, student, and admin)
 router.get(
   "/course/:courseId/syllabus",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("syllabus:read"),
   syllabusController.getCourseSyllabus
 );
 
@@ -16,7 +16,7 @@ router.get(
 router.post(
   "/course/:courseId/syllabus/modules",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:module:create"),
   syllabusController.createModule
 );
 
@@ -24,7 +24,7 @@ router.post(
 router.get(
   "/course/:courseId/syllabus/module/:moduleId",
   auth,
-  checkRole(["teacher", "student", "admin"]),
+  checkPermission("syllabus:read"),
   syllabusController.getModuleById
 );
 
@@ -32,7 +32,7 @@ router.get(
 router.put(
   "/course/:courseId/syllabus/module/:moduleId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:module:update"),
   syllabusController.updateModule
 );
 
@@ -40,7 +40,7 @@ router.put(
 router.delete(
   "/course/:courseId/syllabus/module/:moduleId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:module:delete"),
   syllabusController.deleteModule
 );
 
@@ -48,7 +48,7 @@ router.delete(
 router.post(
   "/course/:courseId/syllabus/module/:moduleId/content",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:content:create"),
   syllabusController.addModuleContent
 );
 
@@ -56,7 +56,7 @@ router.post(
 router.put(
   "/course/:courseId/syllabus/module/:moduleId/content/:contentType/:contentId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:content:update"),
   syllabusController.updateContentItem
 );
 
@@ -64,7 +64,7 @@ router.put(
 router.delete(
   "/course/:courseId/syllabus/module/:moduleId/content/:contentType/:contentId",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:content:delete"),
   syllabusController.deleteContentItem
 );
 
@@ -72,7 +72,7 @@ router.delete(
 router.put(
   "/course/:courseId/syllabus/module/:moduleId/content/:contentType/reorder",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("syllabus:content:update"),
   syllabusController.updateContentOrder
 );
 
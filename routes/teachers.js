@@ -5,21 +5,16 @@ const {
   getStudents,
 } = require("../controllers/teacherController");
 const auth = require("../middleware/auth");
-const { checkRole } = require("../middleware/roleCheck");
+const { checkPermission } = require("../middleware/roleCheck");
 
 // Get students (teacher, student, and admin)
-router.get(
-  "/students",
-  auth,
-  checkRole(["teacher", "student", "admin"]),
-  getStudents
-);
+router.get("/students", auth, checkPermission("student:list"), getStudents);
 
 // Assign student (teacher and admin)
 router.post(
   "/students/:studentId/assign",
   auth,
-  checkRole(["teacher", "admin"]),
+  checkPermission("student:assign"),
   assignStudent
 );
 
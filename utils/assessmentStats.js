@@ -0,0 +1,94 @@
+const Student = require("../models/Student");
+const { getCourseRoster } = require("./attendance");
+const { effectiveDueDate } = require("./extensions");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// IDs of the students enrolled in a course, as strings
+const getRosterIds = async (course) => {
+  const students = await getCourseRoster(course).select("_id");
+  return students.map((student) => student._id.toString());
+};
+
+// Students who submitted an assignment or activity, with their user, keyed
+// by student ID
+const submittingStudents = async (assessment, session = null) => {
+  const students = await Student.find({
+    _id: { $in: assessment.submissions.map((sub) => sub.student) },
+  })
+    .populate("user", "name email")
+    .session(session);
+  return new Map(students.map((student) => [student._id.toString(), student]));
+};
+
+// Latest submission of each student
+const latestSubmissions = (submissions) => {
+  const latest = new Map();
+  submissions.forEach((submission) => {
+    const key = submission.student._id
+      ? submission.student._id.toString()
+      : submission.student.toString();
+    const current = latest.get(key);
+    if (!current || submission.submissionDate > current.submissionDate) {
+      latest.set(key, submission);
+    }
+  });
+  return latest;
+};
+
+const gradeDistribution = (grades) => {
+  if (!grades.length) {
+    return { average: null, median: null, min: null, max: null };
+  }
+  const sorted = [...grades].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    average: round2(sorted.reduce((sum, g) => sum + g, 0) / sorted.length),
+    median:
+      sorted.length % 2
+        ? sorted[middle]
+        : round2((sorted[middle - 1] + sorted[middle]) / 2),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+};
+
+// Submission statistics of an assignment or activity over the enrolled
+// students. A submission is late when it is flagged so (activities have no
+// flag, so their due date decides); a student is missing once their own due
+// date has passed without one.
+const computeAssessmentStats = (assessment, rosterIds, now = new Date()) => {
+  const latest = latestSubmissions(assessment.submissions);
+  const submitted = rosterIds.map((id) => latest.get(id)).filter(Boolean);
+  const grades = submitted
+    .filter((s) => s.grade !== null && s.grade !== undefined)
+    .map((s) => s.grade);
+
+  return {
+    assigned: rosterIds.length,
+    turnedIn: submitted.length,
+    late: submitted.filter((s) =>
+      s.isLate !== undefined ? s.isLate : s.submissionDate > assessment.dueDate
+    ).length,
+    missing: rosterIds.filter(
+      (id) => !latest.has(id) && effectiveDueDate(assessment, id) < now
+    ).length,
+    graded: grades.length,
+    totalPoints: assessment.totalPoints,
+    ...gradeDistribution(grades),
+  };
+};
+
+// What a student sees of an assessment's statistics
+const studentStats = ({ assigned, turnedIn, graded }) => ({
+  assigned,
+  turnedIn,
+  graded,
+});
+
+module.exports = {
+  getRosterIds,
+  submittingStudents,
+  computeAssessmentStats,
+  studentStats,
+};
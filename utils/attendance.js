@@ -0,0 +1,585 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+const CourseAttendance = require("../models/CourseAttendance");
+const CourseSchedule = require("../models/CourseSchedule");
+const AttendanceSession = require("../models/AttendanceSession");
+
+// Minimum attendance (percent) required to sit the end-semester exam
+const DEFAULT_ATTENDANCE_THRESHOLD = parseFloat(
+  process.env.ATTENDANCE_THRESHOLD_PERCENT || "75"
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Self check-in: how long each code is shown, how long a check-in stays open
+// and how many wrong codes a student may submit per session
+const CHECK_IN_ROTATION_SECONDS = parseInt(
+  process.env.CHECK_IN_ROTATION_SECONDS || "15",
+  10
+);
+const CHECK_IN_DURATION_MINUTES = parseInt(
+  process.env.CHECK_IN_DURATION_MINUTES || "10",
+  10
+);
+const CHECK_IN_MAX_FAILED_ATTEMPTS = parseInt(
+  process.env.CHECK_IN_MAX_FAILED_ATTEMPTS || "5",
+  10
+);
+const CHECK_IN_CODE_LENGTH = 6;
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Normalize a date (or "YYYY-MM-DD" string) to UTC midnight; null if invalid
+const toSessionDate = (value) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return null;
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+};
+
+const weekdayOf = (date) => WEEKDAYS[date.getUTCDay()];
+
+const getCourseSchedule = (course) =>
+  course.schedule
+    ? CourseSchedule.findById(course.schedule)
+    : CourseSchedule.findOne({ course: course._id });
+
+// Work out which timetable slot a class on this date belongs to.
+// Resolves to { slot, error }; slot is null for an extra class given only a time.
+const resolveScheduleSlot = async (course, date, { slotId, time } = {}) => {
+  const schedule = await getCourseSchedule(course);
+  const slots = schedule ? schedule.classDaysAndTimes : [];
+  const day = weekdayOf(date);
+
+  if (slotId) {
+    const slot = slots.find((s) => s._id.toString() === String(slotId));
+    if (!slot) {
+      return { error: "Schedule slot not found for this course" };
+    }
+    if (slot.day !== day) {
+      return {
+        error: `Schedule slot is on ${slot.day} but ${date
+          .toISOString()
+          .slice(0, 10)} is a ${day}`,
+      };
+    }
+    return { slot };
+  }
+
+  const sameDay = slots.filter((s) => s.day === day);
+  if (time) {
+    return { slot: sameDay.find((s) => s.time === time) || null };
+  }
+  if (sameDay.length === 1) {
+    return { slot: sameDay[0] };
+  }
+  return {
+    error: sameDay.length
+      ? `Course has ${sameDay.length} classes on ${day}; specify slotId or time`
+      : `Course has no scheduled class on ${day}; specify the time of the extra class`,
+  };
+};
+
+// Query filter for the students enrolled in a course: directly, or through its
+// course code in the section of the course's teacher. Other sections share the
+// course code, so the code alone is not enough.
+const enrolledStudentFilter = (course) => ({
+  $or: [
+    { courses: course._id },
+    { teacher: course.teacher, courseCodes: course.courseCode },
+  ],
+});
+
+// The reverse of enrolledStudentFilter: courses the student is enrolled in
+const studentCourseFilter = (student) => ({
+  $or: [
+    { _id: { $in: student.courses } },
+    { teacher: student.teacher, courseCode: { $in: student.courseCodes } },
+  ],
+});
+
+// Same test as enrolledStudentFilter, for a loaded student
+const isEnrolled = (student, course) =>
+  student.courses.some((id) => id.equals(course._id)) ||
+  (!!student.teacher &&
+    student.teacher.equals(course.teacher._id || course.teacher) &&
+    student.courseCodes.includes(course.courseCode));
+
+// Students enrolled in a course
+const getCourseRoster = (course) => Student.find(enrolledStudentFilter(course));
+
+// Time of a legacy session whose key holds only a date
+const LEGACY_SESSION_TIME = "unspecified";
+// Time part of a timestamp, e.g. "10:00:00.000Z"
+const TIMESTAMP_TIME = /^\d{1,2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// Read a legacy CourseAttendance key ("2025-01-15", "2025-01-15 10:00" or an
+// ISO timestamp) as the day and time of a class; null if it is not a date
+const parseLegacySessionKey = (key) => {
+  const text = String(key).trim();
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T\s_]+(.+))?$/);
+  const date = toSessionDate(match ? match[1] : text);
+  if (!date) return null;
+  if (!match) {
+    return { date, time: new Date(text).toISOString().slice(11, 16) };
+  }
+
+  const rest = (match[2] || "").trim();
+  // A timestamp's time is read as its hours and minutes
+  const time = TIMESTAMP_TIME.test(rest)
+    ? rest.slice(0, rest.indexOf(":") + 3)
+    : rest;
+  return { date, time: time || LEGACY_SESSION_TIME };
+};
+
+// Legacy maps list students by Student or by User ID. Resolves to a map of
+// each listed ID to the Student ID it stands for.
+const resolveLegacyStudentIds = async (ids, session = null) => {
+  const validIds = [...new Set(ids)].filter((id) =>
+    mongoose.isValidObjectId(id)
+  );
+  if (!validIds.length) return new Map();
+
+  const students = await Student.find({
+    $or: [{ _id: { $in: validIds } }, { user: { $in: validIds } }],
+  })
+    .select("_id user")
+    .session(session);
+  const resolved = new Map();
+  students.forEach((student) => {
+    resolved.set(student.user.toString(), student._id);
+    resolved.set(student._id.toString(), student._id);
+  });
+  return resolved;
+};
+
+const sessionKey = (session) =>
+  `${session.course}:${session.date.toISOString()}:${session.time}`;
+
+// Legacy attendance maps not yet copied into AttendanceSession, read as
+// unsaved sessions (legacy: true) in which the listed students were present.
+// Sessions in held, which take their day and time, are left out.
+const findLegacySessions = async (courseIds, held = []) => {
+  const legacyDocs = await CourseAttendance.find({
+    course: { $in: courseIds },
+    migratedAt: null,
+  });
+  const entries = legacyDocs.flatMap((doc) =>
+    [...doc.sessions.entries()].map(([key, studentIds]) => ({
+      course: doc.course,
+      key,
+      studentIds,
+      parsed: parseLegacySessionKey(key),
+    }))
+  );
+  const studentIds = await resolveLegacyStudentIds(
+    entries.flatMap((entry) => entry.studentIds)
+  );
+
+  const heldKeys = new Set(held.map(sessionKey));
+  return entries
+    .filter((entry) => entry.parsed)
+    .map(({ course, key, studentIds: listed, parsed }) => ({
+      course,
+      date: parsed.date,
+      day: weekdayOf(parsed.date),
+      time: parsed.time,
+      legacy: true,
+      legacyKey: key,
+      records: [
+        ...new Set(
+          listed
+            .map((id) => studentIds.get(String(id)))
+            .filter(Boolean)
+            .map(String)
+        ),
+      ].map((id) => ({
+        student: new mongoose.Types.ObjectId(id),
+        status: "present",
+        source: "manual",
+      })),
+    }))
+    .filter((session) => !heldKeys.has(sessionKey(session)));
+};
+
+// Every session of the courses: AttendanceSession documents, plus classes
+// only recorded in a legacy attendance map
+const findAttendanceSessions = async (courseIds) => {
+  const sessions = await AttendanceSession.find({ course: { $in: courseIds } });
+  return [...sessions, ...(await findLegacySessions(courseIds, sessions))];
+};
+
+// Sessions in the legacy { "date time": [present student IDs] } shape that
+// course responses have always carried
+const legacyAttendanceMap = (sessions) =>
+  Object.fromEntries(
+    sessions.map((session) => [
+      session.legacyKey ||
+        `${session.date.toISOString().slice(0, 10)} ${session.time}`,
+      session.records
+        .filter((record) => ["present", "late"].includes(record.status))
+        .map((record) => record.student.toString()),
+    ])
+  );
+
+// Copy a course's legacy attendance map into AttendanceSession documents, once.
+// A class that already has a session keeps it. Run before any attendance
+// change so the map and the sessions never both hold a class.
+const migrateLegacyAttendance = async (course, userId, session = null) => {
+  const legacyDocs = await CourseAttendance.find({
+    course: course._id,
+    migratedAt: null,
+  }).session(session);
+  if (!legacyDocs.length) return 0;
+
+  const held = await AttendanceSession.find({ course: course._id })
+    .select("course date time")
+    .session(session);
+  const legacySessions = await findLegacySessions([course._id], held);
+  // Legacy keys can repeat a day and time (e.g. "2025-01-15" and
+  // "2025-01-15T00:00"); the first one wins
+  const seen = new Set();
+  const toCreate = legacySessions.filter((legacy) => {
+    if (seen.has(sessionKey(legacy))) return false;
+    seen.add(sessionKey(legacy));
+    return true;
+  });
+
+  await AttendanceSession.insertMany(
+    toCreate.map((legacy) => ({
+      course: course._id,
+      date: legacy.date,
+      day: legacy.day,
+      time: legacy.time,
+      topic: `Imported from ${legacy.legacyKey}`,
+      records: legacy.records.map((record) => ({
+        ...record,
+        markedBy: userId,
+      })),
+      createdBy: userId,
+    })),
+    { session }
+  );
+  await CourseAttendance.updateMany(
+    { _id: { $in: legacyDocs.map((doc) => doc._id) } },
+    { migratedAt: new Date() },
+    { session }
+  );
+  return toCreate.length;
+};
+
+// Record attendance sent in the legacy { "date time": [student IDs] } shape as
+// AttendanceSession records: listed students are present, and students marked
+// present or late earlier who are no longer listed become absent. Classes left
+// out are not touched. Resolves to { error } when the map cannot be read.
+const recordLegacyAttendance = async (
+  course,
+  sessionsInput,
+  userId,
+  session = null
+) => {
+  if (
+    !sessionsInput ||
+    typeof sessionsInput !== "object" ||
+    Array.isArray(sessionsInput)
+  ) {
+    return { error: "sessions must map each class to its present students" };
+  }
+  const entries = [];
+  for (const [key, studentIds] of Object.entries(sessionsInput)) {
+    const parsed = parseLegacySessionKey(key);
+    if (!parsed) {
+      return { error: `Session "${key}" does not start with a date` };
+    }
+    if (!Array.isArray(studentIds)) {
+      return { error: `Session "${key}" must list student IDs` };
+    }
+    entries.push({ ...parsed, studentIds: studentIds.map(String) });
+  }
+
+  await migrateLegacyAttendance(course, userId, session);
+
+  const resolved = await resolveLegacyStudentIds(
+    entries.flatMap((entry) => entry.studentIds),
+    session
+  );
+  const unknown = entries
+    .flatMap((entry) => entry.studentIds)
+    .filter((id) => !resolved.has(id));
+  if (unknown.length) {
+    return { error: `Students not found: ${[...new Set(unknown)].join(", ")}` };
+  }
+
+  const now = new Date();
+  for (const { date, time, studentIds } of entries) {
+    const present = new Set(studentIds.map((id) => resolved.get(id).toString()));
+    const attendanceSession =
+      (await AttendanceSession.findOne({ course: course._id, date, time })
+        .session(session)) ||
+      new AttendanceSession({
+        course: course._id,
+        date,
+        day: weekdayOf(date),
+        time,
+        createdBy: userId,
+      });
+
+    attendanceSession.records.forEach((record) => {
+      const attended = ["present", "late"].includes(record.status);
+      const listed = present.delete(record.student.toString());
+      const status = listed
+        ? attended
+          ? record.status
+          : "present"
+        : attended
+        ? "absent"
+        : record.status;
+      if (status === record.status) return;
+      record.status = status;
+      record.markedBy = userId;
+      record.markedAt = now;
+      record.source = "manual";
+    });
+    present.forEach((studentId) =>
+      attendanceSession.records.push({
+        student: studentId,
+        status: "present",
+        markedBy: userId,
+        markedAt: now,
+      })
+    );
+    await attendanceSession.save({ session });
+  }
+  return {};
+};
+
+// Attendance totals for one student over a course's sessions. Only sessions
+// that have already taken place count. Present and late count as attended,
+// excused sessions are left out of the total, and a session without a record
+// for the student counts as absent.
+const summarizeAttendance = (sessions, studentId, now = new Date()) => {
+  const summary = {
+    totalSessions: 0,
+    present: 0,
+    late: 0,
+    absent: 0,
+    excused: 0,
+    unmarked: 0,
+  };
+
+  sessions
+    .filter((session) => session.date <= now)
+    .forEach((session) => {
+      const record = session.records.find((r) => r.student.equals(studentId));
+      if (!record) {
+        summary.unmarked += 1;
+        summary.totalSessions += 1;
+        return;
+      }
+      summary[record.status] += 1;
+      if (record.status !== "excused") summary.totalSessions += 1;
+    });
+
+  const attended = summary.present + summary.late;
+  summary.attended = attended;
+  summary.percentage = summary.totalSessions
+    ? Math.round((attended / summary.totalSessions) * 10000) / 100
+    : null;
+
+  return summary;
+};
+
+// Last day attendance can still be earned: classes stop at classEndDate and
+// nothing after the end-semester exam counts
+const attendanceEndDate = (schedule) => {
+  if (!schedule) return null;
+  const dates = [schedule.classEndDate, schedule.endSemesterExamDate]
+    .filter(Boolean)
+    .map(toSessionDate);
+  return dates.length ? new Date(Math.min(...dates)) : null;
+};
+
+// Timetabled classes from tomorrow up to and including the end date
+const countRemainingClasses = (schedule, endDate, now = new Date()) => {
+  if (!schedule || !endDate) return 0;
+
+  const slotsPerDay = schedule.classDaysAndTimes.reduce((counts, slot) => {
+    counts[slot.day] = (counts[slot.day] || 0) + 1;
+    return counts;
+  }, {});
+
+  let remaining = 0;
+  const start = toSessionDate(now).getTime() + DAY_MS;
+  for (let day = start; day <= endDate.getTime(); day += DAY_MS) {
+    remaining += slotsPerDay[weekdayOf(new Date(day))] || 0;
+  }
+  return remaining;
+};
+
+// Whether a student can still reach the threshold if they attend every
+// remaining class, and how many of those classes they need
+const projectAttendance = (summary, remainingClasses, threshold) => {
+  const ratio = threshold / 100;
+  const { attended, totalSessions } = summary;
+
+  const finalTotal = totalSessions + remainingClasses;
+  const maxAchievablePercentage = finalTotal
+    ? Math.round(((attended + remainingClasses) / finalTotal) * 10000) / 100
+    : null;
+
+  // Smallest n with (attended + n) / (totalSessions + n) >= ratio
+  const classesNeeded =
+    ratio >= 1
+      ? attended < totalSessions
+        ? Infinity
+        : 0
+      : Math.max(
+          0,
+          Math.ceil((ratio * totalSessions - attended) / (1 - ratio) - 1e-9)
+        );
+
+  const belowThreshold =
+    summary.percentage !== null && summary.percentage < threshold;
+
+  return {
+    belowThreshold,
+    remainingClasses,
+    maxAchievablePercentage,
+    classesNeeded: Number.isFinite(classesNeeded) ? classesNeeded : null,
+    canRecover:
+      maxAchievablePercentage === null || maxAchievablePercentage >= threshold,
+  };
+};
+
+// Attendance of every enrolled student in a course, flagged against the
+// threshold and projected to the end of the term
+const buildShortageReport = async (
+  course,
+  threshold = DEFAULT_ATTENDANCE_THRESHOLD,
+  now = new Date()
+) => {
+  const [schedule, sessions, students] = await Promise.all([
+    getCourseSchedule(course),
+    // Includes classes only recorded in the legacy CourseAttendance map
+    findAttendanceSessions([course._id]),
+    getCourseRoster(course).populate("user", "name email"),
+  ]);
+
+  const endDate = attendanceEndDate(schedule);
+  const remainingClasses = countRemainingClasses(schedule, endDate, now);
+
+  const rows = students.map((student) => {
+    const summary = summarizeAttendance(sessions, student._id, now);
+    return {
+      studentId: student._id,
+      name: student.user?.name || "Unknown",
+      email: student.user?.email || "",
+      ...summary,
+      ...projectAttendance(summary, remainingClasses, threshold),
+    };
+  });
+
+  return {
+    course: {
+      _id: course._id,
+      title: course.title,
+      courseCode: course.courseCode,
+    },
+    threshold,
+    endSemesterExamDate: schedule ? schedule.endSemesterExamDate : null,
+    attendanceEndDate: endDate,
+    sessionsHeld: sessions.filter((s) => s.date <= now).length,
+    remainingClasses,
+    shortageCount: rows.filter((row) => row.belowThreshold).length,
+    unrecoverableCount: rows.filter((row) => !row.canRecover).length,
+    students: rows,
+  };
+};
+
+const generateCheckInSecret = () => crypto.randomBytes(20).toString("hex");
+
+// Index of the rotation window a moment falls into
+const checkInWindow = (rotationSeconds, at = new Date()) =>
+  Math.floor(at.getTime() / (rotationSeconds * 1000));
+
+// Numeric code for one rotation window, derived TOTP-style from the secret
+const checkInCode = (secret, window) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(String(window))
+    .digest();
+  const value =
+    digest.readUInt32BE(digest[digest.length - 1] & 0x0f) & 0x7fffffff;
+  return String(value % 10 ** CHECK_IN_CODE_LENGTH).padStart(
+    CHECK_IN_CODE_LENGTH,
+    "0"
+  );
+};
+
+const codesMatch = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Check a submitted code against an open check-in. Returns "valid", "expired"
+// (it belongs to one of the last few windows) or "invalid".
+const verifyCheckInCode = (checkIn, code, at = new Date()) => {
+  const submitted = String(code || "").trim();
+  if (!/^\d+$/.test(submitted)) return "invalid";
+
+  const current = checkInWindow(checkIn.rotationSeconds, at);
+  if (codesMatch(checkInCode(checkIn.secret, current), submitted)) {
+    return "valid";
+  }
+
+  const openedWindow = checkInWindow(checkIn.rotationSeconds, checkIn.openedAt);
+  for (
+    let window = current - 1;
+    window >= Math.max(openedWindow, current - 4);
+    window--
+  ) {
+    if (codesMatch(checkInCode(checkIn.secret, window), submitted)) {
+      return "expired";
+    }
+  }
+  return "invalid";
+};
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_ATTENDANCE_THRESHOLD,
+  CHECK_IN_ROTATION_SECONDS,
+  CHECK_IN_DURATION_MINUTES,
+  CHECK_IN_MAX_FAILED_ATTEMPTS,
+  toSessionDate,
+  weekdayOf,
+  getCourseSchedule,
+  resolveScheduleSlot,
+  enrolledStudentFilter,
+  studentCourseFilter,
+  isEnrolled,
+  getCourseRoster,
+  parseLegacySessionKey,
+  findLegacySessions,
+  findAttendanceSessions,
+  legacyAttendanceMap,
+  migrateLegacyAttendance,
+  recordLegacyAttendance,
+  summarizeAttendance,
+  countRemainingClasses,
+  projectAttendance,
+  buildShortageReport,
+  generateCheckInSecret,
+  checkInWindow,
+  checkInCode,
+  verifyCheckInCode,
+};
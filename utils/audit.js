@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { getClientIp } = require("./tokens");
+
+// Never copied into the audit log
+const SECRET_FIELDS = [
+  "password",
+  "passwordResetTokenHash",
+  "passwordResetExpires",
+  "twoFactor",
+];
+// Change on every save, so they are left out of diffs
+const VOLATILE_FIELDS = ["__v", "updatedAt"];
+
+const OBJECT_ID_SEGMENT = /\/[0-9a-f]{24}(?=\/|$)/gi;
+
+// Plain, JSON-safe copy of a document (or plain object) without secrets
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = doc.toObject
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  SECRET_FIELDS.forEach((field) => delete copy[field]);
+  delete copy.__v;
+  return copy;
+};
+
+// Top-level fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((field) => !VOLATILE_FIELDS.includes(field))
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({
+      field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field] === undefined ? null : after[field],
+    }));
+};
+
+// Describe what the current request acted on for its audit entry. Call it
+// once the target is loaded (before) and again once changed (after); later
+// calls add to the earlier ones.
+//   auditTarget(req, { action: "user.delete", entity: "User", entityId, label, before })
+const auditTarget = (
+  req,
+  { action, entity, entityId, label, before, after }
+) => {
+  req.audit = req.audit || { targets: [] };
+  if (action) req.audit.action = action;
+  if (
+    entity &&
+    !req.audit.targets.some(
+      (t) => t.entity === entity && t.entityId === String(entityId)
+    )
+  ) {
+    req.audit.targets.push({
+      entity,
+      entityId: entityId === undefined ? undefined : String(entityId),
+      label,
+    });
+  }
+  if (before !== undefined) req.audit.before = before;
+  if (after !== undefined) req.audit.after = after;
+};
+
+// Record a finished request. Failures are logged and swallowed: the response
+// has already gone out.
+const writeAuditLog = async (req, res) => {
+  const audit = req.audit || { targets: [] };
+  const path = req.originalUrl.split("?")[0];
+
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action:
+        audit.action ||
+        `${req.method} ${path.replace(OBJECT_ID_SEGMENT, "/:id")}`,
+      permission: req.access ? req.access.action : undefined,
+      grantedAs: req.access ? req.access.role : undefined,
+      method: req.method,
+      path,
+      statusCode: res.statusCode,
+      succeeded: res.statusCode < 400,
+      targets: audit.targets,
+      before: audit.before || null,
+      after: audit.after || null,
+      changes: diffSnapshots(audit.before, audit.after),
+      ip: getClientIp(req),
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (error) {
+    console.error(`Audit log write failed for ${req.method} ${path}:`, error);
+  }
+};
+
+// Filter for the audit search from query parameters. Resolves to
+// { filter, error }.
+const buildAuditFilter = (query) => {
+  const filter = {};
+  // Query values are compared as strings so operators cannot be injected
+  const param = (name) => (query[name] ? String(query[name]).trim() : null);
+
+  const actor = param("actor");
+  if (actor) {
+    if (mongoose.isValidObjectId(actor)) {
+      filter.actor = actor;
+    } else {
+      filter.actorEmail = actor.toLowerCase();
+    }
+  }
+  if (param("actorRole")) filter.actorRole = param("actorRole");
+  // "user.delete" matches exactly, "user." every user action
+  const action = param("action");
+  if (action) {
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+      : action;
+  }
+  if (param("method")) filter.method = param("method").toUpperCase();
+  if (param("entity")) filter["targets.entity"] = param("entity");
+  if (param("entityId")) filter["targets.entityId"] = param("entityId");
+  if (query.succeeded === "true") filter.succeeded = true;
+  if (query.succeeded === "false") filter.succeeded = false;
+  if (param("ip")) filter.ip = param("ip");
+
+  for (const [name, operator] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!param(name)) continue;
+    const date = new Date(param(name));
+    if (isNaN(date.getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  return { filter };
+};
+
+// One spreadsheet row per audit entry
+const auditRows = (logs) =>
+  logs.map((log) => ({
+    Time: log.createdAt.toISOString(),
+    Actor: log.actorEmail || String(log.actor),
+    Role: log.actorRole || "",
+    "Granted As": log.grantedAs || "",
+    Action: log.action,
+    Method: log.method,
+    Path: log.path,
+    Status: log.statusCode,
+    Targets: log.targets
+      .map((t) => `${t.entity} ${t.label || t.entityId || ""}`.trim())
+      .join("; "),
+    Changes: log.changes
+      .map(
+        (c) =>
+          `${c.field}: ${JSON.stringify(c.before)} -> ${JSON.stringify(
+            c.after
+          )}`
+      )
+      .join("; ")
+      // Excel caps a cell at 32767 characters
+      .slice(0, 32000),
+    IP: log.ip || "",
+  }));
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  auditTarget,
+  writeAuditLog,
+  buildAuditFilter,
+  auditRows,
+};
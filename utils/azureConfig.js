@@ -137,6 +137,32 @@ const deleteFileFromAzure = async (
   }
 };
 
+// Download a file from Azure Blob Storage as a readable stream
+const downloadFileFromAzure = async (
+  key,
+  containerName = DEFAULT_CONTAINER_NAME
+) => {
+  console.log("Downloading file from Azure:", key);
+  try {
+    if (!key) {
+      throw new Error("No file key provided");
+    }
+
+    const containerClient = blobServiceClient.getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(key);
+    const downloadResponse = await blockBlobClient.download();
+
+    return {
+      stream: downloadResponse.readableStreamBody,
+      contentType: downloadResponse.contentType,
+      size: downloadResponse.contentLength,
+    };
+  } catch (error) {
+    console.error("Azure download error:", error);
+    throw new Error(`Failed to download file: ${error.message}`);
+  }
+};
+
 // List all containers in the storage account
 const listContainers = async () => {
   try {
@@ -244,6 +270,7 @@ const getStorageAccountInfo = async () => {
 module.exports = {
   uploadFileToAzure,
   deleteFileFromAzure,
+  downloadFileFromAzure,
   ensureContainerExists,
   listContainers,
   listFiles,
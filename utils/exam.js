@@ -0,0 +1,146 @@
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const { EXAM_TYPES } = Quiz;
+
+const MINUTE_MS = 60 * 1000;
+const START_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Time zone exam start times are given in (an IANA name). Built here so an
+// invalid name fails at startup.
+const EXAM_TIMEZONE = process.env.EXAM_TIMEZONE || "Asia/Kolkata";
+const zoneFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: EXAM_TIMEZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  second: "numeric",
+});
+
+// How far the exam time zone is ahead of UTC at an instant, in ms
+const zoneOffset = (time) => {
+  const parts = Object.fromEntries(
+    zoneFormat.formatToParts(new Date(time)).map((p) => [p.type, p.value])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+// The instant it is hours:minutes in the exam time zone on a calendar date
+// (schedule dates are stored as midnight UTC)
+const zonedTime = (date, hours, minutes) => {
+  const wallClock = Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate(),
+    hours,
+    minutes
+  );
+  const guess = wallClock - zoneOffset(wallClock);
+  // Check again in case a daylight saving change lies in between
+  return new Date(wallClock - zoneOffset(guess));
+};
+
+// Course schedule field holding the date of each exam type
+const EXAM_DATE_FIELDS = {
+  "mid-semester": "midSemesterExamDate",
+  "end-semester": "endSemesterExamDate",
+};
+
+const EXAM_TITLES = {
+  "mid-semester": "Mid-Semester Exam",
+  "end-semester": "End-Semester Exam",
+};
+
+// Validate exam settings from a create or update request; absent fields are
+// left out. Resolves to { settings, error }.
+const parseExamSettings = (body) => {
+  const settings = {};
+
+  if (body.examType !== undefined) {
+    if (!EXAM_TYPES.includes(body.examType)) {
+      return { error: `examType must be one of: ${EXAM_TYPES.join(", ")}` };
+    }
+    settings.examType = body.examType;
+  }
+  if (body.examStartTime !== undefined) {
+    if (!START_TIME.test(String(body.examStartTime))) {
+      return { error: "examStartTime must be a time like 09:30" };
+    }
+    settings.examStartTime = String(body.examStartTime);
+  }
+  if (body.startWindowMinutes !== undefined) {
+    const minutes = Number(body.startWindowMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return {
+        error: "startWindowMinutes must be a whole number of at least 1",
+      };
+    }
+    settings.startWindowMinutes = minutes;
+  }
+  return { settings };
+};
+
+// Last moment a student may start the exam
+const startDeadline = (exam) =>
+  new Date(exam.availableFrom.getTime() + exam.startWindowMinutes * MINUTE_MS);
+
+// Open the exam at its start time (in EXAM_TIMEZONE) on the schedule's exam
+// date. Students may start until the window closes and get the full time
+// limit, so the last attempt ends timeLimitMinutes after that. Returns an error message or null.
+const applyExamTiming = (exam, schedule) => {
+  const examDate = schedule && schedule[EXAM_DATE_FIELDS[exam.examType]];
+  if (!examDate) {
+    return `The course schedule has no ${exam.examType} exam date`;
+  }
+  if (!exam.timeLimitMinutes) {
+    return "An exam needs a timeLimitMinutes";
+  }
+
+  const [, hours, minutes] = exam.examStartTime.match(START_TIME);
+  exam.availableFrom = zonedTime(examDate, Number(hours), Number(minutes));
+  exam.dueDate = new Date(
+    startDeadline(exam).getTime() + exam.timeLimitMinutes * MINUTE_MS
+  );
+  return null;
+};
+
+// Move the course's exams to new schedule dates. Exams already attempted keep
+// their times. Resolves to the number of exams moved.
+const rescheduleExams = async (courseId, schedule, session = null) => {
+  const exams = await Quiz.find({
+    course: courseId,
+    examType: { $ne: null },
+  }).session(session);
+
+  let moved = 0;
+  for (const exam of exams) {
+    if (await QuizAttempt.exists({ quiz: exam._id }).session(session)) {
+      continue;
+    }
+    const previousStart = exam.availableFrom.getTime();
+    if (applyExamTiming(exam, schedule)) continue;
+    if (exam.availableFrom.getTime() === previousStart) continue;
+
+    await exam.save({ session });
+    moved++;
+  }
+  return moved;
+};
+
+module.exports = {
+  EXAM_TITLES,
+  parseExamSettings,
+  applyExamTiming,
+  startDeadline,
+  rescheduleExams,
+};
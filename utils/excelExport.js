@@ -0,0 +1,55 @@
+const XLSX = require("xlsx");
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Build an .xlsx buffer from [{ name, rows }] where rows are plain objects;
+// the keys of the first row become the header
+const buildWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+
+  sheets.forEach(({ name, rows }) => {
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    // Excel limits sheet names to 31 characters and forbids some symbols
+    const sheetName = name.replace(/[\\/?*[\]:]/g, "-").slice(0, 31);
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  });
+
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+// Send the workbook as a file download
+const sendWorkbook = (res, filename, sheets) => {
+  const buffer = buildWorkbook(sheets);
+
+  res.setHeader("Content-Type", XLSX_MIME_TYPE);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename.replace(/"/g, "")}"`
+  );
+  res.send(buffer);
+};
+
+// CSV text for rows; the keys of the first row become the header
+const buildCsv = (rows) =>
+  XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
+
+// Send rows as a CSV download
+const sendCsv = (res, filename, rows) => {
+  const csv = buildCsv(rows);
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename.replace(/"/g, "")}"`
+  );
+  res.send(csv);
+};
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  buildWorkbook,
+  sendWorkbook,
+  buildCsv,
+  sendCsv,
+};
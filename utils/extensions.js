@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+const { enrolledStudentFilter } = require("./attendance");
+const { auditTarget, snapshot } = require("./audit");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const findExtension = (assessment, studentId) =>
+  (assessment.extensions || []).find(
+    (e) => e.student.toString() === String(studentId)
+  );
+
+// The later of two optional dates, or the higher of two optional limits
+const greater = (a, b) => (!a || (b && b > a) ? b : a);
+
+// Deadline for one student: the later of their extended due date and the
+// assessment's due date, which may have been moved past the extension since
+const effectiveDueDate = (assessment, studentId) => {
+  const extension = findExtension(assessment, studentId);
+  return greater(assessment.dueDate, extension && extension.dueDate);
+};
+
+// Attempts one student may make; null means unlimited. As with the due date,
+// a common limit raised past the student's own applies to them too.
+const effectiveMaxAttempts = (assessment, studentId) => {
+  const extension = findExtension(assessment, studentId);
+  if (!assessment.maxAttempts) return null;
+  return greater(assessment.maxAttempts, extension && extension.maxAttempts);
+};
+
+// Student of the course with this ID, or null
+const findEnrolledStudent = (course, studentId) =>
+  mongoose.isValidObjectId(studentId)
+    ? Student.findOne({
+        _id: studentId,
+        ...enrolledStudentFilter(course),
+      })
+    : null;
+
+// Validate { dueDate, maxAttempts } from a request. Resolves to
+// { override, error }; at least one of the two must be given.
+const parseExtension = (assessment, { dueDate, maxAttempts }) => {
+  const override = { dueDate: null, maxAttempts: null };
+
+  if (dueDate) {
+    override.dueDate = new Date(dueDate);
+    if (isNaN(override.dueDate.getTime())) {
+      return { error: "dueDate must be a valid date" };
+    }
+    if (override.dueDate <= assessment.dueDate) {
+      return {
+        error: "The extended due date must be after the common due date",
+      };
+    }
+  }
+
+  if (maxAttempts !== undefined && maxAttempts !== null && maxAttempts !== "") {
+    override.maxAttempts = Number(maxAttempts);
+    if (!Number.isInteger(override.maxAttempts) || override.maxAttempts < 1) {
+      return { error: "maxAttempts must be a whole number of at least 1" };
+    }
+  }
+
+  if (!override.dueDate && !override.maxAttempts) {
+    return { error: "Provide a dueDate and/or maxAttempts for the student" };
+  }
+  return { override };
+};
+
+// Replace a student's extension
+const setExtension = (assessment, studentId, extension) => {
+  assessment.extensions = assessment.extensions.filter(
+    (e) => e.student.toString() !== String(studentId)
+  );
+  assessment.extensions.push({ student: studentId, ...extension });
+};
+
+// Validate { extraHours, extraAttempts } for accommodations. Resolves to
+// { accommodation, error }.
+const parseAccommodation = ({ extraHours = 0, extraAttempts = 0, reason }) => {
+  const hours = Number(extraHours);
+  const attempts = Number(extraAttempts);
+  if (!(hours >= 0) || !Number.isInteger(attempts) || attempts < 0) {
+    return {
+      error: "extraHours must be 0 or more and extraAttempts a whole number",
+    };
+  }
+  if (!hours && !attempts) {
+    return { error: "Provide extraHours and/or extraAttempts" };
+  }
+  return {
+    accommodation: { extraHours: hours, extraAttempts: attempts, reason },
+  };
+};
+
+// Extensions for every enrolled student recorded as physically challenged:
+// extraHours past the common due date and extraAttempts over the common limit
+// (an unlimited limit stays unlimited). An extension the student already has
+// keeps whichever due date and attempt limit is more generous. Returns the
+// students covered.
+const grantAccommodations = async (
+  assessment,
+  course,
+  { extraHours = 0, extraAttempts = 0, reason },
+  grantedBy
+) => {
+  const students = await Student.find(enrolledStudentFilter(course)).populate({
+    path: "user",
+    match: { areYouPhysicallyChallenged: true },
+    select: "name email pleaseSpecifyTheDisability",
+  });
+  const eligible = students.filter((student) => student.user);
+
+  eligible.forEach((student) => {
+    const existing = findExtension(assessment, student._id) || {};
+    setExtension(assessment, student._id, {
+      dueDate: greater(
+        existing.dueDate,
+        extraHours
+          ? new Date(assessment.dueDate.getTime() + extraHours * HOUR_MS)
+          : null
+      ),
+      maxAttempts: greater(
+        existing.maxAttempts,
+        extraAttempts && assessment.maxAttempts
+          ? assessment.maxAttempts + extraAttempts
+          : null
+      ),
+      reason: reason || "Accommodation",
+      accommodation: true,
+      grantedBy,
+    });
+  });
+
+  return eligible.map((student) => ({
+    studentId: student._id,
+    name: student.user.name,
+    email: student.user.email,
+  }));
+};
+
+const extensionsSnapshot = (assessment) =>
+  snapshot({ extensions: assessment.extensions });
+
+// Name an extension change in the audit log, with the extensions before it.
+// Record the result with auditTarget(req, { after: extensionsSnapshot(...) }).
+const auditExtensions = (req, action, assessment, studentId = null) => {
+  auditTarget(req, {
+    action,
+    entity: assessment.constructor.modelName,
+    entityId: assessment._id,
+    label: assessment.title,
+    before: extensionsSnapshot(assessment),
+  });
+  if (studentId) {
+    auditTarget(req, { entity: "Student", entityId: studentId });
+  }
+};
+
+module.exports = {
+  findExtension,
+  effectiveDueDate,
+  effectiveMaxAttempts,
+  findEnrolledStudent,
+  parseExtension,
+  setExtension,
+  parseAccommodation,
+  grantAccommodations,
+  extensionsSnapshot,
+  auditExtensions,
+};
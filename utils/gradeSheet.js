@@ -0,0 +1,156 @@
+const { resolveGrade } = require("./rubric");
+const { latestAttempt, findAttempt } = require("./submissionAttempts");
+
+// Column headers of the grading sheet. Assignments with a rubric get one extra
+// column per criterion holding the label of the level picked.
+const COLUMNS = {
+  name: "Student Name",
+  email: "Email",
+  link: "Submission Link",
+  submittedAt: "Submitted At",
+  late: "Late",
+  attempt: "Attempt",
+  grade: "Grade",
+  feedback: "Feedback",
+};
+
+const criterionColumn = (criterion) => `Rubric: ${criterion.title}`;
+
+const hasRubric = (assignment) =>
+  Boolean(assignment.rubric && assignment.rubric.criteria.length > 0);
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// One row per submission, showing its latest attempt. studentsById maps a
+// student ID to the student with its user populated.
+const gradeSheetRows = (assignment, studentsById) =>
+  assignment.submissions.map((submission) => {
+    const student = studentsById.get(submission.student.toString());
+    const attempt = latestAttempt(submission) || submission;
+
+    const row = {
+      [COLUMNS.name]: student?.user?.name || "Unknown",
+      [COLUMNS.email]: student?.user?.email || "",
+      [COLUMNS.link]: attempt.submissionFile || "",
+      [COLUMNS.submittedAt]: attempt.submissionDate
+        ? attempt.submissionDate.toISOString()
+        : "",
+      [COLUMNS.late]: attempt.isLate ? "Yes" : "No",
+      [COLUMNS.attempt]: attempt.attemptNumber || 1,
+      [COLUMNS.grade]: attempt.rawGrade ?? attempt.grade ?? "",
+      [COLUMNS.feedback]: attempt.feedback || "",
+    };
+
+    if (hasRubric(assignment)) {
+      assignment.rubric.criteria.forEach((criterion) => {
+        const score = (attempt.rubricScores || []).find((s) =>
+          s.criterion.equals(criterion._id)
+        );
+        row[criterionColumn(criterion)] = score ? score.levelLabel : "";
+      });
+    }
+
+    return row;
+  });
+
+// Rubric levels named in a row as the rubricScores resolveGrade expects; a
+// label that matches no level is passed on as an invalid level
+const rubricScoresFromRow = (rubric, row) =>
+  rubric.criteria.map((criterion) => {
+    const label = String(row[criterionColumn(criterion)] ?? "").trim();
+    const level = criterion.levels.find(
+      (l) => l.label.toLowerCase() === label.toLowerCase()
+    );
+    return {
+      criterionId: criterion._id,
+      levelId: level ? level._id : null,
+    };
+  });
+
+// Validate an uploaded grading sheet. Rows are matched to submissions by
+// email, and to the attempt named in the Attempt column (the latest when it
+// is blank), so a resubmission after the export is not graded by mistake.
+// Rows without a grade (or rubric levels) are skipped. Resolves to
+// { grades: [{ row, email, submission, attemptNumber, grade, rubricScores,
+// feedback }], errors: [{ row, email, error }] } where row is the spreadsheet
+// row number.
+const parseGradeSheet = (assignment, rows, studentsById) => {
+  const submissionsByEmail = new Map();
+  assignment.submissions.forEach((submission) => {
+    const student = studentsById.get(submission.student.toString());
+    if (student?.user?.email) {
+      submissionsByEmail.set(student.user.email.toLowerCase(), submission);
+    }
+  });
+
+  const rubric = hasRubric(assignment);
+  const seen = new Set();
+  const grades = [];
+  const errors = [];
+
+  rows.forEach((row) => {
+    // Row 1 holds the headers. Blank rows are not read, so the index would
+    // drift from the sheet after one.
+    const rowNumber = row.__rowNum__ + 1;
+    const email = String(row[COLUMNS.email] ?? "")
+      .trim()
+      .toLowerCase();
+    const fail = (error) => errors.push({ row: rowNumber, email, error });
+
+    const levelsGiven = rubric
+      ? assignment.rubric.criteria.some(
+          (criterion) => !isBlank(row[criterionColumn(criterion)])
+        )
+      : false;
+    if (rubric ? !levelsGiven : isBlank(row[COLUMNS.grade])) return;
+
+    if (!email) return fail("Email is required");
+    if (seen.has(email)) return fail("Student appears more than once");
+    seen.add(email);
+
+    const submission = submissionsByEmail.get(email);
+    if (!submission) return fail("No submission found for this student");
+
+    const attemptValue = row[COLUMNS.attempt];
+    if (!isBlank(attemptValue) && !/^\d+$/.test(String(attemptValue).trim())) {
+      return fail("Attempt must be a whole number");
+    }
+    const attempt = findAttempt(
+      submission,
+      isBlank(attemptValue) ? "latest" : Number(attemptValue)
+    );
+    if (!attempt) {
+      return fail(`Attempt ${attemptValue} not found for this student`);
+    }
+
+    const { grade, rubricScores, error } = resolveGrade(
+      assignment,
+      rubric
+        ? { rubricScores: rubricScoresFromRow(assignment.rubric, row) }
+        : { grade: row[COLUMNS.grade] }
+    );
+    if (error) return fail(error);
+
+    grades.push({
+      row: rowNumber,
+      email,
+      submission,
+      attemptNumber: attempt.attemptNumber,
+      grade,
+      rubricScores,
+      // A blank cell keeps the feedback already given
+      feedback: isBlank(row[COLUMNS.feedback])
+        ? undefined
+        : String(row[COLUMNS.feedback]).trim(),
+    });
+  });
+
+  return { grades, errors };
+};
+
+module.exports = {
+  GRADE_SHEET_COLUMNS: COLUMNS,
+  gradeSheetRows,
+  parseGradeSheet,
+};
@@ -0,0 +1,310 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Gradebook = require("../models/Gradebook");
+const Assignment = require("../models/Assignment");
+const Activity = require("../models/Activity");
+const Quiz = require("../models/Quiz");
+const { CATEGORY_SOURCES, DEFAULT_CATEGORIES, QUIZZES_CATEGORY } = Gradebook;
+const { getCourseRoster } = require("./attendance");
+const { effectiveDueDate } = require("./extensions");
+const { finishedAttempts, quizGradeItems } = require("./quiz");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Unsaved gradebook with the default categories. Their IDs are derived from
+// the course, so a category read before the gradebook is saved keeps its ID.
+const defaultGradebook = (course) => {
+  const gradebook = new Gradebook({ course: course._id });
+  gradebook.categories.forEach((category, index) => {
+    category._id = new mongoose.Types.ObjectId(
+      crypto
+        .createHash("sha1")
+        .update(`${course._id}:category:${index}`)
+        .digest("hex")
+        .slice(0, 24)
+    );
+  });
+  return gradebook;
+};
+
+// The course's gradebook for reading; the default one is not saved until a
+// change is made to it
+const readGradebook = async (course) =>
+  (await Gradebook.findOne({ course: course._id })) || defaultGradebook(course);
+
+// The course's gradebook, created with the default categories on first use
+const getGradebook = async (course) => {
+  const gradebook = await Gradebook.findOne({ course: course._id });
+  if (gradebook) return gradebook;
+
+  try {
+    return await defaultGradebook(course).save();
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return Gradebook.findOne({ course: course._id });
+    throw error;
+  }
+};
+
+// Whether the teacher has left the categories as they came
+const hasDefaultCategories = (gradebook) =>
+  gradebook.categories.length === DEFAULT_CATEGORIES.length &&
+  DEFAULT_CATEGORIES.every((defaults, index) => {
+    const category = gradebook.categories[index];
+    return ["name", "source", "weight", "maxPoints"].every(
+      (field) => category[field] === defaults[field]
+    );
+  });
+
+// Give the course's gradebook a quizzes category if it has none, so published
+// quizzes count. Only a gradebook on the default categories gets one; its
+// weight is taken from the other categories in proportion and the total stays
+// 100. Weights the teacher has set are left alone. Resolves to
+// { added: true, categories } with the new { name, weight } list,
+// { added: false } when the teacher's weights were kept, or null when the
+// gradebook already had one.
+const ensureQuizzesCategory = async (course, updatedBy) => {
+  const gradebook = await readGradebook(course);
+  if (gradebook.categories.some((c) => c.source === "quizzes")) return null;
+  if (!hasDefaultCategories(gradebook)) return { added: false };
+
+  const scale = (100 - QUIZZES_CATEGORY.weight) / 100;
+  gradebook.categories.forEach((category) => {
+    category.weight = round2(category.weight * scale);
+  });
+  gradebook.categories.push(QUIZZES_CATEGORY);
+  // Rounding leftovers go to the heaviest category
+  const total = gradebook.categories.reduce((sum, c) => sum + c.weight, 0);
+  const heaviest = gradebook.categories.reduce((a, b) =>
+    b.weight > a.weight ? b : a
+  );
+  heaviest.weight = round2(heaviest.weight + 100 - total);
+  gradebook.updatedBy = updatedBy;
+
+  try {
+    await gradebook.save();
+  } catch (error) {
+    // Another request changed the categories, or created the gradebook, first
+    if (error.name === "VersionError" || error.code === 11000) return null;
+    throw error;
+  }
+  return {
+    added: true,
+    categories: gradebook.categories.map(({ name, weight }) => ({
+      name,
+      weight,
+    })),
+  };
+};
+
+// Validate categories and grade scale; returns an error message or null
+const validateGradebookConfig = ({ categories, gradeScale }) => {
+  if (categories !== undefined) {
+    if (!Array.isArray(categories) || categories.length === 0) {
+      return "categories must be a non-empty array";
+    }
+    for (const category of categories) {
+      if (!category.name || !String(category.name).trim()) {
+        return "Every category needs a name";
+      }
+      if (!CATEGORY_SOURCES.includes(category.source)) {
+        return `Category source must be one of: ${CATEGORY_SOURCES.join(", ")}`;
+      }
+      if (!(category.weight >= 0 && category.weight <= 100)) {
+        return `Weight of ${category.name} must be between 0 and 100`;
+      }
+      if (category.source === "manual" && !(category.maxPoints >= 1)) {
+        return `${category.name} needs maxPoints of at least 1`;
+      }
+    }
+    const totalWeight = categories.reduce((sum, c) => sum + c.weight, 0);
+    if (Math.abs(totalWeight - 100) > 0.001) {
+      return `Category weights must add up to 100 (got ${totalWeight})`;
+    }
+  }
+
+  if (gradeScale !== undefined) {
+    if (!Array.isArray(gradeScale) || gradeScale.length === 0) {
+      return "gradeScale must be a non-empty array";
+    }
+    for (const band of gradeScale) {
+      if (
+        !band.letter ||
+        !(band.minPercentage >= 0 && band.minPercentage <= 100)
+      ) {
+        return "Every grade needs a letter and a minPercentage between 0 and 100";
+      }
+    }
+    const letters = gradeScale.map((band) => band.letter);
+    if (new Set(letters).size !== letters.length) {
+      return "Grade letters must be unique";
+    }
+    if (!gradeScale.some((band) => band.minPercentage === 0)) {
+      return "The grade scale needs a grade starting at 0";
+    }
+  }
+
+  return null;
+};
+
+// Letter for a percentage on a scale of { letter, minPercentage }
+const letterFor = (gradeScale, percentage) => {
+  if (percentage === null) return null;
+  const band = [...gradeScale]
+    .sort((a, b) => b.minPercentage - a.minPercentage)
+    .find((b) => percentage >= b.minPercentage);
+  return band ? band.letter : null;
+};
+
+// Marks a student earned on a set of assignments, activities or quizzes. A graded
+// submission counts, a missing submission counts as zero once the due date
+// (the student's own, with any extension) has passed, and a submission still
+// waiting for a grade is left out.
+const scoreItems = (items, studentId, now) =>
+  items.reduce(
+    (totals, item) => {
+      const submissions = item.submissions
+        .filter((s) => s.student.equals(studentId))
+        .sort((a, b) => b.submissionDate - a.submissionDate);
+      const latest = submissions[0];
+
+      if (latest && latest.grade !== null && latest.grade !== undefined) {
+        totals.earned += latest.grade;
+        totals.possible += item.totalPoints;
+      } else if (!latest && effectiveDueDate(item, studentId) < now) {
+        totals.possible += item.totalPoints;
+      }
+      return totals;
+    },
+    { earned: 0, possible: 0 }
+  );
+
+const scoreManual = (gradebook, category, studentId) => {
+  const entry = gradebook.manualScores.find(
+    (s) => s.category.equals(category._id) && s.student.equals(studentId)
+  );
+  return entry
+    ? { earned: entry.score, possible: category.maxPoints }
+    : { earned: 0, possible: 0 };
+};
+
+// Per-student category percentages, weighted total and letter grade. The total
+// is weighted over the categories that have marks so far; weightCounted says
+// how much of the final grade that covers.
+const computeGradebook = async (course, gradebook, now = new Date()) => {
+  const [students, assignments, activities, quizzes, quizAttempts] =
+    await Promise.all([
+      getCourseRoster(course).populate("user", "name email"),
+      Assignment.find({ course: course._id, isActive: true }).select(
+        "totalPoints dueDate extensions submissions.student submissions.grade submissions.submissionDate"
+      ),
+      Activity.find({ course: course._id, isActive: true }).select(
+        "totalPoints dueDate extensions submissions.student submissions.grade submissions.submissionDate"
+      ),
+      Quiz.find({ course: course._id, isPublished: true }).select(
+        "totalPoints dueDate attemptGrading examType resultsPublished"
+      ),
+      // Attempts whose timer ran out count as submitted
+      finishedAttempts({ course: course._id }, now),
+    ]);
+  // Exams count in their own categories, and only once results are out
+  const examsOfType = (examType) =>
+    quizzes.filter((q) => q.examType === examType && q.resultsPublished);
+  const itemsBySource = {
+    assignments,
+    activities,
+    quizzes: quizGradeItems(
+      quizzes.filter((q) => !q.examType),
+      quizAttempts
+    ),
+    "mid-semester": quizGradeItems(examsOfType("mid-semester"), quizAttempts),
+    "end-semester": quizGradeItems(examsOfType("end-semester"), quizAttempts),
+  };
+
+  const rows = students.map((student) => {
+    const categories = gradebook.categories.map((category) => {
+      const totals =
+        category.source === "manual"
+          ? scoreManual(gradebook, category, student._id)
+          : scoreItems(itemsBySource[category.source], student._id, now);
+      return {
+        categoryId: category._id,
+        name: category.name,
+        weight: category.weight,
+        earned: totals.earned,
+        possible: totals.possible,
+        percentage: totals.possible
+          ? round2((totals.earned / totals.possible) * 100)
+          : null,
+      };
+    });
+
+    const scored = categories.filter((c) => c.percentage !== null);
+    const weightCounted = scored.reduce((sum, c) => sum + c.weight, 0);
+    const totalPercentage = weightCounted
+      ? round2(
+          scored.reduce((sum, c) => sum + c.percentage * c.weight, 0) /
+            weightCounted
+        )
+      : null;
+
+    const computedGrade = letterFor(gradebook.gradeScale, totalPercentage);
+    const override = gradebook.overrides.find((o) =>
+      o.student.equals(student._id)
+    );
+
+    return {
+      studentId: student._id,
+      name: student.user?.name || "Unknown",
+      email: student.user?.email || "",
+      categories,
+      weightCounted,
+      totalPercentage,
+      computedGrade,
+      letterGrade: override ? override.letterGrade : computedGrade,
+      override: override || null,
+    };
+  });
+
+  return {
+    course: {
+      _id: course._id,
+      title: course.title,
+      courseCode: course.courseCode,
+    },
+    categories: gradebook.categories,
+    gradeScale: gradebook.gradeScale,
+    students: rows,
+  };
+};
+
+// Flatten gradebook rows for a spreadsheet or CSV
+const gradebookExportRows = (result) =>
+  result.students.map((row) => {
+    const exportRow = {
+      "Course Code": result.course.courseCode,
+      Student: row.name,
+      Email: row.email,
+    };
+    row.categories.forEach((category) => {
+      exportRow[`${category.name} (${category.weight}%)`] =
+        category.percentage ?? "";
+    });
+    exportRow["Weight Counted %"] = row.weightCounted;
+    exportRow["Total %"] = row.totalPercentage ?? "";
+    exportRow["Computed Grade"] = row.computedGrade || "";
+    exportRow.Grade = row.letterGrade || "";
+    exportRow["Override Reason"] = row.override ? row.override.reason : "";
+    return exportRow;
+  });
+
+module.exports = {
+  getGradebook,
+  readGradebook,
+  ensureQuizzesCategory,
+  validateGradebookConfig,
+  letterFor,
+  scoreItems,
+  computeGradebook,
+  gradebookExportRows,
+};
@@ -0,0 +1,449 @@
+const crypto = require("crypto");
+const os = require("os");
+const mongoose = require("mongoose");
+const ImportJob = require("../models/ImportJob");
+const ImportJobChunk = require("../models/ImportJobChunk");
+const {
+  sheetRow,
+  applyColumnMapping,
+  isPasswordColumn,
+  analyzeUserImport,
+  groupImportRows,
+  importTeacher,
+  importStudent,
+} = require("./userImport");
+
+// Row outcomes written to the job per update; progress moves in these steps
+const PROGRESS_BATCH_SIZE = 25;
+// Sheet rows stored per ImportJobChunk
+const CHUNK_SIZE = 500;
+
+// A job's lease lapses when its worker has not renewed it for this long, and
+// another worker may then take the job over
+const LEASE_MS = 2 * 60 * 1000;
+// A worker renews its lease at least this often while it imports
+const RENEW_MS = 30 * 1000;
+
+// How long one scheduled worker run imports before it hands its job back for
+// the next run. Keep it under the host's request time limit.
+const WORKER_BUDGET_MS =
+  parseInt(process.env.IMPORT_WORKER_BUDGET_SECONDS || "8", 10) * 1000;
+// How often a long-running server looks for queued imports
+const WORKER_INTERVAL_MS = 15 * 1000;
+
+class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Import job ${jobId} was taken over by another worker`);
+    this.name = "LeaseLostError";
+  }
+}
+
+// Passwords taken out of a sheet are stored with the job, encrypted, until
+// the job has finished; they never reach the database in the clear
+const passwordKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(`import-passwords:${process.env.JWT_SECRET}`)
+    .digest();
+
+const sealPassword = (password) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", passwordKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(password), "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const openPassword = (sealed) => {
+  const [iv, tag, encrypted] = sealed
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", passwordKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+const staleBefore = () => new Date(Date.now() - LEASE_MS);
+
+// Take the oldest job no live worker holds: a queued job, or a running job
+// whose lease has gone stale or was handed back. Resolves to the job, or null
+// when there is none.
+const claimNextImportJob = (owner) =>
+  ImportJob.findOneAndUpdate(
+    {
+      status: { $in: ["queued", "running"] },
+      $or: [{ heartbeatAt: { $lt: staleBefore() } }, { heartbeatAt: null }],
+    },
+    { status: "running", owner, heartbeatAt: new Date() },
+    { new: true, sort: { createdAt: 1 } }
+  );
+
+// Passwords are only needed while the job runs
+const dropPasswords = (jobId) =>
+  ImportJobChunk.updateMany({ job: jobId }, { $set: { passwords: [] } });
+
+// Save an upload as a queued job, with its rows split into chunks. passwords
+// maps sheet rows to the passwords taken out of rows; they are stored
+// encrypted.
+const createImportJob = async ({
+  createdBy,
+  fileName,
+  rows,
+  columnMapping,
+  passwords,
+}) => {
+  const job = new ImportJob({
+    createdBy,
+    fileName,
+    columnMapping,
+    totalRows: rows.length,
+  });
+
+  const chunks = [];
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    const chunkRows = rows.slice(start, start + CHUNK_SIZE);
+    const rowNumbers = chunkRows.map(sheetRow);
+    chunks.push({
+      job: job._id,
+      index: chunks.length,
+      rowNumbers,
+      rows: chunkRows,
+      passwords: rowNumbers
+        .filter((row) => passwords.has(row))
+        .map((row) => ({ row, sealed: sealPassword(passwords.get(row)) })),
+    });
+  }
+
+  // Rows first, so a saved job always has them
+  await ImportJobChunk.insertMany(chunks);
+  try {
+    await job.save();
+  } catch (error) {
+    await ImportJobChunk.deleteMany({ job: job._id });
+    throw error;
+  }
+  return job;
+};
+
+const findChunks = (jobId) =>
+  ImportJobChunk.find({ job: jobId }).sort({ index: 1 });
+
+// Every row outcome of a job, in sheet order
+const findRowLogs = async (jobId) => {
+  const chunks = await findChunks(jobId).select("rowLogs");
+  return chunks
+    .flatMap((chunk) => chunk.rowLogs.map((log) => log.toObject()))
+    .sort((a, b) => a.row - b.row);
+};
+
+// Import a job's rows for the worker that claimed it, until deadline. Every
+// teacher, then every student, is written in its own transaction, so one bad
+// row fails alone. Rows that already have an outcome are left alone, which
+// lets a paused or interrupted job pick up where it stopped. Resolves to the
+// job's status, or "paused" when the time ran out first.
+const runImportJob = async (job, owner, deadline) => {
+  const chunks = await findChunks(job._id).select("+passwords");
+  const chunkFor = (row) =>
+    chunks.find((chunk) => chunk.rowNumbers.includes(row));
+
+  // A resumed job recounts its progress from the outcomes it has
+  const loggedRows = chunks.flatMap((chunk) => chunk.rowLogs);
+  job.startedAt = job.startedAt || new Date();
+  job.processedRows = loggedRows.length;
+  ["created", "updated", "skipped", "failed"].forEach((status) => {
+    job.counts[status] = loggedRows.filter(
+      (log) => log.status === status
+    ).length;
+  });
+  await job.save();
+  console.log(
+    `Import job ${job._id} running: ${job.processedRows}/${job.totalRows} rows`
+  );
+
+  // Stored rows get back the sheet positions they were read with
+  const sheetRows = chunks.flatMap((chunk) =>
+    chunk.rows.map((row, index) =>
+      Object.defineProperty({ ...row }, "__rowNum__", {
+        value: chunk.rowNumbers[index] - 1,
+      })
+    )
+  );
+  const { rows } = applyColumnMapping(sheetRows, job.columnMapping || {});
+  let passwords;
+  try {
+    passwords = new Map(
+      chunks.flatMap((chunk) =>
+        chunk.passwords.map(({ row, sealed }) => [row, openPassword(sealed)])
+      )
+    );
+  } catch (error) {
+    throw new Error(
+      "The sheet's passwords could not be decrypted; JWT_SECRET may have changed since the upload"
+    );
+  }
+  rows.forEach((row) => {
+    if (passwords.has(sheetRow(row))) {
+      row.password = passwords.get(sheetRow(row));
+    }
+  });
+  const analysis = await analyzeUserImport(rows);
+  if (analysis.blockingErrors.length > 0) {
+    await ImportJob.updateOne(
+      { _id: job._id, owner },
+      {
+        status: "failed",
+        failureReasons: analysis.blockingErrors,
+        finishedAt: new Date(),
+      }
+    );
+    await dropPasswords(job._id);
+    console.log(`Import job ${job._id} rejected: course code conflicts`);
+    return "failed";
+  }
+
+  const logged = new Set(loggedRows.map((log) => log.row));
+  const warningsByRow = new Map(analysis.rows.map((r) => [r.row, r.warnings]));
+  const pending = [];
+  let renewedAt = Date.now();
+
+  const flush = async () => {
+    const logs = pending.splice(0);
+    const increments = { processedRows: logs.length };
+    const logsByChunk = new Map();
+    logs.forEach((log) => {
+      const key = `counts.${log.status}`;
+      increments[key] = (increments[key] || 0) + 1;
+
+      const chunk = chunkFor(log.row);
+      if (!logsByChunk.has(chunk)) logsByChunk.set(chunk, []);
+      logsByChunk.get(chunk).push(log);
+    });
+    // Counting the rows renews the lease, and fails once another worker
+    // holds the job, so only the owner logs outcomes
+    const { matchedCount } = await ImportJob.updateOne(
+      { _id: job._id, owner },
+      { $inc: increments, heartbeatAt: new Date() }
+    );
+    if (matchedCount === 0) throw new LeaseLostError(job._id);
+    renewedAt = Date.now();
+    if (logsByChunk.size === 0) return;
+    await ImportJobChunk.bulkWrite(
+      [...logsByChunk].map(([chunk, chunkLogs]) => ({
+        updateOne: {
+          filter: { _id: chunk._id },
+          update: { $push: { rowLogs: { $each: chunkLogs } } },
+        },
+      }))
+    );
+  };
+
+  const logRow = async (log) => {
+    if (logged.has(log.row)) return;
+    logged.add(log.row);
+    pending.push(log);
+    if (pending.length >= PROGRESS_BATCH_SIZE) await flush();
+  };
+
+  for (const row of analysis.rows.filter((r) => r.status === "skip")) {
+    await logRow({
+      row: row.row,
+      email: row.email,
+      status: "skipped",
+      messages: row.reasons,
+    });
+  }
+
+  // Resolves to false once the time is up, after saving the outcomes so far;
+  // every run imports at least one user, so a job always moves. Renews the
+  // lease when it is due, and stops before writing users once another worker
+  // holds the job.
+  let imported = 0;
+  const keepGoing = async () => {
+    if (imported > 0 && Date.now() >= deadline) {
+      await flush();
+      return false;
+    }
+    if (Date.now() - renewedAt >= RENEW_MS) await flush();
+    return true;
+  };
+
+  const importGroup = async (group, importGroupFn) => {
+    const session = await mongoose.startSession();
+    try {
+      let action;
+      await session.withTransaction(async () => {
+        ({ action } = await importGroupFn(group, session));
+      });
+      for (const row of group.rows) {
+        await logRow({
+          row,
+          email: group.email,
+          status: action,
+          messages: warningsByRow.get(row) || [],
+        });
+      }
+    } catch (error) {
+      for (const row of group.rows) {
+        await logRow({
+          row,
+          email: group.email,
+          status: "failed",
+          messages: [error.message],
+        });
+      }
+    } finally {
+      await session.endSession();
+    }
+  };
+
+  // Teachers first, so students can be placed under them
+  const { teachers, students } = groupImportRows(analysis.importRows);
+  const groups = [
+    ...[...teachers.values()].map((group) => [group, importTeacher]),
+    ...[...students.values()].map((group) => [
+      group,
+      (studentGroup, session) =>
+        importStudent(studentGroup, undefined, session),
+    ]),
+  ];
+  for (const [group, importGroupFn] of groups) {
+    if (group.rows.every((row) => logged.has(row))) continue;
+    if (!(await keepGoing())) {
+      // Hand the job back so the next worker run can take it straight away
+      await ImportJob.updateOne(
+        { _id: job._id, owner },
+        { owner: null, heartbeatAt: null }
+      );
+      console.log(`Import job ${job._id} paused`);
+      return "paused";
+    }
+    await importGroup(group, importGroupFn);
+    imported++;
+  }
+  await flush();
+
+  await ImportJob.updateOne(
+    { _id: job._id, owner },
+    { status: "completed", finishedAt: new Date() }
+  );
+  await dropPasswords(job._id);
+  console.log(`Import job ${job._id} completed`);
+  return "completed";
+};
+
+// Run queued imports, oldest first, for up to budgetMs. Called by the
+// scheduled worker route and, on a long-running server, by the timer in
+// startImportWorker. Jobs left unfinished are picked up by the next run, and
+// jobs a stopped worker left running are taken over once their lease has gone
+// stale. Resolves to the jobs it worked on and where each was left.
+const processImportJobs = async (budgetMs = WORKER_BUDGET_MS) => {
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+  const deadline = Date.now() + budgetMs;
+  const results = [];
+
+  while (Date.now() < deadline) {
+    const job = await claimNextImportJob(owner);
+    if (!job) break;
+
+    let status;
+    try {
+      status = await runImportJob(job, owner, deadline);
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        console.log(error.message);
+        results.push({ jobId: job._id, status: "taken over" });
+        continue;
+      }
+      console.error(`Import job ${job._id} failed:`, error);
+      status = "failed";
+      await ImportJob.updateOne(
+        { _id: job._id, owner },
+        {
+          status: "failed",
+          failureReasons: [error.message],
+          finishedAt: new Date(),
+        }
+      )
+        .then(() => dropPasswords(job._id))
+        .catch((updateError) =>
+          console.error(
+            `Could not mark import job ${job._id} failed:`,
+            updateError
+          )
+        );
+    }
+    results.push({ jobId: job._id, status });
+    if (status === "paused") break;
+  }
+  return results;
+};
+
+let workerTimer = null;
+let workerRunning = false;
+
+const runWorker = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    await processImportJobs(Infinity);
+  } catch (error) {
+    console.error("Error running import jobs:", error);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+// Look for queued imports while a long-running server (the Docker image) is
+// up. Serverless deployments have no process that outlives a request; there
+// the cron in vercel.json calls the worker route instead.
+const startImportWorker = () => {
+  if (workerTimer) return;
+  workerTimer = setInterval(runWorker, WORKER_INTERVAL_MS);
+  runWorker();
+};
+
+// Start on a new upload now rather than at the next tick, when this process
+// runs the worker
+const wakeImportWorker = () => {
+  if (workerTimer) runWorker();
+};
+
+// One spreadsheet row per rejected sheet row: its outcome and reasons, then
+// the row as uploaded (never its password) so it can be fixed and uploaded
+// again
+const rejectedRowsSheet = async (job) => {
+  const chunks = await findChunks(job._id);
+  return chunks
+    .flatMap((chunk) =>
+      chunk.rowLogs
+        .filter((log) => ["skipped", "failed"].includes(log.status))
+        .map((log) => ({
+          Row: log.row,
+          Status: log.status,
+          Reason: log.messages.join("; "),
+          ...Object.fromEntries(
+            Object.entries(
+              chunk.rows[chunk.rowNumbers.indexOf(log.row)] || {}
+            ).filter(
+              ([header]) => !isPasswordColumn(header, job.columnMapping || {})
+            )
+          ),
+        }))
+    )
+    .sort((a, b) => a.Row - b.Row);
+};
+
+module.exports = {
+  createImportJob,
+  findRowLogs,
+  processImportJobs,
+  startImportWorker,
+  wakeImportWorker,
+  rejectedRowsSheet,
+};
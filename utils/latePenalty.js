@@ -0,0 +1,104 @@
+const HOUR_MS = 60 * 60 * 1000;
+const PENALTY_INTERVALS = { hour: HOUR_MS, day: 24 * HOUR_MS };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Last moment a submission is accepted at all. An extension past the cutoff
+// moves the cutoff with it.
+const submissionCutoff = (assignment, dueDate) => {
+  const cutoff = assignment.latePolicy && assignment.latePolicy.cutoffDate;
+  if (!cutoff) return null;
+  return cutoff > dueDate ? cutoff : dueDate;
+};
+
+// Submissions inside the grace period are not late
+const isSubmissionLate = (assignment, dueDate, submittedAt) => {
+  const graceMs =
+    ((assignment.latePolicy || {}).gracePeriodMinutes || 0) * 60000;
+  return submittedAt.getTime() > dueDate.getTime() + graceMs;
+};
+
+// Percent taken off for a submission: penaltyPercent for every started hour or
+// day after the grace period, capped at maxPenaltyPercent
+const latePenaltyPercent = (assignment, dueDate, submittedAt) => {
+  const policy = assignment.latePolicy || {};
+  if (!policy.penaltyPercent) return 0;
+
+  const graceMs = (policy.gracePeriodMinutes || 0) * 60000;
+  const lateMs = submittedAt.getTime() - dueDate.getTime() - graceMs;
+  if (lateMs <= 0) return 0;
+
+  const intervals = Math.ceil(
+    lateMs / PENALTY_INTERVALS[policy.penaltyInterval || "day"]
+  );
+  const maxPenalty =
+    policy.maxPenaltyPercent === undefined || policy.maxPenaltyPercent === null
+      ? 100
+      : policy.maxPenaltyPercent;
+  return Math.min(intervals * policy.penaltyPercent, maxPenalty);
+};
+
+const applyPenalty = (rawGrade, penaltyPercent) =>
+  rawGrade === null ? null : round2(rawGrade * (1 - penaltyPercent / 100));
+
+// Validate a late policy from a request (an object, or JSON from a multipart
+// form). Resolves to { latePolicy, error }.
+const parseLatePolicy = (value) => {
+  let policy = value;
+  if (typeof value === "string") {
+    try {
+      policy = JSON.parse(value);
+    } catch (error) {
+      return { error: "latePolicy must be valid JSON" };
+    }
+  }
+  if (!policy || typeof policy !== "object") {
+    return { error: "latePolicy must be an object" };
+  }
+
+  const {
+    gracePeriodMinutes = 0,
+    penaltyPercent = 0,
+    penaltyInterval = "day",
+    maxPenaltyPercent = 100,
+    cutoffDate = null,
+  } = policy;
+
+  if (!(Number(gracePeriodMinutes) >= 0)) {
+    return { error: "gracePeriodMinutes must be 0 or more" };
+  }
+  if (!(Number(penaltyPercent) >= 0 && Number(penaltyPercent) <= 100)) {
+    return { error: "penaltyPercent must be between 0 and 100" };
+  }
+  if (!PENALTY_INTERVALS[penaltyInterval]) {
+    return {
+      error: `penaltyInterval must be one of: ${Object.keys(
+        PENALTY_INTERVALS
+      ).join(", ")}`,
+    };
+  }
+  if (!(Number(maxPenaltyPercent) >= 0 && Number(maxPenaltyPercent) <= 100)) {
+    return { error: "maxPenaltyPercent must be between 0 and 100" };
+  }
+  if (cutoffDate && isNaN(new Date(cutoffDate).getTime())) {
+    return { error: "cutoffDate must be a valid date" };
+  }
+
+  return {
+    latePolicy: {
+      gracePeriodMinutes: Number(gracePeriodMinutes),
+      penaltyPercent: Number(penaltyPercent),
+      penaltyInterval,
+      maxPenaltyPercent: Number(maxPenaltyPercent),
+      cutoffDate: cutoffDate ? new Date(cutoffDate) : null,
+    },
+  };
+};
+
+module.exports = {
+  submissionCutoff,
+  isSubmissionLate,
+  latePenaltyPercent,
+  applyPenalty,
+  parseLatePolicy,
+};
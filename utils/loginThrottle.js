@@ -0,0 +1,155 @@
+const LoginThrottle = require("../models/LoginThrottle");
+const LockoutEvent = require("../models/LockoutEvent");
+const { getClientIp } = require("./tokens");
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(
+  process.env.LOGIN_MAX_ATTEMPTS || "5",
+  10
+);
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || "20", 10);
+const ATTEMPT_WINDOW_MS =
+  parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || "15", 10) * 60 * 1000;
+const LOCKOUT_BASE_MS =
+  parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || "1", 10) * 60 * 1000;
+const LOCKOUT_MAX_MS =
+  parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || "1440", 10) * 60 * 1000;
+// How long a key keeps its lockout history after the last failure
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .toLowerCase()
+    .trim();
+
+const accountKey = (email) => `account:${normalizeEmail(email)}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Exponential back-off: 1st lockout = base, 2nd = 2x base, ... up to the max
+const lockoutDuration = (lockoutNumber) =>
+  Math.min(LOCKOUT_BASE_MS * 2 ** (lockoutNumber - 1), LOCKOUT_MAX_MS);
+
+// Seconds until this email/IP may try again, or 0 when neither is locked
+const getLoginLock = async (email, ip) => {
+  const now = Date.now();
+  const locked = await LoginThrottle.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+    lockedUntil: { $gt: new Date(now) },
+  });
+  if (!locked.length) return 0;
+
+  const until = Math.max(...locked.map((t) => t.lockedUntil.getTime()));
+  return Math.ceil((until - now) / 1000);
+};
+
+// Count a failure against one key. Resolves to the throttle document when this
+// failure triggered a lockout, otherwise null. Updates are atomic so parallel
+// guesses cannot slip past the limit.
+const registerFailure = async (key, scope, maxAttempts) => {
+  const now = new Date();
+
+  // Failures outside the window no longer count towards a lockout
+  await LoginThrottle.updateOne(
+    { key, lastFailedAt: { $lt: new Date(now - ATTEMPT_WINDOW_MS) } },
+    { $set: { failedAttempts: 0 } }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failedAttempts: 1 },
+      $set: {
+        scope,
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + RETENTION_MS),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  if (throttle.failedAttempts < maxAttempts) return null;
+
+  // Only the request that reaches the limit first applies the lockout
+  const lockoutNumber = throttle.lockouts + 1;
+  const lockedUntil = new Date(now.getTime() + lockoutDuration(lockoutNumber));
+  return LoginThrottle.findOneAndUpdate(
+    { _id: throttle._id, failedAttempts: { $gte: maxAttempts } },
+    {
+      $set: {
+        failedAttempts: 0,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + RETENTION_MS),
+      },
+      $inc: { lockouts: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Record a failed login against both the account and the client IP
+const recordLoginFailure = async (email, req, user = null) => {
+  const ip = getClientIp(req);
+  const [accountLock, ipLock] = await Promise.all([
+    registerFailure(accountKey(email), "account", MAX_ACCOUNT_ATTEMPTS),
+    registerFailure(ipKey(ip), "ip", MAX_IP_ATTEMPTS),
+  ]);
+
+  const events = [
+    [accountLock, MAX_ACCOUNT_ATTEMPTS],
+    [ipLock, MAX_IP_ATTEMPTS],
+  ]
+    .filter(([lock]) => lock)
+    .map(([lock, failedAttempts]) => ({
+      scope: lock.scope,
+      user: user ? user._id : null,
+      email: normalizeEmail(email),
+      ip,
+      userAgent: req.get("User-Agent"),
+      failedAttempts,
+      lockoutNumber: lock.lockouts,
+      lockedUntil: lock.lockedUntil,
+    }));
+
+  if (events.length) {
+    await LockoutEvent.insertMany(events);
+    events.forEach((event) =>
+      console.warn(
+        `Login lockout (${event.scope}) for ${event.email} from ${
+          event.ip
+        } until ${event.lockedUntil.toISOString()}`
+      )
+    );
+  }
+};
+
+// A successful login clears the account's counter and any lockout. The lockout
+// count is kept, so back-off still grows if the guessing resumes. The IP
+// counter is left to expire so one valid account cannot be used to reset it.
+const clearLoginFailures = async (email) => {
+  await LoginThrottle.updateOne(
+    { key: accountKey(email) },
+    { $set: { failedAttempts: 0, lockedUntil: null } }
+  );
+};
+
+// Lift an account lockout early and mark its open lockout events as resolved
+const unlockAccount = async (user, unlockedBy) => {
+  const { deletedCount } = await LoginThrottle.deleteOne({
+    key: accountKey(user.email),
+  });
+  const { modifiedCount } = await LockoutEvent.updateMany(
+    {
+      scope: "account",
+      email: normalizeEmail(user.email),
+      unlockedAt: null,
+      lockedUntil: { $gt: new Date() },
+    },
+    { $set: { unlockedAt: new Date(), unlockedBy } }
+  );
+  return deletedCount > 0 || modifiedCount > 0;
+};
+
+module.exports = {
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+};
@@ -0,0 +1,137 @@
+const fs = require("fs").promises;
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// A transport is any object with an async send({ to, subject, text, html }) method.
+// Select a built-in one with MAIL_TRANSPORT, or plug in your own with setTransport().
+
+// Prints messages to the server log (default for development)
+const consoleTransport = {
+  name: "console",
+  send: async (message) => {
+    console.log("=== Outgoing email ===");
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log("======================");
+    return { accepted: [message.to] };
+  },
+};
+
+// Writes each message as a JSON file so tests and local setups can read it back
+const createFileTransport = (
+  outboxDir = process.env.MAIL_OUTBOX_DIR || "tmp/mail"
+) => ({
+  name: "file",
+  outboxDir,
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9.@-]/g, "-");
+    const filePath = path.join(
+      outboxDir,
+      `${Date.now()}-${safeRecipient}.json`
+    );
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    return { accepted: [message.to], filePath };
+  },
+});
+
+// Sends through an SMTP server configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER and SMTP_PASS
+const createSmtpTransport = (
+  options = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  }
+) => {
+  if (!options.host) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { accepted: info.accepted, messageId: info.messageId };
+    },
+  };
+};
+
+// The console transport prints reset links to the server log, so in production
+// it is replaced by one that refuses to send until a real transport is set
+const disabledTransport = {
+  name: "disabled",
+  send: async () => {
+    throw new Error("No mail transport is configured; set MAIL_TRANSPORT");
+  },
+};
+
+const defaultTransportType = () =>
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+
+const createTransport = (type = defaultTransportType()) => {
+  switch (type) {
+    case "console":
+      if (process.env.NODE_ENV === "production") {
+        console.warn(
+          "Mail is disabled: the console transport cannot be used in production; set MAIL_TRANSPORT=smtp and SMTP_HOST"
+        );
+        return disabledTransport;
+      }
+      return consoleTransport;
+    case "file":
+      return createFileTransport();
+    case "smtp":
+      return createSmtpTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createTransport();
+  }
+  return activeTransport;
+};
+
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  activeTransport = transport;
+};
+
+// For user-supplied values placed in an html body
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || "no-reply@lms.local";
+  return getTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  setTransport,
+  getTransport,
+  createTransport,
+  createFileTransport,
+  createSmtpTransport,
+  consoleTransport,
+};
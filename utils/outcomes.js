@@ -0,0 +1,627 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const CourseOutcome = require("../models/CourseOutcome");
+const Assignment = require("../models/Assignment");
+const Activity = require("../models/Activity");
+const Quiz = require("../models/Quiz");
+const { getCourseRoster } = require("./attendance");
+const { scoreItems } = require("./gradebook");
+const { finishedAttempts, countingAttempt } = require("./quiz");
+
+const OUTCOME_CODE = /^CO\d+$/;
+const PROGRAM_OUTCOME_CODE = /^PS?O\d+$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// PO1, PO2, ..., PO12, then PSO1, ...
+const compareCodes = (a, b) => {
+  const [, prefixA, numberA] = a.match(/^([A-Z]+)(\d+)$/) || [, a, 0];
+  const [, prefixB, numberB] = b.match(/^([A-Z]+)(\d+)$/) || [, b, 0];
+  return prefixA === prefixB
+    ? Number(numberA) - Number(numberB)
+    : prefixA.localeCompare(prefixB);
+};
+
+// Validate PO correlations of one outcome. Resolves to { mappings, error }.
+const parseProgramOutcomes = (input, label) => {
+  if (!Array.isArray(input)) {
+    return { error: `${label}: programOutcomes must be an array` };
+  }
+  const mappings = [];
+  for (const item of input) {
+    const code = String((item && item.code) || "")
+      .toUpperCase()
+      .trim();
+    const correlation = Number(item && item.correlation);
+    if (!PROGRAM_OUTCOME_CODE.test(code)) {
+      return { error: `${label}: program outcome codes look like PO1 or PSO1` };
+    }
+    if (![1, 2, 3].includes(correlation)) {
+      return { error: `${label}: correlation of ${code} must be 1, 2 or 3` };
+    }
+    if (mappings.some((m) => m.code === code)) {
+      return { error: `${label}: ${code} is mapped more than once` };
+    }
+    mappings.push({ code, correlation });
+  }
+  return { mappings };
+};
+
+// Outcomes from a request: plain strings (the old format) or objects with
+// description, code and programOutcomes. Entries are matched to the existing
+// outcomes by _id, code or description so their IDs, codes and mappings
+// survive an edit; questions are tagged by code, so a kept outcome never
+// changes its code unless one is sent. New outcomes without a code take the
+// next number no outcome has used. Resolves to { outcomes, error }.
+const buildOutcomes = (input, existing = []) => {
+  if (!Array.isArray(input)) {
+    return { error: "Learning outcomes must be an array" };
+  }
+
+  const entries = [];
+  for (let i = 0; i < input.length; i++) {
+    const item =
+      typeof input[i] === "string" ? { description: input[i] } : input[i];
+    const label = `Outcome ${i + 1}`;
+    if (!item || !String(item.description || "").trim()) {
+      return { error: `${label} needs a description` };
+    }
+    const description = String(item.description).trim();
+    const sentCode = item.code
+      ? String(item.code).toUpperCase().trim()
+      : null;
+    if (sentCode && !OUTCOME_CODE.test(sentCode)) {
+      return { error: `${label}: codes look like CO1, CO2, ...` };
+    }
+
+    const match =
+      (item._id && existing.find((o) => o._id.equals(item._id))) ||
+      (sentCode && existing.find((o) => o.code === sentCode)) ||
+      existing.find((o) => o.description === description);
+    const kept =
+      match && !entries.some((e) => e.match && e.match._id.equals(match._id))
+        ? match
+        : null;
+
+    entries.push({
+      item,
+      label,
+      description,
+      match: kept,
+      code: sentCode || (kept && kept.code) || null,
+    });
+  }
+
+  // Codes of removed outcomes are not handed out again, so questions still
+  // tagged with them do not count toward a new outcome
+  const usedNumbers = [
+    ...existing.map((o) => o.code),
+    ...entries.map((e) => e.code),
+  ]
+    .filter((code) => code && OUTCOME_CODE.test(code))
+    .map((code) => Number(code.slice(2)));
+  let nextNumber = Math.max(0, ...usedNumbers) + 1;
+
+  const outcomes = [];
+  for (const { item, label, description, match, code: entryCode } of entries) {
+    const code = entryCode || `CO${nextNumber++}`;
+    if (outcomes.some((o) => o.code === code)) {
+      return { error: `Outcome code ${code} is used more than once` };
+    }
+
+    const outcome = { code, description };
+    if (match) {
+      outcome._id = match._id;
+      outcome.programOutcomes = match.programOutcomes;
+    }
+    if (item.programOutcomes !== undefined) {
+      const { mappings, error } = parseProgramOutcomes(
+        item.programOutcomes,
+        label
+      );
+      if (error) return { error };
+      outcome.programOutcomes = mappings;
+    }
+    outcomes.push(outcome);
+  }
+  return { outcomes };
+};
+
+// learningOutcomes in course responses: the outcome descriptions, the plain
+// strings clients have always received. Codes, IDs and PO mappings are served
+// by the course outcomes endpoint.
+const outcomeDescriptions = (courseOutcome) =>
+  ((courseOutcome && courseOutcome.outcomes) || []).map((o) => o.description);
+
+// Validate the attainment targets from a request; absent fields are left out.
+// Resolves to { settings, error }.
+const parseAttainmentSettings = (body) => {
+  const settings = {};
+
+  if (body.targetPercentage !== undefined) {
+    const target = Number(body.targetPercentage);
+    if (!(target >= 0 && target <= 100)) {
+      return { error: "targetPercentage must be between 0 and 100" };
+    }
+    settings.targetPercentage = target;
+  }
+
+  if (body.attainmentLevels !== undefined) {
+    const levels = body.attainmentLevels;
+    if (!Array.isArray(levels) || levels.length === 0) {
+      return { error: "attainmentLevels must be a non-empty array" };
+    }
+    const parsed = levels.map((l) => ({
+      level: Number(l && l.level),
+      minStudentPercentage: Number(l && l.minStudentPercentage),
+    }));
+    if (
+      parsed.some(
+        (l) =>
+          !Number.isInteger(l.level) ||
+          l.level < 1 ||
+          !(l.minStudentPercentage >= 0 && l.minStudentPercentage <= 100)
+      )
+    ) {
+      return {
+        error:
+          "Every attainment level needs a level of 1 or more and a minStudentPercentage between 0 and 100",
+      };
+    }
+    if (new Set(parsed.map((l) => l.level)).size !== parsed.length) {
+      return { error: "Attainment levels must be unique" };
+    }
+    // A higher level must not be easier to reach than a lower one
+    const sorted = [...parsed].sort((a, b) => a.level - b.level);
+    if (
+      sorted.some(
+        (l, i) =>
+          i > 0 && l.minStudentPercentage < sorted[i - 1].minStudentPercentage
+      )
+    ) {
+      return {
+        error: "Higher attainment levels need a higher minStudentPercentage",
+      };
+    }
+    settings.attainmentLevels = sorted.reverse();
+  }
+
+  return { settings };
+};
+
+const findCourseOutcomes = (course) =>
+  course.outcomes
+    ? CourseOutcome.findById(course.outcomes)
+    : CourseOutcome.findOne({ course: course._id });
+
+// The course's outcome document for reading. One that does not exist yet is
+// built empty without saving, and legacy string outcomes keep the IDs derived
+// on load, so reads never write.
+const readCourseOutcomes = async (course) =>
+  (await findCourseOutcomes(course)) ||
+  new CourseOutcome({ course: course._id, outcomes: [] });
+
+// The course's outcome document for a change, created empty on first use.
+// Outcomes still stored as plain strings are saved back so their IDs stick.
+const loadCourseOutcomes = async (course) => {
+  let courseOutcome = await findCourseOutcomes(course);
+
+  if (!courseOutcome) {
+    courseOutcome = await CourseOutcome.create({
+      course: course._id,
+      outcomes: [],
+    });
+  } else if (courseOutcome.$locals.legacyOutcomes) {
+    courseOutcome.markModified("outcomes");
+    await courseOutcome.save();
+  }
+
+  if (!course.outcomes || !course.outcomes.equals(courseOutcome._id)) {
+    await Course.updateOne(
+      { _id: course._id },
+      { outcomes: courseOutcome._id }
+    );
+  }
+  return courseOutcome;
+};
+
+// Drop mappings to outcomes that no longer exist
+const detachOutcomes = async (courseId, outcomeIds, session = null) => {
+  if (outcomeIds.length === 0) return;
+  const pull = { outcome: { $in: outcomeIds } };
+
+  await Assignment.updateMany(
+    { course: courseId },
+    { $pull: { outcomes: pull } }
+  ).session(session);
+  await Activity.updateMany(
+    { course: courseId },
+    { $pull: { outcomes: pull } }
+  ).session(session);
+  await Quiz.updateMany(
+    { course: courseId },
+    { $pull: { "questions.$[].outcomeMappings": pull } }
+  ).session(session);
+};
+
+// Replace a course's outcomes from request input and detach the removed ones.
+// Resolves to an error message or null.
+const replaceOutcomes = async (courseOutcome, input, session = null) => {
+  const { outcomes, error } = buildOutcomes(input, courseOutcome.outcomes);
+  if (error) return error;
+
+  const keptIds = outcomes.filter((o) => o._id).map((o) => o._id.toString());
+  const removedIds = courseOutcome.outcomes
+    .filter((o) => !keptIds.includes(o._id.toString()))
+    .map((o) => o._id);
+
+  courseOutcome.outcomes = outcomes;
+  await courseOutcome.save({ session });
+  await detachOutcomes(courseOutcome.course, removedIds, session);
+  return null;
+};
+
+// Outcome mappings of an assessment from a request: [{ outcome, weight }]
+// where outcome is an outcome's ID or code. Resolves to { mappings, error }.
+const parseOutcomeMappings = (input, courseOutcome) => {
+  if (!Array.isArray(input)) {
+    return { error: "outcomes must be an array" };
+  }
+
+  const mappings = [];
+  for (const item of input) {
+    const ref = String(
+      item && typeof item === "object" ? item.outcome : item || ""
+    ).trim();
+    const outcome = courseOutcome.outcomes.find((o) =>
+      mongoose.isValidObjectId(ref)
+        ? o._id.equals(ref)
+        : o.code === ref.toUpperCase()
+    );
+    if (!outcome) {
+      return { error: `Course outcome ${ref} not found` };
+    }
+    const weight =
+      item && item.weight !== undefined && item.weight !== null
+        ? Number(item.weight)
+        : 1;
+    if (!(weight >= 0)) {
+      return { error: `Weight for ${outcome.code} must be 0 or more` };
+    }
+    if (mappings.some((m) => m.outcome.equals(outcome._id))) {
+      return { error: `${outcome.code} is mapped more than once` };
+    }
+    mappings.push({ outcome: outcome._id, weight });
+  }
+  return { mappings };
+};
+
+// Outcome mappings a quiz question counts towards: its own weighted ones, or
+// else its outcome tags with weight 1
+const questionMappings = (question, outcomeIdsByCode) => {
+  if (question.outcomeMappings && question.outcomeMappings.length) {
+    return question.outcomeMappings;
+  }
+  return (question.outcomes || [])
+    .filter((code) => outcomeIdsByCode.has(code))
+    .map((code) => ({ outcome: outcomeIdsByCode.get(code), weight: 1 }));
+};
+
+// Highest level whose student share is reached; 0 below every level
+const levelFor = (attainmentLevels, attainmentPercentage) => {
+  const reached = attainmentLevels
+    .filter((l) => attainmentPercentage >= l.minStudentPercentage)
+    .map((l) => l.level);
+  return reached.length ? Math.max(...reached) : 0;
+};
+
+// Outcome attainment of a course. Every mapped assignment, activity and quiz
+// question adds the student's score percentage on it, with its weight, to the
+// outcomes it is mapped to. Grades count the way they do in the gradebook: a
+// missing submission counts as zero after the due date and ungraded work is
+// left out. A student attains an outcome when their weighted percentage
+// reaches targetPercentage; the outcome's level follows from the share of
+// assessed students who attained it. Program outcome attainment is the
+// correlation-weighted average of the levels of the outcomes mapped to it.
+const computeAttainment = async (course, courseOutcome, now = new Date()) => {
+  const mapped = { "outcomes.0": { $exists: true } };
+  const submissionFields =
+    "title totalPoints dueDate extensions outcomes submissions.student submissions.grade submissions.submissionDate";
+  const [students, assignments, activities, quizzes, quizAttempts] =
+    await Promise.all([
+      getCourseRoster(course).populate("user", "name email"),
+      Assignment.find({ course: course._id, isActive: true, ...mapped }).select(
+        submissionFields
+      ),
+      Activity.find({ course: course._id, isActive: true, ...mapped }).select(
+        submissionFields
+      ),
+      Quiz.find({ course: course._id, isPublished: true }),
+      // Attempts whose timer ran out count as submitted
+      finishedAttempts({ course: course._id }, now),
+    ]);
+
+  const outcomeIdsByCode = new Map(
+    courseOutcome.outcomes.map((o) => [o.code, o._id])
+  );
+  const sources = new Map(
+    courseOutcome.outcomes.map((o) => [o._id.toString(), []])
+  );
+  // studentId -> outcomeId -> { weighted, weight }
+  const totals = new Map(students.map((s) => [s._id.toString(), new Map()]));
+
+  const addScore = (studentId, outcomeId, weight, percentage) => {
+    const byOutcome = totals.get(studentId.toString());
+    const key = outcomeId.toString();
+    if (!byOutcome || !sources.has(key)) return;
+    const entry = byOutcome.get(key) || { weighted: 0, weight: 0 };
+    entry.weighted += weight * percentage;
+    entry.weight += weight;
+    byOutcome.set(key, entry);
+  };
+
+  [
+    ...assignments.map((item) => ({ item, type: "assignment" })),
+    ...activities.map((item) => ({ item, type: "activity" })),
+  ].forEach(({ item, type }) => {
+    item.outcomes.forEach((mapping) => {
+      sources.get(mapping.outcome.toString())?.push({
+        type,
+        _id: item._id,
+        title: item.title,
+        weight: mapping.weight,
+      });
+    });
+    if (!item.totalPoints) return;
+
+    students.forEach((student) => {
+      const { earned, possible } = scoreItems([item], student._id, now);
+      if (!possible) return;
+      item.outcomes.forEach((mapping) =>
+        addScore(
+          student._id,
+          mapping.outcome,
+          mapping.weight,
+          (earned / possible) * 100
+        )
+      );
+    });
+  });
+
+  quizzes.forEach((quiz) => {
+    const mappedQuestions = quiz.questions
+      .map((question) => ({
+        question,
+        mappings: questionMappings(question, outcomeIdsByCode),
+      }))
+      .filter(({ question, mappings }) => mappings.length && question.points);
+    if (mappedQuestions.length === 0) return;
+
+    const weightByOutcome = new Map();
+    mappedQuestions.forEach(({ mappings }) =>
+      mappings.forEach((m) => {
+        const key = m.outcome.toString();
+        weightByOutcome.set(key, (weightByOutcome.get(key) || 0) + m.weight);
+      })
+    );
+    weightByOutcome.forEach((weight, key) =>
+      sources.get(key)?.push({
+        type: "quiz",
+        _id: quiz._id,
+        title: quiz.title,
+        weight,
+        questionCount: mappedQuestions.filter(({ mappings }) =>
+          mappings.some((m) => m.outcome.toString() === key)
+        ).length,
+      })
+    );
+
+    const attemptsByStudent = new Map();
+    quizAttempts
+      .filter((a) => a.quiz.equals(quiz._id))
+      .forEach((a) => {
+        const key = a.student.toString();
+        attemptsByStudent.set(key, [...(attemptsByStudent.get(key) || []), a]);
+      });
+
+    students.forEach((student) => {
+      const own = attemptsByStudent.get(student._id.toString()) || [];
+      const attempt = countingAttempt(quiz, own);
+
+      mappedQuestions.forEach(({ question, mappings }) => {
+        let percentage = null;
+        if (attempt) {
+          const presented = attempt.questions.some((q) =>
+            q.question.equals(question._id)
+          );
+          const answer = attempt.answers.find((a) =>
+            a.question.equals(question._id)
+          );
+          if (presented && !(answer && answer.needsReview)) {
+            percentage = answer
+              ? (answer.pointsAwarded / question.points) * 100
+              : 0;
+          }
+        } else if (own.length === 0 && quiz.dueDate < now) {
+          percentage = 0;
+        }
+        if (percentage === null) return;
+        mappings.forEach((m) =>
+          addScore(student._id, m.outcome, m.weight, percentage)
+        );
+      });
+    });
+  });
+
+  const studentRows = students.map((student) => {
+    const byOutcome = totals.get(student._id.toString());
+    const percentages = {};
+    courseOutcome.outcomes.forEach((outcome) => {
+      const entry = byOutcome.get(outcome._id.toString());
+      percentages[outcome.code] =
+        entry && entry.weight ? round2(entry.weighted / entry.weight) : null;
+    });
+    return {
+      studentId: student._id,
+      name: student.user?.name || "Unknown",
+      email: student.user?.email || "",
+      outcomes: percentages,
+    };
+  });
+
+  const outcomes = courseOutcome.outcomes.map((outcome) => {
+    const scores = studentRows
+      .map((row) => row.outcomes[outcome.code])
+      .filter((p) => p !== null);
+    const attained = scores.filter(
+      (p) => p >= courseOutcome.targetPercentage
+    ).length;
+    const attainmentPercentage = scores.length
+      ? round2((attained / scores.length) * 100)
+      : null;
+
+    return {
+      _id: outcome._id,
+      code: outcome.code,
+      description: outcome.description,
+      assessments: sources.get(outcome._id.toString()),
+      studentsAssessed: scores.length,
+      studentsAttained: attained,
+      attainmentPercentage,
+      averagePercentage: scores.length
+        ? round2(scores.reduce((sum, p) => sum + p, 0) / scores.length)
+        : null,
+      level:
+        attainmentPercentage === null
+          ? null
+          : levelFor(courseOutcome.attainmentLevels, attainmentPercentage),
+    };
+  });
+
+  const programCodes = [
+    ...new Set(
+      courseOutcome.outcomes.flatMap((o) =>
+        o.programOutcomes.map((m) => m.code)
+      )
+    ),
+  ].sort(compareCodes);
+
+  const matrix = courseOutcome.outcomes.map((outcome) => ({
+    code: outcome.code,
+    correlations: Object.fromEntries(
+      outcome.programOutcomes.map((m) => [m.code, m.correlation])
+    ),
+  }));
+
+  const programOutcomes = programCodes.map((code) => {
+    let weighted = 0;
+    let correlationTotal = 0;
+    courseOutcome.outcomes.forEach((outcome, i) => {
+      const mapping = outcome.programOutcomes.find((m) => m.code === code);
+      if (!mapping || outcomes[i].level === null) return;
+      weighted += mapping.correlation * outcomes[i].level;
+      correlationTotal += mapping.correlation;
+    });
+    return {
+      code,
+      attainment: correlationTotal ? round2(weighted / correlationTotal) : null,
+    };
+  });
+
+  return {
+    course: {
+      _id: course._id,
+      title: course.title,
+      courseCode: course.courseCode,
+    },
+    targetPercentage: courseOutcome.targetPercentage,
+    attainmentLevels: courseOutcome.attainmentLevels,
+    outcomes,
+    matrix,
+    programOutcomes,
+    students: studentRows,
+    generatedAt: now,
+  };
+};
+
+// Sheets of the Excel attainment report
+const attainmentSheets = (report) => {
+  const programCodes = report.programOutcomes.map((po) => po.code);
+
+  return [
+    {
+      name: "CO Attainment",
+      rows: report.outcomes.map((outcome) => ({
+        Outcome: outcome.code,
+        Description: outcome.description,
+        Assessments: outcome.assessments
+          .map((a) => `${a.title} (${a.type}, weight ${a.weight})`)
+          .join("; "),
+        "Students Assessed": outcome.studentsAssessed,
+        [`Students at ${report.targetPercentage}% or more`]:
+          outcome.studentsAttained,
+        "Attainment %": outcome.attainmentPercentage ?? "",
+        "Average %": outcome.averagePercentage ?? "",
+        Level: outcome.level ?? "",
+      })),
+    },
+    {
+      name: "CO-PO Matrix",
+      rows: [
+        ...report.matrix.map((row, i) => ({
+          Outcome: row.code,
+          ...Object.fromEntries(
+            programCodes.map((code) => [code, row.correlations[code] || ""])
+          ),
+          "CO Level": report.outcomes[i].level ?? "",
+        })),
+        {
+          Outcome: "PO Attainment",
+          ...Object.fromEntries(
+            report.programOutcomes.map((po) => [po.code, po.attainment ?? ""])
+          ),
+          "CO Level": "",
+        },
+      ],
+    },
+    {
+      name: "Student Scores",
+      rows: report.students.map((student) => ({
+        "Student Name": student.name,
+        Email: student.email,
+        ...Object.fromEntries(
+          report.outcomes.map((o) => [
+            `${o.code} %`,
+            student.outcomes[o.code] ?? "",
+          ])
+        ),
+      })),
+    },
+    {
+      name: "Targets",
+      rows: [
+        {
+          Setting: "Target % per student",
+          Value: report.targetPercentage,
+        },
+        ...report.attainmentLevels.map((l) => ({
+          Setting: `Level ${l.level}: minimum % of students`,
+          Value: l.minStudentPercentage,
+        })),
+      ],
+    },
+  ];
+};
+
+module.exports = {
+  buildOutcomes,
+  outcomeDescriptions,
+  parseAttainmentSettings,
+  readCourseOutcomes,
+  loadCourseOutcomes,
+  detachOutcomes,
+  replaceOutcomes,
+  parseOutcomeMappings,
+  computeAttainment,
+  attainmentSheets,
+};
@@ -0,0 +1,236 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Teacher = require("../models/Teacher");
+const Student = require("../models/Student");
+const Assignment = require("../models/Assignment");
+const Activity = require("../models/Activity");
+const Discussion = require("../models/Discussion");
+const Article = require("../models/Article");
+const Lecture = require("../models/Lecture");
+const AttendanceSession = require("../models/AttendanceSession");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const RoleGrant = require("../models/RoleGrant");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { isEnrolled } = require("./attendance");
+const {
+  ROLES,
+  SCOPED_ROLES,
+  PERMISSIONS,
+  STAFF_CAPABILITIES,
+  STAFF_BASE_ACTIONS,
+} = require("../config/permissions");
+
+// Does the user hold their primary role over this course?
+const scopeChecks = {
+  global: async () => true,
+  owner: async (user, course) => {
+    const teacher = await Teacher.findOne({ user: user._id }).select("_id");
+    return !!teacher && course.teacher.equals(teacher._id);
+  },
+  enrolled: async (user, course) => {
+    const student = await Student.findOne({ user: user._id }).select(
+      "teacher courses courseCodes"
+    );
+    return !!student && isEnrolled(student, course);
+  },
+  // Scoped roles only gain course access through grants or course staff
+  "course-code": async () => false,
+};
+
+// Active Course.staff entry for this user, if any
+const getStaffMember = (course, user) =>
+  (course.staff || []).find(
+    (member) => member.status === "active" && member.user.equals(user._id)
+  );
+
+// A member with no capabilities keeps only the base actions
+const staffActions = (member) => [
+  ...STAFF_BASE_ACTIONS,
+  ...member.capabilities.flatMap(
+    (capability) => STAFF_CAPABILITIES[capability]
+  ),
+];
+
+// Query filter matching courses where the user is active staff
+const staffCourseFilter = (userId) => ({
+  staff: { $elemMatch: { user: userId, status: "active" } },
+});
+
+// Course codes of the courses where the user's staff role allows an action
+const staffCourseCodes = async (user, action) => {
+  const courses = await Course.find(staffCourseFilter(user._id)).select(
+    "courseCode staff"
+  );
+  return courses
+    .filter((course) =>
+      staffActions(getStaffMember(course, user)).includes(action)
+    )
+    .map((course) => course.courseCode);
+};
+
+// Load the course a child resource belongs to
+const courseOf = (Model) => async (id) => {
+  const resource = await Model.findById(id).select("course");
+  return resource && resource.course ? Course.findById(resource.course) : null;
+};
+
+// Resource-ownership resolvers, keyed by route parameter. The first parameter
+// present on the request decides which course the request is about.
+const resourceResolvers = {
+  courseId: (id) => Course.findById(id),
+  assignmentId: courseOf(Assignment),
+  activityId: courseOf(Activity),
+  discussionId: courseOf(Discussion),
+  articleId: courseOf(Article),
+  lectureId: courseOf(Lecture),
+  attendanceSessionId: courseOf(AttendanceSession),
+  quizId: courseOf(Quiz),
+  quizAttemptId: courseOf(QuizAttempt),
+};
+
+const resolveCourse = async (params = {}) => {
+  for (const [param, resolver] of Object.entries(resourceResolvers)) {
+    if (!params[param]) continue;
+    if (!mongoose.isValidObjectId(params[param])) return null;
+    return resolver(params[param]);
+  }
+  return null;
+};
+
+const getPermission = (action) => {
+  const roles = PERMISSIONS[action];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+  return roles;
+};
+
+// Decide whether a user may perform an action, optionally on a specific course.
+// Resolves to { granted, role, grant } where role is the role that matched.
+const authorize = async (user, action, course = null) => {
+  const allowedRoles = getPermission(action);
+
+  if (allowedRoles.includes(user.role)) {
+    const { scope } = ROLES[user.role];
+    if (!course || (await scopeChecks[scope](user, course))) {
+      return { granted: true, role: user.role };
+    }
+  }
+
+  const grantableRoles = allowedRoles.filter((role) =>
+    SCOPED_ROLES.includes(role)
+  );
+  if (grantableRoles.length) {
+    const filter = { user: user._id, role: { $in: grantableRoles } };
+    if (course) filter.courseCodes = course.courseCode;
+
+    const grant = await RoleGrant.findOne(filter);
+    if (grant) {
+      return { granted: true, role: grant.role, grant };
+    }
+  }
+
+  // Co-teachers and TAs delegated onto this course, or onto any course when
+  // none is given (as with grants above)
+  const staffCourses = course
+    ? [course]
+    : await Course.find(staffCourseFilter(user._id)).select("staff");
+  for (const staffCourse of staffCourses) {
+    const member = getStaffMember(staffCourse, user);
+    if (member && staffActions(member).includes(action)) {
+      return { granted: true, role: member.role, staff: member };
+    }
+  }
+
+  return { granted: false };
+};
+
+const can = async (user, action, course = null) =>
+  (await authorize(user, action, course)).granted;
+
+// Controller helper: load the course and check the action against it.
+// Resolves to { course, granted, role }; course is null when it does not exist.
+const getCourseAccess = async (user, action, courseId, session = null) => {
+  const course = mongoose.isValidObjectId(courseId)
+    ? await Course.findById(courseId).session(session)
+    : null;
+  if (!course) {
+    return { course: null, granted: false };
+  }
+
+  return { course, ...(await authorize(user, action, course)) };
+};
+
+// Same as getCourseAccess, but throws when the user may not act on the course
+const assertCoursePermission = async (
+  user,
+  action,
+  courseId,
+  session = null
+) => {
+  const access = await getCourseAccess(user, action, courseId, session);
+  if (!access.course) {
+    throw new ErrorHandler("Course not found", 404);
+  }
+  if (!access.granted) {
+    throw new ErrorHandler("Course not found or unauthorized", 403);
+  }
+  return access;
+};
+
+// Whether a student record is the user's own, so staff never grade their own
+// submissions
+const isOwnStudentRecord = async (user, studentId) =>
+  !!(await Student.exists({ _id: studentId, user: user._id }));
+
+// Whether access was granted through a staff role rather than as a student
+const isStaffAccess = (access) => !!access.role && access.role !== "student";
+
+// Every action the user holds. Actions held through a RoleGrant or a course
+// staff role list the course codes they are limited to; null means the user's
+// own role provides it.
+const listPermissions = async (user) => {
+  const grants = await RoleGrant.find({ user: user._id });
+  const staffCourses = await Course.find(staffCourseFilter(user._id)).select(
+    "courseCode staff"
+  );
+  const staffGrants = staffCourses.map((course) => ({
+    courseCode: course.courseCode,
+    actions: staffActions(getStaffMember(course, user)),
+  }));
+
+  return Object.entries(PERMISSIONS).reduce((result, [action, roles]) => {
+    if (roles.includes(user.role)) {
+      result[action] = null;
+      return result;
+    }
+    const codes = [
+      ...grants
+        .filter((grant) => roles.includes(grant.role))
+        .flatMap((grant) => grant.courseCodes),
+      ...staffGrants
+        .filter((staff) => staff.actions.includes(action))
+        .map((staff) => staff.courseCode),
+    ];
+    if (codes.length) {
+      result[action] = [...new Set(codes)];
+    }
+    return result;
+  }, {});
+};
+
+module.exports = {
+  authorize,
+  can,
+  getCourseAccess,
+  assertCoursePermission,
+  isStaffAccess,
+  isOwnStudentRecord,
+  getStaffMember,
+  staffCourseFilter,
+  staffCourseCodes,
+  resolveCourse,
+  listPermissions,
+  resourceResolvers,
+};
@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const BankQuestion = require("../models/BankQuestion");
+const Teacher = require("../models/Teacher");
+const { ErrorHandler } = require("../middleware/errorHandler");
+const { staffCourseCodes } = require("./permissions");
+const {
+  QUESTION_TYPES,
+  BLOOM_LEVELS,
+  DIFFICULTIES,
+} = require("../models/questionSchema");
+
+// Most questions one request may pull into a quiz
+const MAX_DRAW = 200;
+
+// Course codes whose banks the user may use for a question-bank action: a
+// teacher's own codes plus those of courses where the user is staff with that
+// action. null means every bank.
+const bankCourseCodes = async (user, action = "question-bank:read") => {
+  if (user.role === "admin") return null;
+  const codes = await staffCourseCodes(user, action);
+  if (user.role === "teacher") {
+    const teacher = await Teacher.findOne({ user: user._id }).select(
+      "courseCodes"
+    );
+    if (teacher) codes.push(...teacher.courseCodes);
+  }
+  return [...new Set(codes)];
+};
+
+// Throws unless the user may use the course code's bank for the action.
+// Resolves to the normalized code.
+const assertBankAccess = async (
+  user,
+  courseCode,
+  action = "question-bank:read"
+) => {
+  const code = String(courseCode || "")
+    .toUpperCase()
+    .trim();
+  if (!code) {
+    throw new ErrorHandler("courseCode is required", 400);
+  }
+  const codes = await bankCourseCodes(user, action);
+  if (codes && !codes.includes(code)) {
+    throw new ErrorHandler(
+      `Course code ${code} is not in your authorized course codes`,
+      403
+    );
+  }
+  return code;
+};
+
+// A tag criterion given as a single value, an array or a comma-separated list
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Query filter for bank questions matching tag criteria. A question matches a
+// list when it has any of the listed values. Resolves to { filter, error }.
+const parseBankCriteria = (criteria = {}) => {
+  const filter = {};
+  const allowed = {
+    type: QUESTION_TYPES,
+    bloomLevel: BLOOM_LEVELS,
+    difficulty: DIFFICULTIES,
+  };
+
+  for (const [field, values] of Object.entries(allowed)) {
+    if (criteria[field] === undefined || criteria[field] === "") continue;
+    const list = toList(criteria[field]);
+    const invalid = list.find((value) => !values.includes(value));
+    if (invalid) {
+      return {
+        error: `${field} must be one of: ${values.join(", ")}`,
+      };
+    }
+    filter[field] = { $in: list };
+  }
+
+  if (criteria.outcomes !== undefined && criteria.outcomes !== "") {
+    filter.outcomes = {
+      $in: toList(criteria.outcomes).map((code) => code.toUpperCase()),
+    };
+  }
+  return { filter };
+};
+
+// Randomly pick questions for each criterion ({ count, ...tags }) without
+// repeating one. Questions in excludeIds are never picked. Resolves to
+// { questions, error }.
+const drawFromBank = async (courseCode, criteriaList, excludeIds = []) => {
+  if (!Array.isArray(criteriaList) || criteriaList.length === 0) {
+    return { error: "criteria must be a non-empty array" };
+  }
+
+  const picked = [];
+  const used = excludeIds.map(String);
+  for (let i = 0; i < criteriaList.length; i++) {
+    const criteria = criteriaList[i] || {};
+    const count = parseInt(criteria.count);
+    if (!(count >= 1)) {
+      return { error: `Criterion ${i + 1}: count must be at least 1` };
+    }
+    if (picked.length + count > MAX_DRAW) {
+      return { error: `At most ${MAX_DRAW} questions can be pulled at once` };
+    }
+    const { filter, error } = parseBankCriteria(criteria);
+    if (error) return { error: `Criterion ${i + 1}: ${error}` };
+
+    const match = {
+      ...filter,
+      courseCode,
+      // aggregate() does not cast ids the way find() does
+      _id: { $nin: used.map((id) => new mongoose.Types.ObjectId(id)) },
+    };
+    const available = await BankQuestion.countDocuments(match);
+    if (available < count) {
+      return {
+        error: `Criterion ${
+          i + 1
+        }: asked for ${count} questions but only ${available} match`,
+      };
+    }
+
+    const sample = await BankQuestion.aggregate([
+      { $match: match },
+      { $sample: { size: count } },
+    ]);
+    sample.forEach((question) => {
+      used.push(question._id.toString());
+      picked.push(question);
+    });
+  }
+  return { questions: picked };
+};
+
+// Copy of a bank question for a quiz, linked back to its source
+const toQuizQuestion = (bankQuestion) => ({
+  type: bankQuestion.type,
+  text: bankQuestion.text,
+  points: bankQuestion.points,
+  options: (bankQuestion.options || []).map(({ text, isCorrect }) => ({
+    text,
+    isCorrect,
+  })),
+  correctBoolean: bankQuestion.correctBoolean,
+  correctNumber: bankQuestion.correctNumber,
+  tolerance: bankQuestion.tolerance,
+  acceptedAnswers: bankQuestion.acceptedAnswers,
+  explanation: bankQuestion.explanation,
+  outcomes: bankQuestion.outcomes,
+  bloomLevel: bankQuestion.bloomLevel,
+  difficulty: bankQuestion.difficulty,
+  bankQuestion: bankQuestion._id,
+});
+
+module.exports = {
+  bankCourseCodes,
+  assertBankAccess,
+  parseBankCriteria,
+  drawFromBank,
+  toQuizQuestion,
+};
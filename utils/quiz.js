@@ -0,0 +1,592 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Quiz = require("../models/Quiz");
+const QuizAttempt = require("../models/QuizAttempt");
+const {
+  QUESTION_TYPES,
+  BLOOM_LEVELS,
+  DIFFICULTIES,
+} = require("../models/questionSchema");
+const { ATTEMPT_GRADING_POLICIES } = require("./submissionAttempts");
+const { REVEAL_ANSWERS } = Quiz;
+
+const MINUTE_MS = 60 * 1000;
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+const toBoolean = (value) => value === true || value === "true";
+
+const OUTCOME_CODE = /^CO\d+$/;
+
+// Bank tags of a question. Resolves to { tags, error }.
+const parseQuestionTags = (input, label) => {
+  const tags = {};
+  if (input.outcomes !== undefined) {
+    const outcomes = (
+      Array.isArray(input.outcomes) ? input.outcomes : [input.outcomes]
+    ).map((code) => String(code).toUpperCase().trim());
+    if (outcomes.some((code) => !OUTCOME_CODE.test(code))) {
+      return { error: `${label}: outcomes must look like CO1, CO2, ...` };
+    }
+    tags.outcomes = [...new Set(outcomes)];
+  }
+  if (isSet(input.bloomLevel)) {
+    if (!BLOOM_LEVELS.includes(input.bloomLevel)) {
+      return {
+        error: `${label}: bloomLevel must be one of: ${BLOOM_LEVELS.join(
+          ", "
+        )}`,
+      };
+    }
+    tags.bloomLevel = input.bloomLevel;
+  }
+  if (isSet(input.difficulty)) {
+    if (!DIFFICULTIES.includes(input.difficulty)) {
+      return {
+        error: `${label}: difficulty must be one of: ${DIFFICULTIES.join(
+          ", "
+        )}`,
+      };
+    }
+    tags.difficulty = input.difficulty;
+  }
+  return { tags };
+};
+
+// Validate one question from a request. Resolves to { question, error }.
+const validateQuestion = (input, index = 0) => {
+  const label = `Question ${index + 1}`;
+  if (!input || typeof input !== "object") {
+    return { error: `${label} must be an object` };
+  }
+  const { type, text, explanation } = input;
+  if (!QUESTION_TYPES.includes(type)) {
+    return {
+      error: `${label}: type must be one of: ${QUESTION_TYPES.join(", ")}`,
+    };
+  }
+  if (!text || !String(text).trim()) {
+    return { error: `${label} needs text` };
+  }
+  const points = isSet(input.points) ? Number(input.points) : 1;
+  if (!(points >= 0)) {
+    return { error: `${label}: points must be 0 or more` };
+  }
+
+  const question = {
+    type,
+    text: String(text).trim(),
+    points,
+    explanation: explanation || "",
+  };
+  if (input._id && mongoose.isValidObjectId(input._id)) {
+    question._id = input._id;
+  }
+  if (input.bankQuestion && mongoose.isValidObjectId(input.bankQuestion)) {
+    question.bankQuestion = input.bankQuestion;
+  }
+
+  const { tags, error: tagError } = parseQuestionTags(input, label);
+  if (tagError) return { error: tagError };
+  Object.assign(question, tags);
+
+  // Weighted outcome links are set through the outcome routes; keep them when
+  // the quiz is edited
+  if (Array.isArray(input.outcomeMappings)) {
+    const mappings = input.outcomeMappings.filter(
+      (m) => m && mongoose.isValidObjectId(m.outcome)
+    );
+    if (mappings.some((m) => isSet(m.weight) && !(Number(m.weight) >= 0))) {
+      return { error: `${label}: outcome weights must be 0 or more` };
+    }
+    question.outcomeMappings = mappings.map((m) => ({
+      outcome: m.outcome,
+      weight: isSet(m.weight) ? Number(m.weight) : 1,
+    }));
+  }
+
+  if (type === "mcq" || type === "multi-select") {
+    const options = input.options;
+    if (!Array.isArray(options) || options.length < 2) {
+      return { error: `${label} needs at least two options` };
+    }
+    if (
+      options.some((option) => !option || !String(option.text || "").trim())
+    ) {
+      return { error: `${label}: every option needs text` };
+    }
+    const correct = options.filter((option) => toBoolean(option.isCorrect));
+    if (type === "mcq" && correct.length !== 1) {
+      return { error: `${label}: an mcq needs exactly one correct option` };
+    }
+    if (type === "multi-select" && correct.length === 0) {
+      return { error: `${label} needs at least one correct option` };
+    }
+    question.options = options.map((option) => ({
+      ...(option._id && mongoose.isValidObjectId(option._id)
+        ? { _id: option._id }
+        : {}),
+      text: String(option.text).trim(),
+      isCorrect: toBoolean(option.isCorrect),
+    }));
+  }
+
+  if (type === "true-false") {
+    if (![true, false, "true", "false"].includes(input.correctBoolean)) {
+      return { error: `${label} needs correctBoolean of true or false` };
+    }
+    question.correctBoolean = toBoolean(input.correctBoolean);
+  }
+
+  if (type === "numeric") {
+    const correctNumber = Number(input.correctNumber);
+    const tolerance = isSet(input.tolerance) ? Number(input.tolerance) : 0;
+    if (!isSet(input.correctNumber) || isNaN(correctNumber)) {
+      return { error: `${label} needs a correctNumber` };
+    }
+    if (!(tolerance >= 0)) {
+      return { error: `${label}: tolerance must be 0 or more` };
+    }
+    question.correctNumber = correctNumber;
+    question.tolerance = tolerance;
+  }
+
+  if (type === "short-answer") {
+    const accepted = input.acceptedAnswers || [];
+    if (!Array.isArray(accepted)) {
+      return { error: `${label}: acceptedAnswers must be an array` };
+    }
+    question.acceptedAnswers = accepted
+      .map((answer) => String(answer).trim())
+      .filter(Boolean);
+  }
+
+  return { question };
+};
+
+// Validate a list of questions. Resolves to { questions, error }.
+const validateQuestions = (inputs) => {
+  if (!Array.isArray(inputs)) {
+    return { error: "questions must be an array" };
+  }
+  const questions = [];
+  for (let i = 0; i < inputs.length; i++) {
+    const { question, error } = validateQuestion(inputs[i], i);
+    if (error) return { error };
+    questions.push(question);
+  }
+  return { questions };
+};
+
+// Validate quiz settings from a create or update request; absent fields are
+// left out. Resolves to { settings, error }.
+const parseQuizSettings = (body) => {
+  const settings = {};
+
+  if (body.title !== undefined) {
+    if (!String(body.title).trim()) return { error: "title is required" };
+    settings.title = String(body.title).trim();
+  }
+  if (body.description !== undefined) {
+    settings.description = body.description || "";
+  }
+
+  for (const field of ["questionsPerAttempt", "timeLimitMinutes"]) {
+    if (body[field] === undefined) continue;
+    if (!isSet(body[field])) {
+      settings[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 1) {
+      return { error: `${field} must be a whole number of at least 1` };
+    }
+    settings[field] = value;
+  }
+
+  if (body.maxAttempts !== undefined) {
+    if (!isSet(body.maxAttempts)) {
+      settings.maxAttempts = null;
+    } else {
+      const maxAttempts = Number(body.maxAttempts);
+      if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        return { error: "maxAttempts must be a whole number of at least 1" };
+      }
+      settings.maxAttempts = maxAttempts;
+    }
+  }
+
+  for (const field of ["availableFrom", "dueDate"]) {
+    if (body[field] === undefined) continue;
+    const date = new Date(body[field]);
+    if (!isSet(body[field]) || isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    settings[field] = date;
+  }
+
+  for (const field of ["shuffleQuestions", "shuffleOptions", "isPublished"]) {
+    if (body[field] !== undefined) settings[field] = toBoolean(body[field]);
+  }
+
+  if (body.attemptGrading !== undefined) {
+    if (!ATTEMPT_GRADING_POLICIES.includes(body.attemptGrading)) {
+      return {
+        error: `attemptGrading must be one of: ${ATTEMPT_GRADING_POLICIES.join(
+          ", "
+        )}`,
+      };
+    }
+    settings.attemptGrading = body.attemptGrading;
+  }
+  if (body.revealAnswers !== undefined) {
+    if (!REVEAL_ANSWERS.includes(body.revealAnswers)) {
+      return {
+        error: `revealAnswers must be one of: ${REVEAL_ANSWERS.join(", ")}`,
+      };
+    }
+    settings.revealAnswers = body.revealAnswers;
+  }
+
+  return { settings };
+};
+
+// Check the quiz can be attempted as configured and set its totalPoints.
+// Returns an error message or null.
+const prepareQuiz = (quiz) => {
+  if (quiz.availableFrom && quiz.availableFrom >= quiz.dueDate) {
+    return "availableFrom must be before dueDate";
+  }
+
+  const count = quiz.questionsPerAttempt || quiz.questions.length;
+  if (quiz.questionsPerAttempt) {
+    if (quiz.questionsPerAttempt > quiz.questions.length) {
+      return `questionsPerAttempt is ${quiz.questionsPerAttempt} but the quiz has ${quiz.questions.length} questions`;
+    }
+    // Every attempt has to be out of the same total
+    const points = new Set(quiz.questions.map((q) => q.points));
+    if (points.size > 1) {
+      return "Questions drawn at random must all be worth the same points";
+    }
+  }
+  if (quiz.isPublished && quiz.questions.length === 0) {
+    return "A quiz needs questions before it can be published";
+  }
+
+  quiz.totalPoints = quiz.questionsPerAttempt
+    ? count * (quiz.questions[0] ? quiz.questions[0].points : 0)
+    : quiz.questions.reduce((sum, q) => sum + q.points, 0);
+  return null;
+};
+
+// Fisher-Yates with a cryptographic source so the order cannot be predicted
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// The questions of a new attempt, in the order they are shown
+const drawQuestions = (quiz) => {
+  let drawn = [...quiz.questions];
+  if (quiz.questionsPerAttempt) {
+    // The subset is random even when the order is not shuffled
+    const picked = new Set(
+      shuffle(drawn)
+        .slice(0, quiz.questionsPerAttempt)
+        .map((question) => question._id.toString())
+    );
+    drawn = drawn.filter((question) => picked.has(question._id.toString()));
+  }
+  if (quiz.shuffleQuestions) drawn = shuffle(drawn);
+
+  return drawn.map((question) => {
+    const optionIds = (question.options || []).map((option) => option._id);
+    return {
+      question: question._id,
+      optionOrder: quiz.shuffleOptions ? shuffle(optionIds) : optionIds,
+    };
+  });
+};
+
+const attemptExpired = (attempt, now = new Date()) =>
+  attempt.status === "in-progress" &&
+  Boolean(attempt.expiresAt) &&
+  now >= attempt.expiresAt;
+
+// Timer end of an attempt starting now: the time limit, cut short by the due
+// date
+const attemptExpiry = (quiz, now = new Date()) => {
+  if (!quiz.timeLimitMinutes) return quiz.dueDate;
+  const limit = new Date(now.getTime() + quiz.timeLimitMinutes * MINUTE_MS);
+  return limit < quiz.dueDate ? limit : quiz.dueDate;
+};
+
+// Exam results are held back from students until the teacher publishes them
+const resultsWithheld = (quiz) => !!quiz.examType && !quiz.resultsPublished;
+
+const answersRevealed = (quiz, now = new Date()) =>
+  !resultsWithheld(quiz) &&
+  (quiz.revealAnswers === "after-submit" ||
+    (quiz.revealAnswers === "after-due-date" && now > quiz.dueDate));
+
+// Store a student's answer to one question. Resolves to an error message or
+// null; an empty answer clears the question.
+const recordAnswer = (attempt, question, value) => {
+  let answer = attempt.answers.find((a) => a.question.equals(question._id));
+  if (!answer) {
+    attempt.answers.push({ question: question._id });
+    answer = attempt.answers[attempt.answers.length - 1];
+  }
+  answer.selectedOptions = [];
+  answer.booleanAnswer = undefined;
+  answer.numericAnswer = undefined;
+  answer.textAnswer = undefined;
+  if (!isSet(value) || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+
+  switch (question.type) {
+    case "mcq":
+    case "multi-select": {
+      const ids = Array.isArray(value) ? value : [value];
+      if (question.type === "mcq" && ids.length !== 1) {
+        return "Pick one option";
+      }
+      const valid = ids.every((id) =>
+        question.options.some((option) => option._id.toString() === String(id))
+      );
+      if (!valid || new Set(ids.map(String)).size !== ids.length) {
+        return "Unknown option";
+      }
+      answer.selectedOptions = ids;
+      return null;
+    }
+    case "true-false":
+      if (![true, false, "true", "false"].includes(value)) {
+        return "Answer true or false";
+      }
+      answer.booleanAnswer = toBoolean(value);
+      return null;
+    case "numeric":
+      if (isNaN(Number(value))) return "Answer with a number";
+      answer.numericAnswer = Number(value);
+      return null;
+    default:
+      answer.textAnswer = String(value).slice(0, 5000);
+      return null;
+  }
+};
+
+const normalizeText = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+// Mark one answer; only short answers without accepted answers need a person
+const gradeAnswer = (question, answer) => {
+  answer.needsReview = false;
+  let correct = false;
+
+  switch (question.type) {
+    case "mcq":
+    case "multi-select": {
+      const expected = question.options
+        .filter((option) => option.isCorrect)
+        .map((option) => option._id.toString())
+        .sort();
+      const given = answer.selectedOptions.map(String).sort();
+      correct =
+        given.length === expected.length &&
+        given.every((id, i) => id === expected[i]);
+      break;
+    }
+    case "true-false":
+      correct = answer.booleanAnswer === question.correctBoolean;
+      break;
+    case "numeric":
+      correct =
+        typeof answer.numericAnswer === "number" &&
+        Math.abs(answer.numericAnswer - question.correctNumber) <=
+          (question.tolerance || 0);
+      break;
+    default:
+      if (!question.acceptedAnswers.length) {
+        answer.needsReview = isSet(answer.textAnswer);
+        answer.isCorrect = null;
+        answer.pointsAwarded = 0;
+        return;
+      }
+      correct = question.acceptedAnswers.some(
+        (accepted) =>
+          normalizeText(accepted) === normalizeText(answer.textAnswer)
+      );
+  }
+
+  answer.isCorrect = correct;
+  answer.pointsAwarded = correct ? question.points : 0;
+};
+
+// Total the awarded points; the attempt is graded once nothing awaits review
+const scoreAttempt = (attempt) => {
+  attempt.score = attempt.answers.reduce((sum, a) => sum + a.pointsAwarded, 0);
+  attempt.status = attempt.answers.some((a) => a.needsReview)
+    ? "submitted"
+    : "graded";
+};
+
+// Grade every presented question of an attempt and close it
+const finalizeAttempt = (
+  attempt,
+  quiz,
+  { auto = false, now = new Date() } = {}
+) => {
+  attempt.questions.forEach(({ question: questionId }) => {
+    const question = quiz.questions.id(questionId);
+    let answer = attempt.answers.find((a) => a.question.equals(questionId));
+    if (!answer) {
+      attempt.answers.push({ question: questionId });
+      answer = attempt.answers[attempt.answers.length - 1];
+    }
+    if (question) gradeAnswer(question, answer);
+  });
+
+  attempt.submittedAt = auto && attempt.expiresAt ? attempt.expiresAt : now;
+  attempt.autoSubmitted = auto;
+  scoreAttempt(attempt);
+};
+
+// Grade in-progress attempts whose time has run out as if submitted, without
+// saving them. Returns the attempts that were finalized.
+const finalizeExpired = async (attempts, now = new Date()) => {
+  const expired = attempts.filter(
+    (a) => a.status === "in-progress" && a.expiresAt && a.expiresAt <= now
+  );
+  if (expired.length === 0) return [];
+
+  const quizzes = await Quiz.find({
+    _id: { $in: [...new Set(expired.map((a) => a.quiz.toString()))] },
+  });
+  const quizzesById = new Map(quizzes.map((q) => [q._id.toString(), q]));
+
+  return expired.filter((attempt) => {
+    const quiz = quizzesById.get(attempt.quiz.toString());
+    if (!quiz) return false;
+    finalizeAttempt(attempt, quiz, { auto: true, now });
+    return true;
+  });
+};
+
+// Submit every in-progress attempt matching the filter whose time has run
+// out. Returns the number closed.
+const closeExpiredAttempts = async (filter = {}, now = new Date()) => {
+  const expired = await finalizeExpired(
+    await QuizAttempt.find({
+      ...filter,
+      status: "in-progress",
+      expiresAt: { $lte: now },
+    }),
+    now
+  );
+
+  let closed = 0;
+  for (const attempt of expired) {
+    try {
+      await attempt.save();
+      closed++;
+    } catch (error) {
+      // Submitted by the student in the meantime
+      if (error.name !== "VersionError") throw error;
+    }
+  }
+  return closed;
+};
+
+// Finished attempts matching the filter, counting those whose time has run out
+// as submitted. Nothing is saved, so read-only requests can score them; the
+// attempts are closed for good by the next quiz request that writes.
+const finishedAttempts = async (filter = {}, now = new Date()) => {
+  const attempts = await QuizAttempt.find({
+    ...filter,
+    $or: [{ status: { $ne: "in-progress" } }, { expiresAt: { $lte: now } }],
+  });
+  await finalizeExpired(attempts, now);
+  return attempts.filter((a) => a.status !== "in-progress");
+};
+
+// The attempt whose score counts for a student under the quiz's policy:
+// the latest finished attempt, or the best graded one
+const countingAttempt = (quiz, attempts) => {
+  const finished = attempts
+    .filter((a) => a.status !== "in-progress")
+    .sort((a, b) => a.attemptNumber - b.attemptNumber);
+  if (quiz.attemptGrading === "best") {
+    const graded = finished.filter((a) => a.status === "graded");
+    return graded.reduce(
+      (best, a) => (!best || a.score > best.score ? a : best),
+      null
+    );
+  }
+  return finished[finished.length - 1] || null;
+};
+
+// Quizzes in the shape the gradebook scores assignments in: one submission per
+// student, holding the counting attempt's score. The grade is null while
+// under review, including under "best" when no attempt is graded yet, so the
+// quiz is left out for that student rather than scored as missed.
+const quizGradeItems = (quizzes, attempts) =>
+  quizzes.map((quiz) => {
+    const byStudent = new Map();
+    attempts
+      .filter((a) => a.quiz.equals(quiz._id))
+      .forEach((a) => {
+        const key = a.student.toString();
+        byStudent.set(key, [...(byStudent.get(key) || []), a]);
+      });
+
+    const submissions = [];
+    byStudent.forEach((studentAttempts) => {
+      const finished = studentAttempts.filter(
+        (a) => a.status !== "in-progress"
+      );
+      if (finished.length === 0) return;
+
+      const attempt = countingAttempt(quiz, studentAttempts);
+      submissions.push({
+        student: finished[0].student,
+        grade: attempt && attempt.status === "graded" ? attempt.score : null,
+        submissionDate: (attempt || finished[finished.length - 1]).submittedAt,
+      });
+    });
+
+    return {
+      _id: quiz._id,
+      totalPoints: quiz.totalPoints,
+      dueDate: quiz.dueDate,
+      submissions,
+    };
+  });
+
+module.exports = {
+  validateQuestion,
+  validateQuestions,
+  parseQuizSettings,
+  prepareQuiz,
+  shuffle,
+  drawQuestions,
+  attemptExpired,
+  attemptExpiry,
+  resultsWithheld,
+  answersRevealed,
+  recordAnswer,
+  gradeAnswer,
+  scoreAttempt,
+  finalizeAttempt,
+  closeExpiredAttempts,
+  finishedAttempts,
+  countingAttempt,
+  quizGradeItems,
+};
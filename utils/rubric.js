@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+
+// Highest score a rubric allows: the best level of every criterion
+const rubricMaxPoints = (rubric) =>
+  rubric.criteria.reduce(
+    (sum, criterion) =>
+      sum + Math.max(...criterion.levels.map((level) => level.points)),
+    0
+  );
+
+// Validate a rubric from the request body against the assessment's total
+// points. Resolves to { rubric, error }.
+const validateRubric = (rubric, totalPoints) => {
+  const criteria = rubric && rubric.criteria;
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return { error: "A rubric needs at least one criterion" };
+  }
+
+  for (const criterion of criteria) {
+    if (!criterion.title || !String(criterion.title).trim()) {
+      return { error: "Every criterion needs a title" };
+    }
+    if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+      return {
+        error: `Criterion "${criterion.title}" needs at least one level`,
+      };
+    }
+    for (const level of criterion.levels) {
+      if (!level.label || !String(level.label).trim()) {
+        return { error: `Every level of "${criterion.title}" needs a label` };
+      }
+      if (typeof level.points !== "number" || level.points < 0) {
+        return {
+          error: `Level "${level.label}" of "${criterion.title}" needs points of 0 or more`,
+        };
+      }
+    }
+  }
+
+  const clean = {
+    criteria: criteria.map(({ title, description, levels }) => ({
+      title,
+      description: description || "",
+      levels: levels.map(
+        ({ label, description: levelDescription, points }) => ({
+          label,
+          description: levelDescription || "",
+          points,
+        })
+      ),
+    })),
+  };
+
+  const maxPoints = rubricMaxPoints(clean);
+  if (maxPoints !== Number(totalPoints)) {
+    return {
+      error: `Rubric adds up to ${maxPoints} points but the total is ${totalPoints}`,
+    };
+  }
+
+  return { rubric: clean };
+};
+
+// Turn [{ criterionId, levelId, comment }] into stored scores and a total.
+// Every criterion must be scored exactly once. Resolves to
+// { rubricScores, grade, error }.
+const scoreRubric = (rubric, scores) => {
+  if (!Array.isArray(scores)) {
+    return {
+      error:
+        "This is graded with a rubric; provide rubricScores for each criterion",
+    };
+  }
+
+  const rubricScores = [];
+  for (const criterion of rubric.criteria) {
+    const matches = scores.filter(
+      (score) => String(score.criterionId) === criterion._id.toString()
+    );
+    if (matches.length !== 1) {
+      return {
+        error: `Score criterion "${criterion.title}" exactly once`,
+      };
+    }
+
+    const { levelId, comment } = matches[0];
+    const level =
+      mongoose.isValidObjectId(levelId) &&
+      criterion.levels.find((l) => l._id.toString() === String(levelId));
+    if (!level) {
+      return { error: `Invalid level for criterion "${criterion.title}"` };
+    }
+
+    rubricScores.push({
+      criterion: criterion._id,
+      criterionTitle: criterion.title,
+      level: level._id,
+      levelLabel: level.label,
+      points: level.points,
+      maxPoints: Math.max(...criterion.levels.map((l) => l.points)),
+      comment: comment || "",
+    });
+  }
+
+  if (scores.length !== rubric.criteria.length) {
+    return { error: "rubricScores contains unknown criteria" };
+  }
+
+  return {
+    rubricScores,
+    grade: rubricScores.reduce((sum, score) => sum + score.points, 0),
+  };
+};
+
+// Grade and rubric breakdown for a grading request. Assessments with a rubric
+// are scored per criterion; the others take a numeric grade. Resolves to
+// { grade, rubricScores, error }; a null grade (where allowed) clears it.
+const resolveGrade = (assessment, body, { allowNull = false } = {}) => {
+  const hasRubric = assessment.rubric && assessment.rubric.criteria.length > 0;
+
+  if (hasRubric && !(allowNull && body.grade === null)) {
+    const { rubricScores, grade, error } = scoreRubric(
+      assessment.rubric,
+      body.rubricScores
+    );
+    if (error) return { error };
+    if (grade > assessment.totalPoints) {
+      return {
+        error: `Rubric total ${grade} exceeds the ${assessment.totalPoints} points available`,
+      };
+    }
+    return { grade, rubricScores };
+  }
+
+  if (body.grade === null && allowNull) {
+    return { grade: null, rubricScores: [] };
+  }
+  const grade = Number(body.grade);
+  if (
+    body.grade === undefined ||
+    body.grade === null ||
+    body.grade === "" ||
+    isNaN(grade) ||
+    grade < 0 ||
+    grade > assessment.totalPoints
+  ) {
+    return {
+      error: `Grade must be between 0 and ${assessment.totalPoints}`,
+    };
+  }
+  return { grade, rubricScores: [] };
+};
+
+module.exports = {
+  rubricMaxPoints,
+  validateRubric,
+  scoreRubric,
+  resolveGrade,
+};
@@ -0,0 +1,163 @@
+// Near-duplicate detection between texts: word shingles, MinHash signatures to
+// estimate how much two texts share, and the overlapping passages of a pair.
+
+const DEFAULT_SHINGLE_SIZE = 5;
+const DEFAULT_THRESHOLD = 0.5;
+// Pairs below this are not worth keeping in a report
+const REPORT_MIN_SIMILARITY = 0.1;
+const SIGNATURE_SIZE = 128;
+const MAX_PASSAGES = 20;
+const MAX_PASSAGE_WORDS = 200;
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer; with a different seed it acts as another hash function
+const mix = (value, seed) => {
+  let h = (value ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+// Fixed seeds so signatures are comparable between runs
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) =>
+  hashString(`minhash-${i}`)
+);
+
+// Words of a text in their original form; matching is case-insensitive
+const tokenize = (text) => String(text || "").match(/[\p{L}\p{N}]+/gu) || [];
+
+// Hash of every run of `size` consecutive words, in text order
+const shingleHashes = (words, size = DEFAULT_SHINGLE_SIZE) => {
+  const lower = words.map((word) => word.toLowerCase());
+  const hashes = [];
+  for (let i = 0; i + size <= lower.length; i++) {
+    hashes.push(hashString(lower.slice(i, i + size).join(" ")));
+  }
+  return hashes;
+};
+
+const minHashSignature = (hashes) => {
+  const unique = [...new Set(hashes)];
+  return SEEDS.map((seed) =>
+    unique.reduce((min, hash) => Math.min(min, mix(hash, seed)), 0xffffffff)
+  );
+};
+
+// Share of matching signature slots, an estimate of the Jaccard similarity of
+// the two shingle sets
+const estimateSimilarity = (signatureA, signatureB) => {
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (signatureA[i] === signatureB[i]) same++;
+  }
+  return same / SIGNATURE_SIZE;
+};
+
+// Prepare a text for comparison
+const fingerprint = (text, shingleSize = DEFAULT_SHINGLE_SIZE) => {
+  const words = tokenize(text);
+  const hashes = shingleHashes(words, shingleSize);
+  return {
+    words,
+    hashes,
+    signature: hashes.length ? minHashSignature(hashes) : null,
+  };
+};
+
+// Runs of consecutive shingles of A that also occur in B, merged into passages
+// with the matching words of both texts
+const overlappingPassages = (a, b, shingleSize = DEFAULT_SHINGLE_SIZE) => {
+  const positionsInB = new Map();
+  b.hashes.forEach((hash, index) => {
+    if (!positionsInB.has(hash)) positionsInB.set(hash, index);
+  });
+
+  const passages = [];
+  let i = 0;
+  while (i < a.hashes.length && passages.length < MAX_PASSAGES) {
+    if (!positionsInB.has(a.hashes[i])) {
+      i++;
+      continue;
+    }
+
+    const startA = i;
+    const startB = positionsInB.get(a.hashes[i]);
+    let length = 1;
+    // Follow the run while B continues in step with A
+    while (
+      i + length < a.hashes.length &&
+      startB + length < b.hashes.length &&
+      a.hashes[i + length] === b.hashes[startB + length]
+    ) {
+      length++;
+    }
+
+    const words = Math.min(length + shingleSize - 1, MAX_PASSAGE_WORDS);
+    passages.push({
+      textA: a.words.slice(startA, startA + words).join(" "),
+      startA,
+      endA: startA + words,
+      textB: b.words.slice(startB, startB + words).join(" "),
+      startB,
+      endB: startB + words,
+    });
+    i += length + shingleSize - 1;
+  }
+
+  return passages;
+};
+
+// Compare every pair of fingerprinted texts ({ id, fingerprint }). Returns the
+// pairs at or above the reporting floor, most similar first.
+const comparePairs = (
+  items,
+  { threshold = DEFAULT_THRESHOLD, shingleSize = DEFAULT_SHINGLE_SIZE } = {}
+) => {
+  const comparable = items.filter((item) => item.fingerprint.signature);
+  const floor = Math.min(REPORT_MIN_SIMILARITY, threshold);
+  const pairs = [];
+
+  for (let x = 0; x < comparable.length; x++) {
+    for (let y = x + 1; y < comparable.length; y++) {
+      const a = comparable[x];
+      const b = comparable[y];
+      const similarity = estimateSimilarity(
+        a.fingerprint.signature,
+        b.fingerprint.signature
+      );
+      if (similarity < floor) continue;
+
+      pairs.push({
+        a: a.id,
+        b: b.id,
+        similarity: Math.round(similarity * 1000) / 1000,
+        flagged: similarity >= threshold,
+        passages: overlappingPassages(
+          a.fingerprint,
+          b.fingerprint,
+          shingleSize
+        ),
+      });
+    }
+  }
+
+  return pairs.sort((p, q) => q.similarity - p.similarity);
+};
+
+module.exports = {
+  DEFAULT_SHINGLE_SIZE,
+  DEFAULT_THRESHOLD,
+  fingerprint,
+  estimateSimilarity,
+  overlappingPassages,
+  comparePairs,
+};
@@ -0,0 +1,120 @@
+const path = require("path");
+const archiver = require("archiver");
+const { downloadFileFromAzure } = require("./azureConfig");
+const { buildCsv } = require("./excelExport");
+
+const safeName = (value) =>
+  String(value)
+    .replace(/[^\w@.-]+/g, "_")
+    .replace(/^_+|_+$/g, "") || "unknown";
+
+// Files a submission holds: every attempt of an assignment submission, or the
+// single (latest) file of an activity or legacy assignment submission
+const submissionFiles = (submission) =>
+  submission.attempts && submission.attempts.length > 0
+    ? submission.attempts
+    : [
+        {
+          attemptNumber: submission.attemptCount || 1,
+          submissionFile: submission.submissionFile,
+          submissionFileKey: submission.submissionFileKey,
+          submissionDate: submission.submissionDate,
+          isLate: submission.isLate,
+          grade: submission.grade,
+        },
+      ];
+
+// One entry per submitted file, named after the student and the attempt.
+// studentsById maps a student ID to the student with its user populated.
+const archiveEntries = (assessment, studentsById) =>
+  assessment.submissions.flatMap((submission) => {
+    const student = studentsById.get(submission.student.toString());
+    const name = student?.user?.name || "Unknown";
+    const email = student?.user?.email || "";
+
+    return submissionFiles(submission).map((file) => ({
+      name,
+      email,
+      attemptNumber: file.attemptNumber,
+      key: file.submissionFileKey,
+      fileName: `${safeName(name)}_${safeName(email)}_attempt-${
+        file.attemptNumber
+      }${path.extname(file.submissionFileKey || "")}`,
+      submissionDate: file.submissionDate,
+      isLate: file.isLate,
+      grade: file.grade,
+    }));
+  });
+
+// Wait until the archive has written the entry, so only one download is open
+// at a time
+const appendEntry = (archive, source, name) =>
+  new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off("error", onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off("entry", onEntry);
+      reject(error);
+    };
+    archive.once("entry", onEntry);
+    archive.once("error", onError);
+    archive.append(source, { name });
+  });
+
+// Stream a ZIP of the entries' files followed by manifest.csv listing each
+// file's submission time, lateness and grade. Files that cannot be fetched
+// from storage are left out and marked in the manifest.
+const sendSubmissionArchive = async (res, filename, entries) => {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+
+  archive.on("warning", (warning) => console.warn("Archive warning:", warning));
+  archive.on("error", (error) => {
+    console.error("Archive error:", error);
+    res.destroy(error);
+  });
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename.replace(/"/g, "")}"`
+  );
+  archive.pipe(res);
+
+  const manifest = [];
+  for (const entry of entries) {
+    let download = null;
+    if (entry.key) {
+      try {
+        download = await downloadFileFromAzure(entry.key);
+      } catch (error) {
+        console.error(`Skipping ${entry.fileName}:`, error.message);
+      }
+    }
+    if (download) {
+      await appendEntry(archive, download.stream, entry.fileName);
+    }
+
+    manifest.push({
+      Student: entry.name,
+      Email: entry.email,
+      Attempt: entry.attemptNumber,
+      File: download ? entry.fileName : "",
+      "Submitted At": entry.submissionDate
+        ? entry.submissionDate.toISOString()
+        : "",
+      Late: entry.isLate ? "Yes" : "No",
+      Grade: entry.grade ?? "",
+      Note: download ? "" : "File unavailable in storage",
+    });
+  }
+
+  archive.append(buildCsv(manifest), { name: "manifest.csv" });
+  await archive.finalize();
+};
+
+module.exports = {
+  archiveEntries,
+  sendSubmissionArchive,
+};
@@ -0,0 +1,133 @@
+// Versioned attempts on assignment submissions. The top-level fields of a
+// submission (file, date, isLate, grade, feedback, rubricScores) mirror the
+// latest attempt's file and the counting attempt's grade, so code reading a
+// submission as a single entry keeps working.
+
+const { applyPenalty } = require("./latePenalty");
+
+// Which graded attempt sets the submission's grade
+const ATTEMPT_GRADING_POLICIES = ["latest", "best"];
+
+// Submissions made before attempts were recorded hold their only attempt in
+// the top-level fields; turn that into attempt 1
+const ensureAttempts = (submission) => {
+  if (submission.attempts.length === 0 && submission.submissionFile) {
+    submission.attempts.push({
+      attemptNumber: 1,
+      submissionFile: submission.submissionFile,
+      submissionFileKey: submission.submissionFileKey,
+      submissionDate: submission.submissionDate,
+      isLate: submission.isLate,
+      grade: submission.grade,
+      rawGrade: submission.rawGrade ?? submission.grade,
+      latePenaltyPercent: submission.latePenaltyPercent,
+      feedback: submission.feedback,
+      rubricScores: submission.rubricScores,
+    });
+  }
+  return submission.attempts;
+};
+
+const latestAttempt = (submission) =>
+  submission.attempts[submission.attempts.length - 1] || null;
+
+// Attempt picked by a grading request: an attempt number, or "latest"
+const findAttempt = (submission, attempt = "latest") => {
+  ensureAttempts(submission);
+  if (attempt === "latest") return latestAttempt(submission);
+  return (
+    submission.attempts.find((a) => a.attemptNumber === Number(attempt)) || null
+  );
+};
+
+// Attempt whose grade counts under the policy: the latest attempt (even if it
+// is not graded yet) or the best graded one
+const countingAttempt = (submission, policy = "latest") => {
+  if (policy === "best") {
+    return submission.attempts
+      .filter((a) => a.grade !== null && a.grade !== undefined)
+      .reduce((best, a) => (!best || a.grade > best.grade ? a : best), null);
+  }
+  return latestAttempt(submission);
+};
+
+// Copy the counting attempt's grade onto the submission
+const applyAttemptGrade = (submission, policy = "latest") => {
+  const attempt = countingAttempt(submission, policy);
+  const graded =
+    attempt && attempt.grade !== null && attempt.grade !== undefined;
+
+  submission.grade = graded ? attempt.grade : null;
+  submission.rawGrade = graded ? attempt.rawGrade : null;
+  submission.latePenaltyPercent = graded ? attempt.latePenaltyPercent : 0;
+  submission.feedback = graded ? attempt.feedback : "";
+  submission.rubricScores = graded ? attempt.rubricScores : [];
+  submission.gradedAttempt = graded ? attempt.attemptNumber : null;
+  submission.status = graded ? "graded" : "submitted";
+};
+
+// Grade one attempt ("latest" or its number) and recompute the submission's
+// grade under the policy. penaltyFor(attempt) gives the late penalty percent.
+// Undefined feedback keeps the attempt's current feedback. Returns the
+// attempt, or null if it does not exist.
+const gradeAttempt = (
+  submission,
+  attemptRef,
+  grading,
+  { policy = "latest", penaltyFor } = {}
+) => {
+  const attempt = findAttempt(submission, attemptRef);
+  if (!attempt) return null;
+
+  const penalty =
+    grading.grade === null || !penaltyFor ? 0 : penaltyFor(attempt);
+  attempt.rawGrade = grading.grade;
+  attempt.latePenaltyPercent = penalty;
+  attempt.grade = applyPenalty(grading.grade, penalty);
+  if (grading.feedback !== undefined) {
+    attempt.feedback = grading.feedback || "";
+  }
+  attempt.rubricScores = grading.rubricScores;
+  attempt.gradedBy = grading.gradedBy;
+  attempt.gradedAt = new Date();
+
+  applyAttemptGrade(submission, policy);
+  return attempt;
+};
+
+// Recompute the penalty of every graded attempt, e.g. after the student's
+// deadline changed
+const reapplyLatePenalties = (submission, penaltyFor, policy = "latest") => {
+  ensureAttempts(submission);
+  submission.attempts
+    .filter((a) => a.rawGrade !== null && a.rawGrade !== undefined)
+    .forEach((attempt) => {
+      attempt.latePenaltyPercent = penaltyFor(attempt);
+      attempt.grade = applyPenalty(
+        attempt.rawGrade,
+        attempt.latePenaltyPercent
+      );
+    });
+  applyAttemptGrade(submission, policy);
+};
+
+// Every blob key a submission holds, across all of its attempts
+const submissionFileKeys = (submission) => [
+  ...new Set(
+    [
+      submission.submissionFileKey,
+      ...(submission.attempts || []).map((a) => a.submissionFileKey),
+    ].filter(Boolean)
+  ),
+];
+
+module.exports = {
+  ATTEMPT_GRADING_POLICIES,
+  ensureAttempts,
+  latestAttempt,
+  findAttempt,
+  applyAttemptGrade,
+  gradeAttempt,
+  reapplyLatePenalties,
+  submissionFileKeys,
+};
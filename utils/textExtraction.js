@@ -0,0 +1,49 @@
+const path = require("path");
+const mammoth = require("mammoth");
+const pdfParse = require("pdf-parse");
+const { downloadFileFromAzure } = require("./azureConfig");
+
+// Larger files are not read for text
+const MAX_TEXT_FILE_BYTES = 10 * 1024 * 1024;
+
+const EXTRACTORS = {
+  ".txt": async (buffer) => buffer.toString("utf8"),
+  ".md": async (buffer) => buffer.toString("utf8"),
+  ".docx": async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  ".pdf": async (buffer) => (await pdfParse(buffer)).text,
+};
+
+const isTextFile = (fileName) =>
+  Boolean(EXTRACTORS[path.extname(fileName || "").toLowerCase()]);
+
+const readStream = async (stream) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > MAX_TEXT_FILE_BYTES) {
+      throw new Error("File is too large to check");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Plain text of a stored txt, docx or pdf file; the format is taken from the
+// file's extension
+const extractStoredText = async (key) => {
+  const extractor = EXTRACTORS[path.extname(key).toLowerCase()];
+  if (!extractor) {
+    throw new Error(
+      `Cannot read text from ${path.extname(key) || "this"} files`
+    );
+  }
+
+  const { stream } = await downloadFileFromAzure(key);
+  return extractor(await readStream(stream));
+};
+
+module.exports = {
+  isTextFile,
+  extractStoredText,
+};
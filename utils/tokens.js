@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const { ErrorHandler } = require("../middleware/errorHandler");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+
+// Refresh tokens are stored hashed so a database leak cannot be replayed
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Express resolves req.ip from X-Forwarded-For only as far as "trust proxy"
+// allows (see index.js), so a client cannot pick its own address
+const getClientIp = (req) => req.ip;
+
+const signAccessToken = (user, family) =>
+  jwt.sign({ id: user._id, sid: family }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+
+// Create a refresh token in the given family (a new family starts a new session)
+const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt,
+    createdByIp: getClientIp(req),
+    userAgent: req.get("User-Agent"),
+  });
+
+  const token = signAccessToken(user, family);
+  const { exp } = jwt.decode(token);
+
+  return {
+    record,
+    tokens: {
+      token,
+      refreshToken,
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshTokenExpiresAt: expiresAt,
+    },
+  };
+};
+
+const revokeFamily = async (family, reason) => {
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const revokeAllForUser = async (userId, reason, exceptFamily = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) filter.family = { $ne: exceptFamily };
+
+  const result = await RefreshToken.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+// Sign out many users at once, e.g. everyone a new policy applies to
+const revokeAllForUsers = async (userIds, reason) => {
+  const result = await RefreshToken.updateMany(
+    { user: { $in: userIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Exchange a refresh token for a new pair; the presented token is single-use.
+// It is claimed atomically before anything is issued, so two refreshes racing
+// with the same token cannot both succeed.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true }
+  ).populate("user");
+
+  if (!claimed) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw new ErrorHandler("Invalid refresh token", 401);
+    }
+    if (existing.revokedAt) {
+      // A rotated token coming back means it was copied; kill the whole session
+      if (existing.revokedReason === "rotated") {
+        console.warn(
+          `Refresh token reuse detected for user ${existing.user}, family ${existing.family}`
+        );
+        await revokeFamily(existing.family, "reuse-detected");
+      }
+      throw new ErrorHandler("Refresh token has been revoked", 401);
+    }
+    throw new ErrorHandler("Refresh token has expired", 401);
+  }
+
+  if (!claimed.user) {
+    throw new ErrorHandler("Invalid refresh token", 401);
+  }
+
+  const { record, tokens } = await issueTokens(
+    claimed.user,
+    req,
+    claimed.family
+  );
+  await RefreshToken.updateOne(
+    { _id: claimed._id },
+    { replacedBy: record._id }
+  );
+
+  return { user: claimed.user, tokens };
+};
+
+const isSessionActive = (family) =>
+  RefreshToken.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+module.exports = {
+  hashToken,
+  getClientIp,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  revokeAllForUsers,
+  isSessionActive,
+};
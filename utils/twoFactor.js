@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const TwoFactorPolicy = require("../models/TwoFactorPolicy");
+const { hashToken } = require("./tokens");
+
+// RFC 6238 defaults, which is what authenticator apps assume
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps either side of now still accepted, for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || "LMS";
+
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password and the second step of a login
+const CHALLENGE_EXPIRES_IN =
+  process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit shared secret, base32 encoded for authenticator apps
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const totpStep = (at = new Date()) =>
+  Math.floor(at.getTime() / 1000 / TOTP_STEP_SECONDS);
+
+// HOTP (RFC 4226) code for one time step
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const value =
+    digest.readUInt32BE(digest[digest.length - 1] & 0x0f) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const codesMatch = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Time step the code belongs to, or null when it matches none near now
+const matchTotpStep = (secret, code, at = new Date()) => {
+  const submitted = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d+$/.test(submitted)) return null;
+
+  const current = totpStep(at);
+  for (let offset = -TOTP_DRIFT_STEPS; offset <= TOTP_DRIFT_STEPS; offset++) {
+    if (codesMatch(totpCode(secret, current + offset), submitted)) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = (user, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const hashRecoveryCode = (code) =>
+  hashToken(
+    String(code || "")
+      .toLowerCase()
+      .replace(/[\s-]/g, "")
+  );
+
+// One-time recovery codes like "a1b2c-3d4e5". Only their hashes are stored.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a login's second factor: a TOTP code or an unused recovery code.
+// Each is consumed atomically, so a code cannot be replayed in parallel.
+// Resolves to "totp", "recovery-code" or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const consumed = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.recoveryCodeHashes": hashRecoveryCode(recoveryCode),
+      },
+      {
+        $pull: {
+          "twoFactor.recoveryCodeHashes": hashRecoveryCode(recoveryCode),
+        },
+      }
+    );
+    return consumed.modifiedCount ? "recovery-code" : null;
+  }
+
+  const step = matchTotpStep(user.twoFactor.secret, code);
+  if (step === null) return null;
+  const consumed = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": null },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return consumed.modifiedCount ? "totp" : null;
+};
+
+// Short-lived token standing in for the password during the second step of a
+// login. purpose is "verify" (enter a code) or "enroll" (2FA is required but
+// not set up yet). It has no session ID, so auth middleware rejects it.
+const signChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user._id, twoFactor: purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+// User a challenge token was issued to, or null when it is invalid, expired or
+// for another purpose
+const resolveChallengeToken = async (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.twoFactor !== purpose) return null;
+    return await User.findById(decoded.id);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Roles an admin has made 2FA mandatory for
+const getRequiredRoles = async () => {
+  const policy = await TwoFactorPolicy.findOne();
+  return policy ? policy.requiredRoles : [];
+};
+
+const isTwoFactorRequired = async (user) =>
+  (await getRequiredRoles()).includes(user.role);
+
+module.exports = {
+  generateTotpSecret,
+  matchTotpStep,
+  provisioningUri,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  signChallengeToken,
+  resolveChallengeToken,
+  getRequiredRoles,
+  isTwoFactorRequired,
+};
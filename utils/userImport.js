@@ -0,0 +1,709 @@
+const User = require("../models/User");
+const Teacher = require("../models/Teacher");
+const Student = require("../models/Student");
+
+// Roles a user sheet can create
+const IMPORT_ROLES = ["teacher", "student"];
+
+// Fields a user sheet column can fill. A column mapping points a sheet's own
+// headers at these; headers already named after a field need no mapping.
+const IMPORT_FIELDS = [
+  "name",
+  "email",
+  "password",
+  "role",
+  "courseCode",
+  "teacherEmail",
+  "mobileNo",
+  "alternateEmailId",
+  "dateOfBirth",
+  "ageAsOn2025",
+  "gender",
+  "nationality",
+  "aadhaarNumber",
+  "passportNumber",
+  "bloodGroup",
+  "motherTongue",
+  "religion",
+  "category",
+  "areYouPhysicallyChallenged",
+  "pleaseSpecifyTheDisability",
+  "parentGuardianDetails",
+  "permanentAddress",
+  "permanentAddressLine",
+  "permanentCity",
+  "permanentDistrict",
+  "permanentState",
+  "permanentCountry",
+  "permanentPincode",
+  "correspondenceAddress",
+  "correspondenceAddressLine",
+  "correspondenceCity",
+  "correspondenceDistrict",
+  "correspondenceState",
+  "correspondenceCountry",
+  "correspondencePincode",
+  "isYourCorrespondenceAddressSameAsPermanentAddress",
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sheet row number of a row read by XLSX.utils.sheet_to_json; row 1 holds the
+// headers. Blank rows are not read, so a row's index does not give it.
+const sheetRow = (row) => row.__rowNum__ + 1;
+
+// Copy a row's hidden sheet position onto a row derived from it
+const keepSheetRow = (source, target) =>
+  Object.defineProperty(target, "__rowNum__", { value: source.__rowNum__ });
+
+// Helper function to parse address data from Excel
+const parseAddressData = (addressString) => {
+  if (!addressString || typeof addressString !== "string") return {};
+
+  const parts = addressString.split(",").map((part) => part.trim());
+  return {
+    address: parts[0] || "",
+    city: parts[1] || "",
+    district: parts[2] || "",
+    state: parts[3] || "",
+    country: parts[4] || "India",
+    pincode: parts[5] || "",
+  };
+};
+
+// Helper function to parse date from Excel
+const parseDate = (dateValue) => {
+  if (!dateValue) return null;
+  if (dateValue instanceof Date) return dateValue;
+
+  if (typeof dateValue === "string") {
+    const parsed = new Date(dateValue);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  if (typeof dateValue === "number") {
+    const date = new Date((dateValue - 25569) * 86400 * 1000);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return null;
+};
+
+// Helper function to create user data object from Excel row
+const createUserDataFromExcelRow = (userData) => {
+  const userObj = {
+    name: userData.name,
+    email: userData.email.toLowerCase(),
+    password: userData.password,
+    role: userData.role,
+  };
+
+  if (userData.mobileNo) userObj.mobileNo = userData.mobileNo.toString();
+  if (userData.alternateEmailId)
+    userObj.alternateEmailId = userData.alternateEmailId.toLowerCase();
+
+  const parsedDate = parseDate(userData.dateOfBirth);
+  if (parsedDate) {
+    userObj.dateOfBirth = parsedDate;
+  }
+
+  if (userData.ageAsOn2025)
+    userObj.ageAsOn2025 = parseInt(userData.ageAsOn2025);
+  if (userData.gender) userObj.gender = userData.gender;
+  if (userData.nationality) userObj.nationality = userData.nationality;
+  if (userData.aadhaarNumber)
+    userObj.aadhaarNumber = userData.aadhaarNumber.toString();
+  if (userData.passportNumber)
+    userObj.passportNumber = userData.passportNumber.toString();
+  if (userData.bloodGroup) userObj.bloodGroup = userData.bloodGroup;
+  if (userData.motherTongue) userObj.motherTongue = userData.motherTongue;
+  if (userData.religion) userObj.religion = userData.religion;
+  if (userData.category) userObj.category = userData.category;
+
+  if (userData.areYouPhysicallyChallenged !== undefined) {
+    userObj.areYouPhysicallyChallenged = Boolean(
+      userData.areYouPhysicallyChallenged
+    );
+  }
+
+  if (userData.pleaseSpecifyTheDisability) {
+    userObj.pleaseSpecifyTheDisability = userData.pleaseSpecifyTheDisability;
+  }
+
+  if (userData.parentGuardianDetails) {
+    userObj.parentGuardianDetails = userData.parentGuardianDetails;
+  }
+
+  if (userData.permanentAddress) {
+    if (typeof userData.permanentAddress === "string") {
+      userObj.permanentAddress = parseAddressData(userData.permanentAddress);
+    } else if (typeof userData.permanentAddress === "object") {
+      userObj.permanentAddress = userData.permanentAddress;
+    }
+  } else {
+    const addressFields = {};
+    if (userData.permanentAddressLine)
+      addressFields.address = userData.permanentAddressLine;
+    if (userData.permanentCity) addressFields.city = userData.permanentCity;
+    if (userData.permanentDistrict)
+      addressFields.district = userData.permanentDistrict;
+    if (userData.permanentState) addressFields.state = userData.permanentState;
+    if (userData.permanentCountry)
+      addressFields.country = userData.permanentCountry;
+    if (userData.permanentPincode)
+      addressFields.pincode = userData.permanentPincode.toString();
+
+    if (Object.keys(addressFields).length > 0) {
+      userObj.permanentAddress = addressFields;
+    }
+  }
+
+  if (userData.correspondenceAddress) {
+    if (typeof userData.correspondenceAddress === "string") {
+      userObj.correspondenceAddress = parseAddressData(
+        userData.correspondenceAddress
+      );
+    } else if (typeof userData.correspondenceAddress === "object") {
+      userObj.correspondenceAddress = userData.correspondenceAddress;
+    }
+  } else {
+    const addressFields = {};
+    if (userData.correspondenceAddressLine)
+      addressFields.address = userData.correspondenceAddressLine;
+    if (userData.correspondenceCity)
+      addressFields.city = userData.correspondenceCity;
+    if (userData.correspondenceDistrict)
+      addressFields.district = userData.correspondenceDistrict;
+    if (userData.correspondenceState)
+      addressFields.state = userData.correspondenceState;
+    if (userData.correspondenceCountry)
+      addressFields.country = userData.correspondenceCountry;
+    if (userData.correspondencePincode)
+      addressFields.pincode = userData.correspondencePincode.toString();
+
+    if (Object.keys(addressFields).length > 0) {
+      userObj.correspondenceAddress = addressFields;
+    }
+  }
+
+  if (
+    userData.isYourCorrespondenceAddressSameAsPermanentAddress !== undefined
+  ) {
+    userObj.isYourCorrespondenceAddressSameAsPermanentAddress = Boolean(
+      userData.isYourCorrespondenceAddressSameAsPermanentAddress
+    );
+  }
+
+  return userObj;
+};
+
+// Validate a column mapping of { "Sheet header": "field" }, sent as an object
+// or a JSON string (multipart forms). Resolves to { mapping, error }.
+const parseColumnMapping = (input) => {
+  if (input === undefined || input === null || input === "") {
+    return { mapping: {} };
+  }
+
+  let mapping = input;
+  if (typeof input === "string") {
+    try {
+      mapping = JSON.parse(input);
+    } catch (error) {
+      return { error: "columnMapping must be valid JSON" };
+    }
+  }
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    return {
+      error:
+        'columnMapping must map sheet headers to fields, e.g. { "Email ID": "email" }',
+    };
+  }
+
+  const mappedFields = new Set();
+  for (const [header, field] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      return {
+        error: `Column "${header}" is mapped to unknown field "${field}"`,
+      };
+    }
+    if (mappedFields.has(field)) {
+      return { error: `More than one column is mapped to "${field}"` };
+    }
+    mappedFields.add(field);
+  }
+  return { mapping };
+};
+
+// Rename each row's columns to import fields. A mapped column wins over one
+// already named after the same field; other columns are dropped and reported.
+const applyColumnMapping = (rows, mapping) => {
+  const mappedHeaders = new Map(
+    Object.entries(mapping).map(([header, field]) => [header.trim(), field])
+  );
+  const mappedFields = new Set(mappedHeaders.values());
+  const unmappedColumns = new Set();
+
+  const mappedRows = rows.map((row) => {
+    const mapped = {};
+    for (const [rawHeader, value] of Object.entries(row)) {
+      const header = rawHeader.trim();
+      if (mappedHeaders.has(header)) {
+        mapped[mappedHeaders.get(header)] = value;
+      } else if (IMPORT_FIELDS.includes(header) && !mappedFields.has(header)) {
+        mapped[header] = value;
+      } else {
+        unmappedColumns.add(rawHeader);
+      }
+    }
+    return keepSheetRow(row, mapped);
+  });
+
+  return { rows: mappedRows, unmappedColumns: [...unmappedColumns] };
+};
+
+// Whether a sheet column holds passwords under the column mapping
+const isPasswordColumn = (rawHeader, mapping = {}) => {
+  const header = rawHeader.trim();
+  const mapped = Object.entries(mapping).find(([h]) => h.trim() === header);
+  return header === "password" || (!!mapped && mapped[1] === "password");
+};
+
+// Take the password columns out of sheet rows, e.g. before they are stored.
+// Returns { rows, passwords } where passwords maps a sheet row number to the
+// password applyColumnMapping would have read from it.
+const separatePasswords = (rows, mapping = {}) => {
+  const { rows: mappedRows } = applyColumnMapping(rows, mapping);
+  const passwords = new Map();
+  mappedRows.forEach((row) => {
+    if (row.password !== undefined && row.password !== "") {
+      passwords.set(sheetRow(row), row.password);
+    }
+  });
+
+  return {
+    rows: rows.map((row) =>
+      keepSheetRow(
+        row,
+        Object.fromEntries(
+          Object.entries(row).filter(
+            ([header]) => !isPasswordColumn(header, mapping)
+          )
+        )
+      )
+    ),
+    passwords,
+  };
+};
+
+// Course codes that would end up with two teachers: codes held by a teacher
+// outside the sheet, or given to several teachers in it. teachersByEmail maps
+// each teacher email in the sheet to its course codes. Resolves to messages.
+const findCourseCodeConflicts = async (teachersByEmail, session = null) => {
+  const errors = [];
+
+  const codeToEmails = new Map();
+  for (const [email, courseCodes] of teachersByEmail) {
+    for (const courseCode of courseCodes) {
+      if (!codeToEmails.has(courseCode)) codeToEmails.set(courseCode, []);
+      codeToEmails.get(courseCode).push(email);
+    }
+  }
+
+  for (const courseCode of codeToEmails.keys()) {
+    const existingTeachersWithCode = await Teacher.find({
+      courseCodes: courseCode,
+    })
+      .populate("user", "email name")
+      .session(session);
+
+    for (const existingTeacher of existingTeachersWithCode) {
+      if (!existingTeacher.user) continue;
+      const existingEmail = existingTeacher.user.email.toLowerCase();
+      if (!teachersByEmail.has(existingEmail)) {
+        errors.push(
+          `Course code "${courseCode}" is already assigned to teacher: ${existingTeacher.user.name} (${existingTeacher.user.email}). Cannot assign to new teachers in upload.`
+        );
+      }
+    }
+  }
+
+  for (const [courseCode, emails] of codeToEmails) {
+    if (emails.length > 1) {
+      errors.push(
+        `Course code "${courseCode}" is assigned to multiple teachers in the same upload: ${emails.join(
+          ", "
+        )}. Each course code can only be assigned to one teacher.`
+      );
+    }
+  }
+
+  return errors;
+};
+
+// Messages for the values the User model would reject (Aadhaar, mobile
+// number, pincode, enums, ...)
+const userValidationErrors = (userData, existingUser) => {
+  // Placeholders stand in for fields an update keeps and for a missing
+  // password, which is reported on its own
+  const candidate = existingUser
+    ? {
+        name: existingUser.name,
+        email: existingUser.email,
+        password: "unchanged",
+        role: existingUser.role,
+        ...userData,
+      }
+    : { ...userData, password: userData.password || "unset" };
+  const result = new User(candidate).validateSync();
+  return result ? Object.values(result.errors).map((e) => e.message) : [];
+};
+
+// Work out what importing the (already mapped) rows would do without writing
+// anything. Each row is to be created, updated or skipped, with the reasons
+// and warnings; blockingErrors stop the whole import. importRows are the
+// normalized rows that would be imported.
+const analyzeUserImport = async (rows, session = null) => {
+  const entries = rows.map((row) => {
+    const data = {
+      ...row,
+      email: String(row.email || "")
+        .toLowerCase()
+        .trim(),
+      role: String(row.role || "")
+        .toLowerCase()
+        .trim(),
+      courseCode: row.courseCode
+        ? String(row.courseCode).toUpperCase().trim()
+        : "",
+      teacherEmail: row.teacherEmail
+        ? String(row.teacherEmail).toLowerCase().trim()
+        : "",
+    };
+    return {
+      row: sheetRow(row),
+      data,
+      status: null,
+      reasons: [],
+      warnings: [],
+    };
+  });
+
+  const emails = [...new Set(entries.map((e) => e.data.email).filter(Boolean))];
+  const teacherEmails = [
+    ...new Set(entries.map((e) => e.data.teacherEmail).filter(Boolean)),
+  ];
+  const [existingUsers, existingTeachers] = await Promise.all([
+    User.find({ email: { $in: emails } })
+      .select("name email role")
+      .session(session),
+    Teacher.find({ email: { $in: teacherEmails } })
+      .select("email")
+      .session(session),
+  ]);
+  const usersByEmail = new Map(existingUsers.map((u) => [u.email, u]));
+  const knownTeacherEmails = new Set(existingTeachers.map((t) => t.email));
+
+  // Row checks that need nothing but the row and the database
+  for (const entry of entries) {
+    const { data, reasons } = entry;
+    if (!data.name) reasons.push("name is missing");
+    if (!data.email) reasons.push("email is missing");
+    else if (!EMAIL_PATTERN.test(data.email)) {
+      reasons.push(`email "${data.email}" is not a valid address`);
+    }
+    if (!IMPORT_ROLES.includes(data.role)) {
+      reasons.push(
+        data.role
+          ? `role "${data.role}" is not one of: ${IMPORT_ROLES.join(", ")}`
+          : "role is missing"
+      );
+    }
+    if (reasons.length > 0) continue;
+
+    const existingUser = usersByEmail.get(data.email);
+    // Admins are never given a teacher or student profile by an import
+    if (existingUser && existingUser.role === "admin") {
+      reasons.push(
+        `${data.email} belongs to an admin and cannot be imported as a ${data.role}`
+      );
+      continue;
+    }
+    // Nor is a student given a teacher profile, or the other way round
+    if (existingUser && existingUser.role !== data.role) {
+      reasons.push(
+        `${data.email} is an existing ${existingUser.role} and cannot be imported as a ${data.role}`
+      );
+      continue;
+    }
+    if (data.role === "student" && !data.teacherEmail) {
+      reasons.push("teacherEmail is required for a student");
+    }
+
+    const userData = createUserDataFromExcelRow(data);
+    if (existingUser) {
+      delete userData.email;
+      delete userData.role;
+      delete userData.password;
+    }
+    reasons.push(...userValidationErrors(userData, existingUser));
+  }
+
+  // Repeated emails: the same person on several rows (one per course code) is
+  // merged into the first row; a different role is a conflict
+  const firstByEmail = new Map();
+  const duplicateEmails = new Map();
+  for (const entry of entries) {
+    const { email } = entry.data;
+    if (!email) continue;
+    if (!firstByEmail.has(email)) {
+      firstByEmail.set(email, entry);
+      continue;
+    }
+    const first = firstByEmail.get(email);
+    if (!duplicateEmails.has(email)) duplicateEmails.set(email, [first.row]);
+    duplicateEmails.get(email).push(entry.row);
+
+    if (entry.reasons.length > 0) continue;
+    if (first.data.role !== entry.data.role) {
+      entry.reasons.push(
+        `${email} already appears in row ${first.row} as a ${first.data.role}`
+      );
+    } else if (first.data.name !== entry.data.name) {
+      entry.warnings.push(
+        `name differs from row ${first.row}; the details in row ${first.row} are used`
+      );
+    }
+  }
+
+  // A new user's details come from the first row imported for the email; the
+  // rows after it only add course codes
+  const passwordChecked = new Set();
+  for (const entry of entries) {
+    const { data, reasons } = entry;
+    if (reasons.length > 0 || passwordChecked.has(data.email)) continue;
+    if (!usersByEmail.has(data.email) && !data.password) {
+      reasons.push("password is required for a new user");
+      continue;
+    }
+    passwordChecked.add(data.email);
+  }
+
+  // Students need a teacher that exists or is being imported
+  const sheetTeacherEmails = new Set(
+    entries
+      .filter((e) => e.reasons.length === 0 && e.data.role === "teacher")
+      .map((e) => e.data.email)
+  );
+  for (const entry of entries) {
+    const { data, reasons } = entry;
+    if (reasons.length > 0 || data.role !== "student") continue;
+    if (
+      !knownTeacherEmails.has(data.teacherEmail) &&
+      !sheetTeacherEmails.has(data.teacherEmail)
+    ) {
+      reasons.push(
+        `teacher ${data.teacherEmail} is not in the system or this sheet`
+      );
+    }
+  }
+
+  entries.forEach((entry) => {
+    if (entry.reasons.length > 0) entry.status = "skip";
+    else
+      entry.status = usersByEmail.has(entry.data.email) ? "update" : "create";
+  });
+
+  const teachersByEmail = new Map();
+  entries
+    .filter((e) => e.status !== "skip" && e.data.role === "teacher")
+    .forEach(({ data }) => {
+      if (!teachersByEmail.has(data.email)) {
+        teachersByEmail.set(data.email, new Set());
+      }
+      if (data.courseCode) teachersByEmail.get(data.email).add(data.courseCode);
+    });
+  const blockingErrors = await findCourseCodeConflicts(
+    teachersByEmail,
+    session
+  );
+
+  const count = (status) => entries.filter((e) => e.status === status).length;
+  return {
+    summary: {
+      totalRows: entries.length,
+      create: count("create"),
+      update: count("update"),
+      skip: count("skip"),
+    },
+    blockingErrors,
+    duplicateEmails: [...duplicateEmails].map(([email, rows]) => ({
+      email,
+      rows,
+    })),
+    rows: entries.map(({ row, data, status, reasons, warnings }) => ({
+      row,
+      email: data.email,
+      name: data.name || "",
+      role: data.role,
+      courseCode: data.courseCode,
+      teacherEmail: data.teacherEmail || undefined,
+      status,
+      reasons,
+      warnings,
+    })),
+    importRows: entries
+      .filter((e) => e.status !== "skip")
+      .map((e) => ({ ...e.data, row: e.row })),
+  };
+};
+
+// Group import rows the way they are written: one teacher per email with all
+// of their course codes, one student per email and teacher. A group takes its
+// details from its first row and keeps the sheet rows it came from.
+const groupImportRows = (rows) => {
+  const teachers = new Map();
+  const students = new Map();
+
+  for (const data of rows) {
+    const [groups, key] =
+      data.role === "teacher"
+        ? [teachers, data.email]
+        : [students, `${data.email}-${data.teacherEmail}`];
+    if (!groups.has(key)) {
+      groups.set(key, {
+        userData: data,
+        email: data.email,
+        teacherEmail: data.teacherEmail,
+        courseCodes: new Set(),
+        rows: [],
+      });
+    }
+    const group = groups.get(key);
+    if (data.courseCode) group.courseCodes.add(data.courseCode);
+    if (data.row) group.rows.push(data.row);
+  }
+
+  return { teachers, students };
+};
+
+// Create or update a user from a group's first row. An existing user keeps
+// their email and password; an admin, or a user with another role, is
+// refused.
+const upsertImportedUser = async (group, session) => {
+  const existingUser = await User.findOne({ email: group.email }).session(
+    session
+  );
+
+  if (existingUser && existingUser.role === "admin") {
+    throw new Error(
+      `${group.email} belongs to an admin and cannot be imported`
+    );
+  }
+  if (existingUser && existingUser.role !== group.userData.role) {
+    throw new Error(
+      `${group.email} is an existing ${existingUser.role} and cannot be imported as a ${group.userData.role}`
+    );
+  }
+  if (existingUser) {
+    const updatedUserData = createUserDataFromExcelRow(group.userData);
+    delete updatedUserData.email;
+    delete updatedUserData.role;
+    delete updatedUserData.password;
+
+    Object.assign(existingUser, updatedUserData);
+    await existingUser.save({ session });
+    return { user: existingUser, action: "updated" };
+  }
+
+  const newUserData = createUserDataFromExcelRow(group.userData);
+  newUserData.email = group.email;
+
+  const user = new User(newUserData);
+  await user.save({ session });
+  return { user, action: "created" };
+};
+
+// Import a teacher group. An existing teacher's course codes are replaced by
+// the sheet's. Resolves to { user, teacher, action }.
+const importTeacher = async (group, session = null) => {
+  const { user, action } = await upsertImportedUser(group, session);
+  const courseCodes = Array.from(group.courseCodes);
+
+  let teacher = await Teacher.findOne({ user: user._id }).session(session);
+  if (!teacher) {
+    teacher = new Teacher({
+      user: user._id,
+      email: group.email,
+      courseCodes,
+      courses: [],
+    });
+  } else {
+    teacher.courseCodes = courseCodes;
+  }
+  await teacher.save({ session });
+
+  return { user, teacher, action };
+};
+
+// Import a student group under their teacher, found among the teachers just
+// imported (teacherMap, keyed "email-courseCode") or in the database. An
+// existing student of that teacher gains the sheet's course codes. Resolves
+// to { user, student, action }.
+const importStudent = async (group, teacherMap = new Map(), session = null) => {
+  const { user, action } = await upsertImportedUser(group, session);
+  const { teacherEmail } = group;
+
+  let student =
+    action === "updated"
+      ? await Student.findOne({ user: user._id, teacherEmail }).session(session)
+      : null;
+
+  if (student) {
+    const existingCodes = new Set(student.courseCodes);
+    group.courseCodes.forEach((code) => existingCodes.add(code));
+    student.courseCodes = Array.from(existingCodes);
+  } else {
+    let teacher = null;
+    for (const courseCode of group.courseCodes) {
+      const teacherKey = `${teacherEmail}-${courseCode}`;
+      if (teacherMap.has(teacherKey)) {
+        teacher = teacherMap.get(teacherKey);
+        break;
+      }
+    }
+    if (!teacher) {
+      teacher = await Teacher.findOne({ email: teacherEmail }).session(session);
+      if (!teacher) {
+        throw new Error(
+          `Teacher with email ${teacherEmail} not found for student: ${group.email}`
+        );
+      }
+    }
+
+    student = new Student({
+      user: user._id,
+      teacher: teacher._id,
+      teacherEmail: teacher.email,
+      courseCodes: Array.from(group.courseCodes),
+      courses: [],
+    });
+  }
+  await student.save({ session });
+
+  return { user, student, action };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  sheetRow,
+  createUserDataFromExcelRow,
+  parseColumnMapping,
+  applyColumnMapping,
+  isPasswordColumn,
+  separatePasswords,
+  findCourseCodeConflicts,
+  analyzeUserImport,
+  groupImportRows,
+  importTeacher,
+  importStudent,
+};